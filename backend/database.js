@@ -20,6 +20,11 @@ const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
+// Allowed values for transactions.transaction_type.
+// Adding a type here is enough: syncTransactionTypes() rebuilds the CHECK on existing DBs.
+const TRANSACTION_TYPES = ['credit', 'reward', 'merge', 'adjustment', 'gift_out', 'gift_in', 'gift_refund', 'expiry', 'reversal', 'stamp', 'referral', 'birthday', 'voucher', 'voucher_redeem'];
+const TRANSACTION_TYPES_SQL = TRANSACTION_TYPES.map(t => `'${t}'`).join(',');
+
 // ═══════════════════════════════════════════════════════
 // DDL — Schema V3.1 (post-review)
 // ═══════════════════════════════════════════════════════
@@ -184,7 +189,7 @@ function initDatabase() {
       amount             REAL,
       points_delta       INTEGER NOT NULL,
       transaction_type   TEXT NOT NULL
-                         CHECK(transaction_type IN ('credit','reward','merge','adjustment','gift_out','gift_in','gift_refund')),
+                         CHECK(transaction_type IN (${TRANSACTION_TYPES_SQL})),
       idempotency_key    TEXT,
       source             TEXT,
       notes              TEXT,
@@ -192,6 +197,9 @@ function initDatabase() {
       created_at         TEXT NOT NULL DEFAULT (datetime('now'))
     )
   `);
+  // Voids: a 'reversal' row points to the credit it cancels, the credit gets voided_at
+  try { db.exec('ALTER TABLE transactions ADD COLUMN reverses_id INTEGER REFERENCES transactions(id)'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE transactions ADD COLUMN voided_at TEXT'); } catch (e) { /* already exists */ }
 
   // ───────────────────────────────────────────
   // 8. AUDIT LOGS
@@ -235,6 +243,8 @@ function initDatabase() {
   try { db.exec('ALTER TABLE merchant_clients ADD COLUMN custom_reward TEXT'); } catch (e) { /* already exists */ }
   try { db.exec('ALTER TABLE merchant_clients ADD COLUMN local_email TEXT'); console.log('  ✅ local_email column added'); } catch (e) { console.log('  ℹ️  local_email column exists'); }
   try { db.exec('ALTER TABLE merchant_clients ADD COLUMN local_phone TEXT'); console.log('  ✅ local_phone column added'); } catch (e) { console.log('  ℹ️  local_phone column exists'); }
+  try { db.exec('ALTER TABLE merchant_clients ADD COLUMN is_favorite INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchant_clients ADD COLUMN is_hidden INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
 
   // One-time cleanup: if local_email='' or local_phone='' on single-merchant clients,
   // convert to global removal (the correct behavior)
@@ -279,6 +289,10 @@ function initDatabase() {
   try { db.exec('CREATE INDEX IF NOT EXISTS idx_end_users_email_canonical ON end_users(email_canonical)'); } catch (e) { /* already exists */ }
   try { db.exec('ALTER TABLE merchants ADD COLUMN birthday_gift_enabled INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
   try { db.exec('ALTER TABLE merchants ADD COLUMN birthday_gift_description TEXT'); } catch (e) { /* already exists */ }
+  // Points expiry policy: 'none' | 'inactivity' (N months without visit) | 'fixed_date' (MM-DD each year)
+  try { db.exec("ALTER TABLE merchants ADD COLUMN points_expiry_mode TEXT NOT NULL DEFAULT 'none'"); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN points_expiry_months INTEGER'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN points_expiry_date TEXT'); } catch (e) { /* already exists */ }
 
   // Backfill qr_tokens for existing end_users
   const usersWithoutQr = db.prepare('SELECT id FROM end_users WHERE qr_token IS NULL AND deleted_at IS NULL').all();
@@ -333,6 +347,464 @@ function initDatabase() {
     )
   `);
 
+  // ───────────────────────────────────────────
+  // 12. REWARDS CATALOGUE (several rewards per merchant)
+  //     Empty catalogue → legacy single reward (points_for_reward)
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rewards (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id  INTEGER NOT NULL REFERENCES merchants(id),
+      name         TEXT NOT NULL,
+      description  TEXT,
+      points_cost  INTEGER NOT NULL CHECK(points_cost > 0),
+      is_active    INTEGER NOT NULL DEFAULT 1,
+      created_at   TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  try { db.exec('ALTER TABLE transactions ADD COLUMN reward_id INTEGER REFERENCES rewards(id)'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 13. MEMBERSHIP TIERS (Bronze/Silver/Gold…)
+  //     threshold on rolling 12-month spend or visits (merchants.tier_basis)
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tiers (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id  INTEGER NOT NULL REFERENCES merchants(id),
+      name         TEXT NOT NULL,
+      threshold    REAL NOT NULL CHECK(threshold >= 0),
+      multiplier   REAL NOT NULL DEFAULT 1 CHECK(multiplier >= 1),
+      is_active    INTEGER NOT NULL DEFAULT 1,
+      created_at   TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  try { db.exec("ALTER TABLE merchants ADD COLUMN tier_basis TEXT NOT NULL DEFAULT 'spent'"); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchant_clients ADD COLUMN tier_id INTEGER REFERENCES tiers(id)'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 14. BONUS CAMPAIGNS (double points days, happy hours…)
+  //     starts_at/ends_at and hour windows are merchant-local times
+  //     (merchant_preferences.timezone). weekdays: ISO 1-7, NULL = every day
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id  INTEGER NOT NULL REFERENCES merchants(id),
+      name         TEXT NOT NULL,
+      starts_at    TEXT NOT NULL,
+      ends_at      TEXT NOT NULL,
+      weekdays     TEXT,
+      hour_start   TEXT,
+      hour_end     TEXT,
+      bonus_type   TEXT NOT NULL CHECK(bonus_type IN ('multiplier','flat')),
+      bonus_value  REAL NOT NULL CHECK(bonus_value > 0),
+      is_active    INTEGER NOT NULL DEFAULT 1,
+      created_at   TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  try { db.exec('ALTER TABLE transactions ADD COLUMN campaign_id INTEGER REFERENCES campaigns(id)'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE transactions ADD COLUMN campaign_bonus INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 15. LOYALTY PROGRAMS (extra stamp cards: "10 cafés", "5 gâteaux"…)
+  //     The merchant's main card stays on merchant_clients.points_balance;
+  //     each extra card has its own balance in program_balances.
+  //     Ledger rows of a program carry transactions.program_id.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS loyalty_programs (
+      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id         INTEGER NOT NULL REFERENCES merchants(id),
+      name                TEXT NOT NULL,
+      stamps_for_reward   INTEGER NOT NULL CHECK(stamps_for_reward > 0),
+      reward_description  TEXT NOT NULL,
+      is_active           INTEGER NOT NULL DEFAULT 1,
+      created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at          TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS program_balances (
+      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_client_id  INTEGER NOT NULL REFERENCES merchant_clients(id),
+      program_id          INTEGER NOT NULL REFERENCES loyalty_programs(id),
+      balance             INTEGER NOT NULL DEFAULT 0 CHECK(balance >= 0),
+      stamps_total        INTEGER NOT NULL DEFAULT 0,
+      last_stamp          TEXT,
+      UNIQUE(merchant_client_id, program_id)
+    )
+  `);
+  try { db.exec('ALTER TABLE transactions ADD COLUMN program_id INTEGER REFERENCES loyalty_programs(id)'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 16. REFERRALS (a client brings a friend to the merchant)
+  //     Recorded when the friend arrives with the referral link
+  //     ('pending'), both bonuses are paid on the friend's first
+  //     qualifying purchase ('completed').
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS referrals (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id     INTEGER NOT NULL REFERENCES merchants(id),
+      referrer_id     INTEGER NOT NULL REFERENCES end_users(id),
+      referee_id      INTEGER NOT NULL REFERENCES end_users(id),
+      status          TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'completed')),
+      source          TEXT NOT NULL DEFAULT 'qr',
+      referrer_bonus  INTEGER NOT NULL DEFAULT 0,
+      referee_bonus   INTEGER NOT NULL DEFAULT 0,
+      created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      completed_at    TEXT,
+      UNIQUE(merchant_id, referee_id)
+    )
+  `);
+  try { db.exec('ALTER TABLE merchants ADD COLUMN referral_enabled INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN referral_referrer_bonus INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN referral_referee_bonus INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN referral_min_amount REAL NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN referral_monthly_cap INTEGER NOT NULL DEFAULT 5'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 17. BIRTHDAY VOUCHERS (one per client and birthday)
+  //     Issued by the daily scheduler, valid from N days before to
+  //     N days after the birthday; redeemed once at the counter.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS birthday_vouchers (
+      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id         INTEGER NOT NULL REFERENCES merchants(id),
+      merchant_client_id  INTEGER NOT NULL REFERENCES merchant_clients(id),
+      year                INTEGER NOT NULL,
+      description         TEXT NOT NULL,
+      valid_from          TEXT NOT NULL,
+      valid_until         TEXT NOT NULL,
+      status              TEXT NOT NULL DEFAULT 'issued' CHECK(status IN ('issued', 'redeemed')),
+      transaction_id      INTEGER REFERENCES transactions(id),
+      created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+      redeemed_at         TEXT,
+      UNIQUE(merchant_client_id, year)
+    )
+  `);
+  try { db.exec('ALTER TABLE merchants ADD COLUMN birthday_gift_window_days INTEGER NOT NULL DEFAULT 7'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 18. MERCHANT GROUPS (coalition: shops sharing one points balance)
+  //     Managed by the super admin. Points earned or spent at a member
+  //     shop live in group_balances (per end user) instead of
+  //     merchant_clients.points_balance; their ledger rows carry
+  //     transactions.group_id.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS merchant_groups (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      name        TEXT NOT NULL,
+      created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at  TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS group_balances (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id        INTEGER NOT NULL REFERENCES merchant_groups(id),
+      end_user_id     INTEGER NOT NULL REFERENCES end_users(id),
+      points_balance  INTEGER NOT NULL DEFAULT 0 CHECK(points_balance >= 0),
+      updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(group_id, end_user_id)
+    )
+  `);
+  try { db.exec('ALTER TABLE merchants ADD COLUMN group_id INTEGER REFERENCES merchant_groups(id)'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE transactions ADD COLUMN group_id INTEGER REFERENCES merchant_groups(id)'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 19. CREDIT REVIEWS (anti-fraud queue)
+  //     Credits scored by services/fraud.js that tripped at least one
+  //     rule. The owner approves them or voids the credit.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS credit_reviews (
+      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id         INTEGER NOT NULL REFERENCES merchants(id),
+      transaction_id      INTEGER NOT NULL UNIQUE REFERENCES transactions(id),
+      merchant_client_id  INTEGER NOT NULL REFERENCES merchant_clients(id),
+      staff_id            INTEGER REFERENCES staff_accounts(id),
+      score               INTEGER NOT NULL,
+      rules               TEXT NOT NULL,
+      status              TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','approved','voided')),
+      reviewed_by         INTEGER REFERENCES staff_accounts(id),
+      reviewed_at         TEXT,
+      created_at          TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  try { db.exec('ALTER TABLE merchants ADD COLUMN fraud_daily_credit_limit INTEGER NOT NULL DEFAULT 3'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 20. VISIT SAFEGUARDS (visits mode)
+  //     Minimum purchase per stamp, stamps per client per day/hour
+  //     (NULL = no limit), extra stamps from a basket amount.
+  // ───────────────────────────────────────────
+  try { db.exec('ALTER TABLE merchants ADD COLUMN visit_min_amount REAL NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN visit_limit INTEGER'); } catch (e) { /* already exists */ }
+  try { db.exec("ALTER TABLE merchants ADD COLUMN visit_limit_period TEXT NOT NULL DEFAULT 'day'"); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN visit_bonus_amount REAL'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN visit_bonus_stamps INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 21. REWARD VOUCHERS (reward kept for later or given away)
+  //     The client converts points into a single-use voucher
+  //     ('voucher' transaction); the counter redeems it by scanning
+  //     its code ('voucher_redeem' transaction, 0 points).
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reward_vouchers (
+      id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id             INTEGER NOT NULL REFERENCES merchants(id),
+      merchant_client_id      INTEGER NOT NULL REFERENCES merchant_clients(id),
+      code                    TEXT NOT NULL UNIQUE,
+      reward_id               INTEGER REFERENCES rewards(id),
+      description             TEXT NOT NULL,
+      points_cost             INTEGER NOT NULL,
+      status                  TEXT NOT NULL DEFAULT 'issued' CHECK(status IN ('issued', 'redeemed')),
+      expires_at              TEXT NOT NULL,
+      issue_transaction_id    INTEGER NOT NULL REFERENCES transactions(id),
+      redeem_transaction_id   INTEGER REFERENCES transactions(id),
+      redeemed_by             INTEGER REFERENCES staff_accounts(id),
+      created_at              TEXT NOT NULL DEFAULT (datetime('now')),
+      redeemed_at             TEXT
+    )
+  `);
+
+  // ───────────────────────────────────────────
+  // 22. GIFT CARDS (prepaid euro value, not loyalty points)
+  //     Sold at the counter, spent over several visits. Every
+  //     movement is a gift_card_entries row (signed amount, balance
+  //     after). Buyer and recipient are identified by email/phone,
+  //     so a card shows up in the portal even before signup.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gift_cards (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id       INTEGER NOT NULL REFERENCES merchants(id),
+      code              TEXT NOT NULL UNIQUE,
+      initial_amount    REAL NOT NULL,
+      balance           REAL NOT NULL,
+      status            TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'spent', 'expired')),
+      buyer_email       TEXT,
+      buyer_phone       TEXT,
+      recipient_name    TEXT,
+      recipient_email   TEXT,
+      recipient_phone   TEXT,
+      expires_at        TEXT NOT NULL,
+      sold_by           INTEGER REFERENCES staff_accounts(id),
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gift_card_entries (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      gift_card_id    INTEGER NOT NULL REFERENCES gift_cards(id),
+      merchant_id     INTEGER NOT NULL REFERENCES merchants(id),
+      entry_type      TEXT NOT NULL CHECK(entry_type IN ('sale', 'spend', 'refund', 'expiry')),
+      amount          REAL NOT NULL,
+      balance_after   REAL NOT NULL,
+      staff_id        INTEGER REFERENCES staff_accounts(id),
+      notes           TEXT,
+      created_at      TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // ───────────────────────────────────────────
+  // 23. PROMO CODES ("BIENVENUE10", "ETE"…)
+  //     Typed by the cashier or the client, applied on top of the
+  //     credit like a campaign bonus. starts_at/ends_at are
+  //     merchant-local times, NULL = open-ended. Uses are the
+  //     credits carrying promo_code_id (voided ones don't count).
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id       INTEGER NOT NULL REFERENCES merchants(id),
+      code              TEXT NOT NULL,
+      bonus_type        TEXT NOT NULL CHECK(bonus_type IN ('multiplier','flat')),
+      bonus_value       REAL NOT NULL CHECK(bonus_value > 0),
+      first_visit_only  INTEGER NOT NULL DEFAULT 0,
+      once_per_client   INTEGER NOT NULL DEFAULT 1,
+      max_uses          INTEGER,
+      starts_at         TEXT,
+      ends_at           TEXT,
+      is_active         INTEGER NOT NULL DEFAULT 1,
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  try { db.exec('ALTER TABLE transactions ADD COLUMN promo_code_id INTEGER REFERENCES promo_codes(id)'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE transactions ADD COLUMN promo_bonus INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 24. QR IDENTIFICATION STATE (routes/qr.js)
+  //     Pending queue, recent-identification cooldowns, PIN and
+  //     /register rate limits, one-time tokens. Persisted like
+  //     poll_sessions so a deploy keeps the queue and lockouts and
+  //     several processes share them. Times are epoch ms (Date.now()),
+  //     expired rows are purged by qr.js.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS qr_idents (
+      ident_id       TEXT PRIMARY KEY,
+      merchant_id    INTEGER NOT NULL,
+      end_user_id    INTEGER,
+      identifier     TEXT,
+      email_lower    TEXT,
+      phone_e164     TEXT,
+      recent_credit  INTEGER NOT NULL DEFAULT 0,
+      client_json    TEXT NOT NULL,
+      created_at     INTEGER NOT NULL
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS qr_ident_cooldowns (
+      merchant_id  INTEGER NOT NULL,
+      identifier   TEXT NOT NULL,
+      ident_id     TEXT NOT NULL,
+      client_json  TEXT NOT NULL,
+      created_at   INTEGER NOT NULL,
+      PRIMARY KEY (merchant_id, identifier)
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS qr_attempts (
+      attempt_key   TEXT PRIMARY KEY,
+      count         INTEGER NOT NULL DEFAULT 0,
+      last_attempt  INTEGER NOT NULL,
+      locked_until  INTEGER
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS qr_tokens (
+      token       TEXT PRIMARY KEY,
+      kind        TEXT NOT NULL CHECK(kind IN ('pin','verify')),
+      pin_hash    TEXT,
+      created_at  INTEGER NOT NULL
+    )
+  `);
+
+  // ───────────────────────────────────────────
+  // 25. ROTATING CLIENT QR CODES (services/client-qr.js)
+  //     The app shows qr_token + a 30 s signature; a merchant can
+  //     still accept the bare qr_token (printed card, old screenshot).
+  //     A 'verify' qr_token (PIN bypass) only works at the shop that
+  //     scanned it, for that client: end_user_id, or the email/phone
+  //     of a newcomer whose account is created at the credit.
+  // ───────────────────────────────────────────
+  try { db.exec('ALTER TABLE merchants ADD COLUMN qr_static_fallback INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE qr_tokens ADD COLUMN merchant_id INTEGER'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE qr_tokens ADD COLUMN end_user_id INTEGER'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE qr_tokens ADD COLUMN identifier TEXT'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 26. WALLET PASSES (services/wallet.js)
+  //     One Apple / Google Wallet pass per card. updated_tag (epoch ms)
+  //     moves on every balance change; Apple devices registered for the
+  //     pass are pushed and fetch it again (PassKit web service), the
+  //     Google object is patched once the client asked for a save link.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS wallet_passes (
+      serial_number       TEXT PRIMARY KEY,
+      merchant_client_id  INTEGER NOT NULL UNIQUE REFERENCES merchant_clients(id),
+      auth_token          TEXT NOT NULL,
+      updated_tag         INTEGER NOT NULL,
+      google_saved        INTEGER NOT NULL DEFAULT 0,
+      created_at          TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS wallet_registrations (
+      device_library_id  TEXT NOT NULL,
+      serial_number      TEXT NOT NULL REFERENCES wallet_passes(serial_number),
+      push_token         TEXT NOT NULL,
+      created_at         TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (device_library_id, serial_number)
+    )
+  `);
+  // Barcode of the pass: its own random token (not the client's static
+  // qr_token), accepted by /api/qr/client-lookup at the card's shop
+  try { db.exec('ALTER TABLE wallet_passes ADD COLUMN barcode_token TEXT'); } catch (e) { /* already exists */ }
+  db.exec("UPDATE wallet_passes SET barcode_token = lower(hex(randomblob(16))) WHERE barcode_token IS NULL");
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS ux_wallet_passes_barcode ON wallet_passes(barcode_token)');
+
+  // ───────────────────────────────────────────
+  // 27. REGISTERS ("Caisse 1", "Terrasse"…)
+  //     Tills of a shop. Each has its own static QR token; clients
+  //     scanning it land in that register's queue (qr_idents.register_id,
+  //     NULL = merchant QR, shown at every till). Credits and rewards
+  //     keep the register they were made at.
+  // ───────────────────────────────────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS registers (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id  INTEGER NOT NULL REFERENCES merchants(id),
+      name         TEXT NOT NULL,
+      qr_token     TEXT NOT NULL UNIQUE,
+      is_active    INTEGER NOT NULL DEFAULT 1,
+      created_at   TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  try { db.exec('ALTER TABLE qr_idents ADD COLUMN register_id INTEGER'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE transactions ADD COLUMN register_id INTEGER REFERENCES registers(id)'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 28. PIN LOCKOUT AND SELF-SERVICE RESET
+  //     Failed PIN attempts are counted per account (rewards at the till
+  //     and QR login share them), whatever the device or IP.
+  //     pin_reset_*: one-time code emailed from the client portal
+  //     (bcrypt hash, ISO expiry, wrong guesses).
+  //     merchants.pin_change_email = 0: no email when staff sets a PIN.
+  // ───────────────────────────────────────────
+  try { db.exec('ALTER TABLE end_users ADD COLUMN pin_failed_attempts INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE end_users ADD COLUMN pin_locked_until TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE end_users ADD COLUMN pin_reset_hash TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE end_users ADD COLUMN pin_reset_expires TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE end_users ADD COLUMN pin_reset_attempts INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN pin_change_email INTEGER NOT NULL DEFAULT 1'); } catch (e) { /* already exists */ }
+
+  // ───────────────────────────────────────────
+  // 29. PHONE VERIFICATION (SMS one-time codes)
+  //     end_users.phone_validated mirrors email_validated.
+  //     phone_otps: one pending code per number (bcrypt hash, epoch ms
+  //     like the QR state tables). verified_at survives the code so a
+  //     phone-only newcomer confirmed on the QR form is validated when
+  //     the cashier's credit creates the account.
+  //     merchants.require_phone_verified: rewards for a phone-only client
+  //     (or one identified by phone) need a verified number.
+  // ───────────────────────────────────────────
+  try { db.exec('ALTER TABLE end_users ADD COLUMN phone_validated INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN require_phone_verified INTEGER NOT NULL DEFAULT 0'); } catch (e) { /* already exists */ }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS phone_otps (
+      phone_e164   TEXT PRIMARY KEY,
+      code_hash    TEXT,
+      expires_at   INTEGER,
+      attempts     INTEGER NOT NULL DEFAULT 0,
+      sent_at      INTEGER NOT NULL,
+      verified_at  INTEGER
+    )
+  `);
+
+  // ───────────────────────────────────────────
+  // 30. PHONE COUNTRY
+  //     merchants.phone_country: ISO code (services/normalizer.js
+  //     PHONE_COUNTRIES) for local numbers typed at this merchant's till,
+  //     QR form and near-duplicate checks. Stored phone_e164 values are
+  //     not rewritten: scripts/phone-migration-report.js lists the ones
+  //     the stricter rules would change or reject.
+  // ───────────────────────────────────────────
+  try { db.exec("ALTER TABLE merchants ADD COLUMN phone_country TEXT NOT NULL DEFAULT 'BE'"); } catch (e) { /* already exists */ }
+
   // ───────────────────────────────────────────
   // INDEXES
   // ───────────────────────────────────────────
@@ -363,6 +835,9 @@ function initDatabase() {
       WHERE idempotency_key IS NOT NULL;
     CREATE INDEX IF NOT EXISTS ix_tx_merchant_created ON transactions(merchant_id, created_at);
     CREATE INDEX IF NOT EXISTS ix_tx_mc_created       ON transactions(merchant_client_id, created_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_tx_reverses
+      ON transactions(reverses_id)
+      WHERE reverses_id IS NOT NULL;
 
     -- audit_logs
     CREATE INDEX IF NOT EXISTS ix_audit_merchant ON audit_logs(merchant_id);
@@ -371,6 +846,62 @@ function initDatabase() {
 
     -- poll_sessions
     CREATE INDEX IF NOT EXISTS ix_poll_end_user ON poll_sessions(end_user_id);
+
+    -- rewards
+    CREATE INDEX IF NOT EXISTS ix_rewards_merchant ON rewards(merchant_id, is_active);
+
+    -- tiers
+    CREATE INDEX IF NOT EXISTS ix_tiers_merchant ON tiers(merchant_id, is_active);
+
+    -- campaigns
+    CREATE INDEX IF NOT EXISTS ix_campaigns_merchant ON campaigns(merchant_id, is_active);
+    CREATE INDEX IF NOT EXISTS ix_tx_campaign        ON transactions(campaign_id) WHERE campaign_id IS NOT NULL;
+
+    -- loyalty programs
+    CREATE INDEX IF NOT EXISTS ix_programs_merchant ON loyalty_programs(merchant_id, is_active);
+    CREATE INDEX IF NOT EXISTS ix_pb_program        ON program_balances(program_id);
+
+    -- referrals
+    CREATE INDEX IF NOT EXISTS ix_referrals_referrer ON referrals(merchant_id, referrer_id, created_at);
+
+    -- birthday vouchers
+    CREATE INDEX IF NOT EXISTS ix_bv_merchant ON birthday_vouchers(merchant_id, status);
+
+    -- merchant groups
+    CREATE INDEX IF NOT EXISTS ix_merchants_group ON merchants(group_id) WHERE group_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS ix_tx_group        ON transactions(group_id, merchant_id) WHERE group_id IS NOT NULL;
+
+    -- credit reviews
+    CREATE INDEX IF NOT EXISTS ix_cr_merchant     ON credit_reviews(merchant_id, status);
+    CREATE INDEX IF NOT EXISTS ix_cr_client       ON credit_reviews(merchant_client_id);
+    CREATE INDEX IF NOT EXISTS ix_tx_staff_client ON transactions(staff_id, merchant_client_id, created_at);
+
+    -- reward vouchers
+    CREATE INDEX IF NOT EXISTS ix_rv_client ON reward_vouchers(merchant_client_id, status);
+
+    -- gift cards
+    CREATE INDEX IF NOT EXISTS ix_gc_merchant        ON gift_cards(merchant_id, status);
+    CREATE INDEX IF NOT EXISTS ix_gc_buyer_email     ON gift_cards(buyer_email);
+    CREATE INDEX IF NOT EXISTS ix_gc_buyer_phone     ON gift_cards(buyer_phone);
+    CREATE INDEX IF NOT EXISTS ix_gc_recipient_email ON gift_cards(recipient_email);
+    CREATE INDEX IF NOT EXISTS ix_gc_recipient_phone ON gift_cards(recipient_phone);
+    CREATE INDEX IF NOT EXISTS ix_gce_card           ON gift_card_entries(gift_card_id);
+
+    -- promo codes (a code can be reused once the previous one is deleted)
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_promo_code ON promo_codes(merchant_id, code) WHERE is_active = 1;
+    CREATE INDEX IF NOT EXISTS ix_tx_promo          ON transactions(promo_code_id, merchant_client_id) WHERE promo_code_id IS NOT NULL;
+
+    -- qr identification state
+    CREATE INDEX IF NOT EXISTS ix_qri_merchant    ON qr_idents(merchant_id, created_at);
+    CREATE INDEX IF NOT EXISTS ix_qrcd_ident      ON qr_ident_cooldowns(ident_id);
+    CREATE INDEX IF NOT EXISTS ix_qrcd_created    ON qr_ident_cooldowns(created_at);
+
+    -- wallet_registrations
+    CREATE INDEX IF NOT EXISTS ix_wreg_serial ON wallet_registrations(serial_number);
+
+    -- registers
+    CREATE INDEX IF NOT EXISTS ix_registers_merchant ON registers(merchant_id);
+    CREATE INDEX IF NOT EXISTS ix_tx_register        ON transactions(register_id) WHERE register_id IS NOT NULL;
   `);
 
   console.log('✅ Database V3.4 initialized');
@@ -432,78 +963,54 @@ initDatabase();
     CREATE INDEX IF NOT EXISTS ix_voucher_sender ON point_vouchers(sender_eu_id);
   `);
 
-  // Update transaction_type CHECK for existing tables
-  const hasOldCheck = db.prepare(`
-    SELECT sql FROM sqlite_master WHERE type='table' AND name='transactions'
-  `).get();
-
-  if (hasOldCheck && hasOldCheck.sql && !hasOldCheck.sql.includes('gift_out')) {
-    console.log('🔄 Migrating transactions table to support gift_out/gift_in...');
-    db.exec(`
-      ALTER TABLE transactions RENAME TO transactions_old;
-
-      CREATE TABLE transactions (
-        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
-        merchant_id        INTEGER NOT NULL REFERENCES merchants(id),
-        merchant_client_id INTEGER NOT NULL REFERENCES merchant_clients(id),
-        staff_id           INTEGER REFERENCES staff_accounts(id),
-        amount             REAL,
-        points_delta       INTEGER NOT NULL,
-        transaction_type   TEXT NOT NULL
-                           CHECK(transaction_type IN ('credit','reward','merge','adjustment','gift_out','gift_in','gift_refund')),
-        idempotency_key    TEXT,
-        source             TEXT,
-        notes              TEXT,
-        created_at         TEXT NOT NULL DEFAULT (datetime('now'))
-      );
-
-      INSERT INTO transactions SELECT * FROM transactions_old;
-      DROP TABLE transactions_old;
-    `);
-
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS ix_tx_merchant_created ON transactions(merchant_id, created_at);
-      CREATE INDEX IF NOT EXISTS ix_tx_mc_created ON transactions(merchant_client_id, created_at);
-      CREATE UNIQUE INDEX IF NOT EXISTS ix_tx_idempotency ON transactions(idempotency_key);
-    `);
-
-    console.log('✅ Transactions table migrated');
-  }
+  // Partial / targeted gifts: optional recipient (only they can claim),
+  // short message, sender cancellation; merchant limits on amount and
+  // gifts per client per calendar month (NULL max = whole balance)
+  try { db.exec('ALTER TABLE point_vouchers ADD COLUMN recipient_email TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE point_vouchers ADD COLUMN recipient_phone TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE point_vouchers ADD COLUMN message TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE point_vouchers ADD COLUMN cancelled_at TEXT'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN gift_min_points INTEGER NOT NULL DEFAULT 1'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN gift_max_points INTEGER'); } catch (e) { /* already exists */ }
+  try { db.exec('ALTER TABLE merchants ADD COLUMN gift_monthly_cap INTEGER NOT NULL DEFAULT 5'); } catch (e) { /* already exists */ }
+  db.exec('CREATE INDEX IF NOT EXISTS ix_voucher_sender_mc ON point_vouchers(sender_mc_id, status)');
+
+  console.log('✅ Database V4 migration complete');
+})();
 
-  if (hasOldCheck && hasOldCheck.sql && hasOldCheck.sql.includes('gift_out') && !hasOldCheck.sql.includes('gift_refund')) {
-    console.log('🔄 Migrating transactions table to support gift_refund...');
-    db.exec(`
-      ALTER TABLE transactions RENAME TO transactions_old;
-
-      CREATE TABLE transactions (
-        id                 INTEGER PRIMARY KEY AUTOINCREMENT,
-        merchant_id        INTEGER NOT NULL REFERENCES merchants(id),
-        merchant_client_id INTEGER NOT NULL REFERENCES merchant_clients(id),
-        staff_id           INTEGER REFERENCES staff_accounts(id),
-        amount             REAL,
-        points_delta       INTEGER NOT NULL,
-        transaction_type   TEXT NOT NULL
-                           CHECK(transaction_type IN ('credit','reward','merge','adjustment','gift_out','gift_in','gift_refund')),
-        idempotency_key    TEXT,
-        source             TEXT,
-        notes              TEXT,
-        created_at         TEXT NOT NULL DEFAULT (datetime('now'))
-      );
-
-      INSERT INTO transactions SELECT * FROM transactions_old;
-      DROP TABLE transactions_old;
-    `);
-
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS ix_tx_merchant_created ON transactions(merchant_id, created_at);
-      CREATE INDEX IF NOT EXISTS ix_tx_mc_created ON transactions(merchant_client_id, created_at);
-      CREATE UNIQUE INDEX IF NOT EXISTS ix_tx_idempotency ON transactions(idempotency_key);
-    `);
-
-    console.log('✅ Transactions table migrated (gift_refund)');
+// ═══════════════════════════════════════════════════════
+// TRANSACTION TYPES — keep the CHECK constraint in sync
+// Rebuilds the table (new CHECK, same columns, same indexes)
+// when an existing DB predates a type in TRANSACTION_TYPES.
+// ═══════════════════════════════════════════════════════
+
+(function syncTransactionTypes() {
+  const table = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='transactions'").get();
+  if (!table || TRANSACTION_TYPES.every(t => table.sql.includes(`'${t}'`))) return;
+
+  console.log('🔄 Migrating transactions table to support new transaction types...');
+
+  const createSql = table.sql
+    .replace(/CREATE TABLE\s+"?transactions"?/, 'CREATE TABLE transactions_new')
+    .replace(/CHECK\s*\(\s*transaction_type\s+IN\s*\([^)]*\)\s*\)/, `CHECK(transaction_type IN (${TRANSACTION_TYPES_SQL}))`);
+  const columns = db.prepare('PRAGMA table_info(transactions)').all().map(c => c.name).join(', ');
+  const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type='index' AND tbl_name='transactions' AND sql IS NOT NULL").all();
+
+  // Explicit column list: columns added by ALTER (reward_id, …) must survive
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(createSql);
+      db.exec(`INSERT INTO transactions_new (${columns}) SELECT ${columns} FROM transactions`);
+      db.exec('DROP TABLE transactions');
+      db.exec('ALTER TABLE transactions_new RENAME TO transactions');
+      for (const ix of indexes) db.exec(ix.sql);
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
   }
 
-  console.log('✅ Database V4 migration complete');
+  console.log('✅ Transactions table migrated (' + TRANSACTION_TYPES.join(', ') + ')');
 })();
 
 // ── Backfill email_canonical for existing users ──
@@ -619,6 +1126,7 @@ const endUserQueries = {
   findByEmailLower: db.prepare('SELECT * FROM end_users WHERE email_lower = ? AND deleted_at IS NULL'),
   findByCanonicalEmail: db.prepare('SELECT * FROM end_users WHERE email_canonical = ? AND deleted_at IS NULL'),
   findByPhoneE164:  db.prepare('SELECT * FROM end_users WHERE phone_e164 = ? AND deleted_at IS NULL'),
+  setPhoneValidated: db.prepare("UPDATE end_users SET phone_validated = ?, updated_at = datetime('now') WHERE id = ?"),
 
   validateEmail: db.prepare(`
     UPDATE end_users
@@ -632,7 +1140,7 @@ const endUserQueries = {
   softDelete: db.prepare(`
     UPDATE end_users
     SET deleted_at = datetime('now'),
-        email = NULL, phone = NULL, email_lower = NULL, phone_e164 = NULL,
+        email = NULL, phone = NULL, email_lower = NULL, phone_e164 = NULL, phone_validated = 0,
         name = NULL, qr_token = NULL, pin_hash = NULL, updated_at = datetime('now')
     WHERE id = ?
   `),
@@ -654,7 +1162,26 @@ const endUserQueries = {
     WHERE id = ?
   `),
 
-  setPin: db.prepare("UPDATE end_users SET pin_hash = ?, updated_at = datetime('now') WHERE id = ?"),
+  // A new PIN lifts the lockout and voids any pending reset code
+  setPin: db.prepare(`
+    UPDATE end_users SET pin_hash = ?, pin_failed_attempts = 0, pin_locked_until = NULL,
+      pin_reset_hash = NULL, pin_reset_expires = NULL, pin_reset_attempts = 0, updated_at = datetime('now')
+    WHERE id = ?
+  `),
+  // Counted before the PIN is compared, so parallel guesses can't all slip under the limit
+  takePinAttempt: db.prepare(`
+    UPDATE end_users SET pin_failed_attempts = pin_failed_attempts + 1, updated_at = datetime('now')
+    WHERE id = ? AND (pin_locked_until IS NULL OR pin_locked_until <= ?) RETURNING pin_failed_attempts
+  `),
+  // The counter restarts from 0 once the lock expires
+  lockPin: db.prepare("UPDATE end_users SET pin_locked_until = ?, pin_failed_attempts = 0, updated_at = datetime('now') WHERE id = ?"),
+  clearPinFailures: db.prepare("UPDATE end_users SET pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = ? AND (pin_failed_attempts > 0 OR pin_locked_until IS NOT NULL)"),
+  setPinReset: db.prepare("UPDATE end_users SET pin_reset_hash = ?, pin_reset_expires = ?, pin_reset_attempts = 0, updated_at = datetime('now') WHERE id = ?"),
+  takePinResetAttempt: db.prepare(`
+    UPDATE end_users SET pin_reset_attempts = pin_reset_attempts + 1
+    WHERE id = ? AND pin_reset_hash IS NOT NULL RETURNING pin_reset_attempts, pin_reset_hash, pin_reset_expires
+  `),
+  clearPinReset: db.prepare("UPDATE end_users SET pin_reset_hash = NULL, pin_reset_expires = NULL, pin_reset_attempts = 0, updated_at = datetime('now') WHERE id = ?"),
   findByQrToken: db.prepare('SELECT * FROM end_users WHERE qr_token = ? AND deleted_at IS NULL'),
   setQrToken: db.prepare("UPDATE end_users SET qr_token = ?, updated_at = datetime('now') WHERE id = ?"),
   setMagicToken: db.prepare("UPDATE end_users SET magic_token = ?, magic_token_expires = ?, updated_at = datetime('now') WHERE id = ?"),
@@ -727,11 +1254,22 @@ const merchantClientQueries = {
     WHERE id = ?
   `),
 
+  // Undo a credit: points, spend and the visit it counted
+  updateAfterVoid: db.prepare(`
+    UPDATE merchant_clients
+    SET points_balance = points_balance - ?,
+        total_spent = MAX(total_spent - ?, 0),
+        visit_count = MAX(visit_count - 1, 0),
+        updated_at = datetime('now')
+    WHERE id = ?
+  `),
+
   setPoints: db.prepare("UPDATE merchant_clients SET points_balance = ?, updated_at = datetime('now') WHERE id = ?"),
   block:     db.prepare("UPDATE merchant_clients SET is_blocked = 1, updated_at = datetime('now') WHERE id = ?"),
   unblock:   db.prepare("UPDATE merchant_clients SET is_blocked = 0, updated_at = datetime('now') WHERE id = ?"),
 
   setCustomReward: db.prepare("UPDATE merchant_clients SET custom_reward = ?, updated_at = datetime('now') WHERE id = ?"),
+  setTier: db.prepare("UPDATE merchant_clients SET tier_id = ?, updated_at = datetime('now') WHERE id = ?"),
 
   mergeStats: db.prepare(`
     UPDATE merchant_clients
@@ -761,6 +1299,8 @@ const transactionQueries = {
     'SELECT * FROM transactions WHERE merchant_id = ? AND idempotency_key = ?'
   ),
 
+  findByIdAndMerchant: db.prepare('SELECT * FROM transactions WHERE id = ? AND merchant_id = ?'),
+
   getByMerchantClient: db.prepare(`
     SELECT t.*, sa.display_name as staff_name
     FROM transactions t
@@ -783,13 +1323,410 @@ const transactionQueries = {
     LIMIT ?
   `),
 
+  // Main card only: program stamps have their own balances
   sumPointsByMerchantClient: db.prepare(
-    'SELECT COALESCE(SUM(points_delta), 0) as total FROM transactions WHERE merchant_client_id = ?'
+    'SELECT COALESCE(SUM(points_delta), 0) as total FROM transactions WHERE merchant_client_id = ? AND program_id IS NULL AND group_id IS NULL'
   ),
 
   reassignClient: db.prepare(
     'UPDATE transactions SET merchant_client_id = ? WHERE merchant_client_id = ?'
   ),
+
+  setReward: db.prepare('UPDATE transactions SET reward_id = ? WHERE id = ?'),
+
+  setCampaign: db.prepare('UPDATE transactions SET campaign_id = ?, campaign_bonus = ? WHERE id = ?'),
+  setPromo: db.prepare('UPDATE transactions SET promo_code_id = ?, promo_bonus = ? WHERE id = ?'),
+  setRegister: db.prepare('UPDATE transactions SET register_id = ? WHERE id = ?'),
+
+  setReverses: db.prepare('UPDATE transactions SET reverses_id = ? WHERE id = ?'),
+
+  setProgram: db.prepare('UPDATE transactions SET program_id = ? WHERE id = ?'),
+  setGroup: db.prepare('UPDATE transactions SET group_id = ? WHERE id = ?'),
+  // Guarded: 0 changes → already voided
+  markVoided: db.prepare("UPDATE transactions SET voided_at = datetime('now') WHERE id = ? AND voided_at IS NULL"),
+};
+
+// ─── Rewards catalogue ───────────────────────────────
+
+const rewardQueries = {
+  create: db.prepare(
+    'INSERT INTO rewards (merchant_id, name, description, points_cost) VALUES (?, ?, ?, ?)'
+  ),
+  update: db.prepare(`
+    UPDATE rewards SET name = ?, description = ?, points_cost = ?, updated_at = datetime('now')
+    WHERE id = ? AND merchant_id = ?
+  `),
+  deactivate: db.prepare(
+    "UPDATE rewards SET is_active = 0, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"
+  ),
+  findByIdAndMerchant: db.prepare(
+    'SELECT * FROM rewards WHERE id = ? AND merchant_id = ? AND is_active = 1'
+  ),
+  getByMerchant: db.prepare(
+    'SELECT * FROM rewards WHERE merchant_id = ? AND is_active = 1 ORDER BY points_cost ASC, id ASC'
+  ),
+};
+
+// ─── Membership tiers ────────────────────────────────
+
+const tierQueries = {
+  create: db.prepare(
+    'INSERT INTO tiers (merchant_id, name, threshold, multiplier) VALUES (?, ?, ?, ?)'
+  ),
+  update: db.prepare(`
+    UPDATE tiers SET name = ?, threshold = ?, multiplier = ?, updated_at = datetime('now')
+    WHERE id = ? AND merchant_id = ?
+  `),
+  deactivate: db.prepare(
+    "UPDATE tiers SET is_active = 0, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"
+  ),
+  findById: db.prepare('SELECT * FROM tiers WHERE id = ?'),
+  findByIdAndMerchant: db.prepare(
+    'SELECT * FROM tiers WHERE id = ? AND merchant_id = ? AND is_active = 1'
+  ),
+  // Highest threshold first: the first tier reached is the client's tier
+  getByMerchant: db.prepare(
+    'SELECT * FROM tiers WHERE merchant_id = ? AND is_active = 1 ORDER BY threshold DESC, id DESC'
+  ),
+  setBasis: db.prepare('UPDATE merchants SET tier_basis = ? WHERE id = ?'),
+  // Rolling 12 months of purchases, from the ledger
+  rollingStats: db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) AS spent, COUNT(*) AS visits
+    FROM transactions
+    WHERE merchant_client_id = ? AND transaction_type = 'credit' AND voided_at IS NULL
+      AND created_at >= datetime('now', '-12 months')
+  `),
+};
+
+// ─── Bonus campaigns ─────────────────────────────────
+
+const campaignQueries = {
+  create: db.prepare(`
+    INSERT INTO campaigns (merchant_id, name, starts_at, ends_at, weekdays, hour_start, hour_end, bonus_type, bonus_value)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  update: db.prepare(`
+    UPDATE campaigns SET name = ?, starts_at = ?, ends_at = ?, weekdays = ?, hour_start = ?, hour_end = ?,
+      bonus_type = ?, bonus_value = ?, updated_at = datetime('now')
+    WHERE id = ? AND merchant_id = ?
+  `),
+  deactivate: db.prepare(
+    "UPDATE campaigns SET is_active = 0, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"
+  ),
+  findByIdAndMerchant: db.prepare(
+    'SELECT * FROM campaigns WHERE id = ? AND merchant_id = ? AND is_active = 1'
+  ),
+  getByMerchant: db.prepare(
+    'SELECT * FROM campaigns WHERE merchant_id = ? AND is_active = 1 ORDER BY starts_at DESC, id DESC'
+  ),
+  // Campaigns whose date range contains the given merchant-local datetime
+  getRunning: db.prepare(
+    'SELECT * FROM campaigns WHERE merchant_id = ? AND is_active = 1 AND starts_at <= ? AND ends_at > ?'
+  ),
+  // Points generated per campaign (deleted campaigns included: history)
+  stats: db.prepare(`
+    SELECT c.id, c.name, c.starts_at, c.ends_at, c.bonus_type, c.bonus_value, c.is_active,
+           COUNT(t.id) AS transactions, COALESCE(SUM(t.campaign_bonus), 0) AS bonus_points
+    FROM campaigns c
+    LEFT JOIN transactions t ON t.campaign_id = c.id AND t.voided_at IS NULL
+    WHERE c.merchant_id = ?
+    GROUP BY c.id
+    HAVING c.is_active = 1 OR COUNT(t.id) > 0
+    ORDER BY c.starts_at DESC, c.id DESC
+  `),
+};
+
+// ─── Promo codes ─────────────────────────────────────
+
+const promoCodeQueries = {
+  create: db.prepare(`
+    INSERT INTO promo_codes (merchant_id, code, bonus_type, bonus_value, first_visit_only, once_per_client,
+                             max_uses, starts_at, ends_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  update: db.prepare(`
+    UPDATE promo_codes SET code = ?, bonus_type = ?, bonus_value = ?, first_visit_only = ?, once_per_client = ?,
+      max_uses = ?, starts_at = ?, ends_at = ?, updated_at = datetime('now')
+    WHERE id = ? AND merchant_id = ?
+  `),
+  deactivate: db.prepare(
+    "UPDATE promo_codes SET is_active = 0, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"
+  ),
+  findByIdAndMerchant: db.prepare(
+    'SELECT * FROM promo_codes WHERE id = ? AND merchant_id = ? AND is_active = 1'
+  ),
+  findByCode: db.prepare(
+    'SELECT * FROM promo_codes WHERE merchant_id = ? AND code = ? AND is_active = 1'
+  ),
+  getByMerchant: db.prepare(
+    'SELECT * FROM promo_codes WHERE merchant_id = ? AND is_active = 1 ORDER BY created_at DESC, id DESC'
+  ),
+  countUses: db.prepare(
+    'SELECT COUNT(*) AS c FROM transactions WHERE promo_code_id = ? AND voided_at IS NULL'
+  ),
+  countClientUses: db.prepare(
+    'SELECT COUNT(*) AS c FROM transactions WHERE promo_code_id = ? AND merchant_client_id = ? AND voided_at IS NULL'
+  ),
+  // Redemptions and points given per code (deleted codes included: history)
+  stats: db.prepare(`
+    SELECT p.id, p.code, p.bonus_type, p.bonus_value, p.max_uses, p.starts_at, p.ends_at, p.is_active,
+           COUNT(t.id) AS redemptions, COALESCE(SUM(t.promo_bonus), 0) AS bonus_points
+    FROM promo_codes p
+    LEFT JOIN transactions t ON t.promo_code_id = p.id AND t.voided_at IS NULL
+    WHERE p.merchant_id = ?
+    GROUP BY p.id
+    HAVING p.is_active = 1 OR COUNT(t.id) > 0
+    ORDER BY p.created_at DESC, p.id DESC
+  `),
+};
+
+// ─── Loyalty programs (extra stamp cards) ────────────
+
+const programQueries = {
+  create: db.prepare(
+    'INSERT INTO loyalty_programs (merchant_id, name, stamps_for_reward, reward_description) VALUES (?, ?, ?, ?)'
+  ),
+  update: db.prepare(`
+    UPDATE loyalty_programs SET name = ?, stamps_for_reward = ?, reward_description = ?, updated_at = datetime('now')
+    WHERE id = ? AND merchant_id = ?
+  `),
+  deactivate: db.prepare(
+    "UPDATE loyalty_programs SET is_active = 0, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"
+  ),
+  findByIdAndMerchant: db.prepare(
+    'SELECT * FROM loyalty_programs WHERE id = ? AND merchant_id = ? AND is_active = 1'
+  ),
+  getByMerchant: db.prepare(
+    'SELECT * FROM loyalty_programs WHERE merchant_id = ? AND is_active = 1 ORDER BY id ASC'
+  ),
+
+  // Active programs of the merchant with this client's balance (0 if never stamped)
+  getBalances: db.prepare(`
+    SELECT p.id, p.name, p.stamps_for_reward, p.reward_description,
+           COALESCE(pb.balance, 0) AS balance, COALESCE(pb.stamps_total, 0) AS stamps_total
+    FROM loyalty_programs p
+    LEFT JOIN program_balances pb ON pb.program_id = p.id AND pb.merchant_client_id = ?
+    WHERE p.merchant_id = ? AND p.is_active = 1
+    ORDER BY p.id ASC
+  `),
+  findBalance: db.prepare('SELECT * FROM program_balances WHERE merchant_client_id = ? AND program_id = ?'),
+  addStamps: db.prepare(`
+    INSERT INTO program_balances (merchant_client_id, program_id, balance, stamps_total, last_stamp)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(merchant_client_id, program_id) DO UPDATE SET
+      balance = balance + excluded.balance,
+      stamps_total = stamps_total + excluded.stamps_total,
+      last_stamp = excluded.last_stamp
+  `),
+  deductStamps: db.prepare('UPDATE program_balances SET balance = balance - ? WHERE merchant_client_id = ? AND program_id = ?'),
+  // Voided stamp: no longer earned either
+  voidStamps: db.prepare(
+    'UPDATE program_balances SET balance = balance - ?, stamps_total = MAX(stamps_total - ?, 0) WHERE merchant_client_id = ? AND program_id = ?'
+  ),
+  deleteByMerchantClient: db.prepare('DELETE FROM program_balances WHERE merchant_client_id = ?'),
+  // Client merge: add source card balances into target (then delete source rows)
+  mergeBalances: db.prepare(`
+    INSERT INTO program_balances (merchant_client_id, program_id, balance, stamps_total, last_stamp)
+    SELECT ?, program_id, balance, stamps_total, last_stamp FROM program_balances WHERE merchant_client_id = ? AND 1
+    ON CONFLICT(merchant_client_id, program_id) DO UPDATE SET
+      balance = balance + excluded.balance,
+      stamps_total = stamps_total + excluded.stamps_total,
+      last_stamp = MAX(COALESCE(last_stamp, ''), COALESCE(excluded.last_stamp, ''))
+  `),
+};
+
+// ─── Referrals ───────────────────────────────────────
+
+const referralQueries = {
+  create: db.prepare(
+    'INSERT INTO referrals (merchant_id, referrer_id, referee_id, source) VALUES (?, ?, ?, ?)'
+  ),
+  findByReferee: db.prepare('SELECT * FROM referrals WHERE merchant_id = ? AND referee_id = ?'),
+  complete: db.prepare(`
+    UPDATE referrals SET status = 'completed', referrer_bonus = ?, referee_bonus = ?, completed_at = datetime('now')
+    WHERE id = ? AND status = 'pending'
+  `),
+  // Anti-abuse cap: referrals started this calendar month by one referrer
+  countThisMonth: db.prepare(`
+    SELECT COUNT(*) AS c FROM referrals
+    WHERE merchant_id = ? AND referrer_id = ? AND created_at >= datetime('now', 'start of month')
+  `),
+  getByMerchant: db.prepare(`
+    SELECT r.*, ru.name AS referrer_name, ru.email AS referrer_email, ru.phone AS referrer_phone,
+           fu.name AS referee_name, fu.email AS referee_email, fu.phone AS referee_phone
+    FROM referrals r
+    JOIN end_users ru ON ru.id = r.referrer_id
+    JOIN end_users fu ON fu.id = r.referee_id
+    WHERE r.merchant_id = ? AND r.created_at >= ? AND r.created_at <= ?
+    ORDER BY r.created_at DESC
+  `),
+  // Global user merge: the target inherits the source's referrals
+  reassignReferrer: db.prepare('UPDATE referrals SET referrer_id = ? WHERE referrer_id = ?'),
+  reassignReferee: db.prepare('UPDATE OR IGNORE referrals SET referee_id = ? WHERE referee_id = ?'),
+  deleteByEndUser: db.prepare('DELETE FROM referrals WHERE referrer_id = ? OR referee_id = ?'),
+};
+
+// ─── Birthday Vouchers ───────────────────────────────
+
+const birthdayVoucherQueries = {
+  // INSERT OR IGNORE: the scheduler may run several times inside the window
+  create: db.prepare(`
+    INSERT OR IGNORE INTO birthday_vouchers (merchant_id, merchant_client_id, year, description, valid_from, valid_until)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  findById: db.prepare('SELECT * FROM birthday_vouchers WHERE id = ?'),
+  // Voucher usable on `date` (YYYY-MM-DD)
+  findActive: db.prepare(`
+    SELECT * FROM birthday_vouchers
+    WHERE merchant_client_id = ? AND status = 'issued' AND valid_from <= ? AND valid_until >= ?
+    ORDER BY year DESC LIMIT 1
+  `),
+  redeem: db.prepare(`
+    UPDATE birthday_vouchers SET status = 'redeemed', transaction_id = ?, redeemed_at = datetime('now')
+    WHERE id = ? AND status = 'issued'
+  `),
+  // Global user merge: keep the target's voucher when both cards have one for the same year
+  reassignClient: db.prepare('UPDATE OR IGNORE birthday_vouchers SET merchant_client_id = ? WHERE merchant_client_id = ?'),
+  deleteByMerchantClient: db.prepare('DELETE FROM birthday_vouchers WHERE merchant_client_id = ?'),
+};
+
+// ─── Merchant Groups (coalition) ─────────────────────
+
+const groupQueries = {
+  create: db.prepare('INSERT INTO merchant_groups (name) VALUES (?)'),
+  findById: db.prepare('SELECT * FROM merchant_groups WHERE id = ?'),
+  getAll: db.prepare('SELECT * FROM merchant_groups ORDER BY name ASC'),
+  rename: db.prepare("UPDATE merchant_groups SET name = ?, updated_at = datetime('now') WHERE id = ?"),
+  delete: db.prepare('DELETE FROM merchant_groups WHERE id = ?'),
+
+  getMembers: db.prepare('SELECT id, business_name, status FROM merchants WHERE group_id = ? ORDER BY business_name ASC'),
+  setMerchantGroup: db.prepare('UPDATE merchants SET group_id = ? WHERE id = ?'),
+
+  getBalance: db.prepare('SELECT points_balance FROM group_balances WHERE group_id = ? AND end_user_id = ?'),
+  ensureBalance: db.prepare('INSERT OR IGNORE INTO group_balances (group_id, end_user_id) VALUES (?, ?)'),
+  addPoints: db.prepare(`
+    UPDATE group_balances SET points_balance = points_balance + ?, updated_at = datetime('now')
+    WHERE group_id = ? AND end_user_id = ?
+  `),
+  summary: db.prepare('SELECT COUNT(*) AS clients, COALESCE(SUM(points_balance), 0) AS points FROM group_balances WHERE group_id = ?'),
+  countTransactions: db.prepare('SELECT COUNT(*) AS c FROM transactions WHERE group_id = ?'),
+
+  // Global user merge: add source balances into target (then delete source rows)
+  mergeBalances: db.prepare(`
+    INSERT INTO group_balances (group_id, end_user_id, points_balance)
+    SELECT group_id, ?, points_balance FROM group_balances WHERE end_user_id = ? AND 1
+    ON CONFLICT(group_id, end_user_id) DO UPDATE SET
+      points_balance = points_balance + excluded.points_balance,
+      updated_at = datetime('now')
+  `),
+  deleteByEndUser: db.prepare('DELETE FROM group_balances WHERE end_user_id = ?'),
+};
+
+// ─── Credit Reviews (anti-fraud) ─────────────────────
+
+const creditReviewQueries = {
+  create: db.prepare(`
+    INSERT INTO credit_reviews (merchant_id, transaction_id, merchant_client_id, staff_id, score, rules)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  findByIdAndMerchant: db.prepare('SELECT * FROM credit_reviews WHERE id = ? AND merchant_id = ?'),
+  getByMerchant: db.prepare(`
+    SELECT cr.*, t.amount, t.points_delta, t.created_at AS credited_at, t.voided_at,
+           sa.display_name AS staff_name, eu.name AS client_name, eu.email AS client_email, eu.phone AS client_phone
+    FROM credit_reviews cr
+    JOIN transactions t ON t.id = cr.transaction_id
+    JOIN merchant_clients mc ON mc.id = cr.merchant_client_id
+    JOIN end_users eu ON eu.id = mc.end_user_id
+    LEFT JOIN staff_accounts sa ON sa.id = cr.staff_id
+    WHERE cr.merchant_id = ? AND cr.status = ?
+    ORDER BY cr.score DESC, cr.created_at DESC
+    LIMIT 200
+  `),
+  countPending: db.prepare("SELECT COUNT(*) AS c FROM credit_reviews WHERE merchant_id = ? AND status = 'pending'"),
+  resolve: db.prepare(`
+    UPDATE credit_reviews SET status = ?, reviewed_by = ?, reviewed_at = datetime('now')
+    WHERE id = ? AND status = 'pending'
+  `),
+  reassignClient: db.prepare('UPDATE credit_reviews SET merchant_client_id = ? WHERE merchant_client_id = ?'),
+  deleteByMerchantClient: db.prepare('DELETE FROM credit_reviews WHERE merchant_client_id = ?'),
+};
+
+// ─── Reward Vouchers ─────────────────────────────────
+
+const rewardVoucherQueries = {
+  create: db.prepare(`
+    INSERT INTO reward_vouchers (merchant_id, merchant_client_id, code, reward_id, description, points_cost, expires_at, issue_transaction_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findById: db.prepare('SELECT * FROM reward_vouchers WHERE id = ?'),
+  findByCode: db.prepare('SELECT * FROM reward_vouchers WHERE code = ? AND merchant_id = ?'),
+  // Vouchers still to use, then the last ones used or expired
+  getByMerchantClient: db.prepare(`
+    SELECT * FROM reward_vouchers WHERE merchant_client_id = ?
+    ORDER BY (status = 'issued' AND expires_at >= date('now')) DESC, created_at DESC
+    LIMIT 20
+  `),
+  redeem: db.prepare(`
+    UPDATE reward_vouchers SET status = 'redeemed', redeem_transaction_id = ?, redeemed_by = ?, redeemed_at = datetime('now')
+    WHERE id = ? AND status = 'issued'
+  `),
+  reassignClient: db.prepare('UPDATE reward_vouchers SET merchant_client_id = ? WHERE merchant_client_id = ?'),
+  deleteByMerchantClient: db.prepare('DELETE FROM reward_vouchers WHERE merchant_client_id = ?'),
+};
+
+// ─── Gift Cards ──────────────────────────────────────
+
+const giftCardQueries = {
+  create: db.prepare(`
+    INSERT INTO gift_cards (merchant_id, code, initial_amount, balance, buyer_email, buyer_phone,
+                            recipient_name, recipient_email, recipient_phone, expires_at, sold_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findById: db.prepare('SELECT * FROM gift_cards WHERE id = ?'),
+  findByCode: db.prepare('SELECT * FROM gift_cards WHERE code = ? AND merchant_id = ?'),
+  codeExists: db.prepare('SELECT 1 FROM gift_cards WHERE code = ?'),
+  setBalance: db.prepare(`
+    UPDATE gift_cards SET balance = ?, status = ?, updated_at = datetime('now') WHERE id = ?
+  `),
+  getByMerchant: db.prepare(`
+    SELECT * FROM gift_cards WHERE merchant_id = ? ORDER BY created_at DESC LIMIT ?
+  `),
+  // Cards bought by or offered to this person, any merchant
+  getByContact: db.prepare(`
+    SELECT gc.*, m.business_name
+    FROM gift_cards gc
+    JOIN merchants m ON m.id = gc.merchant_id
+    WHERE m.status = 'active'
+      AND (gc.buyer_email = @email OR gc.recipient_email = @email
+           OR gc.buyer_phone = @phone OR gc.recipient_phone = @phone)
+    ORDER BY (gc.status = 'active') DESC, gc.created_at DESC
+  `),
+  findExpiring: db.prepare(`
+    SELECT * FROM gift_cards WHERE status = 'active' AND expires_at < ?
+  `),
+  liability: db.prepare(`
+    SELECT
+      COUNT(CASE WHEN status = 'active' THEN 1 END)         AS active_count,
+      COALESCE(SUM(CASE WHEN status = 'active' THEN balance END), 0) AS outstanding,
+      COUNT(*)                                              AS sold_count,
+      COALESCE(SUM(initial_amount), 0)                      AS sold_total
+    FROM gift_cards WHERE merchant_id = ?
+  `),
+  entryTotals: db.prepare(`
+    SELECT entry_type, COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total
+    FROM gift_card_entries WHERE merchant_id = ? GROUP BY entry_type
+  `),
+  // Outstanding balance per expiry month: what may still be spent, and when
+  outstandingByExpiry: db.prepare(`
+    SELECT substr(expires_at, 1, 7) AS month, COUNT(*) AS count, SUM(balance) AS outstanding
+    FROM gift_cards WHERE merchant_id = ? AND status = 'active'
+    GROUP BY month ORDER BY month
+  `),
+  addEntry: db.prepare(`
+    INSERT INTO gift_card_entries (gift_card_id, merchant_id, entry_type, amount, balance_after, staff_id, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  getEntries: db.prepare('SELECT * FROM gift_card_entries WHERE gift_card_id = ? ORDER BY id'),
 };
 
 // ─── Audit Logs ──────────────────────────────────────
@@ -817,10 +1754,23 @@ const mergeQueries = {
 
 const voucherQueries = {
   create: db.prepare(`
-    INSERT INTO point_vouchers (token, merchant_id, sender_mc_id, sender_eu_id, points, status, expires_at)
-    VALUES (?, ?, ?, ?, ?, 'pending', ?)
+    INSERT INTO point_vouchers (token, merchant_id, sender_mc_id, sender_eu_id, points, status, expires_at,
+                                recipient_email, recipient_phone, message)
+    VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
   `),
   findByToken: db.prepare('SELECT * FROM point_vouchers WHERE token = ?'),
+  cancel: db.prepare(`
+    UPDATE point_vouchers SET status = 'cancelled', cancelled_at = datetime('now') WHERE id = ? AND status = 'pending'
+  `),
+  // Gifts sent this calendar month (cancelled ones don't count)
+  countThisMonth: db.prepare(`
+    SELECT COUNT(*) AS c FROM point_vouchers
+    WHERE merchant_id = ? AND sender_eu_id = ? AND status != 'cancelled'
+      AND created_at >= datetime('now', 'start of month')
+  `),
+  getPendingBySender: db.prepare(`
+    SELECT * FROM point_vouchers WHERE sender_mc_id = ? AND status = 'pending' ORDER BY created_at DESC
+  `),
   claim: db.prepare(`
     UPDATE point_vouchers SET status = 'claimed', claimer_mc_id = ?, claimer_eu_id = ?, claimed_at = datetime('now') WHERE id = ?
   `),
@@ -841,6 +1791,177 @@ const voucherQueries = {
   nullifyClaimer: db.prepare('UPDATE point_vouchers SET claimer_mc_id = NULL WHERE claimer_mc_id = ?'),
 };
 
+// ─── QR Identification State (qr.js) ─────────────────
+
+const qrStateQueries = {
+  // Pending identifications (staff queue)
+  addIdent: db.prepare(`
+    INSERT INTO qr_idents (ident_id, merchant_id, register_id, end_user_id, identifier, email_lower, phone_e164, recent_credit, client_json, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findIdent: db.prepare('SELECT * FROM qr_idents WHERE ident_id = ? AND merchant_id = ? AND created_at > ?'),
+  getIdents: db.prepare('SELECT * FROM qr_idents WHERE merchant_id = ? AND created_at > ? ORDER BY created_at DESC'),
+  // One till's queue: its own scans plus the merchant QR ones
+  getRegisterIdents: db.prepare(`
+    SELECT * FROM qr_idents
+    WHERE merchant_id = ? AND created_at > ? AND (register_id = ? OR register_id IS NULL)
+    ORDER BY created_at DESC
+  `),
+  hasRecentIdent: db.prepare('SELECT 1 FROM qr_idents WHERE merchant_id = ? AND identifier = ? AND recent_credit = 1'),
+  // One-time: a second process consuming the same ident gets nothing
+  takeIdent: db.prepare('DELETE FROM qr_idents WHERE ident_id = ? AND merchant_id = ? RETURNING *'),
+  deleteIdentsByContact: db.prepare('DELETE FROM qr_idents WHERE merchant_id = ? AND (email_lower = ? OR phone_e164 = ?)'),
+  deleteIdentsByEndUser: db.prepare('DELETE FROM qr_idents WHERE merchant_id = ? AND end_user_id = ?'),
+  // Register deleted: its waiting clients show at every till
+  releaseRegisterIdents: db.prepare('UPDATE qr_idents SET register_id = NULL WHERE register_id = ? AND merchant_id = ?'),
+
+  // Recent identification cooldowns
+  setCooldown: db.prepare(`
+    INSERT OR REPLACE INTO qr_ident_cooldowns (merchant_id, identifier, ident_id, client_json, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  findCooldown: db.prepare('SELECT * FROM qr_ident_cooldowns WHERE merchant_id = ? AND identifier = ? AND created_at > ?'),
+  findCooldownByIdent: db.prepare('SELECT * FROM qr_ident_cooldowns WHERE ident_id = ? AND created_at > ?'),
+
+  // PIN failures ("ip:identifier") and /register counters ("reg:ip")
+  findAttempt: db.prepare('SELECT * FROM qr_attempts WHERE attempt_key = ?'),
+  saveAttempt: db.prepare('INSERT OR REPLACE INTO qr_attempts (attempt_key, count, last_attempt, locked_until) VALUES (?, ?, ?, ?)'),
+  deleteAttempt: db.prepare('DELETE FROM qr_attempts WHERE attempt_key = ?'),
+
+  // One-time tokens (pinToken → pin hash, qrVerifyToken)
+  createToken: db.prepare('INSERT INTO qr_tokens (token, kind, pin_hash, created_at) VALUES (?, ?, ?, ?)'),
+  takeToken: db.prepare('DELETE FROM qr_tokens WHERE token = ? AND kind = ? RETURNING *'),
+  createVerifyToken: db.prepare(`
+    INSERT INTO qr_tokens (token, kind, merchant_id, end_user_id, identifier, created_at) VALUES (?, 'verify', ?, ?, ?, ?)
+  `),
+  // Left in place when it belongs to another client or shop
+  takeVerifyToken: db.prepare(`
+    DELETE FROM qr_tokens
+    WHERE token = ? AND kind = 'verify' AND merchant_id = ?
+      AND (end_user_id = ? OR (end_user_id IS NULL AND identifier IN (?, ?)))
+    RETURNING *
+  `),
+
+  // TTL cleanup (cutoffs in epoch ms)
+  cleanupIdents: db.prepare('DELETE FROM qr_idents WHERE created_at <= ?'),
+  cleanupCooldowns: db.prepare('DELETE FROM qr_ident_cooldowns WHERE created_at <= ?'),
+  cleanupAttempts: db.prepare(`
+    DELETE FROM qr_attempts
+    WHERE (locked_until IS NOT NULL AND locked_until < ?) OR (locked_until IS NULL AND last_attempt < ?)
+  `),
+  cleanupTokens: db.prepare('DELETE FROM qr_tokens WHERE kind = ? AND created_at <= ?'),
+};
+
+// ─── Registers (tills) ───────────────────────────────
+
+const registerQueries = {
+  create: db.prepare('INSERT INTO registers (merchant_id, name, qr_token) VALUES (?, ?, ?)'),
+  rename: db.prepare("UPDATE registers SET name = ?, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"),
+  deactivate: db.prepare(
+    "UPDATE registers SET is_active = 0, updated_at = datetime('now') WHERE id = ? AND merchant_id = ?"
+  ),
+  findByIdAndMerchant: db.prepare(
+    'SELECT * FROM registers WHERE id = ? AND merchant_id = ? AND is_active = 1'
+  ),
+  findByQrToken: db.prepare('SELECT * FROM registers WHERE qr_token = ? AND is_active = 1'),
+  findByName: db.prepare(
+    'SELECT * FROM registers WHERE merchant_id = ? AND name = ? COLLATE NOCASE AND is_active = 1'
+  ),
+  getByMerchant: db.prepare(
+    'SELECT * FROM registers WHERE merchant_id = ? AND is_active = 1 ORDER BY id ASC'
+  ),
+  // Credits and rewards per register between two datetimes (deleted
+  // registers with activity included, register_id NULL = no register picked)
+  stats: db.prepare(`
+    SELECT t.register_id, r.name, r.is_active,
+           COUNT(CASE WHEN t.transaction_type = 'credit' THEN 1 END) AS credits,
+           COALESCE(SUM(CASE WHEN t.transaction_type = 'credit' THEN t.amount END), 0) AS amount,
+           COALESCE(SUM(CASE WHEN t.transaction_type = 'credit' THEN t.points_delta END), 0) AS points,
+           COUNT(CASE WHEN t.transaction_type = 'reward' THEN 1 END) AS rewards,
+           COUNT(DISTINCT t.merchant_client_id) AS clients
+    FROM transactions t
+    LEFT JOIN registers r ON r.id = t.register_id
+    WHERE t.merchant_id = ?
+      AND t.transaction_type IN ('credit', 'reward')
+      AND t.voided_at IS NULL
+      AND (? IS NULL OR t.created_at >= ?)
+      AND (? IS NULL OR t.created_at <= ?)
+    GROUP BY t.register_id
+  `),
+};
+
+// ─── Wallet Passes (services/wallet.js) ──────────────
+
+const walletQueries = {
+  create: db.prepare('INSERT INTO wallet_passes (serial_number, merchant_client_id, auth_token, barcode_token, updated_tag) VALUES (?, ?, ?, ?, ?)'),
+  findBySerial: db.prepare('SELECT * FROM wallet_passes WHERE serial_number = ?'),
+  findByBarcode: db.prepare(`
+    SELECT wp.*, mc.merchant_id, mc.end_user_id FROM wallet_passes wp
+    JOIN merchant_clients mc ON wp.merchant_client_id = mc.id
+    WHERE wp.barcode_token = ?
+  `),
+  setBarcode: db.prepare('UPDATE wallet_passes SET barcode_token = ? WHERE serial_number = ?'),
+  findByMerchantClient: db.prepare('SELECT * FROM wallet_passes WHERE merchant_client_id = ?'),
+  touch: db.prepare('UPDATE wallet_passes SET updated_tag = MAX(updated_tag + 1, ?) WHERE serial_number = ?'),
+  setGoogleSaved: db.prepare('UPDATE wallet_passes SET google_saved = 1 WHERE serial_number = ?'),
+  findByEndUser: db.prepare(`
+    SELECT wp.* FROM wallet_passes wp
+    JOIN merchant_clients mc ON wp.merchant_client_id = mc.id
+    WHERE mc.end_user_id = ?
+  `),
+  // Passes showing a card's balance: the card itself, plus the holder's
+  // other cards in the same group (shared coalition balance)
+  findShowingCard: db.prepare(`
+    SELECT wp.* FROM wallet_passes wp
+    JOIN merchant_clients mc ON wp.merchant_client_id = mc.id
+    JOIN merchants m ON mc.merchant_id = m.id
+    JOIN merchant_clients card ON card.id = ?
+    JOIN merchants cm ON card.merchant_id = cm.id
+    WHERE mc.id = card.id
+       OR (mc.end_user_id = card.end_user_id AND m.group_id IS NOT NULL AND m.group_id = cm.group_id)
+  `),
+
+  // Apple devices (PassKit web service)
+  findRegistration: db.prepare('SELECT * FROM wallet_registrations WHERE device_library_id = ? AND serial_number = ?'),
+  register: db.prepare('INSERT OR REPLACE INTO wallet_registrations (device_library_id, serial_number, push_token) VALUES (?, ?, ?)'),
+  unregister: db.prepare('DELETE FROM wallet_registrations WHERE device_library_id = ? AND serial_number = ?'),
+  getDeviceSerials: db.prepare(`
+    SELECT wp.serial_number, wp.updated_tag FROM wallet_registrations wr
+    JOIN wallet_passes wp ON wr.serial_number = wp.serial_number
+    WHERE wr.device_library_id = ? AND wp.updated_tag > ?
+  `),
+  getPushTokens: db.prepare('SELECT DISTINCT push_token FROM wallet_registrations WHERE serial_number = ?'),
+  deleteByPushToken: db.prepare('DELETE FROM wallet_registrations WHERE push_token = ?'),
+
+  // Card deleted or merged: registrations first (FK: serial_number)
+  deleteRegistrationsByMerchantClient: db.prepare(`
+    DELETE FROM wallet_registrations
+    WHERE serial_number IN (SELECT serial_number FROM wallet_passes WHERE merchant_client_id = ?)
+  `),
+  deleteByMerchantClient: db.prepare('DELETE FROM wallet_passes WHERE merchant_client_id = ?'),
+};
+
+// ─── Phone one-time codes (SMS) ────────────────
+
+const phoneOtpQueries = {
+  find: db.prepare('SELECT * FROM phone_otps WHERE phone_e164 = ?'),
+  save: db.prepare(`
+    INSERT INTO phone_otps (phone_e164, code_hash, expires_at, attempts, sent_at, verified_at)
+    VALUES (?, ?, ?, 0, ?, NULL)
+    ON CONFLICT(phone_e164) DO UPDATE SET
+      code_hash = excluded.code_hash, expires_at = excluded.expires_at,
+      attempts = 0, sent_at = excluded.sent_at, verified_at = NULL
+  `),
+  // Counted before the code is compared, so parallel guesses can't all slip under the limit
+  takeAttempt: db.prepare(`
+    UPDATE phone_otps SET attempts = attempts + 1
+    WHERE phone_e164 = ? AND code_hash IS NOT NULL AND expires_at >= ? RETURNING attempts, code_hash
+  `),
+  dropCode: db.prepare('UPDATE phone_otps SET code_hash = NULL, expires_at = NULL WHERE phone_e164 = ?'),
+  markVerified: db.prepare('UPDATE phone_otps SET code_hash = NULL, expires_at = NULL, verified_at = ? WHERE phone_e164 = ?'),
+  cleanup: db.prepare('DELETE FROM phone_otps WHERE sent_at < ? AND (verified_at IS NULL OR verified_at < ?)'),
+};
+
 // ─── Poll Sessions (native app auth) ────────────────
 
 const pollQueries = {
@@ -872,6 +1993,7 @@ const pollQueries = {
 module.exports = {
   db,
   initDatabase,
+  TRANSACTION_TYPES,
   adminQueries,
   merchantQueries,
   staffQueries,
@@ -879,8 +2001,23 @@ module.exports = {
   aliasQueries,
   merchantClientQueries,
   transactionQueries,
+  rewardQueries,
+  tierQueries,
+  campaignQueries,
+  promoCodeQueries,
+  programQueries,
+  referralQueries,
+  birthdayVoucherQueries,
+  groupQueries,
+  creditReviewQueries,
+  rewardVoucherQueries,
+  giftCardQueries,
   auditQueries,
   mergeQueries,
   voucherQueries,
   pollQueries,
+  qrStateQueries,
+  registerQueries,
+  walletQueries,
+  phoneOtpQueries,
 };
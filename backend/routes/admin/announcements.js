@@ -2,6 +2,7 @@ const express = require('express');
 const { db, merchantQueries } = require('../../database');
 const { authenticateAdmin } = require('../../middleware/admin-auth');
 const { logAudit, auditCtx } = require('../../middleware/audit');
+const { publish } = require('../../services/events');
 
 const router = express.Router();
 router.use(authenticateAdmin);
@@ -131,6 +132,10 @@ router.post('/', (req, res) => {
       details: { title, targetType: type, priority: prio },
     });
 
+    const event = { id: run, title: title.trim(), priority: prio };
+    if (type === 'selected') (merchantIds || []).forEach(mid => publish(parseInt(mid), 'announcement', event));
+    else publish(null, 'announcement', event);
+
     res.status(201).json({ message: 'Annonce créée', id: run });
   } catch (error) {
     console.error('Erreur création annonce:', error);
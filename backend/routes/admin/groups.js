@@ -0,0 +1,235 @@
+const express = require('express');
+const { db, groupQueries } = require('../../database');
+const { authenticateAdmin } = require('../../middleware/admin-auth');
+const { logAudit, auditCtx } = require('../../middleware/audit');
+const { joinGroup, leaveGroup, getSettlement } = require('../../services/groups');
+
+const router = express.Router();
+router.use(authenticateAdmin);
+
+// Service errors → HTTP status
+const groupErrorStatus = (message) => (/non trouvé/.test(message) ? 404 : 400);
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/admin/groups — Groups with members and outstanding points
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const groups = groupQueries.getAll.all().map(g => {
+      const summary = groupQueries.summary.get(g.id);
+      return {
+        ...g,
+        members: groupQueries.getMembers.all(g.id),
+        clients: summary.clients,
+        outstandingPoints: summary.points,
+      };
+    });
+
+    const merchants = db.prepare(
+      "SELECT id, business_name, group_id, loyalty_mode FROM merchants WHERE status = 'active' ORDER BY business_name"
+    ).all();
+
+    res.json({ groups, merchants });
+  } catch (error) {
+    console.error('Erreur liste groupes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/admin/groups — Create { name }
+// ═══════════════════════════════════════════════════════
+
+router.post('/', (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Nom du groupe requis' });
+    if (name.length > 100) return res.status(400).json({ error: 'Nom trop long (max 100)' });
+
+    const result = groupQueries.create.run(name);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'super_admin',
+      actorId: req.admin.id,
+      action: 'group_created',
+      targetType: 'merchant_group',
+      targetId: result.lastInsertRowid,
+      details: { name },
+    });
+
+    res.status(201).json({ message: 'Groupe créé', group: groupQueries.findById.get(result.lastInsertRowid) });
+  } catch (error) {
+    console.error('Erreur création groupe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/admin/groups/:id — Rename { name }
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', (req, res) => {
+  try {
+    const group = groupQueries.findById.get(parseInt(req.params.id));
+    if (!group) return res.status(404).json({ error: 'Groupe non trouvé' });
+
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Nom du groupe requis' });
+    if (name.length > 100) return res.status(400).json({ error: 'Nom trop long (max 100)' });
+
+    groupQueries.rename.run(name, group.id);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'super_admin',
+      actorId: req.admin.id,
+      action: 'group_updated',
+      targetType: 'merchant_group',
+      targetId: group.id,
+      details: { before: group.name, after: name },
+    });
+
+    res.json({ message: 'Groupe mis à jour', group: groupQueries.findById.get(group.id) });
+  } catch (error) {
+    console.error('Erreur modification groupe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/admin/groups/:id — Only an empty group without history
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', (req, res) => {
+  try {
+    const group = groupQueries.findById.get(parseInt(req.params.id));
+    if (!group) return res.status(404).json({ error: 'Groupe non trouvé' });
+
+    if (groupQueries.getMembers.all(group.id).length > 0) {
+      return res.status(400).json({ error: 'Retirez d\'abord les commerces du groupe' });
+    }
+    if (groupQueries.countTransactions.get(group.id).c > 0) {
+      return res.status(400).json({ error: 'Ce groupe a un historique de points : il ne peut pas être supprimé' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM group_balances WHERE group_id = ?').run(group.id);
+      groupQueries.delete.run(group.id);
+    })();
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'super_admin',
+      actorId: req.admin.id,
+      action: 'group_deleted',
+      targetType: 'merchant_group',
+      targetId: group.id,
+      details: { name: group.name },
+    });
+
+    res.json({ message: 'Groupe supprimé' });
+  } catch (error) {
+    console.error('Erreur suppression groupe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/admin/groups/:id/members — Add a shop { merchantId }
+// Existing card balances are transferred to the shared balance.
+// ═══════════════════════════════════════════════════════
+
+router.post('/:id/members', (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const merchantId = parseInt(req.body.merchantId);
+    if (!merchantId) return res.status(400).json({ error: 'Commerce requis' });
+
+    let transfer;
+    try {
+      transfer = joinGroup({ groupId, merchantId });
+    } catch (e) {
+      return res.status(groupErrorStatus(e.message)).json({ error: e.message });
+    }
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'super_admin',
+      actorId: req.admin.id,
+      merchantId,
+      action: 'group_member_added',
+      targetType: 'merchant_group',
+      targetId: groupId,
+      details: transfer,
+    });
+
+    res.json({
+      message: `Commerce ajouté au groupe (${transfer.transferredPoints} pts transférés depuis ${transfer.transferredCards} carte${transfer.transferredCards > 1 ? 's' : ''})`,
+      ...transfer,
+    });
+  } catch (error) {
+    console.error('Erreur ajout membre groupe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/admin/groups/:id/members/:merchantId — Remove a shop
+// Points stay in the group, usable at the remaining members.
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id/members/:merchantId', (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const merchantId = parseInt(req.params.merchantId);
+
+    const member = groupQueries.getMembers.all(groupId).find(m => m.id === merchantId);
+    if (!member) return res.status(404).json({ error: 'Ce commerce ne fait pas partie de ce groupe' });
+
+    leaveGroup(merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'super_admin',
+      actorId: req.admin.id,
+      merchantId,
+      action: 'group_member_removed',
+      targetType: 'merchant_group',
+      targetId: groupId,
+      details: { businessName: member.business_name },
+    });
+
+    res.json({ message: 'Commerce retiré du groupe' });
+  } catch (error) {
+    console.error('Erreur retrait membre groupe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/admin/groups/:id/settlement?from=&to= — Issued vs redeemed per member
+// ═══════════════════════════════════════════════════════
+
+router.get('/:id/settlement', (req, res) => {
+  try {
+    const group = groupQueries.findById.get(parseInt(req.params.id));
+    if (!group) return res.status(404).json({ error: 'Groupe non trouvé' });
+
+    res.json(getSettlement(group.id, { from: req.query.from || null, to: req.query.to || null }));
+  } catch (error) {
+    console.error('Erreur compensation groupe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
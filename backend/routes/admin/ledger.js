@@ -0,0 +1,127 @@
+const express = require('express');
+const { authenticateAdmin } = require('../../middleware/admin-auth');
+const { logAudit, auditCtx } = require('../../middleware/audit');
+const { merchantQueries } = require('../../database');
+const { findDrift, repairDrift, findGroupDrift, repairGroupDrift } = require('../../services/ledger');
+
+const router = express.Router();
+router.use(authenticateAdmin);
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/admin/ledger?merchantId= — Balances that differ from their transactions
+// Card balances per merchant, coalition balances per group (the
+// merchant's own group when filtered)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const merchantId = req.query.merchantId ? parseInt(req.query.merchantId) : null;
+    const merchants = findDrift(merchantId);
+
+    let groups;
+    if (merchantId) {
+      const merchant = merchantQueries.findById.get(merchantId);
+      groups = merchant && merchant.group_id ? findGroupDrift(merchant.group_id) : [];
+    } else {
+      groups = findGroupDrift();
+    }
+
+    res.json({
+      merchants,
+      cardCount: merchants.reduce((n, m) => n + m.clients.length, 0),
+      groups,
+      groupBalanceCount: groups.reduce((n, g) => n + g.clients.length, 0),
+    });
+  } catch (error) {
+    console.error('Erreur contrôle soldes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/admin/ledger/repair — Correction transaction per drifting card
+// Body: { merchantClientIds: [..] } or { merchantId } (all its drifting cards)
+// or { groupId, endUserIds?: [..] } (group balances; all drifting ones by default)
+// ═══════════════════════════════════════════════════════
+
+router.post('/repair', (req, res) => {
+  try {
+    const { merchantClientIds, merchantId, groupId, endUserIds, note } = req.body;
+
+    if (note && String(note).length > 200) return res.status(400).json({ error: 'Note trop longue (max 200)' });
+
+    if (groupId) {
+      let userIds = null;
+      if (Array.isArray(endUserIds)) {
+        userIds = endUserIds.map(id => parseInt(id)).filter(id => id > 0);
+        if (userIds.length === 0) return res.status(400).json({ error: 'Aucun ID valide' });
+      }
+
+      let corrections;
+      try {
+        corrections = repairGroupDrift({ groupId: parseInt(groupId), endUserIds: userIds, note: note ? String(note).trim() : '' });
+      } catch (e) {
+        if (e.message === 'Groupe non trouvé') return res.status(404).json({ error: e.message });
+        throw e;
+      }
+
+      for (const c of corrections) {
+        logAudit({
+          ...auditCtx(req),
+          actorType: 'super_admin',
+          actorId: req.admin.id,
+          merchantId: c.merchantId,
+          action: 'ledger_repaired',
+          targetType: 'group_balance',
+          targetId: c.endUserId,
+          details: { groupId: c.groupId, drift: c.drift, transactionId: c.transactionId, note: note || null },
+        });
+      }
+
+      return res.json({
+        message: `${corrections.length} solde${corrections.length > 1 ? 's' : ''} corrigé${corrections.length > 1 ? 's' : ''}`,
+        corrections,
+      });
+    }
+
+    let ids = null;
+    if (Array.isArray(merchantClientIds)) {
+      ids = merchantClientIds.map(id => parseInt(id)).filter(id => id > 0);
+      if (ids.length === 0) return res.status(400).json({ error: 'Aucun ID valide' });
+    } else if (!merchantId) {
+      return res.status(400).json({ error: 'Commerce, groupe ou cartes requis' });
+    }
+
+    const corrections = repairDrift({
+      merchantClientIds: ids,
+      merchantId: ids ? null : parseInt(merchantId),
+      note: note ? String(note).trim() : '',
+    });
+
+    for (const c of corrections) {
+      logAudit({
+        ...auditCtx(req),
+        actorType: 'super_admin',
+        actorId: req.admin.id,
+        merchantId: c.merchantId,
+        action: 'ledger_repaired',
+        targetType: 'merchant_client',
+        targetId: c.merchantClientId,
+        details: { drift: c.drift, transactionId: c.transactionId, note: note || null },
+      });
+    }
+
+    res.json({
+      message: `${corrections.length} solde${corrections.length > 1 ? 's' : ''} corrigé${corrections.length > 1 ? 's' : ''}`,
+      corrections,
+    });
+  } catch (error) {
+    console.error('Erreur correction soldes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { db, merchantQueries, staffQueries } = require('../../database');
+const { db, merchantQueries, staffQueries, walletQueries } = require('../../database');
 const { authenticateAdmin } = require('../../middleware/admin-auth');
 const { logAudit, auditCtx } = require('../../middleware/audit');
 const { sendMerchantValidatedEmail, sendMerchantRejectedEmail } = require('../../services/email');
@@ -289,6 +289,15 @@ router.post('/bulk-delete', (req, res) => {
         // Get all staff for this merchant
         const staffIds = db.prepare('SELECT id FROM staff_accounts WHERE merchant_id = ?').all(id).map(s => s.id);
 
+        // Delete vouchers and credit reviews (reference cards and transactions)
+        db.prepare('DELETE FROM birthday_vouchers WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM reward_vouchers WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM credit_reviews WHERE merchant_id = ?').run(id);
+
+        // Delete gift cards and their ledger (reference staff)
+        db.prepare('DELETE FROM gift_card_entries WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM gift_cards WHERE merchant_id = ?').run(id);
+
         // Delete transactions
         if (cardIds.length > 0) {
           const ph = cardIds.map(() => '?').join(',');
@@ -302,9 +311,32 @@ router.post('/bulk-delete', (req, res) => {
           db.prepare(`DELETE FROM point_vouchers WHERE sender_mc_id IN (${ph}) OR claimer_mc_id IN (${ph})`).run(...cardIds, ...cardIds);
         }
 
+        // Delete stamp card balances
+        if (cardIds.length > 0) {
+          const ph = cardIds.map(() => '?').join(',');
+          db.prepare(`DELETE FROM program_balances WHERE merchant_client_id IN (${ph})`).run(...cardIds);
+        }
+
+        // Delete wallet passes and their device registrations
+        for (const cardId of cardIds) {
+          walletQueries.deleteRegistrationsByMerchantClient.run(cardId);
+          walletQueries.deleteByMerchantClient.run(cardId);
+        }
+
         // Delete merchant_clients
         db.prepare('DELETE FROM merchant_clients WHERE merchant_id = ?').run(id);
 
+        // Delete rewards catalogue, tiers, campaigns, promo codes, stamp cards and registers (referenced by the rows above)
+        db.prepare('DELETE FROM rewards WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM tiers WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM campaigns WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM promo_codes WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM loyalty_programs WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM registers WHERE merchant_id = ?').run(id);
+
+        // Delete referrals made at this merchant
+        db.prepare('DELETE FROM referrals WHERE merchant_id = ?').run(id);
+
         // Delete announcement_reads for staff of this merchant
         if (staffIds.length > 0) {
           const ph = staffIds.map(() => '?').join(',');
@@ -329,6 +361,10 @@ router.post('/bulk-delete', (req, res) => {
         // Delete poll sessions
         try { db.prepare('DELETE FROM poll_sessions WHERE merchant_id = ?').run(id); } catch (e) { /* */ }
 
+        // Delete QR queue and cooldowns
+        db.prepare('DELETE FROM qr_idents WHERE merchant_id = ?').run(id);
+        db.prepare('DELETE FROM qr_ident_cooldowns WHERE merchant_id = ?').run(id);
+
         // Delete audit logs for this merchant
         db.prepare('DELETE FROM audit_logs WHERE merchant_id = ?').run(id);
 
@@ -3,6 +3,7 @@ const { db, merchantQueries } = require('../../database');
 const { authenticateAdmin } = require('../../middleware/admin-auth');
 const { logAudit, auditCtx } = require('../../middleware/audit');
 const { messageQueries, invoiceQueries } = require('../../database-messages');
+const { publish } = require('../../services/events');
 
 const router = express.Router();
 router.use(authenticateAdmin);
@@ -57,6 +58,10 @@ router.post('/', (req, res) => {
       details: { msgType: type, target, recipientCount: target === 'all' ? 'all' : targetMerchantIds.length },
     });
 
+    const event = { id: result.lastInsertRowid, title: title.trim(), msgType: type };
+    if (target === 'all') publish(null, 'message', event);
+    else JSON.parse(targetIds).forEach(mid => publish(mid, 'message', event));
+
     res.status(201).json({
       message: 'Message envoyé',
       id: result.lastInsertRowid,
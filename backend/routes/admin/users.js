@@ -1,5 +1,5 @@
 const express = require('express');
-const { db, endUserQueries, aliasQueries, merchantClientQueries, transactionQueries, mergeQueries } = require('../../database');
+const { db, endUserQueries, aliasQueries, merchantClientQueries, transactionQueries, mergeQueries, programQueries, referralQueries, birthdayVoucherQueries, groupQueries, creditReviewQueries, rewardVoucherQueries, walletQueries } = require('../../database');
 const { authenticateAdmin } = require('../../middleware/admin-auth');
 const { logAudit, auditCtx } = require('../../middleware/audit');
 const { sendGlobalMergeNotificationEmail } = require('../../services/email');
@@ -46,6 +46,7 @@ router.get('/', (req, res) => {
       email: u.email,
       phone: u.phone,
       email_validated: u.email_validated,
+      phone_validated: u.phone_validated,
       has_pin: !!u.pin_hash,
       has_qr: !!u.qr_token,
       is_blocked: u.is_blocked,
@@ -88,6 +89,7 @@ router.get('/:id', (req, res) => {
         email: user.email,
         phone: user.phone,
         email_validated: user.email_validated,
+        phone_validated: user.phone_validated,
         has_pin: !!user.pin_hash,
         has_qr: !!user.qr_token,
         is_blocked: user.is_blocked,
@@ -240,8 +242,16 @@ router.post('/:id/merge', (req, res) => {
               .run(combined, tc.id);
           }
 
-          // Reassign transactions
+          // Reassign transactions, stamp card balances, vouchers and credit reviews
           transactionQueries.reassignClient.run(tc.id, sc.id);
+          programQueries.mergeBalances.run(tc.id, sc.id);
+          programQueries.deleteByMerchantClient.run(sc.id);
+          birthdayVoucherQueries.reassignClient.run(tc.id, sc.id);
+          birthdayVoucherQueries.deleteByMerchantClient.run(sc.id);
+          creditReviewQueries.reassignClient.run(tc.id, sc.id);
+          rewardVoucherQueries.reassignClient.run(tc.id, sc.id);
+          walletQueries.deleteRegistrationsByMerchantClient.run(sc.id);
+          walletQueries.deleteByMerchantClient.run(sc.id);
 
           // Merge trace visible in merchant history
           transactionQueries.create.run(
@@ -264,6 +274,14 @@ router.post('/:id/merge', (req, res) => {
         }
       }
 
+      // ── Referrals follow the user ──
+      referralQueries.reassignReferrer.run(targetId, sourceId);
+      referralQueries.reassignReferee.run(targetId, sourceId);
+
+      // ── Coalition balances are added to the target's ──
+      groupQueries.mergeBalances.run(targetId, sourceId);
+      groupQueries.deleteByEndUser.run(sourceId);
+
       // ── Global aliases (skip if already exists) ──
       if (source.email_lower) {
         const exists = db.prepare("SELECT 1 FROM end_user_aliases WHERE end_user_id = ? AND alias_type = 'email' AND alias_value = ?").get(targetId, source.email_lower);
@@ -294,8 +312,8 @@ router.post('/:id/merge', (req, res) => {
       if (!target.phone && source.phone) {
         const conflict = db.prepare("SELECT id FROM end_users WHERE phone_e164 = ? AND id != ? AND deleted_at IS NULL").get(source.phone_e164, targetId);
         if (!conflict) {
-          db.prepare("UPDATE end_users SET phone = ?, phone_e164 = ?, updated_at = datetime('now') WHERE id = ?")
-            .run(source.phone, source.phone_e164, targetId);
+          db.prepare("UPDATE end_users SET phone = ?, phone_e164 = ?, phone_validated = ?, updated_at = datetime('now') WHERE id = ?")
+            .run(source.phone, source.phone_e164, source.phone_validated, targetId);
         }
       }
       if (!target.name && source.name) {
@@ -405,14 +423,26 @@ router.post('/bulk-delete', (req, res) => {
         // Delete all merchant_clients cards
         const cards = db.prepare('SELECT id, merchant_id FROM merchant_clients WHERE end_user_id = ?').all(id);
         for (const card of cards) {
-          // Delete transactions for this card
+          // Delete vouchers, credit reviews, transactions, stamp card balances and wallet pass for this card
+          birthdayVoucherQueries.deleteByMerchantClient.run(card.id);
+          rewardVoucherQueries.deleteByMerchantClient.run(card.id);
+          creditReviewQueries.deleteByMerchantClient.run(card.id);
           db.prepare('DELETE FROM transactions WHERE merchant_client_id = ?').run(card.id);
+          programQueries.deleteByMerchantClient.run(card.id);
+          walletQueries.deleteRegistrationsByMerchantClient.run(card.id);
+          walletQueries.deleteByMerchantClient.run(card.id);
         }
         db.prepare('DELETE FROM merchant_clients WHERE end_user_id = ?').run(id);
 
         // Delete aliases
         aliasQueries.deleteByUser.run(id);
 
+        // Delete referrals (as referrer or referee)
+        referralQueries.deleteByEndUser.run(id, id);
+
+        // Delete coalition balances
+        groupQueries.deleteByEndUser.run(id);
+
         // Delete merge records (both as source and target)
         db.prepare('DELETE FROM end_user_merges WHERE source_user_id = ? OR target_user_id = ?').run(id, id);
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { db, merchantQueries, staffQueries } = require('../database');
+const { db, merchantQueries, staffQueries, transactionQueries } = require('../database');
 const {
   authenticateStaff,
   generateStaffToken,
@@ -10,7 +10,7 @@ const {
   MAX_FAILED_ATTEMPTS,
 } = require('../middleware/auth');
 const { logAudit, auditCtx } = require('../middleware/audit');
-const { normalizeEmail, normalizeVAT, isValidEmail } = require('../services/normalizer');
+const { normalizeEmail, normalizeVAT, isValidEmail, PHONE_COUNTRIES } = require('../services/normalizer');
 
 const router = express.Router();
 
@@ -379,7 +379,16 @@ router.put('/settings', authenticateStaff, (req, res) => {
   }
 
   try {
-    const { pointsPerEuro, pointsForReward, rewardDescription, loyaltyMode, confirmModeSwitch, birthdayGiftEnabled, birthdayGiftDescription } = req.body;
+    const {
+      pointsPerEuro, pointsForReward, rewardDescription, loyaltyMode, confirmModeSwitch,
+      birthdayGiftEnabled, birthdayGiftDescription, birthdayGiftWindowDays,
+      pointsExpiryMode, pointsExpiryMonths, pointsExpiryDate,
+      referralEnabled, referralReferrerBonus, referralRefereeBonus, referralMinAmount, referralMonthlyCap,
+      fraudDailyCreditLimit,
+      visitMinAmount, visitLimit, visitLimitPeriod, visitBonusAmount, visitBonusStamps,
+      giftMinPoints, giftMaxPoints, giftMonthlyCap,
+      qrStaticFallback, pinChangeEmail, requirePhoneVerified, phoneCountry,
+    } = req.body;
 
     const validModes = ['points', 'visits'];
     const mode = (loyaltyMode && validModes.includes(loyaltyMode)) ? loyaltyMode : 'points';
@@ -399,12 +408,132 @@ router.put('/settings', authenticateStaff, (req, res) => {
       return res.status(400).json({ error: 'Description de la récompense trop longue (max 200 caractères)' });
     }
 
+    // Points expiry policy (optional — left untouched if not sent)
+    let expiry = null;
+    if (pointsExpiryMode !== undefined) {
+      if (!['none', 'inactivity', 'fixed_date'].includes(pointsExpiryMode)) {
+        return res.status(400).json({ error: "Mode d'expiration invalide" });
+      }
+      expiry = { mode: pointsExpiryMode, months: null, date: null };
+      if (pointsExpiryMode === 'inactivity') {
+        const months = parseInt(pointsExpiryMonths);
+        if (isNaN(months) || months < 1 || months > 60) {
+          return res.status(400).json({ error: "Délai d'expiration invalide (1 à 60 mois)" });
+        }
+        expiry.months = months;
+      }
+      if (pointsExpiryMode === 'fixed_date') {
+        const match = /^(\d{2})-(\d{2})$/.exec(pointsExpiryDate || '');
+        const month = match ? parseInt(match[1]) : 0;
+        const day = match ? parseInt(match[2]) : 0;
+        // Feb 29 is refused: the cutoff must exist every year
+        const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        if (!match || month < 1 || month > 12 || day < 1 || day > daysInMonth[month - 1]) {
+          return res.status(400).json({ error: "Date d'expiration invalide (format MM-JJ)" });
+        }
+        expiry.date = pointsExpiryDate;
+      }
+    }
+
+    // Birthday voucher validity, days before/after the birthday (optional — left untouched if not sent)
+    let birthdayWindowDays = null;
+    if (birthdayGiftWindowDays !== undefined) {
+      birthdayWindowDays = parseInt(birthdayGiftWindowDays);
+      if (isNaN(birthdayWindowDays) || birthdayWindowDays < 1 || birthdayWindowDays > 30) {
+        return res.status(400).json({ error: "Validité du cadeau d'anniversaire invalide (1 à 30 jours)" });
+      }
+    }
+
+    // Anti-fraud: credits to one client in 24 h before review (optional — left untouched if not sent)
+    let fraudDailyLimit = null;
+    if (fraudDailyCreditLimit !== undefined) {
+      fraudDailyLimit = parseInt(fraudDailyCreditLimit);
+      if (isNaN(fraudDailyLimit) || fraudDailyLimit < 1 || fraudDailyLimit > 50) {
+        return res.status(400).json({ error: 'Limite de crédits par jour invalide (1 à 50)' });
+      }
+    }
+
+    // Visits mode safeguards (optional — left untouched if not sent)
+    let visitRules = null;
+    if (visitMinAmount !== undefined) {
+      visitRules = {
+        minAmount: parseFloat(visitMinAmount) || 0,
+        limit: parseInt(visitLimit) || null,
+        limitPeriod: visitLimitPeriod === 'hour' ? 'hour' : 'day',
+        bonusAmount: parseFloat(visitBonusAmount) || null,
+        bonusStamps: parseInt(visitBonusStamps) || 0,
+      };
+      if (visitRules.minAmount < 0 || visitRules.minAmount > 1000) {
+        return res.status(400).json({ error: 'Achat minimum par passage invalide (0 à 1000 €)' });
+      }
+      if (visitRules.limit !== null && (visitRules.limit < 1 || visitRules.limit > 50)) {
+        return res.status(400).json({ error: 'Nombre de passages maximum invalide (1 à 50)' });
+      }
+      if (visitRules.bonusAmount !== null && (visitRules.bonusAmount < 0 || visitRules.bonusAmount > 10000)) {
+        return res.status(400).json({ error: 'Montant du gros panier invalide' });
+      }
+      if (visitRules.bonusStamps < 0 || visitRules.bonusStamps > 10) {
+        return res.status(400).json({ error: 'Tampons bonus invalides (0 à 10)' });
+      }
+      if (!visitRules.bonusAmount) visitRules.bonusStamps = 0;
+    }
+
+    // Country of local phone numbers (optional — left untouched if not sent)
+    if (phoneCountry !== undefined && !Object.hasOwn(PHONE_COUNTRIES, phoneCountry)) {
+      return res.status(400).json({ error: 'Pays des numéros de téléphone invalide' });
+    }
+
+    // Point gift limits (optional — left untouched if not sent)
+    let giftLimits = null;
+    if (giftMinPoints !== undefined) {
+      giftLimits = {
+        minPoints: parseInt(giftMinPoints) || 1,
+        maxPoints: parseInt(giftMaxPoints) || null,
+        monthlyCap: parseInt(giftMonthlyCap),
+      };
+      if (giftLimits.minPoints < 1 || giftLimits.minPoints > 10000) {
+        return res.status(400).json({ error: 'Minimum par cadeau invalide (1 à 10000 points)' });
+      }
+      if (giftLimits.maxPoints !== null && (giftLimits.maxPoints < giftLimits.minPoints || giftLimits.maxPoints > 100000)) {
+        return res.status(400).json({ error: 'Maximum par cadeau invalide (au moins le minimum)' });
+      }
+      if (isNaN(giftLimits.monthlyCap) || giftLimits.monthlyCap < 1 || giftLimits.monthlyCap > 100) {
+        return res.status(400).json({ error: 'Limite mensuelle de cadeaux invalide (1 à 100)' });
+      }
+    }
+
+    // Referral program (optional — left untouched if not sent)
+    let referral = null;
+    if (referralEnabled !== undefined) {
+      referral = {
+        enabled: referralEnabled ? 1 : 0,
+        referrerBonus: parseInt(referralReferrerBonus) || 0,
+        refereeBonus: parseInt(referralRefereeBonus) || 0,
+        minAmount: parseFloat(referralMinAmount) || 0,
+        monthlyCap: parseInt(referralMonthlyCap),
+      };
+      if (referral.referrerBonus < 0 || referral.referrerBonus > 1000 || referral.refereeBonus < 0 || referral.refereeBonus > 1000) {
+        return res.status(400).json({ error: 'Bonus de parrainage invalide (0 à 1000 points)' });
+      }
+      if (referral.minAmount < 0 || referral.minAmount > 1000) {
+        return res.status(400).json({ error: 'Montant minimum de parrainage invalide' });
+      }
+      if (isNaN(referral.monthlyCap) || referral.monthlyCap < 1 || referral.monthlyCap > 100) {
+        return res.status(400).json({ error: 'Limite mensuelle de parrainages invalide (1 à 100)' });
+      }
+    }
+
     const merchantId = req.staff.merchant_id;
     const merchant = merchantQueries.findById.get(merchantId);
     const oldMode = merchant ? (merchant.loyalty_mode || 'points') : 'points';
     const oldThreshold = merchant ? merchant.points_for_reward : 100;
     const modeChanged = oldMode !== mode;
 
+    // Coalition points are shared with the other shops of the group
+    if (modeChanged && mode === 'visits' && merchant.group_id) {
+      return res.status(400).json({ error: 'Un commerce membre d\'un groupe ne peut pas passer en mode passages' });
+    }
+
     // If mode is changing, require explicit confirmation
     if (modeChanged && !confirmModeSwitch) {
       return res.status(400).json({
@@ -427,6 +556,54 @@ router.put('/settings', authenticateStaff, (req, res) => {
         const bgDesc = (birthdayGiftDescription && birthdayGiftDescription.trim()) ? birthdayGiftDescription.trim().substring(0, 200) : null;
         db.prepare('UPDATE merchants SET birthday_gift_enabled = ?, birthday_gift_description = ? WHERE id = ?').run(bgEnabled, bgDesc, merchantId);
       }
+      if (birthdayWindowDays !== null) {
+        db.prepare('UPDATE merchants SET birthday_gift_window_days = ? WHERE id = ?').run(birthdayWindowDays, merchantId);
+      }
+      if (fraudDailyLimit !== null) {
+        db.prepare('UPDATE merchants SET fraud_daily_credit_limit = ? WHERE id = ?').run(fraudDailyLimit, merchantId);
+      }
+      // Accept bare (non-rotating) client QR codes
+      if (qrStaticFallback !== undefined) {
+        db.prepare('UPDATE merchants SET qr_static_fallback = ? WHERE id = ?').run(qrStaticFallback ? 1 : 0, merchantId);
+      }
+      // Email the client when staff sets or changes their PIN
+      if (pinChangeEmail !== undefined) {
+        db.prepare('UPDATE merchants SET pin_change_email = ? WHERE id = ?').run(pinChangeEmail ? 1 : 0, merchantId);
+      }
+      // Rewards for a client identified by phone need an SMS-verified number
+      if (requirePhoneVerified !== undefined) {
+        db.prepare('UPDATE merchants SET require_phone_verified = ? WHERE id = ?').run(requirePhoneVerified ? 1 : 0, merchantId);
+      }
+      // Country assumed for numbers typed without +/00 prefix
+      if (phoneCountry !== undefined) {
+        db.prepare('UPDATE merchants SET phone_country = ? WHERE id = ?').run(phoneCountry, merchantId);
+      }
+
+      if (visitRules) {
+        db.prepare(`
+          UPDATE merchants SET visit_min_amount = ?, visit_limit = ?, visit_limit_period = ?,
+            visit_bonus_amount = ?, visit_bonus_stamps = ? WHERE id = ?
+        `).run(visitRules.minAmount, visitRules.limit, visitRules.limitPeriod, visitRules.bonusAmount, visitRules.bonusStamps, merchantId);
+      }
+
+      if (giftLimits) {
+        db.prepare('UPDATE merchants SET gift_min_points = ?, gift_max_points = ?, gift_monthly_cap = ? WHERE id = ?')
+          .run(giftLimits.minPoints, giftLimits.maxPoints, giftLimits.monthlyCap, merchantId);
+      }
+
+      // Update points expiry policy
+      if (expiry) {
+        db.prepare('UPDATE merchants SET points_expiry_mode = ?, points_expiry_months = ?, points_expiry_date = ? WHERE id = ?')
+          .run(expiry.mode, expiry.months, expiry.date, merchantId);
+      }
+
+      // Update referral program
+      if (referral) {
+        db.prepare(`
+          UPDATE merchants SET referral_enabled = ?, referral_referrer_bonus = ?, referral_referee_bonus = ?,
+            referral_min_amount = ?, referral_monthly_cap = ? WHERE id = ?
+        `).run(referral.enabled, referral.referrerBonus, referral.refereeBonus, referral.minAmount, referral.monthlyCap, merchantId);
+      }
 
       let converted = 0;
 
@@ -443,6 +620,13 @@ router.put('/settings', authenticateStaff, (req, res) => {
         for (const c of clients) {
           const newBalance = Math.ceil((c.points_balance / oldThreshold) * pfr);
           updateStmt.run(newBalance, c.id);
+          // Keep the ledger in line with the converted balance
+          if (newBalance !== c.points_balance) {
+            transactionQueries.create.run(
+              merchantId, c.id, req.staff.id, null, newBalance - c.points_balance, 'adjustment', null, 'system',
+              `Conversion ${oldMode} → ${mode} (${c.points_balance} → ${newBalance})`
+            );
+          }
           converted++;
         }
       }
@@ -463,6 +647,16 @@ router.put('/settings', authenticateStaff, (req, res) => {
       details: {
         pointsPerEuro: ppe, pointsForReward: pfr, rewardDescription: rdesc, loyaltyMode: mode,
         modeChanged, oldMode, converted,
+        ...(expiry && { pointsExpiry: expiry }),
+        ...(birthdayWindowDays !== null && { birthdayGiftWindowDays: birthdayWindowDays }),
+        ...(fraudDailyLimit !== null && { fraudDailyCreditLimit: fraudDailyLimit }),
+        ...(qrStaticFallback !== undefined && { qrStaticFallback: !!qrStaticFallback }),
+        ...(pinChangeEmail !== undefined && { pinChangeEmail: !!pinChangeEmail }),
+        ...(requirePhoneVerified !== undefined && { requirePhoneVerified: !!requirePhoneVerified }),
+        ...(phoneCountry !== undefined && { phoneCountry }),
+        ...(visitRules && { visitRules }),
+        ...(giftLimits && { giftLimits }),
+        ...(referral && { referral }),
       },
     });
 
@@ -0,0 +1,171 @@
+const express = require('express');
+const { campaignQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+const VALID_BONUS_TYPES = ['multiplier', 'flat'];
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ─── Validation ──────────────────────────────────────
+
+function parseCampaign(body) {
+  const name = (body.name || '').trim();
+  const startsAt = (body.startsAt || '').trim().replace('T', ' ');
+  const endsAt = (body.endsAt || '').trim().replace('T', ' ');
+  const hourStart = body.hourStart || null;
+  const hourEnd = body.hourEnd || null;
+  const bonusType = body.bonusType;
+  const bonusValue = parseFloat(body.bonusValue);
+
+  if (!name) return { error: 'Nom de la campagne requis' };
+  if (name.length > 100) return { error: 'Nom trop long (max 100 caractères)' };
+  if (!DATETIME_RE.test(startsAt) || !DATETIME_RE.test(endsAt)) return { error: 'Dates invalides (AAAA-MM-JJ HH:MM)' };
+  if (endsAt <= startsAt) return { error: 'La fin doit être postérieure au début' };
+
+  let weekdays = null;
+  if (Array.isArray(body.weekdays) && body.weekdays.length > 0) {
+    const days = [...new Set(body.weekdays.map(Number))].sort();
+    if (days.some(d => !Number.isInteger(d) || d < 1 || d > 7)) return { error: 'Jours invalides (1 = lundi … 7 = dimanche)' };
+    weekdays = days.join(',');
+  }
+
+  if (!!hourStart !== !!hourEnd) return { error: 'Plage horaire incomplète' };
+  if (hourStart && (!TIME_RE.test(hourStart) || !TIME_RE.test(hourEnd) || hourStart === hourEnd)) {
+    return { error: 'Plage horaire invalide (HH:MM)' };
+  }
+
+  if (!VALID_BONUS_TYPES.includes(bonusType)) return { error: 'Type de bonus invalide (multiplier ou flat)' };
+  if (bonusType === 'multiplier' && (isNaN(bonusValue) || bonusValue <= 1 || bonusValue > 5)) {
+    return { error: 'Multiplicateur invalide (entre 1 et 5)' };
+  }
+  if (bonusType === 'flat' && (!Number.isInteger(bonusValue) || bonusValue < 1 || bonusValue > 1000)) {
+    return { error: 'Bonus invalide (entre 1 et 1000 points)' };
+  }
+
+  return { name, startsAt, endsAt, weekdays, hourStart, hourEnd, bonusType, bonusValue };
+}
+
+const toRow = (d) => [d.name, d.startsAt, d.endsAt, d.weekdays, d.hourStart, d.hourEnd, d.bonusType, d.bonusValue];
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/campaigns — Active campaigns (all staff)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const campaigns = campaignQueries.getByMerchant.all(req.staff.merchant_id);
+    res.json({ count: campaigns.length, campaigns });
+  } catch (error) {
+    console.error('Erreur liste campagnes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/campaigns — Schedule a campaign (owner)
+// ═══════════════════════════════════════════════════════
+
+router.post('/', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const data = parseCampaign(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    const result = campaignQueries.create.run(merchantId, ...toRow(data));
+    const campaign = campaignQueries.findByIdAndMerchant.get(result.lastInsertRowid, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'campaign_created',
+      targetType: 'campaign',
+      targetId: campaign.id,
+      details: data,
+    });
+
+    res.status(201).json({ message: 'Campagne programmée', campaign });
+  } catch (error) {
+    console.error('Erreur création campagne:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/campaigns/:id — Update a campaign (owner)
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const campaignId = parseInt(req.params.id);
+    if (!campaignQueries.findByIdAndMerchant.get(campaignId, merchantId)) {
+      return res.status(404).json({ error: 'Campagne non trouvée' });
+    }
+
+    const data = parseCampaign(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    campaignQueries.update.run(...toRow(data), campaignId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'campaign_updated',
+      targetType: 'campaign',
+      targetId: campaignId,
+      details: data,
+    });
+
+    res.json({ message: 'Campagne mise à jour', campaign: campaignQueries.findByIdAndMerchant.get(campaignId, merchantId) });
+  } catch (error) {
+    console.error('Erreur update campagne:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/campaigns/:id — Cancel a campaign (owner)
+// Soft delete: points already generated stay in the report
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const campaignId = parseInt(req.params.id);
+    const campaign = campaignQueries.findByIdAndMerchant.get(campaignId, merchantId);
+    if (!campaign) return res.status(404).json({ error: 'Campagne non trouvée' });
+
+    campaignQueries.deactivate.run(campaignId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'campaign_deleted',
+      targetType: 'campaign',
+      targetId: campaignId,
+      details: { name: campaign.name },
+    });
+
+    res.json({ message: 'Campagne annulée' });
+  } catch (error) {
+    console.error('Erreur suppression campagne:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
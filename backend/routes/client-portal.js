@@ -4,10 +4,25 @@ const bcrypt = require('bcryptjs');
 
 const router = express.Router();
 
-const { db, endUserQueries, merchantClientQueries, merchantQueries, pollQueries } = require('../database');
+const { db, endUserQueries, merchantClientQueries, merchantQueries, pollQueries, walletQueries } = require('../database');
 const { normalizeEmail, canonicalizeEmail, normalizePhone } = require('../services/normalizer');
-const { sendMagicLinkEmail, sendAccountDeletedEmail, sendClientMergeRequestEmail } = require('../services/email');
+const { sendMagicLinkEmail, sendAccountDeletedEmail, sendClientMergeRequestEmail, sendGiftReceivedEmail, sendReceiptEmail, sendPinResetCodeEmail } = require('../services/email');
 const { generateClientToken, authenticateClient } = require('../middleware/client-auth');
+const { getClientRewards } = require('../services/points');
+const { getClientTier } = require('../services/tiers');
+const { getClientPrograms } = require('../services/programs');
+const { referralUrl } = require('../services/referrals');
+const { getActiveBirthdayVoucher } = require('../services/birthdays');
+const { withGroupBalance } = require('../services/groups');
+const { getClientVouchers, issueRewardVoucher } = require('../services/vouchers');
+const { isGiftRecipient, maskRecipient, getPendingGifts, createGift, cancelGift } = require('../services/gifts');
+const { getClientGiftCards } = require('../services/giftcards');
+const { getReceipt, renderReceiptPdf, receiptFilename } = require('../services/receipts');
+const { currentQrCode } = require('../services/client-qr');
+const { verifyPin, createPinResetCode, resetPinWithCode, RESET_CODE_TTL_MS } = require('../services/pin');
+const { sendPhoneCode, checkPhoneCode } = require('../services/phone-verification');
+const { smsEnabled } = require('../services/sms');
+const { getOrCreatePass, renderApplePass, passFilename, googleSaveUrl, walletOffer, appleEnabled, googleEnabled, refreshWalletPasses, refreshClientWalletPasses } = require('../services/wallet');
 
 // ═══════════════════════════════════════════════════════
 // CONFIG
@@ -38,6 +53,15 @@ function getClientIP(req) {
     || req.socket?.remoteAddress || 'unknown';
 }
 
+function getBaseUrl(req) {
+  return process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Reward voucher as shown in the app: its QR encodes /v/CODE
+function withVoucherUrl(req, voucher) {
+  return { ...voucher, qrUrl: `${getBaseUrl(req)}/v/${voucher.code}` };
+}
+
 
 
 
@@ -225,15 +249,17 @@ router.get('/cards', authenticateClient, (req, res) => {
 
     // Get all merchant_client relationships
     const cards = db.prepare(`
-      SELECT mc.merchant_id, mc.points_balance, mc.total_spent, mc.visit_count,
+      SELECT mc.id, mc.merchant_id, mc.end_user_id, mc.points_balance, mc.total_spent, mc.visit_count,
              mc.last_visit, mc.is_blocked, mc.custom_reward,
-             mc.is_favorite, mc.is_hidden,
+             mc.is_favorite, mc.is_hidden, mc.tier_id,
              m.business_name, m.points_per_euro, m.points_for_reward,
              m.reward_description, m.status, m.business_type, m.allow_gifts,
              m.loyalty_mode,
-             m.birthday_gift_enabled, m.birthday_gift_description
+             m.birthday_gift_enabled, m.birthday_gift_description,
+             m.group_id, mg.name AS group_name
       FROM merchant_clients mc
       JOIN merchants m ON mc.merchant_id = m.id
+      LEFT JOIN merchant_groups mg ON mg.id = m.group_id
       WHERE mc.end_user_id = ? AND m.status = 'active'
       ORDER BY mc.last_visit DESC
     `).all(endUser.id);
@@ -243,25 +269,36 @@ router.get('/cards', authenticateClient, (req, res) => {
 
     const result = cards
       .filter(c => !c.is_hidden)
-      .map(c => ({
-      merchantId: c.merchant_id,
-      merchantName: c.business_name,
-      theme: getTheme.get(c.merchant_id)?.theme || 'teal',
-      businessType: c.business_type || '',
-      allowGifts: !!c.allow_gifts,
-      loyaltyMode: c.loyalty_mode || 'points',
-      pointsBalance: c.points_balance,
-      totalSpent: c.total_spent,
-      visitCount: c.visit_count,
-      lastVisit: c.last_visit,
-      pointsPerEuro: c.points_per_euro,
-      pointsForReward: c.points_for_reward,
-      rewardDescription: c.custom_reward || c.reward_description,
-      canRedeem: c.points_balance >= c.points_for_reward,
-      progress: Math.min((c.points_balance / c.points_for_reward) * 100, 100),
-      isFavorite: !!c.is_favorite,
-      birthdayGift: c.birthday_gift_enabled ? (c.birthday_gift_description || null) : null,
-    }));
+      .map(card => {
+        // Coalition member: the balance shown is the one shared by the group
+        const c = withGroupBalance({ group_id: card.group_id }, card);
+        const rewards = getClientRewards(
+          { id: c.merchant_id, points_for_reward: c.points_for_reward, reward_description: c.reward_description }, c
+        );
+        return {
+          merchantId: c.merchant_id,
+          merchantName: c.business_name,
+          theme: getTheme.get(c.merchant_id)?.theme || 'teal',
+          businessType: c.business_type || '',
+          allowGifts: !!c.allow_gifts,
+          loyaltyMode: c.loyalty_mode || 'points',
+          pointsBalance: c.points_balance,
+          totalSpent: c.total_spent,
+          visitCount: c.visit_count,
+          lastVisit: c.last_visit,
+          pointsPerEuro: c.points_per_euro,
+          pointsForReward: rewards[0].pointsCost, // cheapest reward
+          rewardDescription: c.custom_reward || c.reward_description,
+          canRedeem: rewards.some(r => r.canAfford),
+          rewards,
+          tier: getClientTier(c),
+          programs: getClientPrograms(c.merchant_id, c.id),
+          progress: Math.min((c.points_balance / rewards[0].pointsCost) * 100, 100),
+          isFavorite: !!c.is_favorite,
+          birthdayGift: c.birthday_gift_enabled ? (c.birthday_gift_description || null) : null,
+          group: c.group_id ? { id: c.group_id, name: c.group_name } : null,
+        };
+      });
 
     res.json({
       client: {
@@ -270,6 +307,8 @@ router.get('/cards', authenticateClient, (req, res) => {
         phone: endUser.phone,
         qrToken: endUser.qr_token,
         hasPin: !!endUser.pin_hash,
+        phoneValidated: !!endUser.phone_validated,
+        smsVerification: smsEnabled(),
         dateOfBirth: endUser.date_of_birth || null,
       },
       cards: result,
@@ -293,19 +332,25 @@ router.get('/cards/:merchantId', authenticateClient, (req, res) => {
 
     const merchantId = parseInt(req.params.merchantId);
 
-    const mc = db.prepare(`
+    const row = db.prepare(`
       SELECT mc.*, m.business_name, m.points_per_euro, m.points_for_reward,
              m.reward_description, m.address, m.phone, m.email,
              m.business_type, m.website_url, m.instagram_url, m.facebook_url,
              m.opening_hours, m.latitude, m.longitude, m.description, m.allow_gifts,
+             m.gift_min_points, m.gift_max_points,
              m.loyalty_mode,
-             m.birthday_gift_enabled, m.birthday_gift_description
+             m.birthday_gift_enabled, m.birthday_gift_description,
+             m.points_expiry_mode, m.points_expiry_months, m.points_expiry_date,
+             m.qr_token AS merchant_qr_token, m.referral_enabled, m.referral_referrer_bonus, m.referral_referee_bonus,
+             m.group_id, mg.name AS group_name
       FROM merchant_clients mc
       JOIN merchants m ON mc.merchant_id = m.id
+      LEFT JOIN merchant_groups mg ON mg.id = m.group_id
       WHERE mc.merchant_id = ? AND mc.end_user_id = ? AND m.status = 'active'
     `).get(merchantId, endUser.id);
 
-    if (!mc) return res.status(404).json({ error: 'Carte non trouvée' });
+    if (!row) return res.status(404).json({ error: 'Carte non trouvée' });
+    const mc = withGroupBalance({ group_id: row.group_id }, row);
 
     const theme = db.prepare('SELECT theme FROM merchant_preferences WHERE merchant_id = ?')
       .get(merchantId)?.theme || 'teal';
@@ -313,6 +358,12 @@ router.get('/cards/:merchantId', authenticateClient, (req, res) => {
     let openingHours = null;
     try { openingHours = mc.opening_hours ? JSON.parse(mc.opening_hours) : null; } catch {}
 
+    const rewards = getClientRewards(
+      { id: merchantId, points_for_reward: mc.points_for_reward, reward_description: mc.reward_description }, mc
+    );
+
+    const referralLink = referralUrl({ referral_enabled: mc.referral_enabled, qr_token: mc.merchant_qr_token }, endUser);
+
     res.json({
       card: {
         pointsBalance: mc.points_balance,
@@ -320,11 +371,22 @@ router.get('/cards/:merchantId', authenticateClient, (req, res) => {
         visitCount: mc.visit_count,
         lastVisit: mc.last_visit,
         pointsPerEuro: mc.points_per_euro,
-        pointsForReward: mc.points_for_reward,
+        pointsForReward: rewards[0].pointsCost, // cheapest reward
         rewardDescription: mc.custom_reward || mc.reward_description,
-        canRedeem: mc.points_balance >= mc.points_for_reward,
-        pointsUntilReward: Math.max(mc.points_for_reward - mc.points_balance, 0),
-        progress: Math.min((mc.points_balance / mc.points_for_reward) * 100, 100),
+        canRedeem: rewards.some(r => r.canAfford),
+        rewards,
+        tier: getClientTier(mc),
+        programs: getClientPrograms(merchantId, mc.id),
+        referral: referralLink
+          ? { url: referralLink, referrerBonus: mc.referral_referrer_bonus, refereeBonus: mc.referral_referee_bonus }
+          : null,
+        birthdayVoucher: getActiveBirthdayVoucher(mc.id),
+        vouchers: getClientVouchers(mc.id).map(v => withVoucherUrl(req, v)),
+        pendingGifts: getPendingGifts(mc.id, getBaseUrl(req)),
+        group: mc.group_id ? { id: mc.group_id, name: mc.group_name } : null,
+        wallet: walletOffer(merchantId),
+        pointsUntilReward: Math.max(rewards[0].pointsCost - mc.points_balance, 0),
+        progress: Math.min((mc.points_balance / rewards[0].pointsCost) * 100, 100),
       },
       merchant: {
         id: merchantId,
@@ -342,8 +404,12 @@ router.get('/cards/:merchantId', authenticateClient, (req, res) => {
         longitude: mc.longitude,
         description: mc.description,
         allowGifts: !!mc.allow_gifts,
+        giftLimits: mc.allow_gifts ? { min: mc.gift_min_points, max: mc.gift_max_points } : null,
         loyaltyMode: mc.loyalty_mode || 'points',
         birthdayGift: mc.birthday_gift_enabled ? (mc.birthday_gift_description || null) : null,
+        pointsExpiry: (mc.points_expiry_mode && mc.points_expiry_mode !== 'none')
+          ? { mode: mc.points_expiry_mode, months: mc.points_expiry_months, date: mc.points_expiry_date }
+          : null,
       },
     });
   } catch (error) {
@@ -372,8 +438,8 @@ router.get('/cards/:merchantId/transactions', authenticateClient, (req, res) =>
     const total = db.prepare('SELECT COUNT(*) as c FROM transactions WHERE merchant_client_id = ?').get(mc.id).c;
 
     const transactions = db.prepare(`
-      SELECT t.id, t.amount, t.points_delta, t.transaction_type, t.notes, t.created_at,
-             s.display_name as staff_name
+      SELECT t.id, t.amount, t.points_delta, t.transaction_type, t.notes, t.created_at, t.voided_at,
+             t.program_id, s.display_name as staff_name
       FROM transactions t
       LEFT JOIN staff_accounts s ON t.staff_id = s.id
       WHERE t.merchant_client_id = ?
@@ -391,6 +457,8 @@ router.get('/cards/:merchantId/transactions', authenticateClient, (req, res) =>
         notes: t.notes,
         staffName: t.staff_name,
         createdAt: t.created_at,
+        voided: !!t.voided_at,
+        programId: t.program_id || null,
       })),
     });
   } catch (error) {
@@ -400,8 +468,112 @@ router.get('/cards/:merchantId/transactions', authenticateClient, (req, res) =>
 });
 
 
+// ═══════════════════════════════════════════════════════
+// GET /api/me/cards/:merchantId/transactions/:txId/receipt — PDF receipt
+// ═══════════════════════════════════════════════════════
+
+/** Receipt of one transaction of the client's card, or sends the HTTP error itself. */
+function findClientReceipt(req, res) {
+  const endUser = endUserQueries.findById.get(req.endUserId);
+  if (!endUser) { res.status(404).json({ error: 'Utilisateur non trouvé' }); return null; }
+
+  const mc = merchantClientQueries.find.get(parseInt(req.params.merchantId), endUser.id);
+  if (!mc) { res.status(404).json({ error: 'Carte non trouvée' }); return null; }
+
+  try {
+    return { endUser, receipt: getReceipt(mc.id, parseInt(req.params.txId)) };
+  } catch (error) {
+    if (error.message === 'Transaction non trouvée') { res.status(404).json({ error: error.message }); return null; }
+    throw error;
+  }
+}
+
+router.get('/cards/:merchantId/transactions/:txId/receipt', authenticateClient, (req, res) => {
+  try {
+    const found = findClientReceipt(req, res);
+    if (!found) return;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receiptFilename(found.receipt)}"`);
+    res.send(renderReceiptPdf(found.receipt));
+  } catch (error) {
+    console.error('Receipt error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/me/cards/:merchantId/transactions/:txId/receipt/email — Email the PDF
+// ═══════════════════════════════════════════════════════
+
+router.post('/cards/:merchantId/transactions/:txId/receipt/email', authenticateClient, (req, res) => {
+  try {
+    const found = findClientReceipt(req, res);
+    if (!found) return;
+
+    const { endUser, receipt } = found;
+    if (!endUser.email) return res.status(400).json({ error: 'Aucune adresse email sur votre compte' });
+
+    sendReceiptEmail(endUser.email, receipt.merchant.name, receipt.number, receiptFilename(receipt), renderReceiptPdf(receipt));
+    res.json({ message: `Reçu envoyé à ${endUser.email}` });
+  } catch (error) {
+    console.error('Receipt email error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/me/cards/:merchantId/wallet/apple — Apple Wallet pass (.pkpass)
+// GET /api/me/cards/:merchantId/wallet/google — Google Wallet save link
+// ═══════════════════════════════════════════════════════
+
+/** Wallet pass of the client's card, or sends the HTTP error itself. */
+function findClientPass(req, res) {
+  const endUser = endUserQueries.findById.get(req.endUserId);
+  if (!endUser) { res.status(404).json({ error: 'Utilisateur non trouvé' }); return null; }
+  if (endUser.is_blocked) { res.status(403).json({ error: 'Compte bloqué' }); return null; }
+
+  const mc = merchantClientQueries.find.get(parseInt(req.params.merchantId), endUser.id);
+  if (!mc) { res.status(404).json({ error: 'Carte non trouvée' }); return null; }
+
+  return getOrCreatePass(mc.id);
+}
+
+router.get('/cards/:merchantId/wallet/apple', authenticateClient, (req, res) => {
+  try {
+    if (!appleEnabled()) return res.status(404).json({ error: 'Apple Wallet non disponible' });
+    const pass = findClientPass(req, res);
+    if (!pass) return;
+
+    res.setHeader('Content-Type', 'application/vnd.apple.pkpass');
+    res.setHeader('Content-Disposition', `attachment; filename="${passFilename(pass)}"`);
+    res.send(renderApplePass(pass));
+  } catch (error) {
+    console.error('Apple Wallet pass error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+router.get('/cards/:merchantId/wallet/google', authenticateClient, (req, res) => {
+  try {
+    if (!googleEnabled()) return res.status(404).json({ error: 'Google Wallet non disponible' });
+    const pass = findClientPass(req, res);
+    if (!pass) return;
+
+    res.json({ saveUrl: googleSaveUrl(pass) });
+  } catch (error) {
+    console.error('Google Wallet link error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // POST /api/me/pin — Set or update client PIN
+// Changing an existing PIN needs the current one (same lockout as the
+// till); forgotten PINs go through /pin/reset.
 // ═══════════════════════════════════════════════════════
 
 router.post('/pin', authenticateClient, async (req, res) => {
@@ -410,12 +582,21 @@ router.post('/pin', authenticateClient, async (req, res) => {
     if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
     if (endUser.is_blocked) return res.status(403).json({ error: 'Compte bloqué' });
 
-    const { newPin } = req.body;
+    const { currentPin, newPin } = req.body;
 
     if (!newPin || !/^\d{4}$/.test(newPin)) {
       return res.status(400).json({ error: 'Le code PIN doit contenir 4 chiffres' });
     }
 
+    if (endUser.pin_hash) {
+      if (!currentPin) return res.status(400).json({ error: 'Saisissez votre code PIN actuel' });
+      try {
+        await verifyPin(endUser, currentPin);
+      } catch (e) {
+        return res.status(e.message.startsWith('Trop de tentatives') ? 429 : 403).json({ error: e.message });
+      }
+    }
+
     const pinHash = await bcrypt.hash(newPin, 10);
     endUserQueries.setPin.run(pinHash, endUser.id);
 
@@ -427,6 +608,119 @@ router.post('/pin', authenticateClient, async (req, res) => {
 });
 
 
+// ═══════════════════════════════════════════════════════
+// POST /api/me/pin/reset — Email a one-time code to reset a forgotten PIN
+// ═══════════════════════════════════════════════════════
+
+router.post('/pin/reset', authenticateClient, async (req, res) => {
+  try {
+    const endUser = endUserQueries.findById.get(req.endUserId);
+    if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    if (endUser.is_blocked) return res.status(403).json({ error: 'Compte bloqué' });
+
+    let code;
+    try {
+      code = await createPinResetCode(endUser);
+    } catch (e) {
+      return res.status(e.message.startsWith('Un code vient') ? 429 : 400).json({ error: e.message });
+    }
+
+    sendPinResetCodeEmail(endUser.email, code, RESET_CODE_TTL_MS / 60000);
+    res.json({ ok: true, message: `Code envoyé à ${endUser.email}` });
+  } catch (error) {
+    console.error('PIN reset request error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/me/pin/reset/confirm — Set a new PIN with the emailed code
+// ═══════════════════════════════════════════════════════
+
+router.post('/pin/reset/confirm', authenticateClient, async (req, res) => {
+  try {
+    const endUser = endUserQueries.findById.get(req.endUserId);
+    if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    if (endUser.is_blocked) return res.status(403).json({ error: 'Compte bloqué' });
+
+    const { code, newPin } = req.body;
+    if (!code || !/^\d{6}$/.test(String(code).trim())) {
+      return res.status(400).json({ error: 'Code invalide ou expiré' });
+    }
+    if (!newPin || !/^\d{4}$/.test(newPin)) {
+      return res.status(400).json({ error: 'Le code PIN doit contenir 4 chiffres' });
+    }
+
+    try {
+      await resetPinWithCode(endUser, String(code).trim(), newPin);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    res.json({ ok: true, message: 'Code PIN mis à jour' });
+  } catch (error) {
+    console.error('PIN reset confirm error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/me/phone/code — Text a verification code to the account's phone
+// ═══════════════════════════════════════════════════════
+
+router.post('/phone/code', authenticateClient, async (req, res) => {
+  try {
+    const endUser = endUserQueries.findById.get(req.endUserId);
+    if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    if (!endUser.phone_e164) return res.status(400).json({ error: 'Aucun numéro de téléphone sur ce compte' });
+    if (endUser.phone_validated) return res.status(400).json({ error: 'Numéro déjà vérifié' });
+
+    try {
+      await sendPhoneCode(endUser.phone_e164);
+    } catch (e) {
+      return res.status(e.message.startsWith('Un code vient') ? 429 : 503).json({ error: e.message });
+    }
+
+    res.json({ ok: true, message: `Code envoyé au ${endUser.phone}` });
+  } catch (error) {
+    console.error('Phone code error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/me/phone/verify — Confirm the phone with the SMS code
+// ═══════════════════════════════════════════════════════
+
+router.post('/phone/verify', authenticateClient, async (req, res) => {
+  try {
+    const endUser = endUserQueries.findById.get(req.endUserId);
+    if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    if (!endUser.phone_e164) return res.status(400).json({ error: 'Aucun numéro de téléphone sur ce compte' });
+
+    const { code } = req.body;
+    if (!code || !/^\d{6}$/.test(String(code).trim())) {
+      return res.status(400).json({ error: 'Code SMS invalide ou expiré' });
+    }
+
+    try {
+      await checkPhoneCode(endUser.phone_e164, String(code).trim());
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    endUserQueries.setPhoneValidated.run(1, endUser.id);
+
+    res.json({ ok: true, message: 'Numéro vérifié' });
+  } catch (error) {
+    console.error('Phone verify error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // PUT /api/me/profile — Update name, phone, date of birth
 // ═══════════════════════════════════════════════════════
@@ -443,10 +737,14 @@ router.put('/profile', authenticateClient, (req, res) => {
       if (name.trim().length > 100) return res.status(400).json({ error: 'Nom trop long' });
     }
 
+    // Local numbers follow the country of the client's first shop
+    const firstMerchant = endUser.first_merchant_id ? merchantQueries.findById.get(endUser.first_merchant_id) : null;
+    const phoneE164 = typeof phone === 'string' ? normalizePhone(phone.trim(), firstMerchant?.phone_country) : null;
+    if (phone && phone.trim() && !phoneE164) return res.status(400).json({ error: 'Numéro de téléphone invalide' });
+
     // Phone conflict detection
     if (phone !== undefined) {
-      const phoneE164 = normalizePhone(phone.trim());
-      if (phone.trim() && phoneE164 && phoneE164 !== endUser.phone_e164) {
+      if (phoneE164 && phoneE164 !== endUser.phone_e164) {
         const existing = endUserQueries.findByPhoneE164.get(phoneE164);
         if (existing && existing.id !== endUser.id) {
           const adminEmail = process.env.SUPER_ADMIN_EMAIL;
@@ -473,8 +771,9 @@ router.put('/profile', authenticateClient, (req, res) => {
     if (name !== undefined) { updates.push('name = ?'); params.push(name.trim()); }
     if (phone !== undefined) {
       updates.push('phone = ?', 'phone_e164 = ?');
-      const p = phone.trim();
-      params.push(p, normalizePhone(p));
+      params.push(phone.trim(), phoneE164);
+      // A new number has to be verified again
+      if (phoneE164 !== endUser.phone_e164) updates.push('phone_validated = 0');
     }
     if (dateOfBirth !== undefined) {
       // One-time only: can't change once set
@@ -567,7 +866,9 @@ router.put('/email', authenticateClient, async (req, res) => {
 
 
 // ═══════════════════════════════════════════════════════
-// GET /api/me/qr — Get client QR token (for display)
+// GET /api/me/qr — Get client QR code (for display)
+// Rotating code, valid for the current 30 s step: the app asks again
+// after expiresIn seconds.
 // ═══════════════════════════════════════════════════════
 
 router.get('/qr', authenticateClient, (req, res) => {
@@ -583,10 +884,13 @@ router.get('/qr', authenticateClient, (req, res) => {
     }
 
     const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const { code, expiresIn, period } = currentQrCode(qrToken);
 
     res.json({
-      qrToken,
-      qrUrl: `${baseUrl}/c/${qrToken}`,
+      qrToken: code,
+      qrUrl: `${baseUrl}/c/${code}`,
+      expiresIn,
+      period,
     });
   } catch (error) {
     console.error('QR error:', error);
@@ -596,69 +900,123 @@ router.get('/qr', authenticateClient, (req, res) => {
 
 
 // ═══════════════════════════════════════════════════════
-// POST /api/me/cards/:merchantId/gift — Create gift voucher
+// POST /api/me/qr/regenerate — New base token (lost phone)
+// The old static code and the referral links built on it stop working.
 // ═══════════════════════════════════════════════════════
 
-router.post('/cards/:merchantId/gift', authenticateClient, (req, res) => {
+router.post('/qr/regenerate', authenticateClient, (req, res) => {
   try {
     const endUser = endUserQueries.findById.get(req.endUserId);
     if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
     if (endUser.is_blocked) return res.status(403).json({ error: 'Compte bloqué' });
 
-    const merchantId = parseInt(req.params.merchantId);
+    const qrToken = crypto.randomBytes(8).toString('base64url');
+    endUserQueries.setQrToken.run(qrToken, endUser.id);
+    refreshClientWalletPasses(endUser.id); // new pass barcodes too
 
-    const merchant = merchantQueries.findById.get(merchantId);
-    if (!merchant || merchant.status !== 'active') {
-      return res.status(404).json({ error: 'Commerce non trouvé' });
-    }
-    if (!merchant.allow_gifts) {
-      return res.status(400).json({ error: 'Ce commerce n\'autorise pas les transferts de points' });
-    }
-
-    const mc = merchantClientQueries.find.get(merchantId, endUser.id);
-    if (!mc) return res.status(404).json({ error: 'Carte non trouvée' });
-    if (mc.points_balance <= 0) {
-      return res.status(400).json({ error: 'Aucun point à offrir' });
-    }
+    res.json({ ok: true, message: 'Nouveau QR code généré', qrToken });
+  } catch (error) {
+    console.error('QR regenerate error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
 
-    const points = mc.points_balance;
-    const token = crypto.randomBytes(16).toString('base64url');
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
 
-    const trx = db.transaction(() => {
-      db.prepare('UPDATE merchant_clients SET points_balance = 0, updated_at = datetime(\'now\') WHERE id = ?')
-        .run(mc.id);
+// ═══════════════════════════════════════════════════════
+// POST /api/me/cards/:merchantId/gift — Create gift voucher
+// { points?, recipient?, message? } — whole balance when points is
+// omitted; a recipient (email or phone) is the only one who can claim.
+// ═══════════════════════════════════════════════════════
 
-      db.prepare(`
-        INSERT INTO transactions (merchant_id, merchant_client_id, staff_id, amount, points_delta, transaction_type, notes, created_at)
-        VALUES (?, ?, NULL, NULL, ?, 'gift_out', ?, datetime('now'))
-      `).run(merchantId, mc.id, -points, `Cadeau de ${points} pts — voucher ${token.substring(0, 8)}`);
+router.post('/cards/:merchantId/gift', authenticateClient, (req, res) => {
+  try {
+    const { points, recipient, message } = req.body || {};
+    const baseUrl = getBaseUrl(req);
 
-      db.prepare(`
-        INSERT INTO point_vouchers (token, merchant_id, sender_mc_id, sender_eu_id, points, status, expires_at)
-        VALUES (?, ?, ?, ?, ?, 'pending', ?)
-      `).run(token, merchantId, mc.id, endUser.id, points, expiresAt);
+    const { gift, merchant, sender, merchantClient } = createGift({
+      merchantId: parseInt(req.params.merchantId),
+      endUserId: req.endUserId,
+      points,
+      recipient,
+      message,
+      baseUrl,
     });
 
-    trx();
-
-    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
-    const giftUrl = `${baseUrl}/app?gift=${token}`;
+    if (gift.recipient && gift.recipient.includes('@')) {
+      sendGiftReceivedEmail(gift.recipient, merchant.business_name, gift.points, sender.name, gift.message, gift.giftUrl);
+    }
 
     res.json({
       ok: true,
-      token,
-      points,
-      giftUrl,
-      expiresAt,
+      token: gift.token,
+      points: gift.points,
+      giftUrl: gift.giftUrl,
+      expiresAt: gift.expiresAt,
+      recipient: gift.recipient,
+      pointsBalance: merchantClient.points_balance,
     });
   } catch (error) {
+    const msg = error.message;
+    if (/non trouvé/.test(msg)) return res.status(404).json({ error: msg });
+    if (/bloqué/.test(msg)) return res.status(403).json({ error: msg });
+    if (/^(Ce commerce|Les points|Aucun point|Vous ne pouvez|Nombre de points|Solde insuffisant|Minimum|Maximum|Limite|Message|Email|Téléphone)/.test(msg)) {
+      return res.status(400).json({ error: msg });
+    }
     console.error('Gift create error:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
 
+// ═══════════════════════════════════════════════════════
+// POST /api/me/cards/:merchantId/vouchers — Keep a reward for later { rewardId? }
+// Points are deducted now; the voucher is redeemed at the counter.
+// ═══════════════════════════════════════════════════════
+
+router.post('/cards/:merchantId/vouchers', authenticateClient, (req, res) => {
+  try {
+    const result = issueRewardVoucher({
+      merchantId: parseInt(req.params.merchantId),
+      endUserId: req.endUserId,
+      rewardId: req.body.rewardId ? parseInt(req.body.rewardId) : null,
+    });
+
+    res.status(201).json({
+      ok: true,
+      voucher: withVoucherUrl(req, result.voucher),
+      pointsBalance: result.merchantClient.points_balance,
+    });
+  } catch (error) {
+    const msg = error.message;
+    if (/non trouvé/.test(msg)) return res.status(404).json({ error: msg });
+    if (/bloqué/.test(msg)) return res.status(403).json({ error: msg });
+    if (/insuffisant|catalogue/.test(msg)) return res.status(400).json({ error: msg });
+    console.error('Voucher create error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/me/gift-cards — Prepaid gift cards bought or received
+// (matched on the account's email/phone, any merchant)
+// ═══════════════════════════════════════════════════════
+
+router.get('/gift-cards', authenticateClient, (req, res) => {
+  try {
+    const endUser = endUserQueries.findById.get(req.endUserId);
+    if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+
+    const baseUrl = getBaseUrl(req);
+    const giftCards = getClientGiftCards(endUser).map(c => ({ ...c, qrUrl: `${baseUrl}/g/${c.code}` }));
+    res.json({ giftCards });
+  } catch (error) {
+    console.error('Gift cards error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // GET /api/me/gift/:token — Get gift voucher info
 // ═══════════════════════════════════════════════════════
@@ -666,9 +1024,10 @@ router.post('/cards/:merchantId/gift', authenticateClient, (req, res) => {
 router.get('/gift/:token', (req, res) => {
   try {
     const voucher = db.prepare(`
-      SELECT pv.*, m.business_name
+      SELECT pv.*, m.business_name, eu.name AS sender_name
       FROM point_vouchers pv
       JOIN merchants m ON pv.merchant_id = m.id
+      JOIN end_users eu ON pv.sender_eu_id = eu.id
       WHERE pv.token = ?
     `).get(req.params.token);
 
@@ -684,6 +1043,9 @@ router.get('/gift/:token', (req, res) => {
       merchantName: voucher.business_name,
       merchantId: voucher.merchant_id,
       expiresAt: voucher.expires_at,
+      senderName: voucher.sender_name || null,
+      message: voucher.message,
+      reservedFor: maskRecipient(voucher),
     });
   } catch (error) {
     console.error('Gift info error:', error);
@@ -704,6 +1066,7 @@ router.post('/gift/:token/claim', authenticateClient, (req, res) => {
 
     const voucher = db.prepare('SELECT * FROM point_vouchers WHERE token = ?').get(req.params.token);
     if (!voucher) return res.status(404).json({ error: 'Lien cadeau introuvable' });
+    if (voucher.status === 'cancelled') return res.status(400).json({ error: 'Ce cadeau a été annulé' });
     if (voucher.status !== 'pending') return res.status(400).json({ error: 'Ce cadeau a déjà été utilisé' });
     if (new Date(voucher.expires_at) < new Date()) {
       return res.status(400).json({ error: 'Ce lien cadeau a expiré' });
@@ -712,6 +1075,9 @@ router.post('/gift/:token/claim', authenticateClient, (req, res) => {
     if (voucher.sender_eu_id === endUser.id) {
       return res.status(400).json({ error: 'Vous ne pouvez pas récupérer votre propre cadeau' });
     }
+    if (!isGiftRecipient(voucher, endUser)) {
+      return res.status(403).json({ error: `Ce cadeau est réservé à ${maskRecipient(voucher)}` });
+    }
 
     let mc = merchantClientQueries.find.get(voucher.merchant_id, endUser.id);
     if (!mc) {
@@ -739,6 +1105,7 @@ router.post('/gift/:token/claim', authenticateClient, (req, res) => {
     });
 
     trx();
+    refreshWalletPasses(mc.id);
 
     res.json({
       ok: true,
@@ -752,6 +1119,30 @@ router.post('/gift/:token/claim', authenticateClient, (req, res) => {
 });
 
 
+// ═══════════════════════════════════════════════════════
+// POST /api/me/gift/:token/cancel — Sender takes back an unclaimed gift
+// ═══════════════════════════════════════════════════════
+
+router.post('/gift/:token/cancel', authenticateClient, (req, res) => {
+  try {
+    const result = cancelGift({ token: req.params.token, endUserId: req.endUserId });
+
+    res.json({
+      ok: true,
+      points: result.points,
+      merchantId: result.merchantId,
+      pointsBalance: result.merchantClient.points_balance,
+    });
+  } catch (error) {
+    const msg = error.message;
+    if (/non trouvé/.test(msg)) return res.status(404).json({ error: msg });
+    if (/^Ce cadeau/.test(msg)) return res.status(400).json({ error: msg });
+    console.error('Gift cancel error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // PUT /api/me/cards/:merchantId/favorite — Toggle favorite
 // ═══════════════════════════════════════════════════════
@@ -867,14 +1258,23 @@ router.delete('/account', authenticateClient, async (req, res) => {
         email_lower = ?,
         phone = NULL,
         phone_e164 = NULL,
+        phone_validated = 0,
         date_of_birth = NULL,
         pin_hash = NULL,
+        pin_reset_hash = NULL,
+        pin_reset_expires = NULL,
         qr_token = NULL,
         deleted_at = datetime('now'),
         updated_at = datetime('now')
       WHERE id = ?
     `).run(anonName, anonEmail, anonEmail.toLowerCase(), endUser.id);
 
+    // Wallet passes carry the name and the QR code: the devices get 401 and void them
+    for (const pass of walletQueries.findByEndUser.all(endUser.id)) {
+      walletQueries.deleteRegistrationsByMerchantClient.run(pass.merchant_client_id);
+      walletQueries.deleteByMerchantClient.run(pass.merchant_client_id);
+    }
+
     // Clear JWT cookie
     res.clearCookie('fiddo_jwt', { path: '/', httpOnly: true, secure: true, sameSite: 'lax' });
 
@@ -1,11 +1,20 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { db, merchantQueries, merchantClientQueries, transactionQueries, endUserQueries, aliasQueries, voucherQueries } = require('../database');
+const { db, merchantQueries, staffQueries, merchantClientQueries, transactionQueries, endUserQueries, aliasQueries, voucherQueries, programQueries, birthdayVoucherQueries, creditReviewQueries, rewardVoucherQueries, walletQueries } = require('../database');
 const { authenticateStaff, requireRole } = require('../middleware/auth');
 const { logAudit, auditCtx } = require('../middleware/audit');
-const { creditPoints, redeemReward, adjustPoints } = require('../services/points');
+const { creditPoints, getClientRewards, redeemReward, adjustPoints, voidTransaction } = require('../services/points');
+const { getClientTier } = require('../services/tiers');
+const { getClientPrograms } = require('../services/programs');
+const { getActiveBirthdayVoucher, redeemBirthdayVoucher } = require('../services/birthdays');
+const { withGroupBalance } = require('../services/groups');
+const { CASHIER_MAX_AMOUNT, reviewCredit } = require('../services/fraud');
+const { VISIT_RULE_PREFIX } = require('../services/visits');
+const { findUsableVoucher, redeemRewardVoucher } = require('../services/vouchers');
+const { getReceipt, renderReceiptPdf, receiptFilename } = require('../services/receipts');
+const { publish } = require('../services/events');
 const { sendPointsCreditedEmail, sendPinChangedEmail, sendExportEmail } = require('../services/email');
-const { normalizeEmail, canonicalizeEmail, normalizePhone } = require('../services/normalizer');
+const { normalizeEmail, canonicalizeEmail, normalizePhone, phoneSearchDigits } = require('../services/normalizer');
 const { resolvePinToken, resolveQrVerifyToken } = require('./qr');
 
 const router = express.Router();
@@ -27,7 +36,8 @@ router.get('/quick-search', (req, res) => {
 
     // Scoped to merchant's own clients only (privacy: no cross-merchant data)
     if (mode === 'phone') {
-      const digits = q.replace(/[^\d]/g, '');
+      // Same rules as normalizePhone: 0032… / +33… / local 04… under the merchant's country
+      const digits = phoneSearchDigits(q, merchantQueries.findById.get(merchantId).phone_country);
       if (digits.length < 3) return res.json({ results: [] });
       endUsers = db.prepare(`
         SELECT eu.id, eu.email, eu.phone, eu.phone_e164, eu.name, mc.id as mc_id,
@@ -90,9 +100,12 @@ router.get('/recent-activity', requireRole('owner', 'manager'), (req, res) => {
       ORDER BY t.created_at DESC LIMIT ?
     `).all(merchantId, limit);
 
+    // Cheapest reward in the catalogue (or legacy threshold)
+    const minCost = Math.min(...getClientRewards(merchant, null).map(r => r.pointsCost));
+
     const transactions = rows.map(r => ({
       ...r,
-      can_redeem: r.current_balance >= merchant.points_for_reward,
+      can_redeem: r.current_balance >= minCost,
       has_custom_reward: !!r.custom_reward,
     }));
 
@@ -154,9 +167,13 @@ router.post('/credit', async (req, res) => {
   try {
     const merchantId = req.staff.merchant_id;
     const staffId = req.staff.id;
-    const { email, phone, name, amount, notes, idempotencyKey, pin, pinToken } = req.body;
+    const { email, phone, name, amount, notes, idempotencyKey, pin, pinToken, programIds, referralCode, promoCode, overrideVisitRules, registerId } = req.body;
 
     if (!email && !phone) return res.status(400).json({ error: 'Email ou téléphone requis' });
+    if (programIds !== undefined && (!Array.isArray(programIds) || programIds.some(id => !Number.isInteger(Number(id))))) {
+      return res.status(400).json({ error: 'Cartes de fidélité invalides' });
+    }
+    if (registerId && !Number.isInteger(Number(registerId))) return res.status(400).json({ error: 'Caisse invalide' });
 
     // Check loyalty mode — visits don't require amount
     const merchant = merchantQueries.findById.get(merchantId);
@@ -164,7 +181,16 @@ router.post('/credit', async (req, res) => {
 
     if (!isVisits) {
       if (!amount || parseFloat(amount) <= 0) return res.status(400).json({ error: 'Montant invalide' });
-      if (req.staff.role === 'cashier' && parseFloat(amount) > 200) return res.status(403).json({ error: 'Max 200€ pour un caissier' });
+      if (req.staff.role === 'cashier' && parseFloat(amount) > CASHIER_MAX_AMOUNT) {
+        return res.status(403).json({ error: `Max ${CASHIER_MAX_AMOUNT}€ pour un caissier` });
+      }
+    }
+
+    // Visits mode: the amount is optional, used by the minimum purchase and large basket rules
+    const visitAmount = isVisits && amount !== undefined && amount !== null && amount !== '' ? parseFloat(amount) : 0;
+    if (isVisits && (isNaN(visitAmount) || visitAmount < 0)) return res.status(400).json({ error: 'Montant invalide' });
+    if (overrideVisitRules && !['owner', 'manager'].includes(req.staff.role)) {
+      return res.status(403).json({ error: 'Seul un responsable peut forcer un passage' });
     }
 
     // Input length limits
@@ -172,14 +198,21 @@ router.post('/credit', async (req, res) => {
     if (phone && phone.length > 20) return res.status(400).json({ error: 'Téléphone trop long (max 20)' });
     if (name && name.length > 100) return res.status(400).json({ error: 'Nom trop long (max 100)' });
     if (notes && notes.length > 500) return res.status(400).json({ error: 'Notes trop longues (max 500)' });
+    if (referralCode && (typeof referralCode !== 'string' || referralCode.length > 64)) {
+      return res.status(400).json({ error: 'Code de parrainage invalide' });
+    }
+    if (promoCode && (typeof promoCode !== 'string' || promoCode.length > 32)) {
+      return res.status(400).json({ error: 'Code promo invalide' });
+    }
 
     // Resolve pinToken server-side (from QR registration) or hash PIN from manual input
     const pinHash = resolvePinToken(pinToken) || (pin ? await bcrypt.hash(pin, 10) : null);
 
     const result = creditPoints({
       merchantId, staffId, email: email || null, phone: phone || null, name: name || null,
-      amount: isVisits ? 0 : parseFloat(amount), notes: notes || null, idempotencyKey: idempotencyKey || null, source: 'manual',
-      pinHash,
+      amount: isVisits ? visitAmount : parseFloat(amount), notes: notes || null, idempotencyKey: idempotencyKey || null, source: 'manual',
+      pinHash, programIds: programIds || [], referralCode: referralCode || null, promoCode: promoCode || null, overrideVisitRules: !!overrideVisitRules,
+      registerId: registerId ? parseInt(registerId) : null,
     });
 
     // merchant already fetched above for loyalty_mode check
@@ -187,7 +220,40 @@ router.post('/credit', async (req, res) => {
     if (!result.idempotent) {
       logAudit({ ...auditCtx(req), actorType: 'staff', actorId: staffId, merchantId, action: 'points_credited',
         targetType: 'merchant_client', targetId: result.merchantClient.id,
-        details: { amount: parseFloat(amount), pointsDelta: result.transaction.points_delta, isNewClient: result.isNewClient } });
+        details: { amount: isVisits ? visitAmount : parseFloat(amount), pointsDelta: result.transaction.points_delta, isNewClient: result.isNewClient,
+          campaignId: result.transaction.campaign_id || undefined,
+          promoCode: result.transaction.promo_code || undefined,
+          registerId: result.transaction.register_id || undefined,
+          programIds: result.stamps.length > 0 ? result.stamps.map(p => p.id) : undefined,
+          referral: result.referral || undefined } });
+
+      if (result.visitRuleOverrides.length > 0) {
+        logAudit({ ...auditCtx(req), actorType: 'staff', actorId: staffId, merchantId, action: 'visit_rules_overridden',
+          targetType: 'transaction', targetId: result.transaction.id,
+          details: { rules: result.visitRuleOverrides, amount: visitAmount, merchantClientId: result.merchantClient.id } });
+      }
+
+      // Anti-fraud scoring: suspicious credits go to the owner's review queue
+      try {
+        const review = reviewCredit({
+          merchant, staff: req.staff, merchantClientId: result.merchantClient.id,
+          transactionId: result.transaction.id, amount: isVisits ? visitAmount : parseFloat(amount),
+        });
+        for (const flag of review ? review.flags : []) {
+          logAudit({ ...auditCtx(req), actorType: 'system', merchantId, action: 'credit_flagged',
+            targetType: 'transaction', targetId: result.transaction.id,
+            details: { rule: flag.rule, detail: flag.detail, score: review.score, reviewId: review.id, staffId } });
+        }
+      } catch (e) {
+        console.error('Erreur contrôle anti-fraude:', e);
+      }
+
+      // Colleagues' screens (credit feed, dashboards)
+      publish(merchantId, 'credit', {
+        transactionId: result.transaction.id, staffId, staffName: staffQueries.findById.get(staffId)?.display_name || null,
+        clientName: result.endUser.name || null, amount: isVisits ? visitAmount : parseFloat(amount),
+        pointsDelta: result.transaction.points_delta, registerId: result.transaction.register_id || null,
+      });
 
       if (result.isNewClient && result.endUser.email) {
         // No validation email needed — client consented by providing their email
@@ -198,7 +264,8 @@ router.post('/credit', async (req, res) => {
           merchant.business_name, { points_for_reward: merchant.points_for_reward, reward_description: merchant.reward_description });
     }
 
-    const canRedeem = result.merchantClient.points_balance >= merchant.points_for_reward;
+    const rewards = getClientRewards(merchant, result.merchantClient);
+    const canRedeem = rewards.some(r => r.canAfford);
 
     res.json({
       message: result.isNewClient ? 'Nouveau client créé et points crédités' : 'Points crédités',
@@ -207,34 +274,50 @@ router.post('/credit', async (req, res) => {
         total_spent: result.merchantClient.total_spent, visit_count: result.merchantClient.visit_count,
         can_redeem: canRedeem, reward_threshold: merchant.points_for_reward,
         reward_description: result.merchantClient.custom_reward || merchant.reward_description,
-        date_of_birth: result.endUser.date_of_birth },
-      transaction: { amount: isVisits ? 0 : parseFloat(amount), points_delta: result.transaction.points_delta },
+        date_of_birth: result.endUser.date_of_birth, tier: getClientTier(result.merchantClient) },
+      transaction: { id: result.transaction.id, amount: isVisits ? visitAmount : parseFloat(amount), points_delta: result.transaction.points_delta,
+        campaign_id: result.transaction.campaign_id || null, campaign_bonus: result.transaction.campaign_bonus || 0,
+        promo_code: result.transaction.promo_code || null, promo_bonus: result.transaction.promo_bonus || 0,
+        register_id: result.transaction.register_id || null },
+      rewards,
+      stamps: result.stamps || [],
+      programs: getClientPrograms(merchantId, result.merchantClient.id),
+      referral: result.referral || null,
+      referralError: result.referralError || null,
+      promoError: result.promoError || null,
       isNewClient: result.isNewClient,
       loyaltyMode: isVisits ? 'visits' : 'points',
-      birthdayGift: merchant.birthday_gift_enabled ? (merchant.birthday_gift_description || null) : null,
+      birthdayVoucher: getActiveBirthdayVoucher(result.merchantClient.id),
     });
   } catch (error) {
     console.error('Erreur crédit:', error);
-    res.status(error.message.includes('bloqué') ? 403 : 500).json({ error: error.message });
+    const msg = error.message;
+    if (msg.startsWith(VISIT_RULE_PREFIX)) {
+      return res.status(409).json({ error: msg, visitRule: true, canOverride: ['owner', 'manager'].includes(req.staff.role) });
+    }
+    res.status(msg.includes('bloqué') ? 403 : msg.includes('non trouvée') ? 404 : msg.includes('invalide') ? 400 : 500).json({ error: msg });
   }
 });
 
 router.post('/reward', async (req, res) => {
   try {
     const merchantId = req.staff.merchant_id;
-    const { merchantClientId, notes, idempotencyKey, pin, qrVerifyToken } = req.body;
+    const { merchantClientId, rewardId, programId, notes, idempotencyKey, pin, qrVerifyToken, registerId, identifiedBy } = req.body;
     if (!merchantClientId) return res.status(400).json({ error: 'ID client requis' });
+    if (registerId && !Number.isInteger(Number(registerId))) return res.status(400).json({ error: 'Caisse invalide' });
 
-    // Resolve QR verify token server-side (never trust a boolean from client)
-    const qrVerified = resolveQrVerifyToken(qrVerifyToken);
+    // Resolve QR verify token server-side (never trust a boolean from client),
+    // only for the client it was issued for
+    const card = merchantClientQueries.findByIdAndMerchant.get(parseInt(merchantClientId), merchantId);
+    const qrVerified = resolveQrVerifyToken(qrVerifyToken, merchantId, card && endUserQueries.findById.get(card.end_user_id));
 
-    const result = await redeemReward({ merchantId, merchantClientId: parseInt(merchantClientId), staffId: req.staff.id, notes: notes || null, idempotencyKey: idempotencyKey || null, pin: pin || null, qrVerified });
-    if (!result.idempotent) logAudit({ ...auditCtx(req), actorType: 'staff', actorId: req.staff.id, merchantId, action: 'reward_redeemed', targetType: 'merchant_client', targetId: parseInt(merchantClientId), details: { pointsDelta: result.transaction.points_delta, qrVerified } });
+    const result = await redeemReward({ merchantId, merchantClientId: parseInt(merchantClientId), rewardId: rewardId ? parseInt(rewardId) : null, programId: programId ? parseInt(programId) : null, staffId: req.staff.id, notes: notes || null, idempotencyKey: idempotencyKey || null, pin: pin || null, qrVerified, registerId: registerId ? parseInt(registerId) : null, identifiedBy: identifiedBy === 'phone' ? 'phone' : null });
+    if (!result.idempotent) logAudit({ ...auditCtx(req), actorType: 'staff', actorId: req.staff.id, merchantId, action: 'reward_redeemed', targetType: 'merchant_client', targetId: parseInt(merchantClientId), details: { pointsDelta: result.transaction.points_delta, rewardId: result.transaction.reward_id || null, programId: result.transaction.program_id || null, registerId: result.transaction.register_id || undefined, qrVerified } });
     res.json({ message: 'Récompense appliquée', client: result.merchantClient, transaction: result.transaction, rewardLabel: result.rewardLabel || null });
   } catch (error) {
     console.error('Erreur reward:', error);
     const msg = error.message;
-    const status = msg.includes('insuffisant') ? 400 : msg.includes('PIN') ? 403 : 500;
+    const status = msg.includes('insuffisant') || msg.includes('catalogue') ? 400 : msg.startsWith('Trop de tentatives') ? 429 : msg.includes('PIN') || msg.includes('non vérifié') ? 403 : msg.includes('non trouvé') ? 404 : 500;
     res.status(status).json({ error: msg });
   }
 });
@@ -252,6 +335,100 @@ router.post('/adjust', requireRole('owner', 'manager'), (req, res) => {
 });
 
 
+// ═══════════════════════════════════════════════════════
+// POST /api/clients/void — Cancel a credit with a linked reversal
+// Cashiers: own credits within VOID_WINDOW_MINUTES (checked in service)
+// ═══════════════════════════════════════════════════════
+
+router.post('/void', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const { transactionId, reason } = req.body;
+    if (!transactionId) return res.status(400).json({ error: 'ID transaction requis' });
+    if (reason && reason.length > 500) return res.status(400).json({ error: 'Raison trop longue (max 500)' });
+
+    const result = voidTransaction({ merchantId, transactionId: parseInt(transactionId), staff: req.staff, reason: reason || '' });
+    logAudit({ ...auditCtx(req), actorType: 'staff', actorId: req.staff.id, merchantId, action: 'transaction_voided',
+      targetType: 'transaction', targetId: parseInt(transactionId),
+      details: { merchantClientId: result.merchantClient.id, pointsDelta: result.transaction.points_delta, reversalId: result.transaction.id, reason: reason || null } });
+    res.json({ message: 'Crédit annulé', client: result.merchantClient, transaction: result.transaction });
+  } catch (error) {
+    console.error('Erreur annulation:', error);
+    const msg = error.message;
+    const status = msg.includes('non trouvée') ? 404 : msg.includes('déjà annulée') ? 409
+      : (msg.includes('propres') || msg.includes('Délai')) ? 403 : 400;
+    res.status(status).json({ error: msg });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/clients/birthday-voucher — Redeem the client's birthday gift
+// One voucher per birthday, issued by the scheduler (see services/birthdays.js)
+// ═══════════════════════════════════════════════════════
+
+router.post('/birthday-voucher', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const { merchantClientId } = req.body;
+    if (!merchantClientId) return res.status(400).json({ error: 'ID client requis' });
+
+    const result = redeemBirthdayVoucher({ merchantId, merchantClientId: parseInt(merchantClientId), staffId: req.staff.id });
+    logAudit({ ...auditCtx(req), actorType: 'staff', actorId: req.staff.id, merchantId, action: 'birthday_voucher_redeemed',
+      targetType: 'merchant_client', targetId: result.merchantClient.id,
+      details: { voucherId: result.voucher.id, transactionId: result.transaction.id, description: result.voucher.description } });
+    res.json({ message: 'Cadeau d\'anniversaire remis', voucher: result.voucher, transaction: result.transaction });
+  } catch (error) {
+    console.error('Erreur cadeau anniversaire:', error);
+    const msg = error.message;
+    const status = msg.includes('non trouvé') ? 404 : msg.includes('bloqué') ? 403 : msg.includes('Aucun cadeau') || msg.includes('déjà utilisé') ? 409 : 500;
+    res.status(status).json({ error: status === 500 ? 'Erreur serveur' : msg });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/clients/vouchers/:code — Reward voucher scanned at the counter
+// POST /api/clients/vouchers/:code/redeem — Apply it (see services/vouchers.js)
+// ═══════════════════════════════════════════════════════
+
+const voucherErrorStatus = (msg) => (msg.includes('non trouvé') ? 404 : msg.includes('bloqué') ? 403
+  : msg.includes('déjà utilisé') || msg.includes('expiré') ? 409 : 500);
+
+router.get('/vouchers/:code', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const voucher = findUsableVoucher(merchantId, req.params.code);
+    const mc = merchantClientQueries.findByIdAndMerchant.get(voucher.merchant_client_id, merchantId);
+    const eu = endUserQueries.findById.get(mc.end_user_id);
+
+    res.json({
+      voucher: { id: voucher.id, code: voucher.code, description: voucher.description, expiresAt: voucher.expires_at },
+      client: { id: mc.id, name: eu.name, email: eu.email, phone: eu.phone },
+    });
+  } catch (error) {
+    const status = voucherErrorStatus(error.message);
+    if (status === 500) console.error('Erreur lecture bon:', error);
+    res.status(status).json({ error: status === 500 ? 'Erreur serveur' : error.message });
+  }
+});
+
+router.post('/vouchers/:code/redeem', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const result = redeemRewardVoucher({ merchantId, code: req.params.code, staffId: req.staff.id });
+    logAudit({ ...auditCtx(req), actorType: 'staff', actorId: req.staff.id, merchantId, action: 'reward_voucher_redeemed',
+      targetType: 'merchant_client', targetId: result.merchantClient.id,
+      details: { voucherId: result.voucher.id, code: result.voucher.code, transactionId: result.transaction.id, description: result.voucher.description } });
+    res.json({ message: 'Bon utilisé : ' + result.voucher.description, voucher: result.voucher, transaction: result.transaction });
+  } catch (error) {
+    const status = voucherErrorStatus(error.message);
+    if (status === 500) console.error('Erreur bon de récompense:', error);
+    res.status(status).json({ error: status === 500 ? 'Erreur serveur' : error.message });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // PUT /api/clients/:id/edit — Edit client info (owner/manager)
 // ═══════════════════════════════════════════════════════
@@ -427,9 +604,21 @@ router.delete('/:id', requireRole('owner'), (req, res) => {
       // Detach as claimer on vouchers sent by others (FK: claimer_mc_id nullable)
       voucherQueries.nullifyClaimer.run(mcId);
 
+      // Birthday/reward vouchers and credit reviews (FK: merchant_client_id, transaction_id)
+      birthdayVoucherQueries.deleteByMerchantClient.run(mcId);
+      rewardVoucherQueries.deleteByMerchantClient.run(mcId);
+      creditReviewQueries.deleteByMerchantClient.run(mcId);
+
       // Delete transactions (FK: merchant_client_id NOT NULL REFERENCES merchant_clients)
       db.prepare('DELETE FROM transactions WHERE merchant_client_id = ?').run(mcId);
 
+      // Stamp card balances (FK: merchant_client_id)
+      programQueries.deleteByMerchantClient.run(mcId);
+
+      // Wallet pass and its device registrations (FK: merchant_client_id)
+      walletQueries.deleteRegistrationsByMerchantClient.run(mcId);
+      walletQueries.deleteByMerchantClient.run(mcId);
+
       // Now safe to delete the merchant_client record
       merchantClientQueries.delete.run(mcId);
 
@@ -483,10 +672,11 @@ router.get('/near-duplicates', requireRole('owner', 'manager'), (req, res) => {
     if (!email && !phone) return res.json({ matches: [] });
 
     const matches = [];
+    const merchant = merchantQueries.findById.get(merchantId);
 
     // Phone: match on last 7 digits (catches typos, format differences)
     if (phone) {
-      const e164 = normalizePhone(phone);
+      const e164 = normalizePhone(phone, merchant.phone_country);
       if (e164) {
         const digits = e164.replace(/\D/g, '');
         if (digits.length >= 7) {
@@ -557,7 +747,8 @@ router.get('/lookup', (req, res) => {
     const merchantId = req.staff.merchant_id;
     const { email, phone } = req.query;
     if (!email && !phone) return res.status(400).json({ error: 'Email ou téléphone requis' });
-    const emailLower = normalizeEmail(email); const phoneE164 = normalizePhone(phone);
+    const merchant = merchantQueries.findById.get(merchantId);
+    const emailLower = normalizeEmail(email); const phoneE164 = normalizePhone(phone, merchant.phone_country);
     let endUser = null;
     let foundVia = null;
     if (emailLower) { endUser = endUserQueries.findByEmailLower.get(emailLower); if (endUser) foundVia = 'email'; }
@@ -568,8 +759,8 @@ router.get('/lookup', (req, res) => {
     const mc = merchantClientQueries.find.get(merchantId, endUser.id);
 
     if (!mc) return res.json({ found: true, isNew: true, client: { name: endUser.name, email: endUser.email, phone: endUser.phone } });
-    const merchant = merchantQueries.findById.get(merchantId);
-    res.json({ found: true, isNew: false, client: { id: mc.id, name: endUser.name, email: endUser.email, phone: endUser.phone, points_balance: mc.points_balance, visit_count: mc.visit_count, is_blocked: mc.is_blocked, reward_threshold: merchant.points_for_reward, reward_description: mc.custom_reward || merchant.reward_description, custom_reward: mc.custom_reward || null, can_redeem: mc.points_balance >= merchant.points_for_reward, has_pin: !!endUser.pin_hash } });
+    const rewards = getClientRewards(merchant, mc);
+    res.json({ found: true, isNew: false, client: { id: mc.id, name: endUser.name, email: endUser.email, phone: endUser.phone, points_balance: withGroupBalance(merchant, mc).points_balance, visit_count: mc.visit_count, is_blocked: mc.is_blocked, reward_threshold: merchant.points_for_reward, reward_description: mc.custom_reward || merchant.reward_description, custom_reward: mc.custom_reward || null, can_redeem: rewards.some(r => r.canAfford), has_pin: !!endUser.pin_hash, phone_validated: !!endUser.phone_validated, tier: getClientTier(mc) }, rewards, programs: getClientPrograms(merchantId, mc.id), birthdayVoucher: getActiveBirthdayVoucher(mc.id) });
   } catch (error) { res.status(500).json({ error: 'Erreur' }); }
 });
 
@@ -598,7 +789,7 @@ router.get('/search-global', requireRole('owner', 'manager'), (req, res) => {
 
     const term = `%${q.toLowerCase()}%`;
     // Also search with digits-only for phone matching (0497 → 497 matches +32497...)
-    const digits = q.replace(/[^\d]/g, '');
+    const digits = phoneSearchDigits(q, merchantQueries.findById.get(merchantId).phone_country);
     const phoneTerm = digits.length >= 2 ? `%${digits}%` : term;
     const endUsers = endUserQueries.search.all(term, phoneTerm, term, term);
 
@@ -665,17 +856,54 @@ router.get('/:id', requireRole('owner', 'manager'), (req, res) => {
     const eu = endUserQueries.findById.get(mc.end_user_id);
     const txs = transactionQueries.getByMerchantClient.all(mc.id);
     const m = merchantQueries.findById.get(req.staff.merchant_id);
+    const rewards = getClientRewards(m, mc);
     // Read directly from end_users (merchant can no longer override identifiers)
     res.json({
-      client: { ...mc, email: eu?.email, phone: eu?.phone, name: eu?.name, email_validated: eu?.email_validated,
+      client: { ...withGroupBalance(m, mc), email: eu?.email, phone: eu?.phone, name: eu?.name, email_validated: eu?.email_validated,
         reward_threshold: m.points_for_reward, reward_description: mc.custom_reward || m.reward_description,
         custom_reward: mc.custom_reward || null, default_reward: m.reward_description,
-        can_redeem: mc.points_balance >= m.points_for_reward, has_pin: !!eu?.pin_hash },
+        can_redeem: rewards.some(r => r.canAfford), has_pin: !!eu?.pin_hash, phone_validated: !!eu?.phone_validated, tier: getClientTier(mc) },
+      rewards,
+      programs: getClientPrograms(req.staff.merchant_id, mc.id),
       transactions: txs,
     });
   } catch (error) { res.status(500).json({ error: 'Erreur serveur' }); }
 });
 
+// ═══════════════════════════════════════════════════════
+// GET /api/clients/:id/transactions/:txId/receipt — PDF receipt (owner/manager)
+// Printed for a client disputing a balance
+// ═══════════════════════════════════════════════════════
+
+router.get('/:id/transactions/:txId/receipt', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const mc = merchantClientQueries.findByIdAndMerchant.get(parseInt(req.params.id), merchantId);
+    if (!mc) return res.status(404).json({ error: 'Client non trouvé' });
+
+    const receipt = getReceipt(mc.id, parseInt(req.params.txId));
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'receipt_downloaded',
+      targetType: 'merchant_client',
+      targetId: mc.id,
+      details: { transactionId: parseInt(req.params.txId), number: receipt.number },
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${receiptFilename(receipt)}"`);
+    res.send(renderReceiptPdf(receipt));
+  } catch (error) {
+    if (error.message === 'Transaction non trouvée') return res.status(404).json({ error: error.message });
+    console.error('Erreur reçu:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════
 // PUT /api/clients/:id/custom-reward — Set custom reward (owner/manager)
 // ═══════════════════════════════════════════════════════
@@ -760,9 +988,9 @@ router.post('/:id/pin', requireRole('owner', 'manager'), async (req, res) => {
       targetId: eu.id,
     });
 
-    // Fire-and-forget: notify client by email if validated
-    if (eu.email && eu.email_validated) {
-      const merchant = merchantQueries.findById.get(merchantId);
+    // Fire-and-forget: notify client by email if validated, unless the merchant turned it off
+    const merchant = merchantQueries.findById.get(merchantId);
+    if (eu.email && eu.email_validated && merchant.pin_change_email) {
       sendPinChangedEmail(eu.email, merchant.business_name);
     }
 
@@ -1,6 +1,7 @@
 const express = require('express');
-const { db } = require('../database');
+const { db, merchantQueries, campaignQueries, promoCodeQueries, referralQueries, registerQueries } = require('../database');
 const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { getSettlement } = require('../services/groups');
 
 const router = express.Router();
 router.use(authenticateStaff);
@@ -40,13 +41,13 @@ router.get('/stats', (req, res) => {
     // ── Visits (credit transactions = 1 visit each) ──
     const visits = db.prepare(`
       SELECT COUNT(*) as c FROM transactions t
-      WHERE t.merchant_id = ? AND t.transaction_type = 'credit' ${txDateClause}
+      WHERE t.merchant_id = ? AND t.transaction_type = 'credit' AND t.voided_at IS NULL ${txDateClause}
     `).get(...txParams).c;
 
     // ── Points distributed (sum of positive deltas from credits) ──
     const pointsOut = db.prepare(`
       SELECT COALESCE(SUM(t.points_delta), 0) as s FROM transactions t
-      WHERE t.merchant_id = ? AND t.transaction_type = 'credit' ${txDateClause}
+      WHERE t.merchant_id = ? AND t.transaction_type = 'credit' AND t.voided_at IS NULL ${txDateClause}
     `).get(...txParams).s;
 
     // ── Rewards given ──
@@ -58,7 +59,7 @@ router.get('/stats', (req, res) => {
     // ── Points redeemed (absolute value of reward deltas) ──
     const pointsRedeemed = db.prepare(`
       SELECT COALESCE(SUM(ABS(t.points_delta)), 0) as s FROM transactions t
-      WHERE t.merchant_id = ? AND t.transaction_type = 'reward' ${txDateClause}
+      WHERE t.merchant_id = ? AND t.transaction_type = 'reward' AND t.program_id IS NULL ${txDateClause}
     `).get(...txParams).s;
 
     // ── New clients (merchant_clients created in period) ──
@@ -124,7 +125,7 @@ router.get('/stats', (req, res) => {
 // ═══════════════════════════════════════════════════════
 // GET /api/dashboard/activity?type=&from=&to=&limit=&offset=
 // Transaction feed with filtering + pagination.
-// type: credit|reward|adjustment|merge (optional)
+// type: credit|reward|adjustment|merge|gift|expiry|reversal|stamp|referral|birthday|voucher (optional)
 // limit=0 → count only (no rows returned)
 // ═══════════════════════════════════════════════════════
 
@@ -141,10 +142,13 @@ router.get('/activity', (req, res) => {
     let where = 'WHERE t.merchant_id = ?';
     const params = [mid];
 
-    if (type && ['credit', 'reward', 'adjustment', 'merge', 'gift_out', 'gift_in', 'gift_refund', 'gift'].includes(type)) {
+    if (type && ['credit', 'reward', 'adjustment', 'merge', 'gift_out', 'gift_in', 'gift_refund', 'gift', 'expiry', 'reversal', 'stamp', 'referral', 'birthday', 'voucher'].includes(type)) {
       if (type === 'gift') {
         where += ' AND t.transaction_type IN (?, ?, ?)';
         params.push('gift_out', 'gift_in', 'gift_refund');
+      } else if (type === 'voucher') {
+        where += ' AND t.transaction_type IN (?, ?)';
+        params.push('voucher', 'voucher_redeem');
       } else {
         where += ' AND t.transaction_type = ?';
         params.push(type);
@@ -172,7 +176,7 @@ router.get('/activity', (req, res) => {
     // Fetch page
     const rows = db.prepare(`
       SELECT t.id, t.amount, t.points_delta, t.transaction_type, t.source, t.notes, t.created_at,
-             t.merchant_client_id,
+             t.merchant_client_id, t.voided_at, t.reverses_id,
              CASE WHEN mc.local_email IS NULL THEN eu.email WHEN mc.local_email = '' THEN NULL ELSE mc.local_email END AS client_email,
              CASE WHEN mc.local_phone IS NULL THEN eu.phone WHEN mc.local_phone = '' THEN NULL ELSE mc.local_phone END AS client_phone,
              eu.name AS client_name,
@@ -225,6 +229,147 @@ router.get('/activity', (req, res) => {
 });
 
 
+// ═══════════════════════════════════════════════════════
+// GET /api/dashboard/campaigns — Bonus points generated per campaign
+// ═══════════════════════════════════════════════════════
+
+router.get('/campaigns', (req, res) => {
+  try {
+    const campaigns = campaignQueries.stats.all(req.staff.merchant_id);
+    const totalBonus = campaigns.reduce((sum, c) => sum + c.bonus_points, 0);
+    res.json({ campaigns, totalBonus });
+  } catch (error) {
+    console.error('Campaigns stats error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/dashboard/promo-codes — Redemptions per promo code
+// ═══════════════════════════════════════════════════════
+
+router.get('/promo-codes', (req, res) => {
+  try {
+    const promoCodes = promoCodeQueries.stats.all(req.staff.merchant_id);
+    const totalRedemptions = promoCodes.reduce((sum, p) => sum + p.redemptions, 0);
+    res.json({ promoCodes, totalRedemptions });
+  } catch (error) {
+    console.error('Promo codes stats error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/dashboard/registers?from=&to= — Credits and rewards per register
+// Same period format as /stats. Current registers without activity
+// are listed with zeros
+// ═══════════════════════════════════════════════════════
+
+router.get('/registers', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+
+    const rows = new Map(registerQueries.stats.all(merchantId, from, from, to, to).map(r => [r.register_id, r]));
+    const empty = { credits: 0, amount: 0, points: 0, rewards: 0, clients: 0 };
+    const toStats = (r) => ({
+      credits: r.credits, amount: Math.round(r.amount * 100) / 100, points: r.points, rewards: r.rewards, clients: r.clients,
+    });
+
+    const registers = registerQueries.getByMerchant.all(merchantId).map(r => ({
+      id: r.id, name: r.name, active: true, ...(rows.has(r.id) ? toStats(rows.get(r.id)) : empty),
+    }));
+    // Deleted registers keep their history
+    for (const r of rows.values()) {
+      if (r.register_id !== null && !r.is_active) registers.push({ id: r.register_id, name: r.name, active: false, ...toStats(r) });
+    }
+
+    res.json({
+      period: { from, to },
+      registers,
+      unassigned: rows.has(null) ? toStats(rows.get(null)) : empty,
+    });
+  } catch (error) {
+    console.error('Registers stats error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/dashboard/referrals?from=&to= — Referrals report
+// ═══════════════════════════════════════════════════════
+
+router.get('/referrals', (req, res) => {
+  try {
+    const referrals = referralQueries.getByMerchant.all(
+      req.staff.merchant_id, req.query.from || '0000-00-00', req.query.to || '9999-12-31'
+    );
+
+    const summary = { total: referrals.length, pending: 0, completed: 0, pointsAwarded: 0 };
+    const byReferrer = new Map();
+    for (const r of referrals) {
+      summary[r.status]++;
+      summary.pointsAwarded += r.referrer_bonus + r.referee_bonus;
+
+      const top = byReferrer.get(r.referrer_id) || {
+        id: r.referrer_id, name: r.referrer_name || r.referrer_email || r.referrer_phone, referrals: 0, completed: 0,
+      };
+      top.referrals++;
+      if (r.status === 'completed') top.completed++;
+      byReferrer.set(r.referrer_id, top);
+    }
+
+    const topReferrers = [...byReferrer.values()]
+      .sort((a, b) => b.completed - a.completed || b.referrals - a.referrals)
+      .slice(0, 10);
+
+    res.json({
+      summary,
+      topReferrers,
+      referrals: referrals.slice(0, 100).map(r => ({
+        id: r.id,
+        status: r.status,
+        source: r.source,
+        referrer: r.referrer_name || r.referrer_email || r.referrer_phone,
+        referee: r.referee_name || r.referee_email || r.referee_phone,
+        referrerBonus: r.referrer_bonus,
+        refereeBonus: r.referee_bonus,
+        createdAt: r.created_at,
+        completedAt: r.completed_at,
+      })),
+    });
+  } catch (error) {
+    console.error('Referrals report error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/dashboard/group-settlement?from=&to=
+// Coalition report: points issued vs redeemed by each member shop
+// ═══════════════════════════════════════════════════════
+
+router.get('/group-settlement', (req, res) => {
+  try {
+    const merchant = merchantQueries.findById.get(req.staff.merchant_id);
+    if (!merchant.group_id) return res.json({ group: null });
+
+    res.json({
+      ...getSettlement(merchant.group_id, { from: req.query.from || null, to: req.query.to || null }),
+      merchantId: merchant.id,
+    });
+  } catch (error) {
+    console.error('Group settlement error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // GET /api/dashboard/birthdays — Upcoming birthdays (next 7 days)
 // ═══════════════════════════════════════════════════════
@@ -0,0 +1,49 @@
+const express = require('express');
+const { authenticateStaff } = require('../middleware/auth');
+const { registerQueries } = require('../database');
+const { subscribe } = require('../services/events');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+const HEARTBEAT_MS = 25 * 1000; // below common proxy idle timeouts
+const RETRY_MS = 5000;
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/events?registerId= — Live stream for the merchant UI (all staff)
+// Server-Sent Events: pending (QR queue), message, announcement, credit
+// With a register, pending events are those of its queue, as in
+// GET /api/qr/pending?registerId=: its own scans plus the merchant QR ones
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  let register = null;
+  if (req.query.registerId) {
+    register = registerQueries.findByIdAndMerchant.get(parseInt(req.query.registerId), req.staff.merchant_id);
+    if (!register) return res.status(404).json({ error: 'Caisse non trouvée' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ staffId: req.staff.id })}\n\n`);
+
+  const unsubscribe = subscribe(req.staff.merchant_id, ({ type, data }) => {
+    if (register && type === 'pending' && data.registerId && data.registerId !== register.id) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+
+module.exports = router;
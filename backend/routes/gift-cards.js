@@ -0,0 +1,154 @@
+const express = require('express');
+const { giftCardQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+const {
+  formatGiftCard, findGiftCard, sellGiftCard, spendGiftCard, refundGiftCard, getLiabilityReport,
+} = require('../services/giftcards');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+// Errors thrown by services/giftcards.js → HTTP status
+const giftCardErrorStatus = (msg) => (msg.includes('non trouvée') ? 404
+  : /expirée|épuisée|insuffisant|supérieur/.test(msg) ? 409
+  : /invalide|trop long/.test(msg) ? 400 : 500);
+
+function sendError(res, error, label) {
+  const status = giftCardErrorStatus(error.message);
+  if (status === 500) console.error(label, error);
+  res.status(status).json({ error: status === 500 ? 'Erreur serveur' : error.message });
+}
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/gift-cards — Latest cards sold (owner/manager)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const cards = giftCardQueries.getByMerchant.all(req.staff.merchant_id, limit).map(c => formatGiftCard(c));
+    res.json({ count: cards.length, giftCards: cards });
+  } catch (error) {
+    console.error('Erreur liste cartes cadeaux:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/gift-cards/report — Outstanding value (liability) (owner/manager)
+// ═══════════════════════════════════════════════════════
+
+router.get('/report', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    res.json(getLiabilityReport(req.staff.merchant_id));
+  } catch (error) {
+    console.error('Erreur rapport cartes cadeaux:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/gift-cards — Sell a card { amount, buyer?, recipient?, recipientName? }
+// ═══════════════════════════════════════════════════════
+
+router.post('/', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const { amount, buyer, recipient, recipientName } = req.body;
+    const giftCard = sellGiftCard({ merchantId, staffId: req.staff.id, amount, buyer, recipient, recipientName });
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'gift_card_sold',
+      targetType: 'gift_card',
+      targetId: giftCard.id,
+      details: { code: giftCard.code, amount: giftCard.initialAmount, buyer: giftCard.buyer, recipient: giftCard.recipient },
+    });
+
+    res.status(201).json({ message: 'Carte cadeau vendue', giftCard });
+  } catch (error) {
+    sendError(res, error, 'Erreur vente carte cadeau:');
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/gift-cards/:code — Card scanned or typed at the counter
+// ═══════════════════════════════════════════════════════
+
+router.get('/:code', (req, res) => {
+  try {
+    const card = findGiftCard(req.staff.merchant_id, req.params.code);
+    res.json({ giftCard: formatGiftCard(card, { entries: true }) });
+  } catch (error) {
+    sendError(res, error, 'Erreur lecture carte cadeau:');
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/gift-cards/:code/spend — Pay with the card { amount, notes? }
+// ═══════════════════════════════════════════════════════
+
+router.post('/:code/spend', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const notes = (req.body.notes || '').trim().substring(0, 200) || null;
+    const giftCard = spendGiftCard({ merchantId, code: req.params.code, amount: req.body.amount, staffId: req.staff.id, notes });
+    const entry = giftCard.entries[giftCard.entries.length - 1];
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'gift_card_spent',
+      targetType: 'gift_card',
+      targetId: giftCard.id,
+      details: { code: giftCard.code, amount: -entry.amount, balance: giftCard.balance },
+    });
+
+    res.json({ message: 'Paiement par carte cadeau enregistré', giftCard });
+  } catch (error) {
+    sendError(res, error, 'Erreur paiement carte cadeau:');
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/gift-cards/:code/refund — Credit back returned goods { amount, reason? } (owner/manager)
+// ═══════════════════════════════════════════════════════
+
+router.post('/:code/refund', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const reason = (req.body.reason || '').trim().substring(0, 200) || null;
+    const giftCard = refundGiftCard({ merchantId, code: req.params.code, amount: req.body.amount, staffId: req.staff.id, reason });
+    const entry = giftCard.entries[giftCard.entries.length - 1];
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'gift_card_refunded',
+      targetType: 'gift_card',
+      targetId: giftCard.id,
+      details: { code: giftCard.code, amount: entry.amount, balance: giftCard.balance, reason },
+    });
+
+    res.json({ message: 'Remboursement enregistré sur la carte cadeau', giftCard });
+  } catch (error) {
+    sendError(res, error, 'Erreur remboursement carte cadeau:');
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { programQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+// ─── Validation ──────────────────────────────────────
+
+function parseProgram(body) {
+  const name = (body.name || '').trim();
+  const rewardDescription = (body.rewardDescription || '').trim();
+  const stampsForReward = parseInt(body.stampsForReward);
+
+  if (!name) return { error: 'Nom de la carte requis' };
+  if (name.length > 50) return { error: 'Nom trop long (max 50 caractères)' };
+  if (isNaN(stampsForReward) || stampsForReward < 1 || stampsForReward > 100) {
+    return { error: 'Nombre de tampons invalide (entre 1 et 100)' };
+  }
+  if (!rewardDescription) return { error: 'Récompense requise' };
+  if (rewardDescription.length > 100) return { error: 'Récompense trop longue (max 100 caractères)' };
+
+  return { name, stampsForReward, rewardDescription };
+}
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/programs — Active stamp cards (all staff: credit screen)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const programs = programQueries.getByMerchant.all(req.staff.merchant_id);
+    res.json({ count: programs.length, programs });
+  } catch (error) {
+    console.error('Erreur liste cartes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/programs — Create a stamp card (owner)
+// ═══════════════════════════════════════════════════════
+
+router.post('/', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const data = parseProgram(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    const result = programQueries.create.run(merchantId, data.name, data.stampsForReward, data.rewardDescription);
+    const program = programQueries.findByIdAndMerchant.get(result.lastInsertRowid, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'program_created',
+      targetType: 'loyalty_program',
+      targetId: program.id,
+      details: data,
+    });
+
+    res.status(201).json({ message: 'Carte de fidélité créée', program });
+  } catch (error) {
+    console.error('Erreur création carte:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/programs/:id — Update a stamp card (owner)
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const programId = parseInt(req.params.id);
+    if (!programQueries.findByIdAndMerchant.get(programId, merchantId)) {
+      return res.status(404).json({ error: 'Carte de fidélité non trouvée' });
+    }
+
+    const data = parseProgram(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    programQueries.update.run(data.name, data.stampsForReward, data.rewardDescription, programId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'program_updated',
+      targetType: 'loyalty_program',
+      targetId: programId,
+      details: data,
+    });
+
+    res.json({ message: 'Carte de fidélité mise à jour', program: programQueries.findByIdAndMerchant.get(programId, merchantId) });
+  } catch (error) {
+    console.error('Erreur update carte:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/programs/:id — Retire a stamp card (owner)
+// Soft delete: balances and ledger rows are kept
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const programId = parseInt(req.params.id);
+    const program = programQueries.findByIdAndMerchant.get(programId, merchantId);
+    if (!program) return res.status(404).json({ error: 'Carte de fidélité non trouvée' });
+
+    programQueries.deactivate.run(programId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'program_deleted',
+      targetType: 'loyalty_program',
+      targetId: programId,
+      details: { name: program.name },
+    });
+
+    res.json({ message: 'Carte de fidélité retirée' });
+  } catch (error) {
+    console.error('Erreur suppression carte:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const { promoCodeQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+const { normalizePromoCode } = require('../services/promos');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+const VALID_BONUS_TYPES = ['multiplier', 'flat'];
+const CODE_RE = /^[A-Z0-9_-]{3,20}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}$/;
+
+// ─── Validation ──────────────────────────────────────
+
+function parsePromoCode(body) {
+  const code = normalizePromoCode(body.code);
+  const startsAt = (body.startsAt || '').trim().replace('T', ' ') || null;
+  const endsAt = (body.endsAt || '').trim().replace('T', ' ') || null;
+  const bonusType = body.bonusType;
+  const bonusValue = parseFloat(body.bonusValue);
+  const maxUses = body.maxUses === undefined || body.maxUses === null || body.maxUses === '' ? null : Number(body.maxUses);
+
+  if (!CODE_RE.test(code)) return { error: 'Code invalide (3 à 20 lettres, chiffres, - ou _)' };
+  if ((startsAt && !DATETIME_RE.test(startsAt)) || (endsAt && !DATETIME_RE.test(endsAt))) {
+    return { error: 'Dates invalides (AAAA-MM-JJ HH:MM)' };
+  }
+  if (startsAt && endsAt && endsAt <= startsAt) return { error: 'La fin doit être postérieure au début' };
+
+  if (!VALID_BONUS_TYPES.includes(bonusType)) return { error: 'Type de bonus invalide (multiplier ou flat)' };
+  if (bonusType === 'multiplier' && (isNaN(bonusValue) || bonusValue <= 1 || bonusValue > 5)) {
+    return { error: 'Multiplicateur invalide (entre 1 et 5)' };
+  }
+  if (bonusType === 'flat' && (!Number.isInteger(bonusValue) || bonusValue < 1 || bonusValue > 1000)) {
+    return { error: 'Bonus invalide (entre 1 et 1000 points)' };
+  }
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 100000)) {
+    return { error: 'Nombre d\'utilisations invalide (entre 1 et 100000)' };
+  }
+
+  return {
+    code, bonusType, bonusValue,
+    firstVisitOnly: !!body.firstVisitOnly,
+    oncePerClient: body.oncePerClient !== false,
+    maxUses, startsAt, endsAt,
+  };
+}
+
+const toRow = (d) => [
+  d.code, d.bonusType, d.bonusValue, d.firstVisitOnly ? 1 : 0, d.oncePerClient ? 1 : 0, d.maxUses, d.startsAt, d.endsAt,
+];
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/promo-codes — Active codes (all staff)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const promoCodes = promoCodeQueries.getByMerchant.all(req.staff.merchant_id);
+    res.json({ count: promoCodes.length, promoCodes });
+  } catch (error) {
+    console.error('Erreur liste codes promo:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/promo-codes — Create a code (owner)
+// ═══════════════════════════════════════════════════════
+
+router.post('/', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const data = parsePromoCode(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+    if (promoCodeQueries.findByCode.get(merchantId, data.code)) {
+      return res.status(409).json({ error: 'Ce code promo existe déjà' });
+    }
+
+    const result = promoCodeQueries.create.run(merchantId, ...toRow(data));
+    const promoCode = promoCodeQueries.findByIdAndMerchant.get(result.lastInsertRowid, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'promo_code_created',
+      targetType: 'promo_code',
+      targetId: promoCode.id,
+      details: data,
+    });
+
+    res.status(201).json({ message: 'Code promo créé', promoCode });
+  } catch (error) {
+    console.error('Erreur création code promo:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/promo-codes/:id — Update a code (owner)
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const promoId = parseInt(req.params.id);
+    if (!promoCodeQueries.findByIdAndMerchant.get(promoId, merchantId)) {
+      return res.status(404).json({ error: 'Code promo non trouvé' });
+    }
+
+    const data = parsePromoCode(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+    const sameCode = promoCodeQueries.findByCode.get(merchantId, data.code);
+    if (sameCode && sameCode.id !== promoId) {
+      return res.status(409).json({ error: 'Ce code promo existe déjà' });
+    }
+
+    promoCodeQueries.update.run(...toRow(data), promoId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'promo_code_updated',
+      targetType: 'promo_code',
+      targetId: promoId,
+      details: data,
+    });
+
+    res.json({ message: 'Code promo mis à jour', promoCode: promoCodeQueries.findByIdAndMerchant.get(promoId, merchantId) });
+  } catch (error) {
+    console.error('Erreur update code promo:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/promo-codes/:id — Deactivate a code (owner)
+// Soft delete: redemptions stay in the dashboard report
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const promoId = parseInt(req.params.id);
+    const promoCode = promoCodeQueries.findByIdAndMerchant.get(promoId, merchantId);
+    if (!promoCode) return res.status(404).json({ error: 'Code promo non trouvé' });
+
+    promoCodeQueries.deactivate.run(promoId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'promo_code_deleted',
+      targetType: 'promo_code',
+      targetId: promoId,
+      details: { code: promoCode.code },
+    });
+
+    res.json({ message: 'Code promo désactivé' });
+  } catch (error) {
+    console.error('Erreur suppression code promo:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
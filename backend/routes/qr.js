@@ -1,116 +1,101 @@
 const express = require('express');
 const crypto = require('crypto');
-const bcrypt = require('bcryptjs');
 
 const router = express.Router();
 
 const { authenticateStaff, requireRole } = require('../middleware/auth');
 const { generateClientToken, verifyClientToken } = require('../middleware/client-auth');
-const { db, merchantQueries, endUserQueries, merchantClientQueries, aliasQueries } = require('../database');
+const { db, merchantQueries, endUserQueries, merchantClientQueries, aliasQueries, qrStateQueries, registerQueries } = require('../database');
 const { normalizeEmail, canonicalizeEmail, normalizePhone } = require('../services/normalizer');
 const { logAudit, auditCtx } = require('../middleware/audit');
 const { sendWelcomeEmail } = require('../services/email');
+const { recordReferral } = require('../services/referrals');
+const { normalizePromoCode } = require('../services/promos');
+const { withGroupBalance } = require('../services/groups');
+const { publish } = require('../services/events');
+const { readQrCode } = require('../services/client-qr');
+const { walletEmailLinks, findScannedPass } = require('../services/wallet');
+const { verifyPin, failUnknownAccount } = require('../services/pin');
+const { smsEnabled } = require('../services/sms');
+const { sendPhoneCode, checkPhoneCode, cleanupPhoneCodes } = require('../services/phone-verification');
 
 // ═══════════════════════════════════════════════════════
 // CONFIG
 // ═══════════════════════════════════════════════════════
 
 const IDENT_TTL_MS = 15 * 60 * 1000; // 15 min — pending identification lifetime
-const MAX_PIN_ATTEMPTS = 5;
-const PIN_LOCKOUT_MS = 15 * 60 * 1000; // 15 min
+const ATTEMPT_IDLE_MS = 15 * 60 * 1000; // 15 min — idle /register and PIN counters are dropped
+const MAX_PIN_FAILURES_PER_IP = 20; // per hour, /client-auth, whatever the account
+const IDENT_COOLDOWN_MS = 15 * 60 * 1000; // 15 min
+const PIN_TOKEN_TTL_MS = 5 * 60 * 1000; // 5 min
+const QR_VERIFY_TTL_MS = 30 * 60 * 1000; // 30 min
 
 // ═══════════════════════════════════════════════════════
-// IN-MEMORY: Pending identifications + Rate limiting
+// IDENTIFICATION STATE (SQLite, database.js section 24)
 // ═══════════════════════════════════════════════════════
 
-// ⚠️ KNOWN LIMITATION: All pending identification data is in-memory.
-// Server restart loses all pending QR identifications and rate-limit state.
-// Acceptable for paid tier (no cold starts). For free tier, clients may need
-// to re-identify after restart. Consider SQLite persistence if this becomes
-// an issue with 100+ merchants.
-
-// Map<merchantId, Map<identId, { endUserId, name, email, phone, points, createdAt }>>
-const pendingIdents = new Map();
-
-// Rate limiting for PIN attempts: Map<"ip:identifier", { count, lockedUntil }>
-const pinAttempts = new Map();
+// Queue, cooldowns, attempt counters and one-time tokens: qr_* tables.
+// PIN failures are also counted per account (services/pin.js).
+
+/** Push a client to the merchant's queue (or one register's), returns its identId */
+function addIdent(merchantId, ident) {
+  const identId = crypto.randomBytes(8).toString('hex');
+  const { registerId = null, endUserId = null, identifier = null, emailLower = null, phoneE164 = null, ...client } = ident;
+  qrStateQueries.addIdent.run(
+    identId, merchantId, registerId, endUserId, identifier, emailLower, phoneE164,
+    client.recentCredit ? 1 : 0, JSON.stringify(client), Date.now()
+  );
+  publish(merchantId, 'pending', { action: 'added', identId, registerId });
+  return identId;
+}
 
-// Cooldown for recent identifications: Map<"merchantId:identifier", { ts, identId, isNew, name, pointsBalance }>
-const identCooldowns = new Map();
-const IDENT_COOLDOWN_MS = 15 * 60 * 1000; // 15 min
+/** qr_idents row → { identId, registerId, endUserId, createdAt, ...display fields } */
+const parseIdent = (row) => ({
+  identId: row.ident_id, registerId: row.register_id, endUserId: row.end_user_id, createdAt: row.created_at, ...JSON.parse(row.client_json),
+});
 
-// Server-side PIN hash storage: consumed idents keep their pinHash here (never sent to frontend)
-// Map<pinToken, { pinHash, createdAt }>
-const consumedPinHashes = new Map();
-const PIN_TOKEN_TTL_MS = 5 * 60 * 1000; // 5 min
+/**
+ * One-time PIN bypass for this shop and this client: the end user, or
+ * for a newcomer without an account yet, their email/phone.
+ */
+function createQrVerifyToken(merchantId, endUserId, identifier = null) {
+  const token = crypto.randomBytes(16).toString('hex');
+  qrStateQueries.createVerifyToken.run(token, merchantId, endUserId, endUserId ? null : identifier, Date.now());
+  return token;
+}
 
 /** Resolve a pinToken to its pinHash (one-time use) */
 function resolvePinToken(token) {
   if (!token) return null;
-  const entry = consumedPinHashes.get(token);
+  const entry = qrStateQueries.takeToken.get(String(token), 'pin');
   if (!entry) return null;
-  consumedPinHashes.delete(token);
-  if (Date.now() - entry.createdAt > PIN_TOKEN_TTL_MS) return null;
-  return entry.pinHash;
+  if (Date.now() - entry.created_at > PIN_TOKEN_TTL_MS) return null;
+  return entry.pin_hash;
 }
 
-// Server-side QR verify tokens: proves client was identified by QR scan (bypass PIN for redeem)
-// Map<qrVerifyToken, { createdAt }>
-const qrVerifyTokens = new Map();
-const QR_VERIFY_TTL_MS = 30 * 60 * 1000; // 30 min
-
-/** Resolve a qrVerifyToken (one-time use) — returns true if valid */
-function resolveQrVerifyToken(token) {
-  if (!token) return false;
-  const entry = qrVerifyTokens.get(token);
+/** Resolve a qrVerifyToken for this shop's client (one-time use) — returns true if valid */
+function resolveQrVerifyToken(token, merchantId, endUser) {
+  if (!token || !endUser) return false;
+  const entry = qrStateQueries.takeVerifyToken.get(
+    String(token), merchantId, endUser.id, endUser.email_lower || '', endUser.phone_e164 || ''
+  );
   if (!entry) return false;
-  qrVerifyTokens.delete(token);
-  if (Date.now() - entry.createdAt > QR_VERIFY_TTL_MS) return false;
+  if (Date.now() - entry.created_at > QR_VERIFY_TTL_MS) return false;
   return true;
 }
 
 // Cleanup every 2 minutes
 setInterval(() => {
   const now = Date.now();
-
-  // Clean expired identifications
-  for (const [merchantId, idents] of pendingIdents) {
-    for (const [identId, ident] of idents) {
-      if (now - ident.createdAt > IDENT_TTL_MS) {
-        idents.delete(identId);
-      }
-    }
-    if (idents.size === 0) pendingIdents.delete(merchantId);
-  }
-
-  // Clean expired rate limits
-  for (const [key, data] of pinAttempts) {
-    if (data.lockedUntil && now > data.lockedUntil) {
-      pinAttempts.delete(key);
-    } else if (!data.lockedUntil && now - data.lastAttempt > PIN_LOCKOUT_MS) {
-      pinAttempts.delete(key);
-    }
-  }
-
-  // Clean expired identification cooldowns
-  for (const [key, data] of identCooldowns) {
-    if (now - data.ts > IDENT_COOLDOWN_MS) {
-      identCooldowns.delete(key);
-    }
-  }
-
-  // Clean expired consumed PIN hashes
-  for (const [key, data] of consumedPinHashes) {
-    if (now - data.createdAt > PIN_TOKEN_TTL_MS) {
-      consumedPinHashes.delete(key);
-    }
-  }
-
-  // Clean expired QR verify tokens
-  for (const [key, data] of qrVerifyTokens) {
-    if (now - data.createdAt > QR_VERIFY_TTL_MS) {
-      qrVerifyTokens.delete(key);
-    }
+  try {
+    qrStateQueries.cleanupIdents.run(now - IDENT_TTL_MS);
+    qrStateQueries.cleanupCooldowns.run(now - IDENT_COOLDOWN_MS);
+    qrStateQueries.cleanupAttempts.run(now, now - ATTEMPT_IDLE_MS);
+    qrStateQueries.cleanupTokens.run('pin', now - PIN_TOKEN_TTL_MS);
+    qrStateQueries.cleanupTokens.run('verify', now - QR_VERIFY_TTL_MS);
+    cleanupPhoneCodes(now);
+  } catch (e) {
+    console.error('QR state cleanup error:', e.message);
   }
 }, 2 * 60 * 1000);
 
@@ -124,42 +109,18 @@ function getClientIP(req) {
     || req.socket?.remoteAddress || 'unknown';
 }
 
-function checkPinRateLimit(req, identifier) {
-  const key = getClientIP(req) + ':' + identifier;
-  const data = pinAttempts.get(key);
-
-  if (!data) return { blocked: false };
-
-  if (data.lockedUntil) {
-    const remaining = Math.ceil((data.lockedUntil - Date.now()) / 60000);
-    if (Date.now() < data.lockedUntil) {
-      return { blocked: true, minutesRemaining: remaining };
-    }
-    // Lock expired
-    pinAttempts.delete(key);
-    return { blocked: false };
-  }
-
-  return { blocked: false };
-}
-
-function recordPinFailure(req, identifier) {
-  const key = getClientIP(req) + ':' + identifier;
-  const data = pinAttempts.get(key) || { count: 0 };
-  data.count++;
-  data.lastAttempt = Date.now();
-
-  if (data.count >= MAX_PIN_ATTEMPTS) {
-    data.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
-  }
-
-  pinAttempts.set(key, data);
-  return data.count;
-}
-
-function clearPinFailures(req, identifier) {
-  const key = getClientIP(req) + ':' + identifier;
-  pinAttempts.delete(key);
+/**
+ * Merchant behind a scanned shop QR: the merchant's own token or one of
+ * its registers' tokens. Returns { merchant, register } (register null
+ * for the merchant QR), merchant null if the token is unknown.
+ */
+function findQrTarget(token) {
+  const merchant = merchantQueries.findByQrToken.get(String(token || ''));
+  if (merchant) return { merchant, register: null };
+
+  const register = registerQueries.findByQrToken.get(String(token || ''));
+  if (!register) return { merchant: null, register: null };
+  return { merchant: merchantQueries.findById.get(register.merchant_id) || null, register };
 }
 
 /** 3-step end_user lookup (same as points.js, read-only) */
@@ -267,7 +228,7 @@ router.get('/token', authenticateStaff, (req, res) => {
 
 router.get('/info/:token', (req, res) => {
   try {
-    const merchant = merchantQueries.findByQrToken.get(req.params.token);
+    const { merchant, register } = findQrTarget(req.params.token);
     if (!merchant || merchant.status !== 'active') {
       return res.status(404).json({ error: 'Commerce non trouvé' });
     }
@@ -282,6 +243,8 @@ router.get('/info/:token', (req, res) => {
       pointsPerEuro: merchant.points_per_euro,
       pointsForReward: merchant.points_for_reward,
       rewardDescription: merchant.reward_description,
+      registerName: register ? register.name : null,
+      smsVerification: smsEnabled(),
     });
   } catch (error) {
     console.error('QR info error:', error);
@@ -290,6 +253,46 @@ router.get('/info/:token', (req, res) => {
 });
 
 
+// ═══════════════════════════════════════════════════════
+// POST /api/qr/phone-code — PUBLIC: text a verification code to the
+// phone typed on the QR form (then sent as phoneCode to /register)
+// ═══════════════════════════════════════════════════════
+
+router.post('/phone-code', async (req, res) => {
+  try {
+    const { qrToken, phone } = req.body;
+
+    const { merchant } = findQrTarget(qrToken);
+    if (!merchant || merchant.status !== 'active') {
+      return res.status(404).json({ error: 'Commerce non trouvé' });
+    }
+
+    const phoneE164 = normalizePhone(phone, merchant.phone_country);
+    if (!phoneE164) return res.status(400).json({ error: 'Numéro de téléphone invalide' });
+
+    // Each SMS costs: max 5 per IP per hour
+    const smsKey = 'sms:' + getClientIP(req);
+    const smsData = qrStateQueries.findAttempt.get(smsKey) || { count: 0, last_attempt: 0 };
+    const recent = Date.now() - smsData.last_attempt < 3600000;
+    if (recent && smsData.count >= 5) {
+      return res.status(429).json({ error: 'Trop de requêtes. Réessayez plus tard.' });
+    }
+    qrStateQueries.saveAttempt.run(smsKey, (recent ? smsData.count : 0) + 1, Date.now(), null);
+
+    try {
+      await sendPhoneCode(phoneE164);
+    } catch (e) {
+      return res.status(e.message.startsWith('Un code vient') ? 429 : 503).json({ error: e.message });
+    }
+
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Phone code error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
 // ═══════════════════════════════════════════════════════
 // POST /api/qr/client-auth — PUBLIC: client login (email/phone + PIN)
 // Returns JWT + client data for the given merchant
@@ -301,7 +304,7 @@ router.post('/client-auth', async (req, res) => {
 
     // Validate merchant
     if (!qrToken) return res.status(400).json({ error: 'Token QR requis' });
-    const merchant = merchantQueries.findByQrToken.get(qrToken);
+    const { merchant } = findQrTarget(qrToken);
     if (!merchant || merchant.status !== 'active') {
       return res.status(404).json({ error: 'Commerce non trouvé' });
     }
@@ -315,47 +318,40 @@ router.post('/client-auth', async (req, res) => {
     }
 
     const emailLower = normalizeEmail(email);
-    const phoneE164 = normalizePhone(phone);
-    const identifier = emailLower || phoneE164;
+    const phoneE164 = normalizePhone(phone, merchant.phone_country);
 
-    // Rate limiting
-    const { blocked, minutesRemaining } = checkPinRateLimit(req, identifier);
-    if (blocked) {
-      return res.status(429).json({
-        error: `Trop de tentatives. Réessayez dans ${minutesRemaining} minute(s).`,
-      });
+    // Failed PINs from this IP, any account: max 20 per hour
+    const pinKey = 'pin:' + getClientIP(req);
+    const pinData = qrStateQueries.findAttempt.get(pinKey) || { count: 0, last_attempt: 0 };
+    const ipFailures = Date.now() - pinData.last_attempt < 3600000 ? pinData.count : 0;
+    if (ipFailures >= MAX_PIN_FAILURES_PER_IP) {
+      return res.status(429).json({ error: 'Trop de tentatives. Réessayez plus tard.' });
     }
+    // Counted as a failure until the PIN checks out (parallel guesses included)
+    qrStateQueries.saveAttempt.run(pinKey, ipFailures + 1, Date.now(), null);
 
     // Find end_user (3-step lookup)
     const endUser = findEndUser(emailLower, phoneE164);
 
-    // SECURITY: don't reveal if account exists or not
-    if (!endUser || !endUser.pin_hash) {
-      recordPinFailure(req, identifier);
+    // Verify PIN (failures counted on the account, shared with rewards at the till).
+    // SECURITY: an unknown account gets the same answers, lockout included
+    try {
+      if (endUser) await verifyPin(endUser, pin);
+      else await failUnknownAccount(emailLower || phoneE164 || String(email || phone).trim().toLowerCase(), pin);
+    } catch (e) {
+      if (e.message.startsWith('Trop de tentatives')) return res.status(429).json({ error: e.message });
       return res.status(401).json({ error: 'Identifiant ou code PIN incorrect' });
     }
+    const pinNow = qrStateQueries.findAttempt.get(pinKey);
+    if (pinNow) qrStateQueries.saveAttempt.run(pinKey, Math.max(pinNow.count - 1, 0), pinNow.last_attempt, null);
 
+    // Only told once the PIN is right
     if (endUser.is_blocked) {
       return res.status(403).json({ error: 'Compte bloqué' });
     }
 
-    // Verify PIN
-    if (!(await bcrypt.compare(pin, endUser.pin_hash))) {
-      const attempts = recordPinFailure(req, identifier);
-      const remaining = MAX_PIN_ATTEMPTS - attempts;
-      if (remaining <= 0) {
-        return res.status(429).json({
-          error: `Trop de tentatives. Réessayez dans 15 minutes.`,
-        });
-      }
-      return res.status(401).json({ error: 'Identifiant ou code PIN incorrect' });
-    }
-
-    // PIN OK — clear failures
-    clearPinFailures(req, identifier);
-
     // Find merchant_client relationship (may not exist yet)
-    const mc = merchantClientQueries.find.get(merchant.id, endUser.id);
+    const mc = withGroupBalance(merchant, merchantClientQueries.find.get(merchant.id, endUser.id));
 
     // Generate client JWT
     const clientToken = generateClientToken(endUser.id, endUser.email_lower, endUser.phone_e164);
@@ -407,33 +403,31 @@ router.get('/status/:identId', (req, res) => {
 
     if (!qrToken) return res.status(400).json({ error: 'Token QR requis' });
 
-    const merchant = merchantQueries.findByQrToken.get(qrToken);
+    const { merchant } = findQrTarget(qrToken);
     if (!merchant) return res.status(404).json({ active: false });
 
     // Check pending queue first
-    const queue = pendingIdents.get(merchant.id);
-    if (queue) {
-      const ident = queue.get(identId);
-      if (ident && Date.now() - ident.createdAt <= IDENT_TTL_MS) {
-        return res.json({
-          active: true,
-          isNew: ident.isNew,
-          clientName: ident.name,
-          pointsBalance: ident.pointsBalance,
-        });
-      }
+    const row = qrStateQueries.findIdent.get(identId, merchant.id, Date.now() - IDENT_TTL_MS);
+    if (row) {
+      const ident = parseIdent(row);
+      return res.json({
+        active: true,
+        isNew: ident.isNew,
+        clientName: ident.name,
+        pointsBalance: ident.pointsBalance,
+      });
     }
 
     // Check cooldown (ident may have been consumed by staff, but client is still "done")
-    for (const [key, cd] of identCooldowns) {
-      if (cd.identId === identId && Date.now() - cd.ts < IDENT_COOLDOWN_MS) {
-        return res.json({
-          active: true,
-          isNew: cd.isNew,
-          clientName: cd.name,
-          pointsBalance: cd.pointsBalance,
-        });
-      }
+    const cdRow = qrStateQueries.findCooldownByIdent.get(identId, Date.now() - IDENT_COOLDOWN_MS);
+    if (cdRow) {
+      const cd = JSON.parse(cdRow.client_json);
+      return res.json({
+        active: true,
+        isNew: cd.isNew,
+        clientName: cd.name,
+        pointsBalance: cd.pointsBalance,
+      });
     }
 
     res.json({ active: false });
@@ -450,13 +444,13 @@ router.get('/status/:identId', (req, res) => {
 // No PIN needed — PIN is only for reward redemption
 // ═══════════════════════════════════════════════════════
 
-router.post('/register', (req, res) => {
+router.post('/register', async (req, res) => {
   try {
-    const { qrToken, email, phone, name } = req.body;
+    const { qrToken, email, phone, name, referralCode, promoCode, phoneCode } = req.body;
 
-    // Validate merchant
+    // Validate merchant (a register QR sends the client to that till's queue)
     if (!qrToken) return res.status(400).json({ error: 'Token QR requis' });
-    const merchant = merchantQueries.findByQrToken.get(qrToken);
+    const { merchant, register } = findQrTarget(qrToken);
     if (!merchant || merchant.status !== 'active') {
       return res.status(404).json({ error: 'Commerce non trouvé' });
     }
@@ -469,53 +463,59 @@ router.post('/register', (req, res) => {
     if (email && email.length > 254) return res.status(400).json({ error: 'Email trop long' });
     if (phone && phone.length > 20) return res.status(400).json({ error: 'Téléphone trop long' });
     if (name && name.length > 100) return res.status(400).json({ error: 'Nom trop long' });
+    if (referralCode && (typeof referralCode !== 'string' || referralCode.length > 64)) {
+      return res.status(400).json({ error: 'Code de parrainage invalide' });
+    }
+    if (promoCode && (typeof promoCode !== 'string' || promoCode.length > 32)) {
+      return res.status(400).json({ error: 'Code promo invalide' });
+    }
 
     const emailLower = normalizeEmail(email);
-    const phoneE164 = normalizePhone(phone);
+    const phoneE164 = normalizePhone(phone, merchant.phone_country);
+    if (!email && !phoneE164) return res.status(400).json({ error: 'Numéro de téléphone invalide' });
 
     // Simple rate limit: max 20 identifications per IP per hour
     const ip = getClientIP(req);
     const regKey = 'reg:' + ip;
-    const regData = pinAttempts.get(regKey) || { count: 0, lastAttempt: 0 };
-    if (regData.count >= 20 && Date.now() - regData.lastAttempt < 3600000) {
+    const regData = qrStateQueries.findAttempt.get(regKey) || { count: 0, last_attempt: 0 };
+    if (regData.count >= 20 && Date.now() - regData.last_attempt < 3600000) {
       return res.status(429).json({ error: 'Trop de requêtes. Réessayez plus tard.' });
     }
-    regData.count++;
-    regData.lastAttempt = Date.now();
-    pinAttempts.set(regKey, regData);
+    qrStateQueries.saveAttempt.run(regKey, regData.count + 1, Date.now(), null);
+
+    // SMS code from /phone-code: the client owns the number
+    let phoneVerified = false;
+    if (phoneCode) {
+      if (!phoneE164) return res.status(400).json({ error: 'Numéro de téléphone invalide' });
+      try {
+        await checkPhoneCode(phoneE164, phoneCode);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      phoneVerified = true;
+      const owner = endUserQueries.findByPhoneE164.get(phoneE164);
+      if (owner) endUserQueries.setPhoneValidated.run(1, owner.id);
+    }
 
     // Cooldown check: if same person identified recently at this merchant
     const identifier = emailLower || phoneE164;
-    const cooldownKey = merchant.id + ':' + identifier;
-    const cooldown = identCooldowns.get(cooldownKey);
-    if (cooldown && Date.now() - cooldown.ts < IDENT_COOLDOWN_MS) {
-      const elapsedMs = Date.now() - cooldown.ts;
+    const cooldownRow = qrStateQueries.findCooldown.get(merchant.id, identifier, Date.now() - IDENT_COOLDOWN_MS);
+    if (cooldownRow) {
+      const cooldown = { ...JSON.parse(cooldownRow.client_json), identId: cooldownRow.ident_id };
+      const elapsedMs = Date.now() - cooldownRow.created_at;
       const remainingMs = IDENT_COOLDOWN_MS - elapsedMs;
       const minutesAgo = Math.floor(elapsedMs / 60000);
       const minutesLeft = Math.ceil(remainingMs / 60000);
 
       // Still push to merchant queue with recent flag so merchant can decide
-      if (!pendingIdents.has(merchant.id)) {
-        pendingIdents.set(merchant.id, new Map());
-      }
-      const merchantQueue = pendingIdents.get(merchant.id);
-      const recentIdentId = crypto.randomBytes(8).toString('hex');
-
-      // Check if we already have a recent-flagged ident for this person
-      let alreadyQueued = false;
-      for (const [, ident] of merchantQueue) {
-        if (ident.identifier === identifier && ident.recentCredit) {
-          alreadyQueued = true;
-          break;
-        }
-      }
-
-      if (!alreadyQueued) {
+      // (unless we already have a recent-flagged ident for this person)
+      if (!qrStateQueries.hasRecentIdent.get(merchant.id, identifier)) {
         const mc = findEndUser(emailLower, phoneE164)
-          ? merchantClientQueries.find.get(merchant.id, findEndUser(emailLower, phoneE164).id)
+          ? withGroupBalance(merchant, merchantClientQueries.find.get(merchant.id, findEndUser(emailLower, phoneE164).id))
           : null;
 
-        merchantQueue.set(recentIdentId, {
+        addIdent(merchant.id, {
+          registerId: register ? register.id : null,
           endUserId: cooldown.endUserId || null,
           name: cooldown.name || name || '',
           email: email || '',
@@ -526,7 +526,9 @@ router.post('/register', (req, res) => {
           identifier,
           recentCredit: true,
           minutesAgo,
-          createdAt: Date.now(),
+          promoCode: promoCode ? normalizePromoCode(promoCode) : null,
+          identifiedBy: emailLower ? 'email' : 'phone',
+          phoneVerified,
         });
       }
 
@@ -564,31 +566,27 @@ router.post('/register', (req, res) => {
         const emailCan = canonicalizeEmail(emailLower);
         db.prepare("UPDATE end_users SET email_validated = 1, email_canonical = ?, consent_date = datetime('now'), consent_method = 'qr_landing', first_merchant_id = ? WHERE id = ?")
           .run(emailCan, merchant.id, result.lastInsertRowid);
+        if (phoneVerified) endUserQueries.setPhoneValidated.run(1, result.lastInsertRowid);
         existing = endUserQueries.findById.get(result.lastInsertRowid);
       }
     }
 
-    const mc = existing ? merchantClientQueries.find.get(merchant.id, existing.id) : null;
-
-    // Add to pending identifications queue
-    const identId = crypto.randomBytes(8).toString('hex');
+    const mc = existing ? withGroupBalance(merchant, merchantClientQueries.find.get(merchant.id, existing.id)) : null;
 
-    if (!pendingIdents.has(merchant.id)) {
-      pendingIdents.set(merchant.id, new Map());
+    // Referral link: recorded now for a newcomer with an account; a phone-only
+    // newcomer has none yet, so the code rides along to the cashier's credit
+    let pendingReferralCode = null;
+    if (referralCode && !mc) {
+      if (existing) recordReferral({ merchant, refereeId: existing.id, referralCode, source: 'qr' });
+      else pendingReferralCode = referralCode;
     }
 
-    const merchantQueue = pendingIdents.get(merchant.id);
-
     // Prevent duplicate from same email/phone
-    for (const [id, ident] of merchantQueue) {
-      const sameEmail = emailLower && ident.emailLower === emailLower;
-      const samePhone = phoneE164 && ident.phoneE164 === phoneE164;
-      if (sameEmail || samePhone) {
-        merchantQueue.delete(id);
-      }
-    }
+    qrStateQueries.deleteIdentsByContact.run(merchant.id, emailLower || null, phoneE164 || null);
 
-    merchantQueue.set(identId, {
+    // Add to pending identifications queue
+    const identId = addIdent(merchant.id, {
+      registerId: register ? register.id : null,
       endUserId: existing?.id || null,
       name: name || existing?.name || null,
       email: email || existing?.email || null,
@@ -598,7 +596,10 @@ router.post('/register', (req, res) => {
       pointsBalance: mc?.points_balance || 0,
       visitCount: mc?.visit_count || 0,
       isNew,
-      createdAt: Date.now(),
+      referralCode: pendingReferralCode,
+      promoCode: promoCode ? normalizePromoCode(promoCode) : null,
+      identifiedBy: emailLower ? 'email' : 'phone',
+      phoneVerified,
     });
 
     // Save cooldown to prevent re-submission spam
@@ -610,21 +611,21 @@ router.post('/register', (req, res) => {
       pointsBalance: mc?.points_balance || 0,
     };
 
-    identCooldowns.set(cooldownKey, {
-      ts: Date.now(),
-      identId,
-      isNew,
-      name: existing?.name || name || null,
-      pointsBalance: mc?.points_balance || 0,
-      endUserId: existing?.id || null,
-    });
+    if (identifier) {
+      qrStateQueries.setCooldown.run(merchant.id, identifier, identId, JSON.stringify({
+        isNew,
+        name: existing?.name || name || null,
+        pointsBalance: mc?.points_balance || 0,
+        endUserId: existing?.id || null,
+      }), Date.now());
+    }
 
     res.json(responseData);
 
     // Send welcome email for new users (fire-and-forget, after response)
     if (isNew && emailLower) {
       const appUrl = (process.env.BASE_URL || 'https://www.fiddo.be') + '/app/';
-      sendWelcomeEmail(email, merchant.business_name, 0, appUrl, existing?.id);
+      sendWelcomeEmail(email, merchant.business_name, 0, appUrl, existing?.id, walletEmailLinks(merchant.id, email));
     }
   } catch (error) {
     console.error('Register error:', error);
@@ -647,7 +648,7 @@ router.post('/identify', (req, res) => {
     if (!client) return res.status(401).json({ error: 'Session expirée' });
 
     // Verify merchant
-    const merchant = merchantQueries.findByQrToken.get(qrToken);
+    const { merchant, register } = findQrTarget(qrToken);
     if (!merchant || merchant.status !== 'active') {
       return res.status(404).json({ error: 'Commerce non trouvé' });
     }
@@ -658,25 +659,14 @@ router.post('/identify', (req, res) => {
     if (endUser.is_blocked) return res.status(403).json({ error: 'Compte bloqué' });
 
     // Get merchant_client for points info
-    const mc = merchantClientQueries.find.get(merchant.id, endUser.id);
-
-    // Create identification entry
-    const identId = crypto.randomBytes(8).toString('hex');
-
-    if (!pendingIdents.has(merchant.id)) {
-      pendingIdents.set(merchant.id, new Map());
-    }
-
-    const merchantQueue = pendingIdents.get(merchant.id);
+    const mc = withGroupBalance(merchant, merchantClientQueries.find.get(merchant.id, endUser.id));
 
     // Prevent duplicate: remove any existing ident from same end_user
-    for (const [id, ident] of merchantQueue) {
-      if (ident.endUserId === endUser.id) {
-        merchantQueue.delete(id);
-      }
-    }
+    qrStateQueries.deleteIdentsByEndUser.run(merchant.id, endUser.id);
 
-    merchantQueue.set(identId, {
+    // Create identification entry
+    const identId = addIdent(merchant.id, {
+      registerId: register ? register.id : null,
       endUserId: endUser.id,
       name: endUser.name,
       email: endUser.email,
@@ -684,7 +674,6 @@ router.post('/identify', (req, res) => {
       pointsBalance: mc?.points_balance || 0,
       visitCount: mc?.visit_count || 0,
       isNew: !mc,
-      createdAt: Date.now(),
     });
 
     res.json({ ok: true, identId });
@@ -697,27 +686,46 @@ router.post('/identify', (req, res) => {
 
 // ═══════════════════════════════════════════════════════
 // GET /api/qr/client-lookup/:token — Staff scans client QR
-// Looks up end_user by qr_token, returns client info for credit form
+// Looks up end_user by its rotating code (qr_token.signature), by the
+// barcode of a Wallet pass of this shop (or its group) or, if the
+// merchant allows it, by the bare static qr_token. Returns client
+// info for credit form.
 // ═══════════════════════════════════════════════════════
 
 router.get('/client-lookup/:token', authenticateStaff, (req, res) => {
   try {
-    const { token } = req.params;
     const merchantId = req.staff.merchant_id;
+    const merchant = merchantQueries.findById.get(merchantId);
 
-    const endUser = endUserQueries.findByQrToken.get(token);
+    // Wallet pass: a static code of its own, valid whatever the fallback setting
+    const walletPass = findScannedPass(req.params.token, merchant);
+
+    let endUser;
+    let scanned = { rotating: false };
+    if (walletPass) {
+      endUser = endUserQueries.findById.get(walletPass.endUserId);
+    } else {
+      scanned = readQrCode(req.params.token);
+      if (scanned.expired) {
+        return res.status(400).json({ error: 'QR code expiré — demandez au client d\'afficher à nouveau son QR code' });
+      }
+      if (!scanned.rotating && !merchant.qr_static_fallback) {
+        return res.status(400).json({ error: 'QR code statique refusé — le client doit présenter le QR code de son app FIDDO' });
+      }
+      endUser = endUserQueries.findByQrToken.get(scanned.qrToken);
+    }
+
+    // Note: deleted accounts already excluded by findById / findByQrToken (WHERE deleted_at IS NULL)
     if (!endUser) {
       return res.status(404).json({ error: 'Client non trouvé' });
     }
 
-    // Note: deleted accounts already excluded by findByQrToken query (WHERE deleted_at IS NULL)
+    // Check merchant_client relationship (coalition shops show the group balance)
+    const mc = withGroupBalance(merchant, merchantClientQueries.find.get(merchantId, endUser.id));
 
-    // Check merchant_client relationship
-    const mc = merchantClientQueries.find.get(merchantId, endUser.id);
-
-    // Generate a server-side verify token (not a boolean the client can forge)
-    const qrVerifyToken = crypto.randomBytes(16).toString('hex');
-    qrVerifyTokens.set(qrVerifyToken, { createdAt: Date.now() });
+    // Generate a server-side verify token (not a boolean the client can forge).
+    // A static code may be a copy: the PIN stays required to redeem.
+    const qrVerifyToken = scanned.rotating ? createQrVerifyToken(merchantId, endUser.id) : null;
 
     res.json({
       endUserId: endUser.id,
@@ -727,6 +735,7 @@ router.get('/client-lookup/:token', authenticateStaff, (req, res) => {
       pointsBalance: mc?.points_balance || 0,
       visitCount: mc?.visit_count || 0,
       isNew: !mc,
+      staticCode: !scanned.rotating,
       qrVerifyToken,  // secure token — frontend passes this back on redeem
     });
   } catch (error) {
@@ -737,42 +746,41 @@ router.get('/client-lookup/:token', authenticateStaff, (req, res) => {
 
 
 // ═══════════════════════════════════════════════════════
-// GET /api/qr/pending — Staff: get pending identifications
+// GET /api/qr/pending?registerId= — Staff: get pending identifications
+// With a register: its own scans plus the merchant QR ones
 // ═══════════════════════════════════════════════════════
 
 router.get('/pending', authenticateStaff, (req, res) => {
   try {
     const merchantId = req.staff.merchant_id;
-    const queue = pendingIdents.get(merchantId);
-
-    if (!queue || queue.size === 0) {
-      return res.json({ clients: [] });
-    }
-
     const now = Date.now();
-    const clients = [];
-
-    for (const [identId, ident] of queue) {
-      // Skip expired
-      if (now - ident.createdAt > IDENT_TTL_MS) continue;
-
-      clients.push({
-        identId,
-        endUserId: ident.endUserId,
-        name: ident.name,
-        email: ident.email,
-        phone: ident.phone,
-        pointsBalance: ident.pointsBalance,
-        visitCount: ident.visitCount,
-        isNew: ident.isNew,
-        secondsAgo: Math.floor((now - ident.createdAt) / 1000),
-        recentCredit: ident.recentCredit || false,
-        minutesAgo: ident.minutesAgo || 0,
-      });
-    }
 
-    // Most recent first
-    clients.sort((a, b) => a.secondsAgo - b.secondsAgo);
+    let register = null;
+    if (req.query.registerId) {
+      register = registerQueries.findByIdAndMerchant.get(parseInt(req.query.registerId), merchantId);
+      if (!register) return res.status(404).json({ error: 'Caisse non trouvée' });
+    }
+    const registerNames = new Map(registerQueries.getByMerchant.all(merchantId).map(r => [r.id, r.name]));
+
+    // Expired ones are skipped (and purged by the cleanup), most recent first
+    const rows = register
+      ? qrStateQueries.getRegisterIdents.all(merchantId, now - IDENT_TTL_MS, register.id)
+      : qrStateQueries.getIdents.all(merchantId, now - IDENT_TTL_MS);
+    const clients = rows.map(parseIdent).map(ident => ({
+      identId: ident.identId,
+      registerId: ident.registerId,
+      registerName: registerNames.get(ident.registerId) || null,
+      endUserId: ident.endUserId,
+      name: ident.name,
+      email: ident.email,
+      phone: ident.phone,
+      pointsBalance: ident.pointsBalance,
+      visitCount: ident.visitCount,
+      isNew: ident.isNew,
+      secondsAgo: Math.floor((now - ident.createdAt) / 1000),
+      recentCredit: ident.recentCredit || false,
+      minutesAgo: ident.minutesAgo || 0,
+    }));
 
     res.json({ clients });
   } catch (error) {
@@ -788,11 +796,9 @@ router.get('/pending', authenticateStaff, (req, res) => {
 
 router.post('/dismiss/:identId', authenticateStaff, (req, res) => {
   try {
-    const merchantId = req.staff.merchant_id;
-    const queue = pendingIdents.get(merchantId);
-
-    if (queue) {
-      queue.delete(req.params.identId);
+    const removed = qrStateQueries.takeIdent.get(req.params.identId, req.staff.merchant_id);
+    if (removed) {
+      publish(req.staff.merchant_id, 'pending', { action: 'dismissed', identId: removed.ident_id, registerId: removed.register_id, staffId: req.staff.id });
     }
 
     res.json({ ok: true });
@@ -810,20 +816,21 @@ router.post('/dismiss/:identId', authenticateStaff, (req, res) => {
 
 router.post('/consume/:identId', authenticateStaff, (req, res) => {
   try {
-    const merchantId = req.staff.merchant_id;
-    const queue = pendingIdents.get(merchantId);
-
-    if (!queue) return res.status(404).json({ error: 'Aucune identification' });
-
-    const ident = queue.get(req.params.identId);
-    if (!ident) return res.status(404).json({ error: 'Identification non trouvée' });
-
-    // Remove from queue
-    queue.delete(req.params.identId);
-
-    // Generate server-side verify token (for PIN bypass on redeem)
-    const qrVerifyToken = crypto.randomBytes(16).toString('hex');
-    qrVerifyTokens.set(qrVerifyToken, { createdAt: Date.now() });
+    // Remove from queue (atomic: two cashiers can't both take the same client)
+    const row = qrStateQueries.takeIdent.get(req.params.identId, req.staff.merchant_id);
+    if (!row) return res.status(404).json({ error: 'Identification non trouvée' });
+    const ident = parseIdent(row);
+    publish(req.staff.merchant_id, 'pending', { action: 'consumed', identId: ident.identId, registerId: ident.registerId, staffId: req.staff.id });
+
+    // Generate server-side verify token (for PIN bypass on redeem).
+    // A phone typed on the form proves nothing: when the merchant requires
+    // verified phones, an unverified number goes through PIN and phone checks.
+    const byPhone = ident.identifiedBy === 'phone';
+    const merchant = merchantQueries.findById.get(req.staff.merchant_id);
+    const endUser = ident.endUserId ? endUserQueries.findById.get(ident.endUserId) : null;
+    const phoneVerified = !!(ident.phoneVerified || endUser?.phone_validated);
+    const qrVerifyToken = byPhone && merchant.require_phone_verified && !phoneVerified ? null
+      : createQrVerifyToken(merchant.id, ident.endUserId, row.email_lower || row.phone_e164);
 
     res.json({
       email: ident.email,
@@ -831,6 +838,10 @@ router.post('/consume/:identId', authenticateStaff, (req, res) => {
       name: ident.name,
       pointsBalance: ident.pointsBalance,
       isNew: ident.isNew,
+      referralCode: ident.referralCode || null,
+      promoCode: ident.promoCode || null,
+      identifiedBy: ident.identifiedBy || null,
+      phoneVerified,
       qrVerifyToken,
     });
   } catch (error) {
@@ -858,13 +869,13 @@ router.get('/client-data', (req, res) => {
     const { qrToken } = req.query;
     if (!qrToken) return res.status(400).json({ error: 'Token QR requis' });
 
-    const merchant = merchantQueries.findByQrToken.get(qrToken);
+    const { merchant } = findQrTarget(qrToken);
     if (!merchant) return res.status(404).json({ error: 'Commerce non trouvé' });
 
     const endUser = endUserQueries.findById.get(client.endUserId);
     if (!endUser) return res.status(404).json({ error: 'Utilisateur non trouvé' });
 
-    const mc = merchantClientQueries.find.get(merchant.id, endUser.id);
+    const mc = withGroupBalance(merchant, merchantClientQueries.find.get(merchant.id, endUser.id));
 
     res.json({
       client: {
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const express = require('express');
+const { registerQueries, qrStateQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+const MAX_REGISTERS = 20;
+const MAX_NAME_LENGTH = 40;
+
+// ─── Helpers ─────────────────────────────────────────
+
+function parseName(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) return { error: `Nom de caisse requis (${MAX_NAME_LENGTH} caractères max)` };
+  return { name };
+}
+
+/** Register row → API shape, with the URL printed on its QR */
+function formatRegister(req, register) {
+  const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    id: register.id,
+    name: register.name,
+    qrToken: register.qr_token,
+    qrUrl: `${baseUrl}/q/${register.qr_token}`,
+    createdAt: register.created_at,
+  };
+}
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/registers — Registers of the shop (all staff: each
+// till picks the one it stands for)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const registers = registerQueries.getByMerchant.all(req.staff.merchant_id).map(r => formatRegister(req, r));
+    res.json({ count: registers.length, registers });
+  } catch (error) {
+    console.error('Erreur liste caisses:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/registers — Create a register and its QR (owner)
+// ═══════════════════════════════════════════════════════
+
+router.post('/', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const data = parseName(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+    if (registerQueries.getByMerchant.all(merchantId).length >= MAX_REGISTERS) {
+      return res.status(400).json({ error: `Maximum ${MAX_REGISTERS} caisses` });
+    }
+    if (registerQueries.findByName.get(merchantId, data.name)) {
+      return res.status(409).json({ error: 'Cette caisse existe déjà' });
+    }
+
+    const qrToken = crypto.randomBytes(6).toString('base64url'); // same format as the merchant QR
+    const result = registerQueries.create.run(merchantId, data.name, qrToken);
+    const register = registerQueries.findByIdAndMerchant.get(result.lastInsertRowid, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'register_created',
+      targetType: 'register',
+      targetId: register.id,
+      details: { name: data.name },
+    });
+
+    res.status(201).json({ message: 'Caisse créée', register: formatRegister(req, register) });
+  } catch (error) {
+    console.error('Erreur création caisse:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/registers/:id — Rename a register (owner)
+// The QR stays the same: printed codes keep working
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const registerId = parseInt(req.params.id);
+    const register = registerQueries.findByIdAndMerchant.get(registerId, merchantId);
+    if (!register) return res.status(404).json({ error: 'Caisse non trouvée' });
+
+    const data = parseName(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+    const sameName = registerQueries.findByName.get(merchantId, data.name);
+    if (sameName && sameName.id !== registerId) {
+      return res.status(409).json({ error: 'Cette caisse existe déjà' });
+    }
+
+    registerQueries.rename.run(data.name, registerId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'register_updated',
+      targetType: 'register',
+      targetId: registerId,
+      details: { name: data.name, previousName: register.name },
+    });
+
+    res.json({ message: 'Caisse renommée', register: formatRegister(req, registerQueries.findByIdAndMerchant.get(registerId, merchantId)) });
+  } catch (error) {
+    console.error('Erreur update caisse:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/registers/:id — Deactivate a register (owner)
+// Soft delete: its transactions stay in the dashboard report,
+// its QR stops working, waiting clients move to the shared queue
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const registerId = parseInt(req.params.id);
+    const register = registerQueries.findByIdAndMerchant.get(registerId, merchantId);
+    if (!register) return res.status(404).json({ error: 'Caisse non trouvée' });
+
+    registerQueries.deactivate.run(registerId, merchantId);
+    qrStateQueries.releaseRegisterIdents.run(registerId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'register_deleted',
+      targetType: 'register',
+      targetId: registerId,
+      details: { name: register.name },
+    });
+
+    res.json({ message: 'Caisse supprimée' });
+  } catch (error) {
+    console.error('Erreur suppression caisse:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { creditReviewQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+const { resolveReview } = require('../services/fraud');
+
+const router = express.Router();
+router.use(authenticateStaff);
+router.use(requireRole('owner'));
+
+const VALID_STATUSES = ['pending', 'approved', 'voided'];
+
+function formatReview(r) {
+  return {
+    id: r.id,
+    status: r.status,
+    score: r.score,
+    flags: JSON.parse(r.rules),
+    transactionId: r.transaction_id,
+    merchantClientId: r.merchant_client_id,
+    amount: r.amount,
+    pointsDelta: r.points_delta,
+    creditedAt: r.credited_at,
+    voidedAt: r.voided_at,
+    staffName: r.staff_name,
+    client: r.client_name || r.client_email || r.client_phone,
+    reviewedAt: r.reviewed_at,
+  };
+}
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/reviews?status=pending — Credits flagged by the anti-fraud rules
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const status = VALID_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+    res.json({
+      reviews: creditReviewQueries.getByMerchant.all(merchantId, status).map(formatReview),
+      pendingCount: creditReviewQueries.countPending.get(merchantId).c,
+    });
+  } catch (error) {
+    console.error('Erreur liste vérifications:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/reviews/:id/approve — Keep the credit
+// POST /api/reviews/:id/void    — Cancel it (linked reversal) { reason }
+// ═══════════════════════════════════════════════════════
+
+function decide(decision) {
+  return (req, res) => {
+    try {
+      const merchantId = req.staff.merchant_id;
+      const reviewId = parseInt(req.params.id);
+      const reason = req.body.reason ? String(req.body.reason).trim() : '';
+      if (reason.length > 500) return res.status(400).json({ error: 'Raison trop longue (max 500)' });
+
+      const result = resolveReview({ merchantId, reviewId, staff: req.staff, decision, reason });
+
+      logAudit({
+        ...auditCtx(req),
+        actorType: 'staff',
+        actorId: req.staff.id,
+        merchantId,
+        action: decision === 'void' ? 'credit_review_voided' : 'credit_review_approved',
+        targetType: 'transaction',
+        targetId: result.review.transaction_id,
+        details: { reviewId, score: result.review.score, reversalId: result.reversal ? result.reversal.id : null, reason: reason || null },
+      });
+
+      res.json({
+        message: decision === 'void' ? 'Crédit annulé' : 'Crédit validé',
+        review: { id: result.review.id, status: result.review.status },
+        reversal: result.reversal,
+      });
+    } catch (error) {
+      console.error('Erreur vérification crédit:', error);
+      const msg = error.message;
+      const status = msg.includes('non trouvée') ? 404 : msg.includes('déjà traitée') ? 409 : 400;
+      res.status(status).json({ error: msg });
+    }
+  };
+}
+
+router.post('/:id/approve', decide('approve'));
+router.post('/:id/void', decide('void'));
+
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { rewardQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+// ─── Validation ──────────────────────────────────────
+
+function parseReward(body) {
+  const name = (body.name || '').trim();
+  const description = (body.description || '').trim() || null;
+  const pointsCost = parseInt(body.pointsCost);
+
+  if (!name) return { error: 'Nom de la récompense requis' };
+  if (name.length > 100) return { error: 'Nom trop long (max 100 caractères)' };
+  if (description && description.length > 200) return { error: 'Description trop longue (max 200 caractères)' };
+  if (isNaN(pointsCost) || pointsCost <= 0) return { error: 'Coût en points invalide' };
+
+  return { name, description, pointsCost };
+}
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/rewards — Active rewards catalogue (all staff)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const rewards = rewardQueries.getByMerchant.all(req.staff.merchant_id);
+    res.json({ count: rewards.length, rewards });
+  } catch (error) {
+    console.error('Erreur liste récompenses:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/rewards — Add a reward to the catalogue (owner)
+// ═══════════════════════════════════════════════════════
+
+router.post('/', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const data = parseReward(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    const result = rewardQueries.create.run(merchantId, data.name, data.description, data.pointsCost);
+    const reward = rewardQueries.findByIdAndMerchant.get(result.lastInsertRowid, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'reward_created',
+      targetType: 'reward',
+      targetId: reward.id,
+      details: data,
+    });
+
+    res.status(201).json({ message: 'Récompense ajoutée', reward });
+  } catch (error) {
+    console.error('Erreur création récompense:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/rewards/:id — Update a reward (owner)
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const rewardId = parseInt(req.params.id);
+    if (!rewardQueries.findByIdAndMerchant.get(rewardId, merchantId)) {
+      return res.status(404).json({ error: 'Récompense non trouvée' });
+    }
+
+    const data = parseReward(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    rewardQueries.update.run(data.name, data.description, data.pointsCost, rewardId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'reward_updated',
+      targetType: 'reward',
+      targetId: rewardId,
+      details: data,
+    });
+
+    res.json({ message: 'Récompense mise à jour', reward: rewardQueries.findByIdAndMerchant.get(rewardId, merchantId) });
+  } catch (error) {
+    console.error('Erreur update récompense:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/rewards/:id — Remove from catalogue (owner)
+// Soft delete: past reward transactions keep their reward_id
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const rewardId = parseInt(req.params.id);
+    const reward = rewardQueries.findByIdAndMerchant.get(rewardId, merchantId);
+    if (!reward) return res.status(404).json({ error: 'Récompense non trouvée' });
+
+    rewardQueries.deactivate.run(rewardId, merchantId);
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'reward_deleted',
+      targetType: 'reward',
+      targetId: rewardId,
+      details: { name: reward.name, pointsCost: reward.points_cost },
+    });
+
+    res.json({ message: 'Récompense retirée du catalogue' });
+  } catch (error) {
+    console.error('Erreur suppression récompense:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
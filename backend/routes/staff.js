@@ -271,8 +271,13 @@ router.delete('/:id', (req, res) => {
       return res.status(403).json({ error: 'Impossible de supprimer un propriétaire' });
     }
 
-    // Nullify staff_id in transactions before deleting (FK constraint)
+    // Nullify staff_id in transactions, credit reviews, vouchers and gift cards before deleting (FK constraint)
     db.prepare('UPDATE transactions SET staff_id = NULL WHERE staff_id = ?').run(staffId);
+    db.prepare('UPDATE credit_reviews SET staff_id = NULL WHERE staff_id = ?').run(staffId);
+    db.prepare('UPDATE credit_reviews SET reviewed_by = NULL WHERE reviewed_by = ?').run(staffId);
+    db.prepare('UPDATE reward_vouchers SET redeemed_by = NULL WHERE redeemed_by = ?').run(staffId);
+    db.prepare('UPDATE gift_cards SET sold_by = NULL WHERE sold_by = ?').run(staffId);
+    db.prepare('UPDATE gift_card_entries SET staff_id = NULL WHERE staff_id = ?').run(staffId);
     staffQueries.delete.run(staffId, req.staff.merchant_id);
 
     logAudit({
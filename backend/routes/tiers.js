@@ -0,0 +1,184 @@
+const express = require('express');
+const { merchantQueries, tierQueries } = require('../database');
+const { authenticateStaff, requireRole } = require('../middleware/auth');
+const { logAudit, auditCtx } = require('../middleware/audit');
+const { refreshMerchantTiers } = require('../services/tiers');
+
+const router = express.Router();
+router.use(authenticateStaff);
+
+const VALID_BASES = ['spent', 'visits'];
+
+// ─── Validation ──────────────────────────────────────
+
+function parseTier(body) {
+  const name = (body.name || '').trim();
+  const threshold = parseFloat(body.threshold);
+  const multiplier = parseFloat(body.multiplier);
+
+  if (!name) return { error: 'Nom du palier requis' };
+  if (name.length > 50) return { error: 'Nom trop long (max 50 caractères)' };
+  if (isNaN(threshold) || threshold < 0) return { error: 'Seuil invalide' };
+  if (isNaN(multiplier) || multiplier < 1 || multiplier > 5) return { error: 'Multiplicateur invalide (entre 1 et 5)' };
+
+  return { name, threshold, multiplier };
+}
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/tiers — Tier basis + active tiers (all staff)
+// ═══════════════════════════════════════════════════════
+
+router.get('/', (req, res) => {
+  try {
+    const merchant = merchantQueries.findById.get(req.staff.merchant_id);
+    const tiers = tierQueries.getByMerchant.all(req.staff.merchant_id);
+    res.json({ basis: merchant.tier_basis || 'spent', count: tiers.length, tiers });
+  } catch (error) {
+    console.error('Erreur liste paliers:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/tiers/basis — Rolling 12-month spend or visits (owner)
+// ═══════════════════════════════════════════════════════
+
+router.put('/basis', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const { basis } = req.body;
+    if (!VALID_BASES.includes(basis)) return res.status(400).json({ error: 'Critère invalide (spent ou visits)' });
+
+    tierQueries.setBasis.run(basis, merchantId);
+    const changed = refreshMerchantTiers(merchantQueries.findById.get(merchantId));
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'tier_basis_updated',
+      targetType: 'merchant',
+      targetId: merchantId,
+      details: { basis, changed },
+    });
+
+    res.json({ message: 'Critère des paliers mis à jour', basis, changed });
+  } catch (error) {
+    console.error('Erreur critère paliers:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// POST /api/tiers — Create a tier (owner)
+// ═══════════════════════════════════════════════════════
+
+router.post('/', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const data = parseTier(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    const result = tierQueries.create.run(merchantId, data.name, data.threshold, data.multiplier);
+    const changed = refreshMerchantTiers(merchantQueries.findById.get(merchantId));
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'tier_created',
+      targetType: 'tier',
+      targetId: result.lastInsertRowid,
+      details: { ...data, changed },
+    });
+
+    res.status(201).json({
+      message: 'Palier ajouté',
+      tier: tierQueries.findByIdAndMerchant.get(result.lastInsertRowid, merchantId),
+      changed,
+    });
+  } catch (error) {
+    console.error('Erreur création palier:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// PUT /api/tiers/:id — Update a tier (owner)
+// ═══════════════════════════════════════════════════════
+
+router.put('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const tierId = parseInt(req.params.id);
+    if (!tierQueries.findByIdAndMerchant.get(tierId, merchantId)) {
+      return res.status(404).json({ error: 'Palier non trouvé' });
+    }
+
+    const data = parseTier(req.body);
+    if (data.error) return res.status(400).json({ error: data.error });
+
+    tierQueries.update.run(data.name, data.threshold, data.multiplier, tierId, merchantId);
+    const changed = refreshMerchantTiers(merchantQueries.findById.get(merchantId));
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'tier_updated',
+      targetType: 'tier',
+      targetId: tierId,
+      details: { ...data, changed },
+    });
+
+    res.json({ message: 'Palier mis à jour', tier: tierQueries.findByIdAndMerchant.get(tierId, merchantId), changed });
+  } catch (error) {
+    console.error('Erreur update palier:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DELETE /api/tiers/:id — Remove a tier (owner)
+// Soft delete: clients are moved to their new tier and the
+// change log keeps the old tier name
+// ═══════════════════════════════════════════════════════
+
+router.delete('/:id', requireRole('owner'), (req, res) => {
+  try {
+    const merchantId = req.staff.merchant_id;
+    const tierId = parseInt(req.params.id);
+    const tier = tierQueries.findByIdAndMerchant.get(tierId, merchantId);
+    if (!tier) return res.status(404).json({ error: 'Palier non trouvé' });
+
+    tierQueries.deactivate.run(tierId, merchantId);
+    const changed = refreshMerchantTiers(merchantQueries.findById.get(merchantId));
+
+    logAudit({
+      ...auditCtx(req),
+      actorType: 'staff',
+      actorId: req.staff.id,
+      merchantId,
+      action: 'tier_deleted',
+      targetType: 'tier',
+      targetId: tierId,
+      details: { name: tier.name, changed },
+    });
+
+    res.json({ message: 'Palier supprimé', changed });
+  } catch (error) {
+    console.error('Erreur suppression palier:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const { walletQueries } = require('../database');
+const { getOrCreatePass, renderApplePass, passFilename, googleSaveUrl, resolveEmailLink, appleEnabled, googleEnabled, safeEqual } = require('../services/wallet');
+
+const router = express.Router();
+
+// ═══════════════════════════════════════════════════════
+// APPLE PASSKIT WEB SERVICE
+// Called by iPhones holding a pass (webServiceURL = /api/wallet/).
+// Pass endpoints authenticate with "Authorization: ApplePass <token>".
+// ═══════════════════════════════════════════════════════
+
+/** Pass of the URL if the request carries its token, else null. */
+function authorizedPass(req) {
+  if (!appleEnabled() || req.params.passTypeId !== process.env.WALLET_PASS_TYPE_ID) return null;
+  const pass = walletQueries.findBySerial.get(req.params.serial);
+  const header = req.headers.authorization || '';
+  if (!pass || !safeEqual(header, `ApplePass ${pass.auth_token}`)) return null;
+  return pass;
+}
+
+function sendApplePass(res, pass) {
+  res.set({
+    'Content-Type': 'application/vnd.apple.pkpass',
+    'Content-Disposition': `attachment; filename="${passFilename(pass)}"`,
+    'Last-Modified': new Date(pass.updated_tag).toUTCString(),
+  });
+  res.send(renderApplePass(pass));
+}
+
+// ─── Register a device for update pushes ───
+
+router.post('/v1/devices/:deviceId/registrations/:passTypeId/:serial', (req, res) => {
+  try {
+    const pass = authorizedPass(req);
+    if (!pass) return res.sendStatus(401);
+
+    const { pushToken } = req.body || {};
+    if (!pushToken || typeof pushToken !== 'string') return res.sendStatus(400);
+
+    const existing = walletQueries.findRegistration.get(req.params.deviceId, pass.serial_number);
+    walletQueries.register.run(req.params.deviceId, pass.serial_number, pushToken);
+    res.sendStatus(existing ? 200 : 201);
+  } catch (error) {
+    console.error('Wallet register error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// ─── Serials updated since the device's last fetch ───
+
+router.get('/v1/devices/:deviceId/registrations/:passTypeId', (req, res) => {
+  try {
+    if (req.params.passTypeId !== process.env.WALLET_PASS_TYPE_ID) return res.sendStatus(404);
+
+    const since = parseInt(req.query.passesUpdatedSince) || 0;
+    const rows = walletQueries.getDeviceSerials.all(req.params.deviceId, since);
+    if (rows.length === 0) return res.sendStatus(204);
+
+    res.json({
+      serialNumbers: rows.map(r => r.serial_number),
+      lastUpdated: String(Math.max(...rows.map(r => r.updated_tag))),
+    });
+  } catch (error) {
+    console.error('Wallet serials error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// ─── Unregister (pass removed from the device) ───
+
+router.delete('/v1/devices/:deviceId/registrations/:passTypeId/:serial', (req, res) => {
+  try {
+    const pass = authorizedPass(req);
+    if (!pass) return res.sendStatus(401);
+
+    walletQueries.unregister.run(req.params.deviceId, pass.serial_number);
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Wallet unregister error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// ─── Latest version of a pass ───
+
+router.get('/v1/passes/:passTypeId/:serial', (req, res) => {
+  try {
+    const pass = authorizedPass(req);
+    if (!pass) return res.sendStatus(401);
+
+    const since = Date.parse(req.headers['if-modified-since'] || '');
+    if (since && Math.floor(pass.updated_tag / 1000) * 1000 <= since) return res.sendStatus(304);
+
+    sendApplePass(res, pass);
+  } catch (error) {
+    console.error('Wallet pass error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// ─── Device-side errors ───
+
+router.post('/v1/log', (req, res) => {
+  const logs = Array.isArray(req.body?.logs) ? req.body.logs : [];
+  for (const line of logs.slice(0, 20)) console.warn('Wallet device log:', String(line).substring(0, 300));
+  res.sendStatus(200);
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GET /api/wallet/add/:token?platform=apple|google — Welcome email link
+// The card may not exist yet when the email is sent (first credit).
+// Links expire after 30 days.
+// ═══════════════════════════════════════════════════════
+
+router.get('/add/:token', (req, res) => {
+  try {
+    const platform = req.query.platform === 'google' ? 'google' : 'apple';
+    if (platform === 'apple' ? !appleEnabled() : !googleEnabled()) {
+      return res.status(404).json({ error: 'Wallet non disponible' });
+    }
+
+    let mc;
+    try {
+      mc = resolveEmailLink(req.params.token);
+    } catch (e) {
+      if (e.message === 'Carte non trouvée') {
+        return res.status(404).json({ error: 'Votre carte sera disponible après votre premier passage en caisse' });
+      }
+      if (e.message === 'Lien expiré') {
+        return res.status(410).json({ error: 'Ce lien a expiré — ajoutez votre carte depuis l\'app FIDDO' });
+      }
+      return res.status(400).json({ error: e.message });
+    }
+
+    const pass = getOrCreatePass(mc.id);
+    if (platform === 'google') return res.redirect(302, googleSaveUrl(pass));
+    sendApplePass(res, pass);
+  } catch (error) {
+    console.error('Wallet email link error:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+
+module.exports = router;
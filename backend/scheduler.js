@@ -2,8 +2,16 @@
 // FIDDO — Scheduled Tasks (runs daily)
 // ═══════════════════════════════════════════════════════
 
-const { db, merchantQueries, voucherQueries } = require('./database');
-const { sendAppReminderEmail } = require('./services/email');
+const { db, merchantQueries, voucherQueries, transactionQueries } = require('./database');
+const { sendAppReminderEmail, sendBirthdayVoucherEmail, sendLedgerDriftEmail } = require('./services/email');
+const { pushBirthdayVoucher } = require('./services/push');
+const { refreshMerchantTiers } = require('./services/tiers');
+const { issueBirthdayVoucher } = require('./services/birthdays');
+const { findDrift, findGroupDrift } = require('./services/ledger');
+const { refundGift } = require('./services/gifts');
+const { expireGiftCards } = require('./services/giftcards');
+const { addGroupPoints } = require('./services/groups');
+const { refreshWalletPasses } = require('./services/wallet');
 
 /**
  * Send app download reminder to users who:
@@ -67,33 +75,291 @@ function refundExpiredGifts() {
 
     const refundTx = db.transaction(() => {
       for (const v of expired) {
-        // Refund points to sender
-        db.prepare(`
-          UPDATE merchant_clients
-          SET points_balance = points_balance + ?, updated_at = datetime('now')
-          WHERE id = ?
-        `).run(v.points, v.sender_mc_id);
-
-        // Create refund transaction
-        db.prepare(`
-          INSERT INTO transactions (merchant_id, merchant_client_id, staff_id, amount, points_delta, transaction_type, notes, created_at)
-          VALUES (?, ?, NULL, NULL, ?, 'gift_refund', ?, datetime('now'))
-        `).run(v.merchant_id, v.sender_mc_id, v.points, `Transfert expiré — ${v.points} pts remboursés (voucher ${v.token.substring(0, 8)})`);
-
-        // Mark voucher expired
-        db.prepare(`
-          UPDATE point_vouchers SET status = 'expired' WHERE id = ?
-        `).run(v.id);
+        refundGift(v, 'expired', `Transfert expiré — ${v.points} pts remboursés (voucher ${v.token.substring(0, 8)})`);
       }
     });
 
     refundTx();
+    for (const v of expired) refreshWalletPasses(v.sender_mc_id);
     console.log(`✅ ${expired.length} gift voucher(s) expired & refunded`);
   } catch (error) {
     console.error('❌ Gift refund error:', error);
   }
 }
 
+// Fixed-date expiries are still applied this many days after the cutoff
+// (covers a server that was down on the day itself)
+const EXPIRY_CATCH_UP_DAYS = 7;
+
+/**
+ * Most recent occurrence of a 'MM-DD' cutoff at or before `now` (UTC midnight).
+ * Returns null if the date is invalid.
+ */
+function lastExpiryCutoff(mmdd, now) {
+  const match = /^(\d{2})-(\d{2})$/.exec(mmdd || '');
+  if (!match) return null;
+  const month = parseInt(match[1]) - 1;
+  const day = parseInt(match[2]);
+  let cutoff = new Date(Date.UTC(now.getUTCFullYear(), month, day));
+  if (cutoff > now) cutoff = new Date(Date.UTC(now.getUTCFullYear() - 1, month, day));
+  return cutoff;
+}
+
+const toSqlDate = (d) => d.toISOString().replace('T', ' ').substring(0, 19);
+
+/**
+ * Debit expired points according to each merchant's expiry policy.
+ * Runs daily.
+ * - inactivity: the whole balance expires after N months without a visit
+ *   (cards never visited — legacy rows with a NULL last_visit — count
+ *   from their creation)
+ * - fixed_date: on MM-DD each year, what is left of the balance held at
+ *   that date expires (points earned after the cutoff are kept, points
+ *   spent since come out of the old balance first)
+ * Group balances follow the policy of each member shop, measured across
+ * the whole group (last visit at any member, points earned at any member
+ * since the cutoff), so the strictest member policy applies.
+ * Every debit is recorded as an 'expiry' transaction; group ones are
+ * booked on the client's card at the member whose policy applied.
+ */
+function expirePoints(now = new Date()) {
+  try {
+    const merchants = db.prepare(`
+      SELECT id, group_id, points_expiry_mode, points_expiry_months, points_expiry_date
+      FROM merchants
+      WHERE status = 'active' AND points_expiry_mode IN ('inactivity', 'fixed_date')
+    `).all();
+
+    if (merchants.length === 0) return;
+
+    const debit = db.prepare(`
+      UPDATE merchant_clients SET points_balance = points_balance - ?, updated_at = datetime('now') WHERE id = ?
+    `);
+
+    let count = 0;
+    let points = 0;
+    const expiredCards = new Set();
+
+    // Latest visit / ledger of an end user across the members of a group
+    const groupLastVisit = `
+      SELECT MAX(COALESCE(c.last_visit, c.created_at))
+      FROM merchant_clients c JOIN merchants gm ON gm.id = c.merchant_id
+      WHERE gm.group_id = gb.group_id AND c.end_user_id = gb.end_user_id
+    `;
+    const groupTransactions = `
+      FROM transactions t JOIN merchant_clients c ON c.id = t.merchant_client_id
+      WHERE t.group_id = gb.group_id AND c.end_user_id = gb.end_user_id AND t.created_at >= ?
+    `;
+
+    const expireTx = db.transaction(() => {
+      for (const m of merchants) {
+        let toExpire = [];
+        let groupToExpire = [];
+        let notes;
+        let periodKey;
+
+        if (m.points_expiry_mode === 'inactivity') {
+          const months = parseInt(m.points_expiry_months);
+          if (!months || months <= 0) continue;
+
+          toExpire = db.prepare(`
+            SELECT id, points_balance AS expired
+            FROM merchant_clients
+            WHERE merchant_id = ? AND points_balance > 0
+              AND COALESCE(last_visit, created_at) <= datetime(?, ?)
+          `).all(m.id, toSqlDate(now), `-${months} months`);
+          if (m.group_id) {
+            groupToExpire = db.prepare(`
+              SELECT gb.end_user_id, mc.id, gb.points_balance AS expired
+              FROM group_balances gb
+              JOIN merchant_clients mc ON mc.merchant_id = ? AND mc.end_user_id = gb.end_user_id
+              WHERE gb.group_id = ? AND gb.points_balance > 0
+                AND (${groupLastVisit}) <= datetime(?, ?)
+            `).all(m.id, m.group_id, toSqlDate(now), `-${months} months`);
+          }
+          notes = `Points expirés — ${months} mois sans visite`;
+          periodKey = toSqlDate(now).substring(0, 10);
+        } else {
+          const cutoff = lastExpiryCutoff(m.points_expiry_date, now);
+          if (!cutoff) continue;
+          if (now - cutoff > EXPIRY_CATCH_UP_DAYS * 24 * 60 * 60 * 1000) continue;
+
+          // Old points still held = current balance minus what was earned since
+          // (voided credits and their reversals cancel out, so both are skipped)
+          const cutoffSql = toSqlDate(cutoff);
+          toExpire = db.prepare(`
+            SELECT mc.id,
+                   mc.points_balance - COALESCE((
+                     SELECT SUM(t.points_delta) FROM transactions t
+                     WHERE t.merchant_client_id = mc.id AND t.program_id IS NULL AND t.group_id IS NULL AND t.created_at >= ?
+                       AND t.points_delta > 0 AND t.voided_at IS NULL
+                   ), 0) AS expired
+            FROM merchant_clients mc
+            WHERE mc.merchant_id = ? AND mc.points_balance > 0
+              AND NOT EXISTS (
+                SELECT 1 FROM transactions t
+                WHERE t.merchant_client_id = mc.id AND t.transaction_type = 'expiry' AND t.created_at >= ?
+              )
+          `).all(cutoffSql, m.id, cutoffSql);
+          if (m.group_id) {
+            groupToExpire = db.prepare(`
+              SELECT gb.end_user_id, mc.id,
+                     gb.points_balance - COALESCE((
+                       SELECT SUM(t.points_delta) ${groupTransactions} AND t.points_delta > 0 AND t.voided_at IS NULL
+                     ), 0) AS expired
+              FROM group_balances gb
+              JOIN merchant_clients mc ON mc.merchant_id = ? AND mc.end_user_id = gb.end_user_id
+              WHERE gb.group_id = ? AND gb.points_balance > 0
+                AND NOT EXISTS (SELECT 1 ${groupTransactions} AND t.transaction_type = 'expiry')
+            `).all(cutoffSql, m.id, m.group_id, cutoffSql);
+          }
+          const [, mm, dd] = cutoffSql.substring(0, 10).split('-');
+          notes = `Points expirés — échéance annuelle du ${dd}/${mm}`;
+          periodKey = cutoffSql.substring(0, 10);
+        }
+
+        for (const mc of toExpire) {
+          if (mc.expired <= 0) continue;
+          debit.run(mc.expired, mc.id);
+          transactionQueries.create.run(
+            m.id, mc.id, null, null, -mc.expired, 'expiry',
+            `expiry-${mc.id}-${periodKey}`, 'system', notes
+          );
+          count++;
+          points += mc.expired;
+          expiredCards.add(mc.id);
+        }
+
+        for (const gb of groupToExpire) {
+          if (gb.expired <= 0) continue;
+          const tx = transactionQueries.create.run(
+            m.id, gb.id, null, null, -gb.expired, 'expiry',
+            `expiry-group-${m.group_id}-${gb.end_user_id}-${periodKey}`, 'system', notes
+          );
+          addGroupPoints(m.group_id, gb.end_user_id, -gb.expired, tx.lastInsertRowid);
+          count++;
+          points += gb.expired;
+          expiredCards.add(gb.id);
+        }
+      }
+    });
+
+    expireTx();
+    for (const id of expiredCards) refreshWalletPasses(id);
+    if (count > 0) console.log(`⌛ ${points} point(s) expired on ${count} card(s)`);
+  } catch (error) {
+    console.error('❌ Points expiry error:', error);
+  }
+}
+
+/**
+ * Re-evaluate membership tiers for every merchant that has tiers.
+ * Runs daily: purchases leaving the rolling 12-month window can move
+ * a client down a tier without any new activity.
+ */
+function recalculateTiers() {
+  try {
+    const merchants = db.prepare(`
+      SELECT * FROM merchants
+      WHERE status = 'active'
+        AND (EXISTS (SELECT 1 FROM tiers t WHERE t.merchant_id = merchants.id AND t.is_active = 1)
+          OR EXISTS (SELECT 1 FROM merchant_clients mc WHERE mc.merchant_id = merchants.id AND mc.tier_id IS NOT NULL))
+    `).all();
+
+    let changed = 0;
+    for (const m of merchants) changed += refreshMerchantTiers(m);
+
+    if (changed > 0) console.log(`🏅 ${changed} client tier(s) updated`);
+  } catch (error) {
+    console.error('❌ Tier recalculation error:', error);
+  }
+}
+
+/**
+ * Issue birthday vouchers for merchants with a birthday gift.
+ * Runs daily: each client gets one voucher per birthday, created on the
+ * first run inside the window (birthday ± birthday_gift_window_days),
+ * then emailed and pushed to them.
+ */
+function issueBirthdayVouchers(now = new Date()) {
+  try {
+    const merchants = db.prepare(`
+      SELECT * FROM merchants
+      WHERE status = 'active' AND birthday_gift_enabled = 1 AND birthday_gift_description IS NOT NULL
+    `).all();
+
+    let issued = 0;
+    for (const m of merchants) {
+      const clients = db.prepare(`
+        SELECT mc.id, eu.id AS end_user_id, eu.email, eu.date_of_birth, eu.marketing_optout
+        FROM merchant_clients mc
+        JOIN end_users eu ON mc.end_user_id = eu.id
+        WHERE mc.merchant_id = ? AND mc.is_blocked = 0
+          AND eu.deleted_at IS NULL AND eu.is_blocked = 0 AND eu.date_of_birth IS NOT NULL
+      `).all(m.id);
+
+      for (const c of clients) {
+        const voucher = issueBirthdayVoucher(m, c, c.date_of_birth, now);
+        if (!voucher) continue;
+        issued++;
+
+        if (c.email && !c.marketing_optout) {
+          sendBirthdayVoucherEmail(c.email, m.business_name, voucher.description, voucher.validUntil, c.end_user_id);
+        }
+        pushBirthdayVoucher(c.end_user_id, m.business_name, voucher.description).catch(() => {});
+      }
+    }
+
+    if (issued > 0) console.log(`🎂 ${issued} birthday voucher(s) issued`);
+  } catch (error) {
+    console.error('❌ Birthday voucher error:', error);
+  }
+}
+
+/**
+ * Zero the gift cards past their expiry date ('expiry' ledger entry).
+ * Runs daily.
+ */
+function expireGiftCardBalances(now = new Date()) {
+  try {
+    const expired = expireGiftCards(now);
+    if (expired > 0) console.log(`💳 ${expired} gift card(s) expired`);
+  } catch (error) {
+    console.error('❌ Gift card expiry error:', error);
+  }
+}
+
+/**
+ * Compare every card balance, and every group balance, with the sum of
+ * its transactions. Runs nightly; drift is only reported (super admin
+ * email), repairs are made from the admin panel.
+ */
+function reconcileLedger() {
+  try {
+    const merchants = findDrift();
+    const groups = findGroupDrift();
+    if (merchants.length === 0 && groups.length === 0) return;
+
+    const cardCount = merchants.reduce((n, m) => n + m.clients.length, 0);
+    const groupBalanceCount = groups.reduce((n, g) => n + g.clients.length, 0);
+    console.warn(`⚖️  Ledger drift on ${cardCount} card(s) across ${merchants.length} merchant(s), ${groupBalanceCount} group balance(s) across ${groups.length} group(s)`);
+
+    const adminEmail = process.env.SUPER_ADMIN_EMAIL;
+    if (adminEmail) sendLedgerDriftEmail(adminEmail, merchants, groups);
+    else console.error('❌ SUPER_ADMIN_EMAIL not configured');
+  } catch (error) {
+    console.error('❌ Ledger reconciliation error:', error);
+  }
+}
+
+/** Milliseconds until the next `hour`:00 (server local time). */
+function msUntilHour(hour, now = new Date()) {
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+}
+
 /**
  * Start the daily scheduler.
  * Runs at 10:00 AM every day (Belgian business hours).
@@ -104,12 +370,20 @@ function startScheduler() {
     console.log('⏰ Scheduler: initial check…');
     sendAppReminders();
     refundExpiredGifts();
+    expirePoints();
+    recalculateTiers();
+    issueBirthdayVouchers();
+    expireGiftCardBalances();
   }, 30000);
 
-  // App reminders — every 24 hours
+  // App reminders + points expiry + tiers + birthday vouchers + gift cards — every 24 hours
   setInterval(() => {
     console.log('⏰ Scheduler: daily check…');
     sendAppReminders();
+    expirePoints();
+    recalculateTiers();
+    issueBirthdayVouchers();
+    expireGiftCardBalances();
   }, 24 * 60 * 60 * 1000);
 
   // Gift refunds — every hour
@@ -117,7 +391,13 @@ function startScheduler() {
     refundExpiredGifts();
   }, 60 * 60 * 1000);
 
-  console.log('⏰ Scheduler started (daily app reminders + hourly gift refunds)');
+  // Ledger reconciliation — nightly at 3:00, when no credit is in flight
+  setTimeout(() => {
+    reconcileLedger();
+    setInterval(reconcileLedger, 24 * 60 * 60 * 1000);
+  }, msUntilHour(3));
+
+  console.log('⏰ Scheduler started (daily app reminders + points expiry + tiers + birthday vouchers, hourly gift refunds, nightly ledger check)');
 }
 
-module.exports = { startScheduler, sendAppReminders, refundExpiredGifts };
+module.exports = { startScheduler, sendAppReminders, refundExpiredGifts, expirePoints, recalculateTiers, issueBirthdayVouchers, expireGiftCardBalances, reconcileLedger };
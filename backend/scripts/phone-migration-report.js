@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * FIDDO — Report: stored phone numbers under the per-country rules
+ *
+ * Re-normalizes every client phone with normalizePhone() and the
+ * default country of the client's first merchant (merchants.phone_country),
+ * then lists the end_users.phone_e164 and phone alias values that
+ * would change or no longer pass validation. Aliases use the country
+ * of the account they belong to.
+ *
+ * Read-only: nothing is written. Fix the listed accounts by hand
+ * (admin merge/edit) or ask the client to update their number.
+ *
+ * Usage: node scripts/phone-migration-report.js [--csv report.csv]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { db } = require('../database');
+const { normalizePhone, DEFAULT_PHONE_COUNTRY } = require('../services/normalizer');
+
+const csvIndex = process.argv.indexOf('--csv');
+const csvPath = csvIndex > -1 ? process.argv[csvIndex + 1] : null;
+
+// Country a number was most likely typed in: first shop, else first card
+const users = db.prepare(`
+  SELECT eu.id, eu.phone, eu.phone_e164,
+    COALESCE(m.phone_country, ?) AS phone_country
+  FROM end_users eu
+  LEFT JOIN merchants m ON m.id = COALESCE(eu.first_merchant_id,
+    (SELECT mc.merchant_id FROM merchant_clients mc WHERE mc.end_user_id = eu.id ORDER BY mc.id LIMIT 1))
+  WHERE eu.deleted_at IS NULL AND (eu.phone IS NOT NULL OR eu.phone_e164 IS NOT NULL)
+  ORDER BY eu.id
+`).all(DEFAULT_PHONE_COUNTRY);
+
+// Same country as the account the alias belongs to
+const aliases = db.prepare(`
+  SELECT a.id, a.end_user_id, a.alias_value,
+    COALESCE(m.phone_country, ?) AS phone_country
+  FROM end_user_aliases a
+  JOIN end_users eu ON eu.id = a.end_user_id
+  LEFT JOIN merchants m ON m.id = COALESCE(eu.first_merchant_id,
+    (SELECT mc.merchant_id FROM merchant_clients mc WHERE mc.end_user_id = eu.id ORDER BY mc.id LIMIT 1))
+  WHERE a.alias_type = 'phone'
+  ORDER BY a.id
+`).all(DEFAULT_PHONE_COUNTRY);
+
+const findByPhone = db.prepare('SELECT id FROM end_users WHERE phone_e164 = ? AND id != ? AND deleted_at IS NULL');
+
+const rows = [];
+
+for (const u of users) {
+  // The raw input is the reference; phone_e164 alone for accounts without it
+  const source = u.phone || u.phone_e164;
+  const next = normalizePhone(source, u.phone_country);
+  if (next === u.phone_e164) continue;
+
+  const conflict = next ? findByPhone.get(next, u.id) : null;
+  rows.push({
+    kind: 'end_user',
+    id: u.id,
+    label: `user #${u.id}`,
+    country: u.phone_country,
+    input: u.phone || '',
+    current: u.phone_e164 || '',
+    next: next || '',
+    status: !next ? 'invalid' : conflict ? `conflict #${conflict.id}` : 'changed',
+  });
+}
+
+for (const a of aliases) {
+  const next = normalizePhone(a.alias_value, a.phone_country);
+  if (next === a.alias_value) continue;
+
+  const conflict = next ? findByPhone.get(next, a.end_user_id) : null;
+  rows.push({
+    kind: 'alias',
+    id: a.id,
+    label: `alias #${a.id} (user #${a.end_user_id})`,
+    country: a.phone_country,
+    input: '',
+    current: a.alias_value,
+    next: next || '',
+    status: !next ? 'invalid' : conflict ? `conflict #${conflict.id}` : 'changed',
+  });
+}
+
+console.log(`🔍 ${users.length} client(s) with a phone, ${aliases.length} phone alias(es) checked\n`);
+
+const changed = rows.filter(r => r.status === 'changed');
+const conflicts = rows.filter(r => r.status.startsWith('conflict'));
+const invalid = rows.filter(r => r.status.startsWith('invalid'));
+
+console.log(`Found ${changed.length} number(s) that would change`);
+changed.forEach(r => console.log(`  - ${r.label} [${r.country}] "${r.input || r.current}": ${r.current || '(none)'} → ${r.next}`));
+
+console.log(`Found ${conflicts.length} number(s) that would collide with another account`);
+conflicts.forEach(r => console.log(`  - ${r.label} [${r.country}] "${r.input || r.current}": ${r.current || '(none)'} → ${r.next} (${r.status})`));
+
+console.log(`Found ${invalid.length} number(s) that fail validation`);
+invalid.forEach(r => console.log(`  - ${r.label} [${r.country}] "${r.input || r.current}" (${r.status})`));
+
+if (rows.length === 0) console.log('\n✅ All stored phone numbers pass the new rules.');
+else console.log(`\n⚠️  Total: ${rows.length} number(s) to review`);
+
+if (csvPath) {
+  const csv = ['type,id,pays,saisie,phone_e164,nouveau,statut']
+    .concat(rows.map(r => [r.kind, r.id, r.country, r.input, r.current, r.next, r.status].map(v => `"${String(v).replace(/"/g, '""')}"`).join(',')));
+  fs.writeFileSync(csvPath, csv.join('\n') + '\n');
+  console.log(`📄 CSV written to ${csvPath}`);
+}
+
+process.exit(0);
@@ -44,10 +44,10 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
 
-// Global rate limiting
+// Global rate limiting (API_RATE_LIMIT_MAX overrides the ceiling)
 app.use('/api/', rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 200,                  // 200 requests per window per IP
+  max: parseInt(process.env.API_RATE_LIMIT_MAX) || 200, // requests per window per IP
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Trop de requêtes, réessayez dans quelques minutes' },
@@ -122,6 +122,30 @@ app.use('/api/clients', require('./routes/clients'));
 // Staff management (owner only)
 app.use('/api/staff', require('./routes/staff'));
 
+// Rewards catalogue (list: all staff, edit: owner)
+app.use('/api/rewards', require('./routes/rewards'));
+
+// Membership tiers (list: all staff, edit: owner)
+app.use('/api/tiers', require('./routes/tiers'));
+
+// Bonus campaigns (list: all staff, edit: owner)
+app.use('/api/campaigns', require('./routes/campaigns'));
+
+// Promo codes (list: all staff, edit: owner)
+app.use('/api/promo-codes', require('./routes/promo-codes'));
+
+// Extra stamp cards (list: all staff, edit: owner)
+app.use('/api/programs', require('./routes/programs'));
+
+// Registers / tills (list: all staff, edit: owner)
+app.use('/api/registers', require('./routes/registers'));
+
+// Anti-fraud review queue (owner)
+app.use('/api/reviews', require('./routes/reviews'));
+
+// Prepaid gift cards (sell/spend: all staff, report/refund: owner/manager)
+app.use('/api/gift-cards', require('./routes/gift-cards'));
+
 // QR code self-identification
 app.use('/api/qr', require('./routes/qr'));
 app.use('/api/me', require('./routes/client-portal'));
@@ -138,6 +162,12 @@ app.use('/api/dashboard', require('./routes/dashboard'));
 // Messages (merchant-side: read messages, download invoices)      ← FIX messages
 app.use('/api/messages', require('./routes/messages'));
 
+// Live events (SSE)
+app.use('/api/events', require('./routes/events'));
+
+// Wallet passes (Apple PassKit web service, welcome email links)
+app.use('/api/wallet', require('./routes/wallet'));
+
 // Super admin
 app.use('/api/admin/auth', require('./routes/admin/auth'));
 app.use('/api/admin/merchants', require('./routes/admin/merchants'));
@@ -145,6 +175,8 @@ app.use('/api/admin/users', require('./routes/admin/users'));
 app.use('/api/admin/backups', require('./routes/admin/backups'));
 app.use('/api/admin/announcements', require('./routes/admin/announcements'));
 app.use('/api/admin/messages', require('./routes/admin/messages'));
+app.use('/api/admin/ledger', require('./routes/admin/ledger'));
+app.use('/api/admin/groups', require('./routes/admin/groups'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -174,6 +206,7 @@ app.get('/credit',      noCache, (req, res) => res.sendFile(path.join(__dirname,
 app.get('/staff',       noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/staff.html')));
 app.get('/preferences', noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/preferences.html')));
 app.get('/messages',    noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/messages.html')));
+app.get('/gift-cards',  noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/gift-cards.html')));
 
 // QR client-facing form
 app.get('/client-form', noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/client-form.html')));
@@ -188,6 +221,8 @@ app.get('/q/:token', noCache, (req, res) => res.sendFile(path.join(__dirname, '.
 app.get('/me', (req, res) => res.redirect(301, '/app/'));
 app.get('/me/verify/:token', noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/verify.html')));
 app.get('/c/:token', (req, res) => res.redirect(301, '/app/'));
+app.get('/v/:code', (req, res) => res.redirect(301, '/app/'));
+app.get('/g/:code', (req, res) => res.redirect(301, '/app/'));
 
 // PWA client app — serves index.html for all /app routes (SPA)
 app.get('/app', noCache, (req, res) => res.sendFile(path.join(__dirname, '../frontend/app/index.html')));
@@ -3,7 +3,7 @@
 // Full merchant data export & import
 // ═══════════════════════════════════════════════════════
 
-const { db, merchantQueries, merchantClientQueries, transactionQueries, endUserQueries, staffQueries } = require('../database');
+const { db, merchantQueries, merchantClientQueries, transactionQueries, endUserQueries, staffQueries, programQueries, walletQueries } = require('../database');
 
 // ═══════════════════════════════════════════════════════
 // EXPORT — Generate complete merchant data snapshot
@@ -91,6 +91,7 @@ function exportMerchantData(merchantId) {
       phone_e164: eu.phone_e164,
       name: eu.name,
       email_validated: eu.email_validated,
+      phone_validated: eu.phone_validated,
       consent_date: eu.consent_date,
       is_blocked: eu.is_blocked,
       created_at: eu.created_at,
@@ -117,6 +118,8 @@ function exportMerchantData(merchantId) {
       amount: t.amount,
       points_delta: t.points_delta,
       transaction_type: t.transaction_type,
+      program_id: t.program_id || null,
+      register_id: t.register_id || null,
       source: t.source,
       notes: t.notes,
       created_at: t.created_at,
@@ -232,9 +235,27 @@ function importMerchantData(merchantId, data) {
     const existingMCs = db.prepare('SELECT id FROM merchant_clients WHERE merchant_id = ?').all(merchantId);
     const existingMCIds = existingMCs.map(mc => mc.id);
 
+    // Delete birthday vouchers (not part of the backup: reissued by the scheduler)
+    db.prepare('DELETE FROM birthday_vouchers WHERE merchant_id = ?').run(merchantId);
+
+    // Delete reward vouchers (not part of the backup: their issue transactions are replaced)
+    db.prepare('DELETE FROM reward_vouchers WHERE merchant_id = ?').run(merchantId);
+
+    // Delete credit reviews (the credits they point to are replaced)
+    db.prepare('DELETE FROM credit_reviews WHERE merchant_id = ?').run(merchantId);
+
     // Delete transactions for this merchant
     db.prepare('DELETE FROM transactions WHERE merchant_id = ?').run(merchantId);
 
+    // Delete stamp card balances (rebuilt from the restored ledger below)
+    for (const id of existingMCIds) programQueries.deleteByMerchantClient.run(id);
+
+    // Delete wallet passes (the restored cards get new ids)
+    for (const id of existingMCIds) {
+      walletQueries.deleteRegistrationsByMerchantClient.run(id);
+      walletQueries.deleteByMerchantClient.run(id);
+    }
+
     // Delete merchant_clients for this merchant
     db.prepare('DELETE FROM merchant_clients WHERE merchant_id = ?').run(merchantId);
 
@@ -245,8 +266,8 @@ function importMerchantData(merchantId, data) {
     const findByEmail = db.prepare('SELECT id FROM end_users WHERE email_lower = ? AND deleted_at IS NULL');
     const findByPhone = db.prepare('SELECT id FROM end_users WHERE phone_e164 = ? AND deleted_at IS NULL');
     const createEndUser = db.prepare(`
-      INSERT INTO end_users (email, phone, email_lower, phone_e164, name, email_validated, consent_date, is_blocked, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO end_users (email, phone, email_lower, phone_e164, name, email_validated, phone_validated, consent_date, is_blocked, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     `);
 
     for (const eu of data.end_users) {
@@ -268,7 +289,7 @@ function importMerchantData(merchantId, data) {
         // Create new end_user
         const result = createEndUser.run(
           eu.email, eu.phone, eu.email_lower, eu.phone_e164,
-          eu.name, eu.email_validated || 0, eu.consent_date,
+          eu.name, eu.email_validated || 0, eu.phone_validated || 0, eu.consent_date,
           eu.is_blocked || 0, eu.created_at || new Date().toISOString()
         );
         euIdMap.set(eu.id, result.lastInsertRowid);
@@ -304,23 +325,46 @@ function importMerchantData(merchantId, data) {
     const createTx = db.prepare(`
       INSERT INTO transactions
         (merchant_id, merchant_client_id, staff_id, amount, points_delta,
-         transaction_type, idempotency_key, source, notes, created_at)
-      VALUES (?, ?, NULL, ?, ?, ?, NULL, ?, ?, ?)
+         transaction_type, idempotency_key, source, notes, created_at, program_id, register_id)
+      VALUES (?, ?, NULL, ?, ?, ?, NULL, ?, ?, ?, ?, ?)
     `);
+    // Stamp card rows are restored only if their card still exists for this merchant
+    const programIds = new Set(
+      db.prepare('SELECT id FROM loyalty_programs WHERE merchant_id = ?').all(merchantId).map(p => p.id)
+    );
+
+    // Register kept if it still belongs to this merchant (deleted ones too: stats history)
+    const registerIds = new Set(
+      db.prepare('SELECT id FROM registers WHERE merchant_id = ?').all(merchantId).map(r => r.id)
+    );
 
     let txCount = 0;
     for (const tx of data.transactions) {
       const newMcId = mcIdMap.get(tx.merchant_client_id);
       if (!newMcId) continue; // Skip orphan transactions
+      if (tx.program_id && !programIds.has(tx.program_id)) continue;
 
       createTx.run(
         merchantId, newMcId,
         tx.amount, tx.points_delta, tx.transaction_type,
-        tx.source, tx.notes, tx.created_at
+        tx.source, tx.notes, tx.created_at, tx.program_id || null,
+        registerIds.has(tx.register_id) ? tx.register_id : null
       );
       txCount++;
     }
 
+    // Stamp card balances from the restored ledger
+    db.prepare(`
+      INSERT INTO program_balances (merchant_client_id, program_id, balance, stamps_total, last_stamp)
+      SELECT merchant_client_id, program_id,
+             MAX(SUM(points_delta), 0),
+             SUM(CASE WHEN transaction_type = 'stamp' THEN points_delta ELSE 0 END),
+             MAX(created_at)
+      FROM transactions
+      WHERE merchant_id = ? AND program_id IS NOT NULL
+      GROUP BY merchant_client_id, program_id
+    `).run(merchantId);
+
     // ── Phase 5: Restore merchant settings (optional) ──
     if (data.merchant) {
       db.prepare(`
@@ -0,0 +1,115 @@
+const {
+  db,
+  merchantClientQueries,
+  transactionQueries,
+  birthdayVoucherQueries,
+} = require('../database');
+
+// ═══════════════════════════════════════════════════════
+// BIRTHDAY VOUCHERS
+// The daily scheduler issues one voucher per client and birthday,
+// valid `birthday_gift_window_days` before and after the date.
+// The cashier redeems it once from the credit page ('birthday'
+// transaction, 0 points — the gift itself is the merchant's
+// birthday_gift_description).
+// ═══════════════════════════════════════════════════════
+
+const DEFAULT_WINDOW_DAYS = 7;
+
+const toDate = (d) => d.toISOString().substring(0, 10);
+
+/**
+ * Birthday occurrence whose window contains `now` (UTC dates).
+ * Returns { year, validFrom, validUntil } as YYYY-MM-DD, or null.
+ * 29/02 is celebrated on 28/02 in non-leap years.
+ */
+function birthdayWindow(dateOfBirth, windowDays, now = new Date()) {
+  const match = /^\d{4}-(\d{2})-(\d{2})$/.exec(dateOfBirth || '');
+  if (!match) return null;
+  const month = parseInt(match[1]) - 1;
+  const day = parseInt(match[2]);
+  const days = windowDays > 0 ? windowDays : DEFAULT_WINDOW_DAYS;
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // Windows can straddle New Year: check last, current and next year's birthday
+  for (let year = now.getUTCFullYear() - 1; year <= now.getUTCFullYear() + 1; year++) {
+    let birthday = new Date(Date.UTC(year, month, day));
+    if (birthday.getUTCMonth() !== month) birthday = new Date(Date.UTC(year, month + 1, 0));
+    const from = birthday.getTime() - days * DAY;
+    const until = birthday.getTime() + days * DAY;
+    if (today >= from && today <= until) {
+      return { year, validFrom: toDate(new Date(from)), validUntil: toDate(new Date(until)) };
+    }
+  }
+  return null;
+}
+
+function formatVoucher(v) {
+  return { id: v.id, description: v.description, validFrom: v.valid_from, validUntil: v.valid_until };
+}
+
+/** Voucher the client can use today, or null. */
+function getActiveBirthdayVoucher(merchantClientId, now = new Date()) {
+  const today = toDate(now);
+  const voucher = birthdayVoucherQueries.findActive.get(merchantClientId || 0, today, today);
+  return voucher ? formatVoucher(voucher) : null;
+}
+
+/**
+ * Issue this year's voucher if the client is inside their birthday window.
+ * Returns the new voucher, or null (outside the window, or already issued).
+ */
+function issueBirthdayVoucher(merchant, merchantClient, dateOfBirth, now = new Date()) {
+  if (!merchant.birthday_gift_enabled || !merchant.birthday_gift_description) return null;
+
+  const window = birthdayWindow(dateOfBirth, merchant.birthday_gift_window_days, now);
+  if (!window) return null;
+
+  const result = birthdayVoucherQueries.create.run(
+    merchant.id, merchantClient.id, window.year, merchant.birthday_gift_description,
+    window.validFrom, window.validUntil
+  );
+  if (result.changes === 0) return null;
+  return formatVoucher(birthdayVoucherQueries.findById.get(result.lastInsertRowid));
+}
+
+/**
+ * Redeem the client's current voucher. Records a 0-point 'birthday'
+ * transaction linked from the voucher.
+ */
+function redeemBirthdayVoucher({ merchantId, merchantClientId, staffId, now = new Date() }) {
+  const run = db.transaction(() => {
+    const mc = merchantClientQueries.findByIdAndMerchant.get(merchantClientId, merchantId);
+    if (!mc) throw new Error('Client non trouvé');
+    if (mc.is_blocked) throw new Error('Ce client est bloqué dans votre commerce');
+
+    const today = toDate(now);
+    const voucher = birthdayVoucherQueries.findActive.get(mc.id, today, today);
+    if (!voucher) throw new Error('Aucun cadeau d\'anniversaire disponible pour ce client');
+
+    const txResult = transactionQueries.create.run(
+      merchantId, mc.id, staffId, null, 0, 'birthday',
+      `birthday-${voucher.id}`, 'manual', `🎂 Cadeau d'anniversaire : ${voucher.description}`
+    );
+    if (birthdayVoucherQueries.redeem.run(txResult.lastInsertRowid, voucher.id).changes === 0) {
+      throw new Error('Cadeau d\'anniversaire déjà utilisé');
+    }
+
+    return {
+      voucher: formatVoucher(voucher),
+      transaction: { id: txResult.lastInsertRowid, points_delta: 0 },
+      merchantClient: mc,
+    };
+  });
+
+  return run();
+}
+
+
+module.exports = {
+  birthdayWindow,
+  getActiveBirthdayVoucher,
+  issueBirthdayVoucher,
+  redeemBirthdayVoucher,
+};
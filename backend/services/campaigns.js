@@ -0,0 +1,85 @@
+const { db, campaignQueries } = require('../database');
+
+// ═══════════════════════════════════════════════════════
+// BONUS CAMPAIGNS
+// Time-boxed promotions ("double points on Tuesdays", "+20 this
+// weekend"). All dates and hour windows are merchant-local, in
+// merchant_preferences.timezone. When several campaigns run at
+// once, only the most generous one is applied to a transaction.
+// ═══════════════════════════════════════════════════════
+
+const DEFAULT_TIMEZONE = 'Europe/Brussels';
+
+function getMerchantTimezone(merchantId) {
+  const prefs = db.prepare('SELECT timezone FROM merchant_preferences WHERE merchant_id = ?').get(merchantId);
+  return (prefs && prefs.timezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock time in a timezone.
+ * Returns { datetime: 'YYYY-MM-DD HH:MM', time: 'HH:MM', weekday: 1-7 (ISO, Monday = 1) }
+ */
+function localNow(timezone, now = new Date()) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).formatToParts(now);
+  } catch (e) {
+    // Unknown timezone in preferences → fall back to the default one
+    return localNow(DEFAULT_TIMEZONE, now);
+  }
+  const p = Object.fromEntries(parts.map(x => [x.type, x.value]));
+  const time = `${p.hour}:${p.minute}`;
+  const weekday = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(p.weekday) + 1;
+  return { datetime: `${p.year}-${p.month}-${p.day} ${time}`, time, weekday };
+}
+
+/**
+ * Weekday and hour-window checks (the date range is filtered in SQL).
+ * A window ending before it starts wraps past midnight (22:00 → 02:00).
+ */
+function matchesWindow(campaign, local) {
+  if (campaign.weekdays) {
+    const days = campaign.weekdays.split(',').map(Number);
+    if (!days.includes(local.weekday)) return false;
+  }
+  if (campaign.hour_start && campaign.hour_end) {
+    const { hour_start: start, hour_end: end } = campaign;
+    if (start <= end) return local.time >= start && local.time < end;
+    return local.time >= start || local.time < end;
+  }
+  return true;
+}
+
+function computeBonus(campaign, points) {
+  if (campaign.bonus_type === 'flat') return Math.floor(campaign.bonus_value);
+  return Math.floor(points * (campaign.bonus_value - 1));
+}
+
+/**
+ * Most generous campaign running now for a merchant, for a credit of `points`.
+ * Returns { campaign, bonus } or null.
+ */
+function findActiveCampaign(merchantId, points, now = new Date()) {
+  const local = localNow(getMerchantTimezone(merchantId), now);
+  const running = campaignQueries.getRunning.all(merchantId, local.datetime, local.datetime)
+    .filter(c => matchesWindow(c, local));
+
+  let best = null;
+  for (const campaign of running) {
+    const bonus = computeBonus(campaign, points);
+    if (bonus > 0 && (!best || bonus > best.bonus)) best = { campaign, bonus };
+  }
+  return best;
+}
+
+
+module.exports = {
+  getMerchantTimezone,
+  localNow,
+  matchesWindow,
+  computeBonus,
+  findActiveCampaign,
+};
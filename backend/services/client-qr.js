@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { CLIENT_JWT_SECRET } = require('../middleware/client-auth');
+
+// ═══════════════════════════════════════════════════════
+// ROTATING CLIENT QR CODES
+// The app shows "<qr_token>.<signature>", the signature being an
+// HMAC of the token and the current 30 s step (TOTP-style): a
+// screenshot stops working a minute later. The bare qr_token is the
+// static code (printed cards, old app versions), only accepted by
+// merchants who enabled merchants.qr_static_fallback.
+// ═══════════════════════════════════════════════════════
+
+const QR_PERIOD_S = 30;
+const SIGNATURE_LENGTH = 10; // base64url chars (60 bits)
+
+function step(now) {
+  return Math.floor(now / 1000 / QR_PERIOD_S);
+}
+
+function sign(qrToken, counter) {
+  return crypto.createHmac('sha256', CLIENT_JWT_SECRET)
+    .update(`client-qr:${qrToken}:${counter}`)
+    .digest('base64url')
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+/** Code to display right now: { code, expiresIn (seconds), period } */
+function currentQrCode(qrToken, now = Date.now()) {
+  const counter = step(now);
+  return {
+    code: `${qrToken}.${sign(qrToken, counter)}`,
+    expiresIn: (counter + 1) * QR_PERIOD_S - Math.floor(now / 1000),
+    period: QR_PERIOD_S,
+  };
+}
+
+/**
+ * Read a scanned code.
+ * Returns { qrToken, rotating: true } for a valid signed code (current or
+ * previous step, so a code scanned as it rotates still passes),
+ * { qrToken, rotating: false } for a bare static token, and
+ * { qrToken, expired: true } for a signed code that is stale or forged.
+ */
+function readQrCode(code, now = Date.now()) {
+  const [qrToken, signature] = String(code || '').split('.');
+  if (signature === undefined) return { qrToken, rotating: false };
+
+  const counter = step(now);
+  const valid = [counter, counter - 1].some(c => {
+    const expected = sign(qrToken, c);
+    return expected.length === signature.length
+      && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  });
+  return valid ? { qrToken, rotating: true } : { qrToken, expired: true };
+}
+
+
+module.exports = {
+  QR_PERIOD_S,
+  currentQrCode,
+  readQrCode,
+};
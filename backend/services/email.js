@@ -438,12 +438,22 @@ function sendGlobalMergeNotificationEmail(ownerEmail, businessName, action, sour
 
 /**
  * 11. Welcome (premier passage chez un marchand)
+ * walletLinks: { apple, google } (either may be null) — carte dans Apple / Google Wallet
  */
-function sendWelcomeEmail(clientEmail, merchantName, pointsBalance, appUrl, endUserId) {
+function sendWelcomeEmail(clientEmail, merchantName, pointsBalance, appUrl, endUserId, walletLinks = null) {
   const hero = pointsBalance > 0
     ? bigNum(pointsBalance, 'points chez ' + escHtml(merchantName))
     : bigNum('✓', 'Carte activée chez ' + escHtml(merchantName));
 
+  const walletButtons = [
+    walletLinks?.apple && `<a href="${walletLinks.apple}" style="display:inline-block;background:#000;color:white;padding:10px 20px;border-radius:10px;text-decoration:none;font-weight:600;font-size:14px;margin:4px;">Ajouter à Apple Wallet</a>`,
+    walletLinks?.google && `<a href="${walletLinks.google}" style="display:inline-block;background:#1F1F1F;color:white;padding:10px 20px;border-radius:10px;text-decoration:none;font-weight:600;font-size:14px;margin:4px;">Ajouter à Google Wallet</a>`,
+  ].filter(Boolean).join('');
+  const wallet = walletButtons
+    ? `<p>Ou gardez votre carte dans le portefeuille de votre téléphone, sans installer d'app (disponible après votre premier passage en caisse) :</p>
+      <div style="text-align:center;margin:16px 0;">${walletButtons}</div>`
+    : '';
+
   const unsubUrl = endUserId ? buildUnsubUrl(endUserId) : null;
 
   sendMail({
@@ -456,6 +466,7 @@ function sendWelcomeEmail(clientEmail, merchantName, pointsBalance, appUrl, endU
       ${hero}
       <p>Téléchargez l'app FIDDO pour suivre vos points et vous identifier plus rapidement :</p>
       ${cta("Ouvrir l'app FIDDO", appUrl || 'https://www.fiddo.be/app/')}
+      ${wallet}
       <p style="font-size:12px;color:${B.light};">Pas besoin de l'app pour accumuler des points — elle est 100% optionnelle. Votre carte fonctionne avec votre adresse email.</p>
     `, unsubUrl),
   });
@@ -528,6 +539,82 @@ function sendEmailAddedEmail(clientEmail, merchantName, pointsBalance, visitCoun
   });
 }
 
+/**
+ * 15. Cadeau d'anniversaire (émis par le scheduler)
+ */
+function sendBirthdayVoucherEmail(clientEmail, merchantName, giftDescription, validUntil, endUserId) {
+  const [y, m, d] = validUntil.split('-');
+  const unsubUrl = endUserId ? buildUnsubUrl(endUserId) : null;
+
+  sendMail({
+    to: clientEmail,
+    subject: `Joyeux anniversaire de la part de ${merchantName} 🎂`,
+    headers: unsubUrl ? { 'List-Unsubscribe': `<${unsubUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } : {},
+    html: template(`
+      ${heading('Joyeux anniversaire !')}
+      <p>Pour fêter ça, <strong>${escHtml(merchantName)}</strong> vous offre un cadeau :</p>
+      ${bigNum('🎁', escHtml(giftDescription))}
+      ${infoBox(`Valable une fois jusqu'au <strong>${d}/${m}/${y}</strong>. Présentez-vous en caisse et identifiez-vous comme d'habitude.`)}
+    `, unsubUrl),
+  });
+}
+
+/**
+ * 16. Points offerts par un proche (cadeau adressé à cet email)
+ */
+function sendGiftReceivedEmail(clientEmail, merchantName, points, senderName, message, giftUrl) {
+  sendMail({
+    to: clientEmail,
+    subject: `${senderName || 'Un proche'} vous offre ${points} points chez ${merchantName} 🎁`,
+    html: template(`
+      ${heading('Vous avez reçu un cadeau !')}
+      <p><strong>${escHtml(senderName || 'Un proche')}</strong> vous offre des points de fidélité chez <strong>${escHtml(merchantName)}</strong> :</p>
+      ${bigNum(points, 'points')}
+      ${message ? infoBox(`« ${escHtml(message)} »`) : ''}
+      ${cta('Récupérer mes points', giftUrl)}
+      <p style="font-size:13px;color:${B.light};">Ce cadeau vous est réservé et expire dans 7 jours.</p>
+    `),
+  });
+}
+
+/**
+ * 17. Reçu de fidélité (PDF joint, demandé depuis l'app client)
+ */
+function sendReceiptEmail(clientEmail, merchantName, receiptNumber, filename, pdf) {
+  return sendMail({
+    to: clientEmail,
+    subject: `Votre reçu ${receiptNumber} — ${merchantName}`,
+    html: template(`
+      ${heading('Votre reçu de fidélité')}
+      <p>Vous trouverez ci-joint le reçu de votre passage chez <strong>${escHtml(merchantName)}</strong>.</p>
+      ${infoBox('<strong>' + escHtml(receiptNumber) + '</strong>')}
+      <p style="font-size:13px;color:${B.light};">Cet email a été envoyé suite à votre demande depuis l'application FIDDO.</p>
+    `),
+    attachments: [{
+      filename,
+      content: pdf,
+      contentType: 'application/pdf',
+    }],
+  });
+}
+
+/**
+ * 18. Code de réinitialisation du PIN (demandé depuis l'app client)
+ */
+function sendPinResetCodeEmail(clientEmail, code, ttlMinutes) {
+  return sendMail({
+    to: clientEmail,
+    subject: `${code} — votre code de réinitialisation FIDDO`,
+    html: template(`
+      ${heading('Code PIN oublié ?')}
+      <p>Saisissez ce code dans l'application pour choisir un nouveau code PIN :</p>
+      ${bigNum(code, `valable ${ttlMinutes} minutes`)}
+      ${warnBox('Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email : votre code PIN actuel reste valable.')}
+      <p style="font-size:13px;color:${B.light};">FIDDO ne vous demandera jamais ce code par téléphone. Ne le communiquez à personne, pas même au commerçant.</p>
+    `),
+  });
+}
+
 function sendMergeNotificationEmail(clientEmail, merchantName, mergedIdentifiers, totalPoints, appUrl, endUserId) {
   const hero = totalPoints > 0
     ? bigNum(totalPoints, 'points au total chez ' + escHtml(merchantName))
@@ -671,6 +758,46 @@ function sendClientMergeRequestEmail(adminEmail, { clientEmail, clientName, conf
   });
 }
 
+/**
+ * Ledger drift alert — sent to super admin by the nightly reconciliation
+ * (drifting cards per merchant, then drifting group balances per group)
+ */
+function sendLedgerDriftEmail(adminEmail, merchants, groups = []) {
+  const cardCount = merchants.reduce((n, m) => n + m.clients.length, 0)
+    + groups.reduce((n, g) => n + g.clients.length, 0);
+  const rows = merchants.map(m => ({ name: m.businessName, count: m.clients.length, drift: m.totalDrift }))
+    .concat(groups.map(g => ({ name: `Cagnotte « ${g.groupName} »`, count: g.clients.length, drift: g.totalDrift })))
+    .map(r => `
+          <tr>
+            <td style="padding:8px 12px;border-bottom:1px solid ${B.border};font-size:13px;">${escHtml(r.name)}</td>
+            <td style="padding:8px 12px;border-bottom:1px solid ${B.border};font-size:13px;">${r.count}</td>
+            <td style="padding:8px 12px;border-bottom:1px solid ${B.border};font-size:13px;">${r.drift > 0 ? '+' : ''}${r.drift} pts</td>
+          </tr>`).join('');
+
+  sendMail({
+    to: adminEmail,
+    subject: `Écarts de solde détectés — ${cardCount} carte${cardCount > 1 ? 's' : ''}`,
+    html: template(`
+      ${heading('Contrôle des soldes')}
+      <p>Le contrôle nocturne a trouvé <strong>${cardCount} carte${cardCount > 1 ? 's' : ''}</strong> dont le solde ne correspond pas à l'historique des transactions.</p>
+
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin:20px 0;border-radius:8px;overflow:hidden;border:1px solid ${B.border};">
+        <thead>
+          <tr style="background:${B.navy};color:white;">
+            <th style="padding:10px 12px;text-align:left;font-size:12px;">Commerce</th>
+            <th style="padding:10px 12px;text-align:left;font-size:12px;">Cartes</th>
+            <th style="padding:10px 12px;text-align:left;font-size:12px;">Écart total</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+
+      <p style="font-size:13px;color:${B.light};">Connectez-vous au panel super admin (onglet Soldes) pour examiner et corriger ces écarts.</p>
+    `),
+  });
+}
+
 module.exports = {
   sendMail,
   escHtml,
@@ -688,8 +815,13 @@ module.exports = {
   sendAppReminderEmail,
   sendAccountDeletedEmail,
   sendEmailAddedEmail,
+  sendBirthdayVoucherEmail,
+  sendGiftReceivedEmail,
+  sendReceiptEmail,
+  sendPinResetCodeEmail,
   sendMergeNotificationEmail,
   sendMergeRequestEmail,
   sendClientMergeRequestEmail,
+  sendLedgerDriftEmail,
   verifyUnsubToken,
 };
@@ -0,0 +1,39 @@
+// ═══════════════════════════════════════════════════════
+// FIDDO — Live events for the merchant UI (Server-Sent Events)
+// Routes publish pending (QR queue), message, announcement and credit
+// events; GET /api/events streams them to the merchant's screens.
+// The bus is in-process: with several Node processes a screen only
+// hears its own process, so the UI keeps a slow safety poll.
+// ═══════════════════════════════════════════════════════
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open screen
+
+const ALL_MERCHANTS = '*';
+
+/**
+ * Publish an event to every open screen of a merchant.
+ * merchantId null = every merchant (broadcast message or announcement).
+ */
+function publish(merchantId, type, data = {}) {
+  bus.emit(merchantId === null ? ALL_MERCHANTS : String(merchantId), { type, data });
+}
+
+/** Listen to a merchant's events (and broadcasts). Returns the unsubscribe function. */
+function subscribe(merchantId, listener) {
+  const key = String(merchantId);
+  bus.on(key, listener);
+  bus.on(ALL_MERCHANTS, listener);
+  return () => {
+    bus.off(key, listener);
+    bus.off(ALL_MERCHANTS, listener);
+  };
+}
+
+
+module.exports = {
+  publish,
+  subscribe,
+};
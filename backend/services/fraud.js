@@ -0,0 +1,185 @@
+const { db, creditReviewQueries, transactionQueries } = require('../database');
+const { getMerchantTimezone, localNow } = require('./campaigns');
+const { voidTransaction } = require('./points');
+
+// ═══════════════════════════════════════════════════════
+// ANTI-FRAUD RULES
+// Every cashier-desk credit is scored once recorded. Each rule that
+// trips adds its weight to the score; a credit with any rule tripped
+// goes to the owner's review queue (credit_reviews), where it is
+// approved or voided. Scoring never blocks the credit itself.
+// ═══════════════════════════════════════════════════════
+
+const CASHIER_MAX_AMOUNT = 200;
+
+const NEAR_CAP_RATIO = 0.9;          // ≥ 180 € when the cap is 200 €
+const NEAR_CAP_REPEAT = 3;           // near-cap credits by the same cashier…
+const NEAR_CAP_DAYS = 7;             // …within this many days
+
+const CONCENTRATION_DAYS = 30;
+const CONCENTRATION_MIN_CREDITS = 10; // same staff → same client
+const CONCENTRATION_SHARE = 0.25;     // of all that staff member's credits
+
+const OPENING_GRACE_MINUTES = 30;
+
+const RULE_WEIGHTS = {
+  same_client_daily: 40,
+  near_cap_repeat: 30,
+  outside_hours: 20,
+  staff_concentration: 30,
+};
+
+// opening_hours keys (free text per day, see preferences.html)
+const DAY_KEYS = ['lun', 'mar', 'mer', 'jeu', 'ven', 'sam', 'dim'];
+
+const countClientCredits = db.prepare(`
+  SELECT COUNT(*) AS c FROM transactions
+  WHERE merchant_client_id = ? AND transaction_type = 'credit' AND voided_at IS NULL
+    AND created_at >= datetime('now', '-1 day')
+`);
+
+const countNearCapCredits = db.prepare(`
+  SELECT COUNT(*) AS c FROM transactions
+  WHERE merchant_id = ? AND staff_id = ? AND transaction_type = 'credit'
+    AND amount >= ? AND amount <= ?
+    AND created_at >= datetime('now', ?)
+`);
+
+const staffCreditsByClient = db.prepare(`
+  SELECT COUNT(*) AS total,
+         COALESCE(SUM(CASE WHEN merchant_client_id = ? THEN 1 ELSE 0 END), 0) AS same_client
+  FROM transactions
+  WHERE merchant_id = ? AND staff_id = ? AND transaction_type = 'credit' AND voided_at IS NULL
+    AND created_at >= datetime('now', ?)
+`);
+
+const toMinutes = (h, m) => parseInt(h) * 60 + (m ? parseInt(m) : 0);
+
+/**
+ * Opening ranges of one day from the merchant's free text
+ * ("9h–18h", "9h30-12h, 14h-18h30", "Fermé").
+ * Returns [] when closed, null when the text can't be read.
+ */
+function parseOpeningRanges(text) {
+  const value = (text || '').trim();
+  if (!value || /ferm/i.test(value)) return [];
+
+  const ranges = [];
+  const re = /(\d{1,2})\s*(?:[h:.]\s*(\d{2})?)?\s*(?:-|–|—|à)\s*(\d{1,2})\s*(?:[h:.]\s*(\d{2})?)?/gi;
+  let match;
+  while ((match = re.exec(value)) !== null) {
+    ranges.push({ start: toMinutes(match[1], match[2]), end: toMinutes(match[3], match[4]) });
+  }
+  return ranges.length > 0 ? ranges : null;
+}
+
+/** Is the shop closed at this local time? null when hours are unknown. */
+function isOutsideHours(openingHours, local) {
+  if (!openingHours || typeof openingHours !== 'object' || Object.keys(openingHours).length === 0) return null;
+
+  const ranges = parseOpeningRanges(openingHours[DAY_KEYS[local.weekday - 1]]);
+  if (ranges === null) return null;
+
+  const [h, m] = local.time.split(':');
+  const now = toMinutes(h, m);
+  return !ranges.some(({ start, end }) => {
+    const from = start - OPENING_GRACE_MINUTES;
+    const until = end + OPENING_GRACE_MINUTES;
+    // "18h-2h" wraps past midnight
+    return end > start ? now >= from && now <= until : now >= from || now <= until;
+  });
+}
+
+/**
+ * Run every rule against a credit already recorded.
+ * Returns { score, flags: [{ rule, detail }] }.
+ */
+function scoreCredit({ merchant, staff, merchantClientId, amount, now = new Date() }) {
+  const flags = [];
+
+  const dailyLimit = merchant.fraud_daily_credit_limit || 3;
+  const daily = countClientCredits.get(merchantClientId).c;
+  if (daily > dailyLimit) {
+    flags.push({ rule: 'same_client_daily', detail: `${daily} crédits pour ce client en 24 h (limite ${dailyLimit})` });
+  }
+
+  if (staff && staff.role === 'cashier' && amount >= CASHIER_MAX_AMOUNT * NEAR_CAP_RATIO) {
+    const nearCap = countNearCapCredits.get(
+      merchant.id, staff.id, CASHIER_MAX_AMOUNT * NEAR_CAP_RATIO, CASHIER_MAX_AMOUNT, `-${NEAR_CAP_DAYS} days`
+    ).c;
+    if (nearCap >= NEAR_CAP_REPEAT) {
+      flags.push({ rule: 'near_cap_repeat', detail: `${nearCap} montants juste sous le plafond caissier en ${NEAR_CAP_DAYS} jours` });
+    }
+  }
+
+  let openingHours = null;
+  try { openingHours = merchant.opening_hours ? JSON.parse(merchant.opening_hours) : null; } catch {}
+  const local = localNow(getMerchantTimezone(merchant.id), now);
+  if (isOutsideHours(openingHours, local)) {
+    flags.push({ rule: 'outside_hours', detail: `Crédit à ${local.time}, en dehors des heures d'ouverture` });
+  }
+
+  if (staff) {
+    const stats = staffCreditsByClient.get(merchantClientId, merchant.id, staff.id, `-${CONCENTRATION_DAYS} days`);
+    if (stats.same_client >= CONCENTRATION_MIN_CREDITS && stats.same_client / stats.total >= CONCENTRATION_SHARE) {
+      flags.push({
+        rule: 'staff_concentration',
+        detail: `${stats.same_client} de ses ${stats.total} crédits en ${CONCENTRATION_DAYS} jours vont à ce client`,
+      });
+    }
+  }
+
+  return { score: flags.reduce((n, f) => n + RULE_WEIGHTS[f.rule], 0), flags };
+}
+
+/**
+ * Score a credit and queue it for review when a rule trips.
+ * Returns the review { id, score, flags } or null.
+ */
+function reviewCredit({ merchant, staff, merchantClientId, transactionId, amount, now = new Date() }) {
+  const { score, flags } = scoreCredit({ merchant, staff, merchantClientId, amount, now });
+  if (flags.length === 0) return null;
+
+  const result = creditReviewQueries.create.run(
+    merchant.id, transactionId, merchantClientId, staff ? staff.id : null, score, JSON.stringify(flags)
+  );
+  return { id: result.lastInsertRowid, score, flags };
+}
+
+/**
+ * Owner decision on a queued credit: 'approve' keeps it, 'void' cancels
+ * it with a linked reversal (a credit already voided elsewhere is just
+ * closed). Returns { review, reversal }.
+ */
+function resolveReview({ merchantId, reviewId, staff, decision, reason = '' }) {
+  const run = db.transaction(() => {
+    const review = creditReviewQueries.findByIdAndMerchant.get(reviewId, merchantId);
+    if (!review) throw new Error('Vérification non trouvée');
+    if (review.status !== 'pending') throw new Error('Vérification déjà traitée');
+
+    let reversal = null;
+    if (decision === 'void') {
+      const tx = transactionQueries.findByIdAndMerchant.get(review.transaction_id, merchantId);
+      if (!tx.voided_at) {
+        reversal = voidTransaction({
+          merchantId, transactionId: tx.id, staff, reason: reason || 'Crédit suspect refusé',
+        }).transaction;
+      }
+    }
+
+    creditReviewQueries.resolve.run(decision === 'void' ? 'voided' : 'approved', staff.id, review.id);
+    return { review: creditReviewQueries.findByIdAndMerchant.get(review.id, merchantId), reversal };
+  });
+
+  return run();
+}
+
+
+module.exports = {
+  CASHIER_MAX_AMOUNT,
+  parseOpeningRanges,
+  isOutsideHours,
+  scoreCredit,
+  reviewCredit,
+  resolveReview,
+};
@@ -0,0 +1,218 @@
+const { db, giftCardQueries, merchantQueries } = require('../database');
+const { normalizeEmail, normalizePhone, isValidPhone } = require('./normalizer');
+const { generateCode, normalizeCode } = require('./vouchers');
+
+// ═══════════════════════════════════════════════════════
+// GIFT CARDS
+// Prepaid euro value, kept apart from loyalty points and from the
+// transactions ledger. A card is sold at the counter ('sale'), spent
+// in one or several visits ('spend'), credited back when goods are
+// returned ('refund') and zeroed by the scheduler once past its
+// expiry date ('expiry'). Amounts are signed; balance_after keeps
+// each entry readable on its own.
+// ═══════════════════════════════════════════════════════
+
+const GIFT_CARD_MIN_AMOUNT = 5;
+const GIFT_CARD_MAX_AMOUNT = 1000;
+const GIFT_CARD_VALIDITY_MONTHS = 24;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toDate = (d) => d.toISOString().substring(0, 10);
+const formatEuros = (value) => value.toFixed(2).replace('.', ',');
+
+function formatDay(date) {
+  const [y, m, d] = date.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/** Email or phone typed at the counter, normalized (local numbers: merchant's country). */
+function parseContact(value, who, phoneCountry) {
+  const raw = String(value || '').trim();
+  if (!raw) return { email: null, phone: null };
+  if (raw.includes('@')) {
+    const email = normalizeEmail(raw);
+    if (!email) throw new Error(`Email ${who} invalide`);
+    return { email, phone: null };
+  }
+  if (!isValidPhone(raw, phoneCountry)) throw new Error(`Téléphone ${who} invalide`);
+  return { email: null, phone: normalizePhone(raw, phoneCountry) };
+}
+
+function parseAmount(value) {
+  const amount = round2(parseFloat(value));
+  if (isNaN(amount) || amount <= 0) throw new Error('Montant invalide');
+  return amount;
+}
+
+function isExpired(card, now) {
+  return card.status === 'expired' || card.expires_at < toDate(now);
+}
+
+function formatGiftCard(card, { entries = false } = {}) {
+  const result = {
+    id: card.id,
+    code: card.code,
+    initialAmount: card.initial_amount,
+    balance: card.balance,
+    status: card.status,
+    buyer: card.buyer_email || card.buyer_phone || null,
+    recipientName: card.recipient_name,
+    recipient: card.recipient_email || card.recipient_phone || null,
+    expiresAt: card.expires_at,
+    createdAt: card.created_at,
+  };
+  if (card.business_name) result.merchantName = card.business_name;
+  if (entries) {
+    result.entries = giftCardQueries.getEntries.all(card.id).map(e => ({
+      id: e.id, type: e.entry_type, amount: e.amount, balanceAfter: e.balance_after, notes: e.notes, createdAt: e.created_at,
+    }));
+  }
+  return result;
+}
+
+/** Card by code for this merchant; throws when unknown. */
+function findGiftCard(merchantId, code) {
+  const card = giftCardQueries.findByCode.get(normalizeCode(code), merchantId);
+  if (!card) throw new Error('Carte cadeau non trouvée');
+  return card;
+}
+
+/**
+ * Sell a card at the counter. Buyer and recipient (email or phone)
+ * are optional; either one sees the card in their portal.
+ * Returns the formatted card with its ledger.
+ */
+function sellGiftCard({ merchantId, staffId, amount, buyer, recipient, recipientName, now = new Date() }) {
+  const value = parseAmount(amount);
+  if (value < GIFT_CARD_MIN_AMOUNT || value > GIFT_CARD_MAX_AMOUNT) {
+    throw new Error(`Montant invalide (${GIFT_CARD_MIN_AMOUNT} à ${GIFT_CARD_MAX_AMOUNT} €)`);
+  }
+  const { phone_country: phoneCountry } = merchantQueries.findById.get(merchantId) || {};
+  const buyerContact = parseContact(buyer, 'de l\'acheteur', phoneCountry);
+  const recipientContact = parseContact(recipient, 'du bénéficiaire', phoneCountry);
+  const name = String(recipientName || '').trim() || null;
+  if (name && name.length > 100) throw new Error('Nom du bénéficiaire trop long (max 100 caractères)');
+
+  const expiry = new Date(now.getTime());
+  expiry.setUTCMonth(expiry.getUTCMonth() + GIFT_CARD_VALIDITY_MONTHS);
+
+  const run = db.transaction(() => {
+    let code = generateCode();
+    while (giftCardQueries.codeExists.get(code)) code = generateCode();
+
+    const result = giftCardQueries.create.run(
+      merchantId, code, value, value, buyerContact.email, buyerContact.phone,
+      name, recipientContact.email, recipientContact.phone, toDate(expiry), staffId
+    );
+    giftCardQueries.addEntry.run(result.lastInsertRowid, merchantId, 'sale', value, value, staffId, null);
+    return formatGiftCard(giftCardQueries.findById.get(result.lastInsertRowid), { entries: true });
+  });
+
+  return run();
+}
+
+/**
+ * Pay part or all of a purchase with the card.
+ * Returns the formatted card with its ledger.
+ */
+function spendGiftCard({ merchantId, code, amount, staffId, notes = null, now = new Date() }) {
+  const value = parseAmount(amount);
+
+  const run = db.transaction(() => {
+    const card = findGiftCard(merchantId, code);
+    if (isExpired(card, now)) throw new Error(`Carte cadeau expirée le ${formatDay(card.expires_at)}`);
+    if (card.balance <= 0) throw new Error('Carte cadeau épuisée');
+    if (value > card.balance) throw new Error(`Solde insuffisant sur la carte cadeau (${formatEuros(card.balance)} €)`);
+
+    const balance = round2(card.balance - value);
+    giftCardQueries.setBalance.run(balance, balance > 0 ? 'active' : 'spent', card.id);
+    giftCardQueries.addEntry.run(card.id, merchantId, 'spend', -value, balance, staffId, notes);
+    return formatGiftCard(giftCardQueries.findById.get(card.id), { entries: true });
+  });
+
+  return run();
+}
+
+/**
+ * Put money back on the card (returned goods). Never more than what
+ * was spent with it and not yet refunded.
+ */
+function refundGiftCard({ merchantId, code, amount, staffId, reason = null, now = new Date() }) {
+  const value = parseAmount(amount);
+
+  const run = db.transaction(() => {
+    const card = findGiftCard(merchantId, code);
+    if (isExpired(card, now)) throw new Error(`Carte cadeau expirée le ${formatDay(card.expires_at)}`);
+
+    const refundable = round2(card.initial_amount - card.balance);
+    if (value > refundable) {
+      throw new Error(`Remboursement supérieur aux dépenses de la carte (${formatEuros(refundable)} €)`);
+    }
+
+    const balance = round2(card.balance + value);
+    giftCardQueries.setBalance.run(balance, 'active', card.id);
+    giftCardQueries.addEntry.run(card.id, merchantId, 'refund', value, balance, staffId, reason);
+    return formatGiftCard(giftCardQueries.findById.get(card.id), { entries: true });
+  });
+
+  return run();
+}
+
+/**
+ * Scheduler: zero the cards past their expiry date ('expiry' entry
+ * for what was left). Returns the number of cards expired.
+ */
+function expireGiftCards(now = new Date()) {
+  const cards = giftCardQueries.findExpiring.all(toDate(now));
+  if (cards.length === 0) return 0;
+
+  const run = db.transaction(() => {
+    for (const card of cards) {
+      giftCardQueries.setBalance.run(0, 'expired', card.id);
+      giftCardQueries.addEntry.run(
+        card.id, card.merchant_id, 'expiry', -card.balance, 0, null, `Expirée le ${formatDay(card.expires_at)}`
+      );
+    }
+  });
+  run();
+  return cards.length;
+}
+
+/** Outstanding gift card value owed by the merchant, with ledger totals. */
+function getLiabilityReport(merchantId) {
+  const summary = giftCardQueries.liability.get(merchantId);
+  const totals = { sale: 0, spend: 0, refund: 0, expiry: 0 };
+  for (const row of giftCardQueries.entryTotals.all(merchantId)) totals[row.entry_type] = round2(row.total);
+
+  return {
+    outstanding: round2(summary.outstanding),
+    activeCount: summary.active_count,
+    soldCount: summary.sold_count,
+    soldTotal: round2(summary.sold_total),
+    totals,
+    byExpiryMonth: giftCardQueries.outstandingByExpiry.all(merchantId).map(r => ({
+      month: r.month, count: r.count, outstanding: round2(r.outstanding),
+    })),
+  };
+}
+
+/** Cards this client bought or received, at any merchant. */
+function getClientGiftCards(endUser) {
+  return giftCardQueries.getByContact.all({ email: endUser.email_lower, phone: endUser.phone_e164 })
+    .map(card => formatGiftCard(card));
+}
+
+
+module.exports = {
+  GIFT_CARD_MIN_AMOUNT,
+  GIFT_CARD_MAX_AMOUNT,
+  GIFT_CARD_VALIDITY_MONTHS,
+  formatGiftCard,
+  findGiftCard,
+  sellGiftCard,
+  spendGiftCard,
+  refundGiftCard,
+  expireGiftCards,
+  getLiabilityReport,
+  getClientGiftCards,
+};
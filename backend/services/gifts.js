@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const {
+  db,
+  endUserQueries,
+  merchantQueries,
+  merchantClientQueries,
+  transactionQueries,
+  voucherQueries,
+} = require('../database');
+const { normalizeEmail, normalizePhone, isValidPhone } = require('./normalizer');
+const { refreshWalletPasses } = require('./wallet');
+
+// ═══════════════════════════════════════════════════════
+// POINT GIFTS
+// A client takes points off their card ('gift_out') and shares a
+// link. Anyone opening it can claim them ('gift_in'), unless the gift
+// is addressed to an email or phone: then only the account holding
+// it can. The sender may cancel while pending; expired gifts are
+// refunded by the scheduler. Both refunds are 'gift_refund'.
+// ═══════════════════════════════════════════════════════
+
+const GIFT_VALIDITY_DAYS = 7;
+const GIFT_MESSAGE_MAX = 140;
+
+/** Recipient typed by the sender: an email, or else a phone number (local to the merchant's country). */
+function parseRecipient(recipient, phoneCountry) {
+  const value = String(recipient || '').trim();
+  if (!value) return { email: null, phone: null };
+  if (value.includes('@')) {
+    const email = normalizeEmail(value);
+    if (!email) throw new Error('Email du destinataire invalide');
+    return { email, phone: null };
+  }
+  if (!isValidPhone(value, phoneCountry)) throw new Error('Téléphone du destinataire invalide');
+  return { email: null, phone: normalizePhone(value, phoneCountry) };
+}
+
+/** Only the addressee of a targeted gift may claim it. */
+function isGiftRecipient(voucher, endUser) {
+  if (voucher.recipient_email) return endUser.email_lower === voucher.recipient_email;
+  if (voucher.recipient_phone) return endUser.phone_e164 === voucher.recipient_phone;
+  return true;
+}
+
+/** "j***@mail.com" / "+32 *** ** 56": tells the claimer who the gift is for. */
+function maskRecipient(voucher) {
+  if (voucher.recipient_email) {
+    const [local, domain] = voucher.recipient_email.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+  if (voucher.recipient_phone) return `${voucher.recipient_phone.slice(0, 3)} *** ** ${voucher.recipient_phone.slice(-2)}`;
+  return null;
+}
+
+function formatGift(v, baseUrl) {
+  return {
+    token: v.token,
+    points: v.points,
+    recipient: v.recipient_email || v.recipient_phone || null,
+    message: v.message,
+    status: v.status,
+    expiresAt: v.expires_at,
+    createdAt: v.created_at,
+    giftUrl: `${baseUrl}/app?gift=${v.token}`,
+  };
+}
+
+/** Pending gifts sent from a card, for the sender to re-share or cancel. */
+function getPendingGifts(merchantClientId, baseUrl) {
+  return voucherQueries.getPendingBySender.all(merchantClientId || 0).map(v => formatGift(v, baseUrl));
+}
+
+/**
+ * Take `points` off the sender's card (whole balance when not given)
+ * and create the gift link. Returns { gift, merchantClient }.
+ */
+function createGift({ merchantId, endUserId, points, recipient, message, baseUrl }) {
+  const merchant = merchantQueries.findById.get(merchantId);
+  if (!merchant || merchant.status !== 'active') throw new Error('Commerce non trouvé');
+  if (!merchant.allow_gifts) throw new Error('Ce commerce n\'autorise pas les transferts de points');
+  if (merchant.group_id) throw new Error('Les points d\'un groupe de commerces ne peuvent pas être offerts');
+
+  const to = parseRecipient(recipient, merchant.phone_country);
+  const note = String(message || '').trim() || null;
+  if (note && note.length > GIFT_MESSAGE_MAX) {
+    throw new Error(`Message trop long (max ${GIFT_MESSAGE_MAX} caractères)`);
+  }
+
+  const run = db.transaction(() => {
+    const endUser = endUserQueries.findById.get(endUserId);
+    if (!endUser) throw new Error('Utilisateur non trouvé');
+    if (endUser.is_blocked) throw new Error('Compte bloqué');
+
+    const mc = merchantClientQueries.find.get(merchantId, endUserId);
+    if (!mc) throw new Error('Carte non trouvée');
+    if (mc.points_balance <= 0) throw new Error('Aucun point à offrir');
+
+    if ((to.email && to.email === endUser.email_lower) || (to.phone && to.phone === endUser.phone_e164)) {
+      throw new Error('Vous ne pouvez pas vous offrir des points');
+    }
+
+    const amount = points === undefined || points === null || points === '' ? mc.points_balance : parseInt(points);
+    if (isNaN(amount) || amount <= 0) throw new Error('Nombre de points invalide');
+    if (amount > mc.points_balance) throw new Error(`Solde insuffisant (${mc.points_balance} points)`);
+    if (amount < merchant.gift_min_points) throw new Error(`Minimum ${merchant.gift_min_points} points par cadeau`);
+    if (merchant.gift_max_points && amount > merchant.gift_max_points) {
+      throw new Error(`Maximum ${merchant.gift_max_points} points par cadeau`);
+    }
+    if (voucherQueries.countThisMonth.get(merchantId, endUserId).c >= merchant.gift_monthly_cap) {
+      throw new Error(`Limite de ${merchant.gift_monthly_cap} cadeaux par mois atteinte`);
+    }
+
+    const token = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = new Date(Date.now() + GIFT_VALIDITY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    merchantClientQueries.setPoints.run(mc.points_balance - amount, mc.id);
+    transactionQueries.create.run(
+      merchantId, mc.id, null, null, -amount, 'gift_out', null, 'client',
+      `Cadeau de ${amount} pts — voucher ${token.substring(0, 8)}`
+    );
+    const result = voucherQueries.create.run(token, merchantId, mc.id, endUserId, amount, expiresAt, to.email, to.phone, note);
+
+    return {
+      gift: formatGift(db.prepare('SELECT * FROM point_vouchers WHERE id = ?').get(result.lastInsertRowid), baseUrl),
+      merchant,
+      sender: endUser,
+      merchantClient: merchantClientQueries.findById.get(mc.id),
+    };
+  });
+
+  const result = run();
+  refreshWalletPasses(result.merchantClient.id);
+  return result;
+}
+
+/**
+ * Give the points of an unclaimed gift back to its sender and close it
+ * ('cancelled' or 'expired'). Must run inside a db.transaction().
+ */
+function refundGift(voucher, status, note) {
+  const mc = merchantClientQueries.findById.get(voucher.sender_mc_id);
+  merchantClientQueries.setPoints.run(mc.points_balance + voucher.points, mc.id);
+  const tx = transactionQueries.create.run(
+    voucher.merchant_id, mc.id, null, null, voucher.points, 'gift_refund', null, 'system', note
+  );
+  if (status === 'cancelled') {
+    voucherQueries.cancel.run(voucher.id);
+  } else {
+    db.prepare("UPDATE point_vouchers SET status = 'expired' WHERE id = ?").run(voucher.id);
+  }
+  return { transactionId: tx.lastInsertRowid, merchantClient: merchantClientQueries.findById.get(mc.id) };
+}
+
+/**
+ * Sender takes back a gift nobody claimed yet: instant refund.
+ * Returns { points, merchantId, merchantClient }.
+ */
+function cancelGift({ token, endUserId }) {
+  const run = db.transaction(() => {
+    const voucher = voucherQueries.findByToken.get(token);
+    if (!voucher || voucher.sender_eu_id !== endUserId) throw new Error('Cadeau non trouvé');
+    if (voucher.status === 'claimed') throw new Error('Ce cadeau a déjà été récupéré');
+    if (voucher.status !== 'pending') throw new Error('Ce cadeau n\'est plus en attente');
+
+    const { merchantClient } = refundGift(
+      voucher, 'cancelled', `Cadeau annulé — ${voucher.points} pts remboursés (voucher ${voucher.token.substring(0, 8)})`
+    );
+    return { points: voucher.points, merchantId: voucher.merchant_id, merchantClient };
+  });
+
+  const result = run();
+  refreshWalletPasses(result.merchantClient.id);
+  return result;
+}
+
+
+module.exports = {
+  GIFT_VALIDITY_DAYS,
+  GIFT_MESSAGE_MAX,
+  isGiftRecipient,
+  maskRecipient,
+  getPendingGifts,
+  createGift,
+  refundGift,
+  cancelGift,
+};
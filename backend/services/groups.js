@@ -0,0 +1,181 @@
+const {
+  db,
+  merchantQueries,
+  merchantClientQueries,
+  transactionQueries,
+  groupQueries,
+} = require('../database');
+
+// ═══════════════════════════════════════════════════════
+// MERCHANT GROUPS (coalition)
+// Member shops share one points balance per end user
+// (group_balances). Their cards keep visits, spend and tiers;
+// points earned or spent there move the group balance and the
+// transaction is tagged with group_id, so each shop's points
+// issued vs redeemed can be settled between members.
+// ═══════════════════════════════════════════════════════
+
+/** Points an end user holds in a group. */
+function getGroupBalance(groupId, endUserId) {
+  const row = groupQueries.getBalance.get(groupId, endUserId);
+  return row ? row.points_balance : 0;
+}
+
+/**
+ * Card as the member shop sees it: points_balance is the group balance.
+ * Cards of shops outside any group are returned unchanged.
+ */
+function withGroupBalance(merchant, mc) {
+  if (!mc || !merchant || !merchant.group_id) return mc;
+  return { ...mc, points_balance: getGroupBalance(merchant.group_id, mc.end_user_id), group_id: merchant.group_id };
+}
+
+/**
+ * Move a group balance and tag the transaction that explains it.
+ * Must run inside the caller's db.transaction().
+ */
+function addGroupPoints(groupId, endUserId, pointsDelta, transactionId) {
+  const balance = getGroupBalance(groupId, endUserId);
+  if (balance + pointsDelta < 0) {
+    throw new Error(`Solde insuffisant (${balance}/${-pointsDelta} points)`);
+  }
+  groupQueries.ensureBalance.run(groupId, endUserId);
+  groupQueries.addPoints.run(pointsDelta, groupId, endUserId);
+  transactionQueries.setGroup.run(groupId, transactionId);
+}
+
+
+// ═══════════════════════════════════════════════════════
+// MEMBERSHIP
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Add a shop to a group. Points already on its cards are transferred to
+ * the group balance: one 'adjustment' out of the card, one into the group.
+ * Returns { transferredCards, transferredPoints }.
+ */
+function joinGroup({ groupId, merchantId }) {
+  const run = db.transaction(() => {
+    const group = groupQueries.findById.get(groupId);
+    if (!group) throw new Error('Groupe non trouvé');
+
+    const merchant = merchantQueries.findById.get(merchantId);
+    if (!merchant) throw new Error('Commerce non trouvé');
+    if (merchant.group_id === group.id) throw new Error('Ce commerce fait déjà partie de ce groupe');
+    if (merchant.group_id) throw new Error('Ce commerce fait déjà partie d\'un autre groupe');
+    if (merchant.loyalty_mode === 'visits') {
+      throw new Error('Un commerce en mode passages ne peut pas rejoindre un groupe');
+    }
+
+    let transferredCards = 0;
+    let transferredPoints = 0;
+    for (const mc of merchantClientQueries.getByMerchant.all(merchant.id)) {
+      if (mc.points_balance <= 0) continue;
+
+      transactionQueries.create.run(
+        merchant.id, mc.id, null, null, -mc.points_balance, 'adjustment', null, 'admin',
+        `Transfert vers la cagnotte commune « ${group.name} »`
+      );
+      merchantClientQueries.setPoints.run(0, mc.id);
+
+      const tx = transactionQueries.create.run(
+        merchant.id, mc.id, null, null, mc.points_balance, 'adjustment', null, 'admin',
+        `Apport à la cagnotte commune « ${group.name} »`
+      );
+      addGroupPoints(group.id, mc.end_user_id, mc.points_balance, tx.lastInsertRowid);
+
+      transferredCards++;
+      transferredPoints += mc.points_balance;
+    }
+
+    groupQueries.setMerchantGroup.run(group.id, merchant.id);
+    return { transferredCards, transferredPoints };
+  });
+
+  return run();
+}
+
+/**
+ * Remove a shop from its group. Points stay in the group balance and
+ * remain usable at the other members; the shop's cards start from 0.
+ */
+function leaveGroup(merchantId) {
+  const merchant = merchantQueries.findById.get(merchantId);
+  if (!merchant) throw new Error('Commerce non trouvé');
+  if (!merchant.group_id) throw new Error('Ce commerce ne fait partie d\'aucun groupe');
+  groupQueries.setMerchantGroup.run(null, merchant.id);
+  return { groupId: merchant.group_id };
+}
+
+
+// ═══════════════════════════════════════════════════════
+// SETTLEMENT
+// Per member over a period: points issued (credits, referral
+// bonuses, net of voided credits) vs redeemed (rewards, vouchers). A positive
+// net means the shop issued more than it honoured.
+// ═══════════════════════════════════════════════════════
+
+const settlementQuery = db.prepare(`
+  SELECT t.merchant_id, m.business_name,
+    COALESCE(SUM(CASE WHEN t.transaction_type IN ('credit', 'referral', 'reversal') THEN t.points_delta END), 0) AS issued,
+    COALESCE(-SUM(CASE WHEN t.transaction_type IN ('reward', 'voucher') THEN t.points_delta END), 0) AS redeemed,
+    COALESCE(SUM(CASE WHEN t.transaction_type NOT IN ('credit', 'referral', 'reversal', 'reward', 'voucher') THEN t.points_delta END), 0) AS adjusted,
+    COUNT(DISTINCT CASE WHEN t.transaction_type = 'reward' THEN t.id END) AS rewards
+  FROM transactions t
+  JOIN merchants m ON m.id = t.merchant_id
+  WHERE t.group_id = ?
+    AND (? IS NULL OR t.created_at >= ?)
+    AND (? IS NULL OR t.created_at < date(?, '+1 day'))
+  GROUP BY t.merchant_id
+`);
+
+/**
+ * Settlement report of a group. `from`/`to` are YYYY-MM-DD (inclusive), optional.
+ * Current members without activity are listed with zeros.
+ */
+function getSettlement(groupId, { from = null, to = null } = {}) {
+  const group = groupQueries.findById.get(groupId);
+  if (!group) throw new Error('Groupe non trouvé');
+
+  const rows = new Map(settlementQuery.all(group.id, from, from, to, to).map(r => [r.merchant_id, r]));
+  for (const m of groupQueries.getMembers.all(group.id)) {
+    if (!rows.has(m.id)) {
+      rows.set(m.id, { merchant_id: m.id, business_name: m.business_name, issued: 0, redeemed: 0, adjusted: 0, rewards: 0 });
+    }
+  }
+
+  const members = [...rows.values()]
+    .map(r => ({
+      merchantId: r.merchant_id,
+      businessName: r.business_name,
+      issued: r.issued,
+      redeemed: r.redeemed,
+      adjusted: r.adjusted,
+      rewards: r.rewards,
+      net: r.issued - r.redeemed,
+    }))
+    .sort((a, b) => a.businessName.localeCompare(b.businessName));
+
+  const summary = groupQueries.summary.get(group.id);
+  return {
+    group: { id: group.id, name: group.name },
+    period: { from, to },
+    members,
+    totals: {
+      issued: members.reduce((n, m) => n + m.issued, 0),
+      redeemed: members.reduce((n, m) => n + m.redeemed, 0),
+      outstanding: summary.points,
+      clients: summary.clients,
+    },
+  };
+}
+
+
+module.exports = {
+  getGroupBalance,
+  withGroupBalance,
+  addGroupPoints,
+  joinGroup,
+  leaveGroup,
+  getSettlement,
+};
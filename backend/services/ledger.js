@@ -0,0 +1,209 @@
+const { db, merchantClientQueries, transactionQueries, groupQueries } = require('../database');
+const { refreshWalletPasses } = require('./wallet');
+
+// ═══════════════════════════════════════════════════════
+// LEDGER RECONCILIATION
+// merchant_clients.points_balance must equal the sum of the card's
+// main-card transactions (program_id IS NULL — stamp cards have their
+// own balances; group_id IS NULL — coalition points live in
+// group_balances). Any difference is "drift", listed per merchant and
+// repaired by an admin with a correction transaction.
+// Group balances are checked the same way against the end user's
+// transactions tagged with that group_id, at any member shop.
+// ═══════════════════════════════════════════════════════
+
+const driftQuery = db.prepare(`
+  SELECT mc.id AS merchant_client_id, mc.merchant_id, m.business_name,
+         eu.id AS end_user_id, eu.name, eu.email, eu.phone,
+         mc.points_balance AS balance,
+         COALESCE(SUM(t.points_delta), 0) AS ledger
+  FROM merchant_clients mc
+  JOIN merchants m ON m.id = mc.merchant_id
+  JOIN end_users eu ON eu.id = mc.end_user_id
+  LEFT JOIN transactions t ON t.merchant_client_id = mc.id AND t.program_id IS NULL AND t.group_id IS NULL
+  WHERE (? IS NULL OR mc.merchant_id = ?)
+  GROUP BY mc.id
+  HAVING balance != ledger
+  ORDER BY m.business_name, mc.id
+`);
+
+/**
+ * Cards whose balance differs from their ledger, grouped by merchant.
+ * Returns [{ merchantId, businessName, totalDrift, clients: [...] }].
+ */
+function findDrift(merchantId = null) {
+  const merchants = new Map();
+
+  for (const row of driftQuery.all(merchantId, merchantId)) {
+    if (!merchants.has(row.merchant_id)) {
+      merchants.set(row.merchant_id, { merchantId: row.merchant_id, businessName: row.business_name, totalDrift: 0, clients: [] });
+    }
+    const entry = merchants.get(row.merchant_id);
+    const drift = row.balance - row.ledger;
+    entry.totalDrift += drift;
+    entry.clients.push({
+      merchantClientId: row.merchant_client_id,
+      endUserId: row.end_user_id,
+      name: row.name || row.email || row.phone,
+      balance: row.balance,
+      ledger: row.ledger,
+      drift,
+    });
+  }
+
+  return [...merchants.values()];
+}
+
+/**
+ * Align the ledger of one card with its balance: the balance the client
+ * sees is kept, an 'adjustment' transaction records the difference.
+ * Returns { merchantClientId, merchantId, drift, transactionId } or null
+ * when there is nothing to repair. Must run inside a db.transaction().
+ */
+function repairCard(merchantClientId, note) {
+  const mc = merchantClientQueries.findById.get(merchantClientId);
+  if (!mc) return null;
+
+  const ledger = transactionQueries.sumPointsByMerchantClient.get(mc.id).total;
+  const drift = mc.points_balance - ledger;
+  if (drift === 0) return null;
+
+  const result = transactionQueries.create.run(
+    mc.merchant_id, mc.id, null, null, drift, 'adjustment', null, 'admin',
+    `[Super Admin] Correction d'écart de solde (solde ${mc.points_balance}, historique ${ledger})${note ? ' — ' + note : ''}`
+  );
+  return { merchantClientId: mc.id, merchantId: mc.merchant_id, drift, transactionId: result.lastInsertRowid };
+}
+
+/**
+ * Repair the given cards, or every drifting card of a merchant.
+ * Returns the list of corrections made.
+ */
+function repairDrift({ merchantClientIds = null, merchantId = null, note = '' }) {
+  const run = db.transaction(() => {
+    const ids = merchantClientIds
+      || findDrift(merchantId).flatMap(m => m.clients.map(c => c.merchantClientId));
+    return ids.map(id => repairCard(id, note)).filter(Boolean);
+  });
+  const corrections = run();
+  corrections.forEach(c => refreshWalletPasses(c.merchantClientId));
+  return corrections;
+}
+
+
+// ─── Group balances ──────────────────────────────────
+
+const groupLedgerSql = `
+  SELECT COALESCE(SUM(t.points_delta), 0)
+  FROM transactions t
+  JOIN merchant_clients c ON c.id = t.merchant_client_id
+  WHERE t.group_id = gb.group_id AND c.end_user_id = gb.end_user_id
+`;
+
+const groupDriftQuery = db.prepare(`
+  SELECT gb.group_id, g.name AS group_name,
+         eu.id AS end_user_id, eu.name, eu.email, eu.phone,
+         gb.points_balance AS balance,
+         (${groupLedgerSql}) AS ledger
+  FROM group_balances gb
+  JOIN merchant_groups g ON g.id = gb.group_id
+  JOIN end_users eu ON eu.id = gb.end_user_id
+  WHERE (? IS NULL OR gb.group_id = ?)
+    AND gb.points_balance != (${groupLedgerSql})
+  ORDER BY g.name, eu.id
+`);
+
+const groupBalanceQuery = db.prepare(`
+  SELECT gb.group_id, gb.end_user_id, gb.points_balance AS balance, (${groupLedgerSql}) AS ledger
+  FROM group_balances gb
+  WHERE gb.group_id = ? AND gb.end_user_id = ?
+`);
+
+// Card the correction is booked on: the one of the latest group transaction,
+// else the end user's card at a current member
+const groupCardQuery = db.prepare(`
+  SELECT id, merchant_id FROM (
+    SELECT c.id, c.merchant_id, 0 AS pref, t.id AS rank
+    FROM transactions t JOIN merchant_clients c ON c.id = t.merchant_client_id
+    WHERE t.group_id = ? AND c.end_user_id = ?
+    UNION ALL
+    SELECT c.id, c.merchant_id, 1 AS pref, c.id AS rank
+    FROM merchant_clients c JOIN merchants m ON m.id = c.merchant_id
+    WHERE m.group_id = ? AND c.end_user_id = ?
+  ) ORDER BY pref ASC, rank DESC LIMIT 1
+`);
+
+/**
+ * Group balances that differ from their ledger, grouped by group.
+ * Returns [{ groupId, groupName, totalDrift, clients: [...] }].
+ */
+function findGroupDrift(groupId = null) {
+  const groups = new Map();
+
+  for (const row of groupDriftQuery.all(groupId, groupId)) {
+    if (!groups.has(row.group_id)) {
+      groups.set(row.group_id, { groupId: row.group_id, groupName: row.group_name, totalDrift: 0, clients: [] });
+    }
+    const entry = groups.get(row.group_id);
+    const drift = row.balance - row.ledger;
+    entry.totalDrift += drift;
+    entry.clients.push({
+      endUserId: row.end_user_id,
+      name: row.name || row.email || row.phone,
+      balance: row.balance,
+      ledger: row.ledger,
+      drift,
+    });
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Align the ledger of one group balance with the balance, like repairCard().
+ * The 'adjustment' is tagged with the group and booked on one of the end
+ * user's member cards. Returns { groupId, endUserId, merchantClientId,
+ * merchantId, drift, transactionId } or null (nothing to repair, or no card
+ * to book it on). Must run inside a db.transaction().
+ */
+function repairGroupBalance(groupId, endUserId, note) {
+  const row = groupBalanceQuery.get(groupId, endUserId);
+  if (!row) return null;
+
+  const drift = row.balance - row.ledger;
+  if (drift === 0) return null;
+
+  const card = groupCardQuery.get(groupId, endUserId, groupId, endUserId);
+  if (!card) return null;
+
+  const result = transactionQueries.create.run(
+    card.merchant_id, card.id, null, null, drift, 'adjustment', null, 'admin',
+    `[Super Admin] Correction d'écart de cagnotte commune (solde ${row.balance}, historique ${row.ledger})${note ? ' — ' + note : ''}`
+  );
+  transactionQueries.setGroup.run(groupId, result.lastInsertRowid);
+  return { groupId, endUserId, merchantClientId: card.id, merchantId: card.merchant_id, drift, transactionId: result.lastInsertRowid };
+}
+
+/**
+ * Repair the given end users' balances in a group, or every drifting
+ * balance of the group. Returns the list of corrections made.
+ */
+function repairGroupDrift({ groupId, endUserIds = null, note = '' }) {
+  const run = db.transaction(() => {
+    if (!groupQueries.findById.get(groupId)) throw new Error('Groupe non trouvé');
+    const ids = endUserIds
+      || findGroupDrift(groupId).flatMap(g => g.clients.map(c => c.endUserId));
+    return ids.map(id => repairGroupBalance(groupId, id, note)).filter(Boolean);
+  });
+  const corrections = run();
+  corrections.forEach(c => refreshWalletPasses(c.merchantClientId));
+  return corrections;
+}
+
+
+module.exports = {
+  findDrift,
+  repairDrift,
+  findGroupDrift,
+  repairGroupDrift,
+};
@@ -22,48 +22,92 @@ function normalizeEmail(email) {
   return trimmed;
 }
 
+/**
+ * Countries with full validation, selectable as a merchant's default
+ * (merchants.phone_country). nsn = national significant number, what
+ * follows the country code. trunk = prefix dialled before it inside
+ * the country, null when there is none (Luxembourg).
+ */
+const PHONE_COUNTRIES = {
+  BE: { name: 'Belgique', dialCode: '32', trunk: '0', nsn: /^(4[5-9]\d{7}|[1-9]\d{7})$/ },  // mobile 04xx xx xx xx, fixe 0x xxx xx xx
+  NL: { name: 'Pays-Bas', dialCode: '31', trunk: '0', nsn: /^[1-9]\d{8}$/ },                 // 06 xxxx xxxx, 0xx xxx xxxx
+  FR: { name: 'France', dialCode: '33', trunk: '0', nsn: /^[1-9]\d{8}$/ },                   // 0x xx xx xx xx
+  LU: { name: 'Luxembourg', dialCode: '352', trunk: null, nsn: /^(6[269]1\d{6}|[2-57-9]\d{3,10})$/ }, // 6x1 xxx xxx, fixe 4 à 11 chiffres
+  DE: { name: 'Allemagne', dialCode: '49', trunk: '0', nsn: /^[1-9]\d{6,10}$/ },             // 01xx xxxxxxx, 0xx… (7 à 11 chiffres)
+};
+
+const DEFAULT_PHONE_COUNTRY = 'BE';
+
+const phoneCountry = (code) => PHONE_COUNTRIES[code] || PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY];
+
+/** Known country of international digits ("33612345678" → FR), or null */
+function findPhoneCountry(digits) {
+  return Object.values(PHONE_COUNTRIES).find(c => digits.startsWith(c.dialCode)) || null;
+}
+
+function toE164(country, national) {
+  // "+32 0497…": the trunk prefix is dropped, as when dialling from abroad
+  const nsn = country.trunk && national.startsWith(country.trunk) ? national.substring(country.trunk.length) : national;
+  return country.nsn.test(nsn) ? '+' + country.dialCode + nsn : null;
+}
+
 /**
  * Normalize phone to E.164 format.
- * Default country: Belgium (+32).
+ * Local numbers belong to the default country (the merchant's
+ * phone_country, Belgium when not given). International numbers
+ * (+ or 00) of a country in PHONE_COUNTRIES are checked against its
+ * rules; other countries only need 8 to 15 digits.
  *
- * Accepted inputs:
+ * Accepted inputs (default BE):
  *   +32497123456      → +32497123456
  *   0032497123456     → +32497123456
  *   0497123456        → +32497123456
  *   0497 12 34 56     → +32497123456
  *   497123456         → +32497123456
+ *   +33 6 12 34 56 78 → +33612345678
+ *   06 12 34 56 78    → null (FR: +33612345678)
  *
  * @param {string|null|undefined} phone
- * @param {string} defaultCountryCode - default "+32"
+ * @param {string} defaultCountry - ISO code from PHONE_COUNTRIES, default "BE"
  * @returns {string|null} E.164 phone or null
  */
-function normalizePhone(phone, defaultCountryCode = '+32') {
+function normalizePhone(phone, defaultCountry = DEFAULT_PHONE_COUNTRY) {
   if (!phone || typeof phone !== 'string') return null;
 
   // Strip all non-digit chars except leading +
-  let cleaned = phone.trim();
-  const hasPlus = cleaned.startsWith('+');
-  cleaned = cleaned.replace(/[^\d]/g, '');
-
-  if (!cleaned || cleaned.length < 8) return null;
-
-  // Already international with +
-  if (hasPlus) {
-    return '+' + cleaned;
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/[^\d]/g, '');
+  if (!digits) return null;
+
+  // International with + or 00 prefix (e.g., 0033...)
+  if (trimmed.startsWith('+') || digits.startsWith('00')) {
+    const international = trimmed.startsWith('+') ? digits : digits.substring(2);
+    const country = findPhoneCountry(international);
+    if (country) return toE164(country, international.substring(country.dialCode.length));
+    return /^[1-9]\d{7,14}$/.test(international) ? '+' + international : null;
   }
 
-  // International with 00 prefix (e.g., 0032...)
-  if (cleaned.startsWith('00')) {
-    return '+' + cleaned.substring(2);
-  }
-
-  // Local format with leading 0 (e.g., 0497...)
-  if (cleaned.startsWith('0')) {
-    return defaultCountryCode + cleaned.substring(1);
-  }
+  // Local format, with or without the trunk prefix (0497... / 497...)
+  return toE164(phoneCountry(defaultCountry), digits);
+}
 
-  // Raw digits, assume local without leading 0 (e.g., 497123456)
-  return defaultCountryCode + cleaned;
+/**
+ * Digits to look for in stored E.164 numbers while a number is being
+ * typed: "+33 6 12" → "33612", "0032 497" → "32497", "0497 12" → "49712".
+ * A local number loses its trunk prefix so it matches whatever the
+ * country code.
+ *
+ * @param {string} query
+ * @param {string} defaultCountry
+ * @returns {string} digits ('' if none)
+ */
+function phoneSearchDigits(query, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const trimmed = String(query || '').trim();
+  const digits = trimmed.replace(/[^\d]/g, '');
+  if (trimmed.startsWith('+')) return digits;
+  if (digits.startsWith('00')) return digits.substring(2);
+  const { trunk } = phoneCountry(defaultCountry);
+  return trunk && digits.startsWith(trunk) ? digits.substring(trunk.length) : digits;
 }
 
 /**
@@ -77,15 +121,13 @@ function isValidEmail(email) {
 }
 
 /**
- * Validate phone (after normalization, must be 10-15 digits).
+ * Validate phone (normalizes under the default country's rules).
  * @param {string} phone - raw input
+ * @param {string} defaultCountry
  * @returns {boolean}
  */
-function isValidPhone(phone) {
-  const normalized = normalizePhone(phone);
-  if (!normalized) return false;
-  // E.164: + followed by 10-15 digits
-  return /^\+\d{10,15}$/.test(normalized);
+function isValidPhone(phone, defaultCountry) {
+  return normalizePhone(phone, defaultCountry) !== null;
 }
 
 /**
@@ -131,7 +173,10 @@ function canonicalizeEmail(email) {
 module.exports = {
   normalizeEmail,
   canonicalizeEmail,
+  PHONE_COUNTRIES,
+  DEFAULT_PHONE_COUNTRY,
   normalizePhone,
+  phoneSearchDigits,
   isValidEmail,
   isValidPhone,
   normalizeVAT,
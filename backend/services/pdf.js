@@ -0,0 +1,77 @@
+// ═══════════════════════════════════════════════════════
+// MINIMAL PDF WRITER
+// One-page text documents (receipts) without a PDF library:
+// standard Helvetica fonts, WinAnsi encoding, absolute positions
+// in points from the bottom-left corner of the page.
+// ═══════════════════════════════════════════════════════
+
+// Characters outside Latin-1 that WinAnsi still has
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, 'Œ': 0x8C, 'œ': 0x9C,
+};
+
+/** PDF string literal: WinAnsi bytes, with ( ) \ escaped. Unknown characters become '?'. */
+function pdfString(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    let byte;
+    if (WIN_ANSI_EXTRA[ch]) byte = WIN_ANSI_EXTRA[ch];
+    else if (code === 0x09) byte = 0x20;
+    else if (code >= 0x20 && code < 0x7F) byte = code;
+    else if (code >= 0xA0 && code <= 0xFF) byte = code;
+    else byte = 0x3F;
+    const c = String.fromCharCode(byte);
+    out += c === '(' || c === ')' || c === '\\' ? '\\' + c : c;
+  }
+  return `(${out})`;
+}
+
+/**
+ * Build a one-page PDF.
+ * items: { text, x, y, size = 10, bold = false, gray = false } or { line: [x1, y1, x2, y2] }
+ * Returns a Buffer.
+ */
+function createPdf(items, { width = 420, height = 595 } = {}) {
+  const ops = [];
+  for (const item of items) {
+    if (item.line) {
+      const [x1, y1, x2, y2] = item.line;
+      ops.push(`0.8 G 0.5 w ${x1} ${y1} m ${x2} ${y2} l S`);
+      continue;
+    }
+    const font = item.bold ? 'F2' : 'F1';
+    const color = item.gray ? '0.45 g' : '0 g';
+    ops.push(`BT ${color} /${font} ${item.size || 10} Tf ${item.x} ${item.y} Td ${pdfString(item.text)} Tj ET`);
+  }
+  const content = ops.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+  ];
+
+  // Every byte is latin1, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+
+module.exports = {
+  createPdf,
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { phoneOtpQueries } = require('../database');
+const { smsEnabled, sendSms } = require('./sms');
+
+// ═══════════════════════════════════════════════════════
+// PHONE VERIFICATION
+// 6-digit codes sent by SMS (phone_otps, database.js section 29), used
+// by the QR form and the client portal. A confirmed number stays
+// "recently verified" for an hour so the account created by the
+// cashier's credit can inherit it.
+// ═══════════════════════════════════════════════════════
+
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 min
+const RESEND_MS = 60 * 1000; // 1 min between two SMS
+const MAX_CODE_ATTEMPTS = 5;
+const VERIFIED_TTL_MS = 60 * 60 * 1000; // 1 h
+
+/** Text a new code to the number. Throws if SMS is off, too soon or the send failed. */
+async function sendPhoneCode(phoneE164) {
+  if (!smsEnabled()) throw new Error('Vérification par SMS indisponible');
+
+  const previous = phoneOtpQueries.find.get(phoneE164);
+  if (previous && Date.now() - previous.sent_at < RESEND_MS) {
+    throw new Error('Un code vient d\'être envoyé. Patientez une minute avant d\'en demander un autre.');
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const codeHash = await bcrypt.hash(code, 10);
+  phoneOtpQueries.save.run(phoneE164, codeHash, Date.now() + CODE_TTL_MS, Date.now());
+
+  const sent = await sendSms(phoneE164, `FIDDO : votre code de vérification est ${code}. Il est valable 10 minutes.`);
+  if (!sent) {
+    phoneOtpQueries.dropCode.run(phoneE164);
+    throw new Error('Envoi du SMS impossible. Réessayez plus tard.');
+  }
+}
+
+/**
+ * Check a code sent to the number. Single use, dropped after 5 wrong
+ * guesses (each one counted before bcrypt runs). Throws 'Code SMS
+ * invalide ou expiré'.
+ */
+async function checkPhoneCode(phoneE164, code) {
+  const row = phoneOtpQueries.takeAttempt.get(phoneE164, Date.now());
+  if (!row || row.attempts > MAX_CODE_ATTEMPTS) throw new Error('Code SMS invalide ou expiré');
+
+  if (!(await bcrypt.compare(String(code), row.code_hash))) {
+    if (row.attempts >= MAX_CODE_ATTEMPTS) phoneOtpQueries.dropCode.run(phoneE164);
+    throw new Error('Code SMS invalide ou expiré');
+  }
+
+  phoneOtpQueries.markVerified.run(Date.now(), phoneE164);
+}
+
+/** True if the number was confirmed by SMS within the last hour */
+function isRecentlyVerified(phoneE164) {
+  const row = phoneE164 ? phoneOtpQueries.find.get(phoneE164) : null;
+  return !!(row && row.verified_at && Date.now() - row.verified_at < VERIFIED_TTL_MS);
+}
+
+function cleanupPhoneCodes(now = Date.now()) {
+  phoneOtpQueries.cleanup.run(now - CODE_TTL_MS, now - VERIFIED_TTL_MS);
+}
+
+
+module.exports = {
+  sendPhoneCode,
+  checkPhoneCode,
+  isRecentlyVerified,
+  cleanupPhoneCodes,
+};
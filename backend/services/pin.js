@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { endUserQueries, qrStateQueries } = require('../database');
+
+// ═══════════════════════════════════════════════════════
+// CLIENT PIN CHECKS
+// Failed attempts are counted on the account (end_users, database.js
+// section 28), so rewards at the till, QR login and the portal share
+// one lockout whatever the device. Forgotten PINs are reset from the
+// portal with a one-time code sent by email.
+// ═══════════════════════════════════════════════════════
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000; // 15 min
+const RESET_CODE_TTL_MS = 15 * 60 * 1000; // 15 min
+const RESET_RESEND_MS = 60 * 1000; // 1 min between two codes
+const MAX_RESET_ATTEMPTS = 5;
+
+/** Minutes left on the account's PIN lockout, 0 if not locked */
+function pinLockMinutes(endUser, now = Date.now()) {
+  const until = endUser.pin_locked_until ? Date.parse(endUser.pin_locked_until) : 0;
+  return until > now ? Math.ceil((until - now) / 60000) : 0;
+}
+
+const lockedMessage = (minutes) => `Trop de tentatives. Réessayez dans ${minutes} minute(s).`;
+
+/**
+ * Check a client's PIN. Throws 'Trop de tentatives…' while the account
+ * is locked (the 5th failure locks it for 15 minutes) and 'Code PIN
+ * incorrect' otherwise. The attempt is counted before bcrypt runs and
+ * a correct PIN clears the counter.
+ */
+async function verifyPin(endUser, pin) {
+  const taken = endUserQueries.takePinAttempt.get(endUser.id, new Date().toISOString());
+  if (!taken) throw new Error(lockedMessage(pinLockMinutes(endUserQueries.findById.get(endUser.id)) || 1));
+  if (taken.pin_failed_attempts > MAX_PIN_ATTEMPTS) {
+    endUserQueries.lockPin.run(new Date(Date.now() + PIN_LOCKOUT_MS).toISOString(), endUser.id);
+    throw new Error(lockedMessage(PIN_LOCKOUT_MS / 60000));
+  }
+
+  if (endUser.pin_hash && await bcrypt.compare(String(pin), endUser.pin_hash)) {
+    endUserQueries.clearPinFailures.run(endUser.id);
+    return;
+  }
+
+  if (taken.pin_failed_attempts === MAX_PIN_ATTEMPTS) {
+    endUserQueries.lockPin.run(new Date(Date.now() + PIN_LOCKOUT_MS).toISOString(), endUser.id);
+    throw new Error(lockedMessage(PIN_LOCKOUT_MS / 60000));
+  }
+  throw new Error('Code PIN incorrect');
+}
+
+let dummyHash = null;
+
+/**
+ * verifyPin() for an identifier with no account behind it: same time
+ * spent, same errors, same lockout, so a login form can't tell whether
+ * the account exists. Failures are counted in qr_attempts
+ * ("pin:id:<identifier>"), before bcrypt runs. Always throws.
+ */
+async function failUnknownAccount(identifier, pin) {
+  const key = 'pin:id:' + identifier;
+  const now = Date.now();
+  const row = qrStateQueries.findAttempt.get(key);
+  if (row && row.locked_until > now) throw new Error(lockedMessage(Math.ceil((row.locked_until - now) / 60000)));
+
+  const count = (row && !row.locked_until ? row.count : 0) + 1;
+  const locks = count >= MAX_PIN_ATTEMPTS;
+  qrStateQueries.saveAttempt.run(key, locks ? 0 : count, now, locks ? now + PIN_LOCKOUT_MS : null);
+
+  dummyHash = dummyHash || await bcrypt.hash('0000', 10);
+  await bcrypt.compare(String(pin), dummyHash);
+
+  throw new Error(locks ? lockedMessage(PIN_LOCKOUT_MS / 60000) : 'Code PIN incorrect');
+}
+
+
+// ─── Self-service reset ───
+
+/**
+ * Store a new reset code for the account and return it (6 digits, to
+ * send by email). Throws if the account has no email or a code was
+ * sent less than a minute ago.
+ */
+async function createPinResetCode(endUser) {
+  if (!endUser.email) throw new Error('Aucune adresse email sur ce compte');
+
+  const sentAt = endUser.pin_reset_expires ? Date.parse(endUser.pin_reset_expires) - RESET_CODE_TTL_MS : 0;
+  if (Date.now() - sentAt < RESET_RESEND_MS) {
+    throw new Error('Un code vient d\'être envoyé. Patientez une minute avant d\'en demander un autre.');
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const codeHash = await bcrypt.hash(code, 10);
+  endUserQueries.setPinReset.run(codeHash, new Date(Date.now() + RESET_CODE_TTL_MS).toISOString(), endUser.id);
+  return code;
+}
+
+/**
+ * Set a new PIN with a reset code. The code is single-use and dropped
+ * after 5 wrong guesses. Setting the PIN lifts any lockout.
+ */
+async function resetPinWithCode(endUser, code, newPin) {
+  // Attempt counted before bcrypt runs, like verifyPin()
+  const taken = endUserQueries.takePinResetAttempt.get(endUser.id);
+  const expires = taken && taken.pin_reset_expires ? Date.parse(taken.pin_reset_expires) : 0;
+  if (!taken || expires < Date.now() || taken.pin_reset_attempts > MAX_RESET_ATTEMPTS) {
+    throw new Error('Code invalide ou expiré');
+  }
+
+  if (!(await bcrypt.compare(String(code), taken.pin_reset_hash))) {
+    if (taken.pin_reset_attempts >= MAX_RESET_ATTEMPTS) endUserQueries.clearPinReset.run(endUser.id);
+    throw new Error('Code invalide ou expiré');
+  }
+
+  const pinHash = await bcrypt.hash(newPin, 10);
+  endUserQueries.setPin.run(pinHash, endUser.id);
+}
+
+
+module.exports = {
+  RESET_CODE_TTL_MS,
+  verifyPin,
+  failUnknownAccount,
+  createPinResetCode,
+  resetPinWithCode,
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════
+// MINIMAL PKCS#7 (CMS) SIGNER
+// Detached SignedData signatures (the "signature" file of an Apple
+// Wallet pass) without an ASN.1 library: SHA-256, one signer, its
+// certificate and the intermediate chain embedded. RSA or EC keys.
+// ═══════════════════════════════════════════════════════
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+};
+
+// ─── DER encoding ───
+
+function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  let length;
+  if (body.length < 0x80) {
+    length = Buffer.from([body.length]);
+  } else {
+    const bytes = [];
+    for (let n = body.length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n & 0xFF);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+const seq = (...items) => der(0x30, ...items);
+const set = (...items) => der(0x31, ...items);
+const int = (n) => der(0x02, Buffer.from([n]));
+const octets = (buf) => der(0x04, buf);
+const nullValue = () => Buffer.from([0x05, 0x00]);
+
+function oid(dotted) {
+  const arcs = dotted.split('.').map(Number);
+  const bytes = [arcs[0] * 40 + arcs[1]];
+  for (const arc of arcs.slice(2)) {
+    const chunk = [arc & 0x7F];
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) chunk.unshift(0x80 | (n & 0x7F));
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function utcTime(date) {
+  const iso = date.toISOString(); // 2025-01-31T12:34:56.000Z
+  const text = iso.slice(2, 4) + iso.slice(5, 7) + iso.slice(8, 10) + iso.slice(11, 13) + iso.slice(14, 16) + iso.slice(17, 19) + 'Z';
+  return der(0x17, Buffer.from(text, 'ascii'));
+}
+
+// ─── DER reading (just enough to find issuer and serial number) ───
+
+function readTlv(buf, pos) {
+  let length = buf[pos + 1];
+  let header = 2;
+  if (length & 0x80) {
+    const count = length & 0x7F;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + buf[pos + 2 + i];
+    header += count;
+  }
+  return { tag: buf[pos], start: pos, contentStart: pos + header, end: pos + header + length };
+}
+
+/** Raw issuer Name and serialNumber INTEGER of a DER certificate. */
+function issuerAndSerial(certDer) {
+  const cert = readTlv(certDer, 0);
+  const tbs = readTlv(certDer, cert.contentStart);
+  let field = readTlv(certDer, tbs.contentStart);
+  if (field.tag === 0xA0) field = readTlv(certDer, field.end); // explicit version
+  const serial = field;
+  const signatureAlg = readTlv(certDer, serial.end);
+  const issuer = readTlv(certDer, signatureAlg.end);
+  return seq(certDer.subarray(issuer.start, issuer.end), certDer.subarray(serial.start, serial.end));
+}
+
+/** Every certificate of a PEM bundle, as DER buffers. */
+function pemCertificates(pem) {
+  const blocks = String(pem).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  return blocks.map(block => new crypto.X509Certificate(block).raw);
+}
+
+/**
+ * Detached PKCS#7 signature of `content`, DER encoded.
+ * certificate: PEM of the signer; chain: PEM of the intermediates
+ * (Apple WWDR); key: PEM private key, with its passphrase if any.
+ */
+function signDetached(content, { certificate, key, passphrase, chain = '' }) {
+  const [signerCert] = pemCertificates(certificate);
+  if (!signerCert) throw new Error('Certificat de signature invalide');
+  const certificates = [signerCert, ...pemCertificates(chain)];
+  const privateKey = crypto.createPrivateKey({ key, passphrase: passphrase || undefined });
+
+  const digestAlg = seq(oid(OID.sha256), nullValue());
+  const signatureAlg = privateKey.asymmetricKeyType === 'ec'
+    ? seq(oid(OID.ecdsaWithSha256))
+    : seq(oid(OID.rsaEncryption), nullValue());
+
+  // DER SET OF: members sorted by their encoding
+  const attributes = [
+    seq(oid(OID.contentType), set(oid(OID.data))),
+    seq(oid(OID.signingTime), set(utcTime(new Date()))),
+    seq(oid(OID.messageDigest), set(octets(crypto.createHash('sha256').update(content).digest()))),
+  ].sort(Buffer.compare);
+  const signature = crypto.sign('sha256', set(...attributes), privateKey);
+
+  const signerInfo = seq(
+    int(1),
+    issuerAndSerial(signerCert),
+    digestAlg,
+    der(0xA0, ...attributes),
+    signatureAlg,
+    octets(signature)
+  );
+
+  return seq(
+    oid(OID.signedData),
+    der(0xA0, seq(
+      int(1),
+      set(digestAlg),
+      seq(oid(OID.data)),
+      der(0xA0, ...certificates),
+      set(signerInfo)
+    ))
+  );
+}
+
+
+module.exports = {
+  signDetached,
+};
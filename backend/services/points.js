@@ -1,5 +1,4 @@
 const crypto = require('crypto');
-const bcrypt = require('bcryptjs');
 const {
   db,
   endUserQueries,
@@ -7,22 +6,35 @@ const {
   merchantClientQueries,
   merchantQueries,
   transactionQueries,
+  rewardQueries,
+  programQueries,
+  registerQueries,
 } = require('../database');
 const { normalizeEmail, canonicalizeEmail, normalizePhone } = require('./normalizer');
 const { pushPointsCredited, pushRewardAvailable, pushRewardRedeemed } = require('./push');
+const { getClientTier, applyTierMultiplier, refreshClientTier } = require('./tiers');
+const { findActiveCampaign } = require('./campaigns');
+const { applyPromoCode } = require('./promos');
+const { stampPrograms } = require('./programs');
+const { recordReferral, completeReferral } = require('./referrals');
+const { getGroupBalance, withGroupBalance, addGroupPoints } = require('./groups');
+const { checkVisitRules, visitStamps } = require('./visits');
+const { refreshWalletPasses } = require('./wallet');
+const { verifyPin } = require('./pin');
+const { isRecentlyVerified } = require('./phone-verification');
 
 // ═══════════════════════════════════════════════════════
 // FIND OR CREATE END USER
 // 3-step lookup: end_users → aliases → create
 // ═══════════════════════════════════════════════════════
 
-function findOrCreateEndUser({ email, phone, name, pinHash = null }) {
+function findOrCreateEndUser({ email, phone, name, pinHash = null, phoneCountry }) {
   const emailLower = normalizeEmail(email);
   const emailCanonical = canonicalizeEmail(email);
-  const phoneE164 = normalizePhone(phone);
+  const phoneE164 = normalizePhone(phone, phoneCountry);
 
   if (!emailLower && !phoneE164) {
-    throw new Error('Email ou téléphone requis');
+    throw new Error(phone ? 'Numéro de téléphone invalide' : 'Email ou téléphone requis');
   }
 
   // ── Step 1: direct lookup on end_users ──
@@ -65,6 +77,11 @@ function findOrCreateEndUser({ email, phone, name, pinHash = null }) {
 
   endUser = endUserQueries.findById.get(result.lastInsertRowid);
 
+  // Number confirmed by SMS on the QR form just before this first credit
+  if (endUser && phoneE164 && isRecentlyVerified(phoneE164)) {
+    endUserQueries.setPhoneValidated.run(1, endUser.id);
+  }
+
   // Store canonical email for future dedup
   if (endUser && emailCanonical) {
     db.prepare("UPDATE end_users SET email_canonical = ? WHERE id = ?").run(emailCanonical, endUser.id);
@@ -126,9 +143,17 @@ function creditPoints({
   idempotencyKey = null,
   source = 'manual',
   pinHash = null,
+  programIds = [],
+  referralCode = null,
+  promoCode = null,
+  overrideVisitRules = false,
+  registerId = null,
 }) {
   const merchant = merchantQueries.findById.get(merchantId);
   if (!merchant) throw new Error('Commerce non trouvé');
+  if (registerId && !registerQueries.findByIdAndMerchant.get(registerId, merchantId)) {
+    throw new Error('Caisse non trouvée');
+  }
 
   const isVisits = merchant.loyalty_mode === 'visits';
 
@@ -136,13 +161,14 @@ function creditPoints({
     throw new Error('Montant invalide');
   }
 
-  const pointsDelta = isVisits ? 1 : Math.floor(amount * merchant.points_per_euro);
+  // Base points before tier multiplier (visits: 1 stamp, more for a large basket)
+  const basePoints = isVisits ? visitStamps(merchant, amount) : amount * merchant.points_per_euro;
 
   // Idempotency check
   if (idempotencyKey) {
     const existing = transactionQueries.findByIdempotencyKey.get(merchantId, idempotencyKey);
     if (existing) {
-      const mc = merchantClientQueries.findById.get(existing.merchant_client_id);
+      const mc = withGroupBalance(merchant, merchantClientQueries.findById.get(existing.merchant_client_id));
       const eu = endUserQueries.findById.get(mc.end_user_id);
       return {
         endUser: eu,
@@ -156,7 +182,7 @@ function creditPoints({
   }
 
   const run = db.transaction(() => {
-    const { endUser, isNew: isNewClient } = findOrCreateEndUser({ email, phone, name, pinHash });
+    const { endUser, isNew: isNewClient } = findOrCreateEndUser({ email, phone, name, pinHash, phoneCountry: merchant.phone_country });
 
     if (endUser.is_blocked) {
       throw new Error('Ce client est bloqué');
@@ -170,6 +196,34 @@ function creditPoints({
       throw new Error('Ce client est bloqué dans votre commerce');
     }
 
+    // Visits mode: minimum purchase and stamps per day/hour (overridable by a manager)
+    const visitRuleViolations = isVisits
+      ? checkVisitRules({ merchant, merchantClientId: isNewRelation ? null : merchantClient.id, amount })
+      : [];
+    if (visitRuleViolations.length > 0 && !overrideVisitRules) {
+      throw new Error(visitRuleViolations[0].message);
+    }
+
+    // Referral link handed to the cashier: recorded before this purchase counts as a visit
+    const referralError = referralCode
+      ? recordReferral({ merchant, refereeId: endUser.id, referralCode, source: 'credit' }).error || null
+      : null;
+
+    // Tier held before this purchase sets the multiplier
+    const tier = getClientTier(merchantClient);
+    const tierPoints = applyTierMultiplier(basePoints, tier);
+
+    // Running bonus campaign (double points day, happy hour…) on top
+    const campaign = findActiveCampaign(merchantId, tierPoints);
+
+    // Promo code typed by the cashier or the client, added to any campaign
+    const promoResult = promoCode
+      ? applyPromoCode({ merchantId, merchantClient, isFirstVisit: merchantClient.visit_count === 0, code: promoCode, points: tierPoints })
+      : null;
+    const promo = promoResult && promoResult.promo ? promoResult : null;
+
+    const pointsDelta = tierPoints + (campaign ? campaign.bonus : 0) + (promo ? promo.bonus : 0);
+
     const txResult = transactionQueries.create.run(
       merchantId,
       merchantClient.id,
@@ -182,15 +236,52 @@ function creditPoints({
       notes
     );
 
-    merchantClientQueries.updateAfterCredit.run(pointsDelta, amount, merchantClient.id);
+    if (campaign) {
+      transactionQueries.setCampaign.run(campaign.campaign.id, campaign.bonus, txResult.lastInsertRowid);
+    }
+    if (promo) {
+      transactionQueries.setPromo.run(promo.promo.id, promo.bonus, txResult.lastInsertRowid);
+    }
+    if (registerId) transactionQueries.setRegister.run(registerId, txResult.lastInsertRowid);
 
-    const updatedMC = merchantClientQueries.findById.get(merchantClient.id);
-    const tx = { id: txResult.lastInsertRowid, points_delta: pointsDelta, amount };
+    // Coalition member: points go to the group balance, the card keeps the visit
+    merchantClientQueries.updateAfterCredit.run(merchant.group_id ? 0 : pointsDelta, amount, merchantClient.id);
+    if (merchant.group_id) {
+      addGroupPoints(merchant.group_id, endUser.id, pointsDelta, txResult.lastInsertRowid);
+    }
+
+    // First qualifying purchase of a referred client → both bonuses
+    const referral = completeReferral({ merchant, merchantClient, amount, staffId });
+
+    // Extra stamp cards picked by the cashier (main card is always credited)
+    const stamps = programIds.length > 0
+      ? stampPrograms({ merchantId, merchantClientId: merchantClient.id, programIds, staffId, idempotencyKey, source })
+      : [];
+
+    // Purchase counts toward the rolling 12 months → may move the client up a tier
+    const tierChange = refreshClientTier(merchant, merchantClient.id);
+
+    const updatedMC = withGroupBalance(merchant, merchantClientQueries.findById.get(merchantClient.id));
+    const tx = {
+      id: txResult.lastInsertRowid, points_delta: pointsDelta, amount,
+      campaign_id: campaign ? campaign.campaign.id : null,
+      campaign_bonus: campaign ? campaign.bonus : 0,
+      promo_code: promo ? promo.promo.code : null,
+      promo_bonus: promo ? promo.bonus : 0,
+      register_id: registerId,
+    };
 
     return {
       endUser,
       merchantClient: updatedMC,
       transaction: tx,
+      tier: getClientTier(updatedMC),
+      tierChanged: tierChange.changed,
+      stamps,
+      referral,
+      referralError,
+      promoError: promoResult ? promoResult.error || null : null,
+      visitRuleOverrides: visitRuleViolations.map(v => v.rule),
       isNewClient,
       isNewRelation,
       idempotent: false,
@@ -210,47 +301,94 @@ function creditPoints({
       result.merchantClient.points_balance
     ).catch(() => {});
 
-    // Notify: reward now available (if threshold just crossed)
-    if (result.merchantClient.points_balance >= merchant.points_for_reward) {
+    // Notify: reward now available (if the cheapest reward's cost was just crossed)
+    const [firstReward] = getClientRewards(merchant, result.merchantClient);
+    if (result.merchantClient.points_balance >= firstReward.pointsCost) {
       const prevBalance = result.merchantClient.points_balance - result.transaction.points_delta;
-      if (prevBalance < merchant.points_for_reward) {
-        pushRewardAvailable(
-          result.endUser.id,
-          merchant.business_name,
-          result.merchantClient.custom_reward || merchant.reward_description
-        ).catch(() => {});
+      if (prevBalance < firstReward.pointsCost) {
+        pushRewardAvailable(result.endUser.id, merchant.business_name, firstReward.name).catch(() => {});
       }
     }
+
+    // Wallet passes show the new balance
+    refreshWalletPasses(result.merchantClient.id);
   }
 
   return result;
 }
 
 
+// ═══════════════════════════════════════════════════════
+// REWARDS CATALOGUE
+// Active catalogue rewards, or the legacy single reward
+// (points_for_reward + custom_reward/reward_description)
+// when the merchant has not defined a catalogue. Cheapest
+// first: progress and "reward available" use the first one.
+// ═══════════════════════════════════════════════════════
+
+function getClientRewards(merchant, mc) {
+  const balance = mc ? withGroupBalance(merchant, mc).points_balance : 0;
+  const catalogue = rewardQueries.getByMerchant.all(merchant.id);
+
+  const rewards = catalogue.length > 0
+    ? catalogue.map(r => ({ id: r.id, name: r.name, description: r.description, pointsCost: r.points_cost }))
+    : [{
+      id: null,
+      name: (mc && mc.custom_reward) || merchant.reward_description,
+      description: null,
+      pointsCost: merchant.points_for_reward,
+    }];
+
+  return rewards.map(r => ({ ...r, canAfford: balance >= r.pointsCost }));
+}
+
+
 // ═══════════════════════════════════════════════════════
 // REDEEM REWARD (debit points)
-// Uses custom_reward if set, otherwise default merchant reward
+// rewardId → catalogue reward (required once there is a catalogue);
+// otherwise custom_reward if set, otherwise default merchant reward
 // ═══════════════════════════════════════════════════════
 
 async function redeemReward({
   merchantId,
   merchantClientId,
+  rewardId = null,
+  programId = null,
   staffId = null,
   notes = null,
   idempotencyKey = null,
   pin = null,
   qrVerified = false,
+  registerId = null,
+  identifiedBy = null,
 }) {
   const merchant = merchantQueries.findById.get(merchantId);
   if (!merchant) throw new Error('Commerce non trouvé');
+  if (registerId && !registerQueries.findByIdAndMerchant.get(registerId, merchantId)) {
+    throw new Error('Caisse non trouvée');
+  }
+
+  let reward = null;
+  let program = null;
+  if (programId) {
+    program = programQueries.findByIdAndMerchant.get(programId, merchantId);
+    if (!program) throw new Error('Carte de fidélité non trouvée');
+  } else if (rewardId) {
+    reward = rewardQueries.findByIdAndMerchant.get(rewardId, merchantId);
+    if (!reward) throw new Error('Récompense non trouvée');
+  } else if (rewardQueries.getByMerchant.all(merchantId).length > 0) {
+    // The catalogue replaces the legacy reward (see getClientRewards)
+    throw new Error('Récompense à choisir dans le catalogue');
+  }
 
-  const pointsToDeduct = merchant.points_for_reward;
+  const pointsToDeduct = program ? program.stamps_for_reward
+    : reward ? reward.points_cost : merchant.points_for_reward;
 
   // Idempotency
   if (idempotencyKey) {
     const existing = transactionQueries.findByIdempotencyKey.get(merchantId, idempotencyKey);
     if (existing) {
-      const mc = merchantClientQueries.findById.get(existing.merchant_client_id);
+      const mc = withGroupBalance(merchant, merchantClientQueries.findById.get(existing.merchant_client_id));
       return { merchantClient: mc, transaction: existing, idempotent: true };
     }
   }
@@ -263,6 +401,13 @@ async function redeemReward({
   const endUser = endUserQueries.findById.get(mcCheck.end_user_id);
   if (!endUser) throw new Error('Client non trouvé');
 
+  // Anyone can type someone else's number: merchants may require it verified.
+  // Decided here for phone-only accounts; the till's identifiedBy can only add to it
+  const byPhone = endUser.phone_e164 && (!endUser.email || identifiedBy === 'phone');
+  if (byPhone && !qrVerified && merchant.require_phone_verified && !endUser.phone_validated) {
+    throw new Error('Numéro de téléphone non vérifié : le client doit le confirmer par SMS avant d\'utiliser une récompense');
+  }
+
   if (!qrVerified) {
     if (!endUser.pin_hash) {
       throw new Error('Ce client n\'a pas de code PIN. Veuillez en définir un avant de réclamer la récompense.');
@@ -270,21 +415,24 @@ async function redeemReward({
     if (!pin) {
       throw new Error('Code PIN requis pour appliquer la récompense');
     }
-    if (!(await bcrypt.compare(pin, endUser.pin_hash))) {
-      throw new Error('Code PIN incorrect');
-    }
+    await verifyPin(endUser, pin);
   }
 
   const run = db.transaction(() => {
     const mc = merchantClientQueries.findByIdAndMerchant.get(merchantClientId, merchantId);
     if (!mc) throw new Error('Client non trouvé');
 
-    if (mc.points_balance < pointsToDeduct) {
-      throw new Error(`Solde insuffisant (${mc.points_balance}/${pointsToDeduct} points)`);
+    // Stamp card: its own balance; main card: merchant_clients.points_balance,
+    // or the shared balance when the shop belongs to a group
+    const pb = program ? programQueries.findBalance.get(mc.id, program.id) : null;
+    const balance = program ? (pb ? pb.balance : 0) : withGroupBalance(merchant, mc).points_balance;
+    if (balance < pointsToDeduct) {
+      throw new Error(`Solde insuffisant (${balance}/${pointsToDeduct} ${program ? 'tampons' : 'points'})`);
     }
 
-    // Use custom reward if set, otherwise merchant default
-    const rewardLabel = mc.custom_reward || merchant.reward_description;
+    // Stamp card reward, else catalogue reward, else custom reward if set, else merchant default
+    const rewardLabel = program ? program.reward_description
+      : reward ? reward.name : (mc.custom_reward || merchant.reward_description);
 
     const txResult = transactionQueries.create.run(
       merchantId,
@@ -297,13 +445,26 @@ async function redeemReward({
       'manual',
       notes || `Récompense : ${rewardLabel}`
     );
+    if (reward) transactionQueries.setReward.run(reward.id, txResult.lastInsertRowid);
+    if (registerId) transactionQueries.setRegister.run(registerId, txResult.lastInsertRowid);
+
+    if (program) {
+      transactionQueries.setProgram.run(program.id, txResult.lastInsertRowid);
+      programQueries.deductStamps.run(pointsToDeduct, mc.id, program.id);
+    } else if (merchant.group_id) {
+      addGroupPoints(merchant.group_id, mc.end_user_id, -pointsToDeduct, txResult.lastInsertRowid);
+    } else {
+      merchantClientQueries.setPoints.run(mc.points_balance - pointsToDeduct, mc.id);
+    }
 
-    merchantClientQueries.setPoints.run(mc.points_balance - pointsToDeduct, mc.id);
-
-    const updatedMC = merchantClientQueries.findById.get(mc.id);
+    const updatedMC = withGroupBalance(merchant, merchantClientQueries.findById.get(mc.id));
     return {
       merchantClient: updatedMC,
-      transaction: { id: txResult.lastInsertRowid, points_delta: -pointsToDeduct },
+      transaction: {
+        id: txResult.lastInsertRowid, points_delta: -pointsToDeduct,
+        reward_id: reward ? reward.id : null, program_id: program ? program.id : null,
+        register_id: registerId,
+      },
       rewardLabel,
       idempotent: false,
     };
@@ -320,6 +481,8 @@ async function redeemReward({
       result.rewardLabel,
       result.merchantClient.points_balance
     ).catch(() => {});
+
+    refreshWalletPasses(result.merchantClient.id);
   }
 
   return result;
@@ -338,8 +501,10 @@ function adjustPoints({ merchantId, merchantClientId, pointsDelta, staffId, reas
     throw new Error('Raison requise pour un ajustement');
   }
 
+  const merchant = merchantQueries.findById.get(merchantId);
+
   const run = db.transaction(() => {
-    const mc = merchantClientQueries.findByIdAndMerchant.get(merchantClientId, merchantId);
+    const mc = withGroupBalance(merchant, merchantClientQueries.findByIdAndMerchant.get(merchantClientId, merchantId));
     if (!mc) throw new Error('Client non trouvé');
 
     const newBalance = mc.points_balance + pointsDelta;
@@ -359,16 +524,99 @@ function adjustPoints({ merchantId, merchantClientId, pointsDelta, staffId, reas
       reason.trim()
     );
 
-    merchantClientQueries.setPoints.run(newBalance, mc.id);
+    if (merchant.group_id) {
+      addGroupPoints(merchant.group_id, mc.end_user_id, pointsDelta, txResult.lastInsertRowid);
+    } else {
+      merchantClientQueries.setPoints.run(newBalance, mc.id);
+    }
 
-    const updatedMC = merchantClientQueries.findById.get(mc.id);
+    const updatedMC = withGroupBalance(merchant, merchantClientQueries.findById.get(mc.id));
     return {
       merchantClient: updatedMC,
       transaction: { id: txResult.lastInsertRowid, points_delta: pointsDelta },
     };
   });
 
-  return run();
+  const result = run();
+  refreshWalletPasses(result.merchantClient.id);
+  return result;
+}
+
+
+// ═══════════════════════════════════════════════════════
+// VOID A CREDIT OR STAMP (linked reversal)
+// Cashiers: own credits only, within VOID_WINDOW_MINUTES.
+// Owners/managers: any credit, no time limit.
+// ═══════════════════════════════════════════════════════
+
+const VOID_WINDOW_MINUTES = 15;
+
+function voidTransaction({ merchantId, transactionId, staff, reason }) {
+  const merchant = merchantQueries.findById.get(merchantId);
+
+  const run = db.transaction(() => {
+    const original = transactionQueries.findByIdAndMerchant.get(transactionId, merchantId);
+    if (!original) throw new Error('Transaction non trouvée');
+    if (!['credit', 'stamp'].includes(original.transaction_type)) throw new Error('Seuls les crédits peuvent être annulés');
+    if (original.voided_at) throw new Error('Transaction déjà annulée');
+
+    if (staff.role === 'cashier') {
+      if (original.staff_id !== staff.id) throw new Error('Vous ne pouvez annuler que vos propres crédits');
+      const ageMinutes = (Date.now() - new Date(original.created_at.replace(' ', 'T') + 'Z').getTime()) / 60000;
+      if (ageMinutes > VOID_WINDOW_MINUTES) {
+        throw new Error(`Délai d'annulation dépassé (${VOID_WINDOW_MINUTES} min)`);
+      }
+    }
+
+    const mc = merchantClientQueries.findById.get(original.merchant_client_id);
+    const isStamp = original.transaction_type === 'stamp';
+    // Credit earned in a group: reversed from the group, even if the shop left it since
+    const groupId = original.group_id;
+    const pb = isStamp ? programQueries.findBalance.get(mc.id, original.program_id) : null;
+    const balance = isStamp ? (pb ? pb.balance : 0)
+      : groupId ? getGroupBalance(groupId, mc.end_user_id) : mc.points_balance;
+    if (balance < original.points_delta) {
+      throw new Error(`Annulation impossible : points déjà utilisés (solde ${balance}/${original.points_delta})`);
+    }
+
+    if (transactionQueries.markVoided.run(original.id).changes === 0) {
+      throw new Error('Transaction déjà annulée');
+    }
+
+    const amount = original.amount || 0;
+    const txResult = transactionQueries.create.run(
+      merchantId,
+      mc.id,
+      staff.id,
+      amount ? -amount : null,
+      -original.points_delta,
+      'reversal',
+      null,
+      'manual',
+      `Annulation #${original.id}` + (reason && reason.trim() ? ` : ${reason.trim()}` : '')
+    );
+    transactionQueries.setReverses.run(original.id, txResult.lastInsertRowid);
+
+    if (isStamp) {
+      transactionQueries.setProgram.run(original.program_id, txResult.lastInsertRowid);
+      programQueries.voidStamps.run(original.points_delta, original.points_delta, mc.id, original.program_id);
+    } else {
+      merchantClientQueries.updateAfterVoid.run(groupId ? 0 : original.points_delta, amount, mc.id);
+      if (groupId) addGroupPoints(groupId, mc.end_user_id, -original.points_delta, txResult.lastInsertRowid);
+
+      // Spend/visit no longer count toward the rolling 12 months
+      refreshClientTier(merchant, mc.id);
+    }
+
+    return {
+      merchantClient: withGroupBalance(merchant, merchantClientQueries.findById.get(mc.id)),
+      transaction: { id: txResult.lastInsertRowid, points_delta: -original.points_delta, reverses_id: original.id },
+    };
+  });
+
+  const result = run();
+  refreshWalletPasses(result.merchantClient.id);
+  return result;
 }
 
 
@@ -376,6 +624,9 @@ module.exports = {
   findOrCreateEndUser,
   findOrCreateMerchantClient,
   creditPoints,
+  getClientRewards,
   redeemReward,
   adjustPoints,
+  voidTransaction,
+  VOID_WINDOW_MINUTES,
 };
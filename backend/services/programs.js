@@ -0,0 +1,61 @@
+const { programQueries, transactionQueries } = require('../database');
+
+// ═══════════════════════════════════════════════════════
+// LOYALTY PROGRAMS (extra stamp cards)
+// Run side by side with the merchant's main card. The cashier
+// picks which cards to stamp on each credit; one stamp per
+// selected card, tracked in program_balances.
+// ═══════════════════════════════════════════════════════
+
+function formatProgram(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    stampsForReward: p.stamps_for_reward,
+    rewardDescription: p.reward_description,
+    balance: p.balance,
+    canRedeem: p.balance >= p.stamps_for_reward,
+  };
+}
+
+/** Active programs of a merchant with the client's balance on each. */
+function getClientPrograms(merchantId, merchantClientId) {
+  return programQueries.getBalances.all(merchantClientId || 0, merchantId).map(formatProgram);
+}
+
+/**
+ * Stamp the selected cards once each. Must run inside the caller's db.transaction().
+ * Idempotency keys are derived from the credit's key so a replay never double-stamps.
+ */
+function stampPrograms({ merchantId, merchantClientId, programIds, staffId, idempotencyKey, source }) {
+  const ids = [...new Set(programIds.map(Number))];
+  const programs = ids.map(id => {
+    const program = programQueries.findByIdAndMerchant.get(id, merchantId);
+    if (!program) throw new Error('Carte de fidélité non trouvée');
+    return program;
+  });
+
+  for (const program of programs) {
+    const txResult = transactionQueries.create.run(
+      merchantId,
+      merchantClientId,
+      staffId,
+      null,
+      1,
+      'stamp',
+      idempotencyKey ? `${idempotencyKey}:p${program.id}` : null,
+      source,
+      `Tampon : ${program.name}`
+    );
+    transactionQueries.setProgram.run(program.id, txResult.lastInsertRowid);
+    programQueries.addStamps.run(merchantClientId, program.id, 1, 1);
+  }
+
+  return getClientPrograms(merchantId, merchantClientId).filter(p => ids.includes(p.id));
+}
+
+
+module.exports = {
+  getClientPrograms,
+  stampPrograms,
+};
@@ -0,0 +1,46 @@
+const { promoCodeQueries } = require('../database');
+const { getMerchantTimezone, localNow, computeBonus } = require('./campaigns');
+
+// ═══════════════════════════════════════════════════════
+// PROMO CODES
+// A code printed or posted by the merchant ("BIENVENUE10" for a
+// first visit, "ETE" for double points) and typed at the counter
+// or on the client form. Bonus types are the campaign ones; a code
+// adds to a running campaign. A refused code never blocks the
+// credit: the reason is returned to the cashier instead.
+// ═══════════════════════════════════════════════════════
+
+/** Codes are stored uppercase without spaces. */
+function normalizePromoCode(code) {
+  return String(code || '').toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Check a code for this credit. Must run inside creditPoints()'s
+ * transaction, before the card is updated: `isFirstVisit` is read
+ * from the card as it was. Returns { promo, bonus } or { error }.
+ */
+function applyPromoCode({ merchantId, merchantClient, isFirstVisit, code, points, now = new Date() }) {
+  const promo = promoCodeQueries.findByCode.get(merchantId, normalizePromoCode(code));
+  if (!promo) return { error: 'Code promo inconnu' };
+
+  const local = localNow(getMerchantTimezone(merchantId), now);
+  if (promo.starts_at && local.datetime < promo.starts_at) return { error: 'Code promo pas encore valable' };
+  if (promo.ends_at && local.datetime >= promo.ends_at) return { error: 'Code promo expiré' };
+
+  if (promo.first_visit_only && !isFirstVisit) return { error: 'Code réservé à la première visite' };
+  if (promo.once_per_client && promoCodeQueries.countClientUses.get(promo.id, merchantClient.id).c > 0) {
+    return { error: 'Code promo déjà utilisé par ce client' };
+  }
+  if (promo.max_uses && promoCodeQueries.countUses.get(promo.id).c >= promo.max_uses) {
+    return { error: 'Code promo épuisé' };
+  }
+
+  return { promo, bonus: computeBonus(promo, points) };
+}
+
+
+module.exports = {
+  normalizePromoCode,
+  applyPromoCode,
+};
@@ -118,10 +118,32 @@ async function pushRewardRedeemed(endUserId, merchantName, rewardLabel, remainin
   );
 }
 
+/**
+ * Notify client of their birthday voucher
+ * Called from scheduler.js when the voucher is issued
+ */
+async function pushBirthdayVoucher(endUserId, merchantName, giftDescription) {
+  const endUser = endUserQueries.findById.get(endUserId);
+  if (!endUser || !endUser.notif_reward) return;
+
+  const tokens = pushTokenQueries.getByUser.all(endUserId);
+  if (tokens.length === 0) return;
+
+  await sendPush(
+    tokens.map(t => t.token),
+    {
+      title: `🎂 ${merchantName}`,
+      body: `Joyeux anniversaire ! Votre cadeau vous attend : ${giftDescription}`,
+      data: { type: 'birthday_voucher', merchantName, giftDescription },
+    }
+  );
+}
+
 
 module.exports = {
   sendPush,
   pushPointsCredited,
   pushRewardAvailable,
   pushRewardRedeemed,
+  pushBirthdayVoucher,
 };
@@ -0,0 +1,183 @@
+const { db, merchantQueries, endUserQueries, programQueries, groupQueries } = require('../database');
+const { getMerchantTimezone, localNow } = require('./campaigns');
+const { createPdf } = require('./pdf');
+
+// ═══════════════════════════════════════════════════════
+// LOYALTY RECEIPTS
+// One receipt per ledger row: merchant details, VAT number,
+// amount, points and the balance right after the transaction.
+// Asked for when a client disputes a balance, so the balance is
+// rebuilt from the ledger (current balance minus every later row
+// of the same ledger) rather than read from the card.
+// ═══════════════════════════════════════════════════════
+
+const TYPE_LABELS = {
+  credit: 'Crédit de points',
+  reward: 'Récompense',
+  merge: 'Fusion de comptes',
+  adjustment: 'Ajustement',
+  gift_out: 'Cadeau envoyé',
+  gift_in: 'Cadeau reçu',
+  gift_refund: 'Cadeau remboursé',
+  expiry: 'Points expirés',
+  reversal: 'Crédit annulé',
+  stamp: 'Tampon',
+  referral: 'Bonus parrainage',
+  birthday: 'Cadeau d\'anniversaire',
+  voucher: 'Bon de récompense',
+  voucher_redeem: 'Bon utilisé',
+};
+
+/** Receipt number printed on the PDF and used in the file name. */
+function receiptNumber(merchantId, transactionId) {
+  return `FID-${merchantId}-${String(transactionId).padStart(6, '0')}`;
+}
+
+function laterDelta(sql, ...params) {
+  return db.prepare(`SELECT COALESCE(SUM(t.points_delta), 0) AS total FROM transactions t ${sql}`).get(...params).total;
+}
+
+/** Balance of the row's ledger (main card, stamp card or group) right after it. */
+function balanceAfter(tx, mc) {
+  if (tx.program_id) {
+    const pb = programQueries.findBalance.get(mc.id, tx.program_id);
+    return (pb ? pb.balance : 0)
+      - laterDelta('WHERE t.merchant_client_id = ? AND t.program_id = ? AND t.id > ?', mc.id, tx.program_id, tx.id);
+  }
+  if (tx.group_id) {
+    const gb = groupQueries.getBalance.get(tx.group_id, mc.end_user_id);
+    return (gb ? gb.points_balance : 0) - laterDelta(`
+      JOIN merchant_clients mc ON t.merchant_client_id = mc.id
+      WHERE t.group_id = ? AND mc.end_user_id = ? AND t.id > ?
+    `, tx.group_id, mc.end_user_id, tx.id);
+  }
+  return mc.points_balance
+    - laterDelta('WHERE t.merchant_client_id = ? AND t.program_id IS NULL AND t.group_id IS NULL AND t.id > ?', mc.id, tx.id);
+}
+
+/**
+ * Everything printed on the receipt of one transaction of a card.
+ * Throws 'Transaction non trouvée' if the row is not on this card.
+ */
+function getReceipt(merchantClientId, transactionId) {
+  const tx = db.prepare(`
+    SELECT t.*, sa.display_name AS staff_name
+    FROM transactions t
+    LEFT JOIN staff_accounts sa ON t.staff_id = sa.id
+    WHERE t.id = ? AND t.merchant_client_id = ?
+  `).get(transactionId, merchantClientId);
+  if (!tx) throw new Error('Transaction non trouvée');
+
+  const mc = db.prepare('SELECT * FROM merchant_clients WHERE id = ?').get(merchantClientId);
+  const merchant = merchantQueries.findById.get(tx.merchant_id);
+  const endUser = endUserQueries.findById.get(mc.end_user_id);
+  const program = tx.program_id
+    ? db.prepare('SELECT * FROM loyalty_programs WHERE id = ?').get(tx.program_id)
+    : null;
+
+  // created_at is UTC; print it on the merchant's clock
+  const local = localNow(getMerchantTimezone(merchant.id), new Date(tx.created_at.replace(' ', 'T') + 'Z'));
+  const [y, m, d] = local.datetime.slice(0, 10).split('-');
+
+  let unit = 'points';
+  if (program) unit = 'tampons';
+  else if (merchant.loyalty_mode === 'visits' && !tx.group_id) unit = 'passages';
+
+  return {
+    number: receiptNumber(merchant.id, tx.id),
+    merchant: {
+      name: merchant.business_name,
+      address: merchant.address,
+      vatNumber: merchant.vat_number,
+      email: merchant.email,
+      phone: merchant.phone,
+    },
+    client: {
+      name: endUser.name || null,
+      email: endUser.email || null,
+      phone: endUser.phone || null,
+    },
+    date: `${d}/${m}/${y} ${local.time}`,
+    type: tx.transaction_type,
+    label: TYPE_LABELS[tx.transaction_type] || tx.transaction_type,
+    amount: tx.amount,
+    pointsDelta: tx.points_delta,
+    unit,
+    cardName: program ? program.name : null,
+    staffName: tx.staff_name || null,
+    notes: tx.notes || null,
+    voided: !!tx.voided_at,
+    balanceAfter: balanceAfter(tx, mc),
+    rewardThreshold: program ? program.stamps_for_reward : merchant.points_for_reward,
+    rewardDescription: program ? program.reward_description : (mc.custom_reward || merchant.reward_description),
+  };
+}
+
+function formatEuros(amount) {
+  return amount.toFixed(2).replace('.', ',') + ' €';
+}
+
+/** A5 PDF of a receipt from getReceipt(). Returns a Buffer. */
+function renderReceiptPdf(receipt) {
+  const left = 40;
+  const right = 380;
+  const valueX = 200;
+  const items = [];
+  let y = 545;
+
+  const text = (value, x, opts = {}) => items.push({ text: value, x, y, ...opts });
+  const separator = () => { items.push({ line: [left, y, right, y] }); y -= 22; };
+  const row = (label, value, opts = {}) => {
+    text(label, left, { gray: true });
+    text(value, valueX, opts);
+    y -= 18;
+  };
+
+  text(receipt.merchant.name, left, { size: 16, bold: true }); y -= 18;
+  text(receipt.merchant.address, left, { size: 9 }); y -= 13;
+  text(`TVA ${receipt.merchant.vatNumber}`, left, { size: 9 }); y -= 13;
+  text([receipt.merchant.phone, receipt.merchant.email].filter(Boolean).join(' · '), left, { size: 9, gray: true }); y -= 22;
+  separator();
+
+  text('REÇU DE FIDÉLITÉ', left, { size: 12, bold: true }); y -= 20;
+  row('Numéro', receipt.number);
+  row('Date', receipt.date);
+  const client = [receipt.client.name, receipt.client.email || receipt.client.phone].filter(Boolean).join(' · ');
+  if (client) row('Client', client);
+  if (receipt.staffName) row('Servi par', receipt.staffName);
+  y -= 4;
+  separator();
+
+  row('Opération', receipt.label + (receipt.voided ? ' (annulé)' : ''), { bold: true });
+  if (receipt.cardName) row('Carte', receipt.cardName);
+  if (receipt.amount) row('Montant', formatEuros(receipt.amount));
+  row(receipt.pointsDelta >= 0 ? 'Gagnés' : 'Utilisés', `${receipt.pointsDelta > 0 ? '+' : ''}${receipt.pointsDelta} ${receipt.unit}`, { bold: true });
+  if (receipt.notes) row('Note', receipt.notes.slice(0, 60));
+  y -= 4;
+  separator();
+
+  row('Nouveau solde', `${receipt.balanceAfter} ${receipt.unit}`, { bold: true, size: 12 });
+  if (receipt.rewardThreshold) {
+    const missing = receipt.rewardThreshold - receipt.balanceAfter;
+    row('Récompense', receipt.rewardDescription);
+    row('Progression', missing > 0
+      ? `${receipt.balanceAfter} / ${receipt.rewardThreshold} — encore ${missing} ${receipt.unit}`
+      : `${receipt.balanceAfter} / ${receipt.rewardThreshold} — récompense disponible`);
+  }
+
+  items.push({ text: 'Reçu de fidélité émis par FIDDO — ce document n\'est pas une facture.', x: left, y: 40, size: 8, gray: true });
+
+  return createPdf(items, { width: 420, height: 595 });
+}
+
+/** Download file name for a receipt. */
+function receiptFilename(receipt) {
+  return `recu-fiddo-${receipt.number}.pdf`;
+}
+
+
+module.exports = {
+  getReceipt,
+  renderReceiptPdf,
+  receiptFilename,
+};
@@ -0,0 +1,106 @@
+const {
+  endUserQueries,
+  merchantClientQueries,
+  transactionQueries,
+  referralQueries,
+} = require('../database');
+const { addGroupPoints } = require('./groups');
+
+// ═══════════════════════════════════════════════════════
+// REFERRALS
+// A client shares a link to a merchant's QR landing page carrying
+// their own qr_token. A friend arriving with it (QR registration or
+// cashier credit) is recorded as 'pending'; both get the merchant's
+// bonus on the friend's first qualifying purchase.
+// ═══════════════════════════════════════════════════════
+
+function referralUrl(merchant, endUser) {
+  if (!merchant.referral_enabled || !merchant.qr_token || !endUser.qr_token) return null;
+  const baseUrl = process.env.BASE_URL || 'https://www.fiddo.be';
+  return `${baseUrl}/q/${merchant.qr_token}?ref=${encodeURIComponent(endUser.qr_token)}`;
+}
+
+/**
+ * Record that `refereeId` was brought by the owner of `referralCode`.
+ * Returns { referral } or { error } — a bad code never blocks the
+ * registration or the credit it comes with.
+ */
+function recordReferral({ merchant, refereeId, referralCode, source }) {
+  if (!merchant.referral_enabled) return { error: 'Parrainage non activé dans ce commerce' };
+
+  const referrer = endUserQueries.findByQrToken.get(String(referralCode || ''));
+  if (!referrer) return { error: 'Code de parrainage invalide' };
+  if (referrer.id === refereeId) return { error: 'Impossible de se parrainer soi-même' };
+
+  const referrerCard = merchantClientQueries.find.get(merchant.id, referrer.id);
+  if (!referrerCard || referrerCard.is_blocked || referrer.is_blocked) {
+    return { error: 'Le parrain n\'est pas client de ce commerce' };
+  }
+
+  const existing = referralQueries.findByReferee.get(merchant.id, refereeId);
+  if (existing) {
+    return existing.referrer_id === referrer.id ? { referral: existing } : { error: 'Client déjà parrainé' };
+  }
+
+  // Only brand-new clients of this merchant can be referred
+  const refereeCard = merchantClientQueries.find.get(merchant.id, refereeId);
+  if (refereeCard && refereeCard.visit_count > 0) return { error: 'Déjà client de ce commerce' };
+
+  if (referralQueries.countThisMonth.get(merchant.id, referrer.id).c >= merchant.referral_monthly_cap) {
+    return { error: 'Limite mensuelle de parrainages atteinte' };
+  }
+
+  const result = referralQueries.create.run(merchant.id, referrer.id, refereeId, source);
+  return { referral: { id: result.lastInsertRowid, referrer_id: referrer.id, referee_id: refereeId, status: 'pending' } };
+}
+
+function creditBonus(merchant, mc, bonus, staffId, note) {
+  if (bonus <= 0) return;
+  const tx = transactionQueries.create.run(merchant.id, mc.id, staffId, null, bonus, 'referral', null, 'referral', note);
+  if (merchant.group_id) {
+    addGroupPoints(merchant.group_id, mc.end_user_id, bonus, tx.lastInsertRowid);
+  } else {
+    merchantClientQueries.setPoints.run(mc.points_balance + bonus, mc.id);
+  }
+}
+
+/**
+ * Pay both bonuses if this purchase qualifies and the client has a
+ * pending referral. Must run inside the caller's db.transaction(),
+ * after the purchase itself is recorded.
+ * Returns { referrerBonus, refereeBonus } or null.
+ */
+function completeReferral({ merchant, merchantClient, amount, staffId }) {
+  if (!merchant.referral_enabled) return null;
+
+  const referral = referralQueries.findByReferee.get(merchant.id, merchantClient.end_user_id);
+  if (!referral || referral.status !== 'pending') return null;
+
+  const isVisits = merchant.loyalty_mode === 'visits';
+  if (!isVisits && amount < merchant.referral_min_amount) return null;
+
+  // Referrer who left or was blocked since: the friend still gets the welcome bonus
+  const referrerCard = merchantClientQueries.find.get(merchant.id, referral.referrer_id);
+  const referrerBonus = referrerCard && !referrerCard.is_blocked ? merchant.referral_referrer_bonus : 0;
+  const refereeBonus = merchant.referral_referee_bonus;
+
+  const referee = endUserQueries.findById.get(merchantClient.end_user_id);
+  const referrer = endUserQueries.findById.get(referral.referrer_id);
+
+  creditBonus(merchant, merchantClientQueries.findById.get(merchantClient.id), refereeBonus, staffId,
+    `Parrainage : bienvenue (parrain ${referrer.name || referrer.email || referrer.phone || '#' + referrer.id})`);
+  if (referrerCard) {
+    creditBonus(merchant, referrerCard, referrerBonus, staffId,
+      `Parrainage : ${referee.name || referee.email || referee.phone || '#' + referee.id} a effectué son premier achat`);
+  }
+
+  referralQueries.complete.run(referrerBonus, refereeBonus, referral.id);
+  return { referralId: referral.id, referrerId: referral.referrer_id, referrerBonus, refereeBonus };
+}
+
+
+module.exports = {
+  referralUrl,
+  recordReferral,
+  completeReferral,
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════
+// SMS TRANSPORT
+// Pluggable providers, picked by SMS_PROVIDER:
+//   brevo   — Brevo transactional SMS (BREVO_API_KEY, SMS_SENDER)
+//   file    — appends one JSON line per SMS to SMS_FILE_PATH (dev, tests)
+//   console — prints the SMS to the server log (dev)
+// Unset: SMS disabled, phone verification is not offered.
+// A provider is { send({ to, text }) } and throws on failure.
+// ═══════════════════════════════════════════════════════
+
+const BREVO_SMS_URL = 'https://api.brevo.com/v3/transactionalSMS/sms';
+
+const providers = {
+  brevo: {
+    async send({ to, text }) {
+      const response = await fetch(BREVO_SMS_URL, {
+        method: 'POST',
+        headers: {
+          'api-key': process.env.BREVO_API_KEY || '',
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+        },
+        body: JSON.stringify({
+          type: 'transactional',
+          sender: process.env.SMS_SENDER || 'FIDDO',
+          recipient: to.replace(/^\+/, ''),
+          content: text,
+        }),
+      });
+      if (!response.ok) throw new Error(`Brevo SMS ${response.status}`);
+    },
+  },
+
+  file: {
+    async send({ to, text }) {
+      const file = process.env.SMS_FILE_PATH || path.join(__dirname, '..', 'sms-outbox.log');
+      fs.appendFileSync(file, JSON.stringify({ to, text, sentAt: new Date().toISOString() }) + '\n');
+    },
+  },
+
+  console: {
+    async send({ to, text }) {
+      console.log(`📱 SMS → ${to}: ${text}`);
+    },
+  },
+};
+
+/** Add or replace a provider (e.g. another SMS gateway). */
+function registerSmsProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function smsEnabled() {
+  return !!providers[process.env.SMS_PROVIDER];
+}
+
+/**
+ * Send an SMS to an E.164 number. Never throws — like sendMail, returns
+ * false when SMS is disabled or the provider failed.
+ */
+async function sendSms(to, text) {
+  const provider = providers[process.env.SMS_PROVIDER];
+  if (!provider) {
+    console.log('⚠️ SMS not configured, skipping SMS to', to);
+    return false;
+  }
+
+  try {
+    await provider.send({ to, text });
+    return true;
+  } catch (error) {
+    console.error(`❌ SMS failed → ${to}:`, error.message);
+    return false;
+  }
+}
+
+
+module.exports = {
+  registerSmsProvider,
+  smsEnabled,
+  sendSms,
+};
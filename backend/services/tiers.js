@@ -0,0 +1,92 @@
+const { db, tierQueries, merchantClientQueries } = require('../database');
+const { logAudit } = require('../middleware/audit');
+
+// ═══════════════════════════════════════════════════════
+// MEMBERSHIP TIERS
+// A client's tier is the highest active tier whose threshold is
+// reached by their rolling 12-month spend (or visit count,
+// depending on merchants.tier_basis). Each tier carries an
+// earning multiplier applied in creditPoints().
+// ═══════════════════════════════════════════════════════
+
+function getClientTier(mc) {
+  if (!mc || !mc.tier_id) return null;
+  const tier = tierQueries.findById.get(mc.tier_id);
+  return tier ? { id: tier.id, name: tier.name, multiplier: tier.multiplier } : null;
+}
+
+/**
+ * Apply a tier multiplier to a base number of points (rounded down).
+ * Visits mode: a ×2 tier gives 2 stamps per visit, ×1.5 still gives 1.
+ */
+function applyTierMultiplier(basePoints, tier) {
+  return Math.floor(basePoints * (tier ? tier.multiplier : 1));
+}
+
+/**
+ * Re-evaluate one client's tier and log the change (up or down).
+ * Must be called after the ledger is up to date.
+ */
+function refreshClientTier(merchant, merchantClientId, tiers = null) {
+  const mc = merchantClientQueries.findById.get(merchantClientId);
+  if (!mc) return { tier: null, changed: false };
+
+  const activeTiers = tiers || tierQueries.getByMerchant.all(merchant.id);
+  const basis = merchant.tier_basis === 'visits' ? 'visits' : 'spent';
+  const stats = tierQueries.rollingStats.get(mc.id);
+  const value = stats[basis];
+
+  const tier = activeTiers.find(t => value >= t.threshold) || null;
+  const newTierId = tier ? tier.id : null;
+  if (newTierId === (mc.tier_id || null)) return { tier, changed: false };
+
+  const previous = mc.tier_id ? tierQueries.findById.get(mc.tier_id) : null;
+  merchantClientQueries.setTier.run(newTierId, mc.id);
+
+  const direction = (tier ? tier.threshold : -1) > (previous ? previous.threshold : -1) ? 'up' : 'down';
+
+  logAudit({
+    actorType: 'system',
+    merchantId: merchant.id,
+    action: 'tier_changed',
+    targetType: 'merchant_client',
+    targetId: mc.id,
+    details: {
+      from: previous ? previous.name : null,
+      to: tier ? tier.name : null,
+      direction,
+      basis,
+      value,
+    },
+  });
+
+  return { tier, changed: true, direction };
+}
+
+/**
+ * Re-evaluate every client of a merchant (tier edits, basis change, nightly job).
+ * Returns the number of clients whose tier changed.
+ */
+function refreshMerchantTiers(merchant) {
+  const tiers = tierQueries.getByMerchant.all(merchant.id);
+  const clients = db.prepare(
+    'SELECT id FROM merchant_clients WHERE merchant_id = ? AND (tier_id IS NOT NULL OR ? > 0)'
+  ).all(merchant.id, tiers.length);
+
+  let changed = 0;
+  const run = db.transaction(() => {
+    for (const c of clients) {
+      if (refreshClientTier(merchant, c.id, tiers).changed) changed++;
+    }
+  });
+  run();
+  return changed;
+}
+
+
+module.exports = {
+  getClientTier,
+  applyTierMultiplier,
+  refreshClientTier,
+  refreshMerchantTiers,
+};
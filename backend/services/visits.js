@@ -0,0 +1,78 @@
+const { db } = require('../database');
+const { getMerchantTimezone, localNow } = require('./campaigns');
+
+// ═══════════════════════════════════════════════════════
+// VISIT SAFEGUARDS (visits mode)
+// A stamp needs a minimum purchase and a client can only visit so
+// many times per day (local calendar day) or per rolling hour. Large
+// baskets may earn extra stamps but stay one visit towards the
+// limit. Errors start with VISIT_RULE_PREFIX
+// so the credit route can tell them apart; owners and managers may
+// override them.
+// ═══════════════════════════════════════════════════════
+
+const VISIT_RULE_PREFIX = 'Passage refusé';
+
+// Visits, not stamps: bonus stamps (large basket, tier, campaign) don't count
+const countVisitsSince = db.prepare(`
+  SELECT COUNT(*) AS c FROM transactions
+  WHERE merchant_client_id = ? AND transaction_type = 'credit' AND voided_at IS NULL
+    AND created_at >= ?
+`);
+
+const toSqlDatetime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+const formatEuros = (value) => value.toFixed(2).replace('.', ',');
+
+/** Start of the counting window, as a UTC SQLite datetime. */
+function visitWindowStart(merchant, now = new Date()) {
+  if (merchant.visit_limit_period === 'hour') {
+    return toSqlDatetime(new Date(now.getTime() - 3600 * 1000));
+  }
+  // Local midnight: step back the local time elapsed since then
+  const [h, m] = localNow(getMerchantTimezone(merchant.id), now).time.split(':');
+  const elapsed = ((parseInt(h) * 60 + parseInt(m)) * 60 + now.getUTCSeconds()) * 1000 + now.getUTCMilliseconds();
+  return toSqlDatetime(new Date(now.getTime() - elapsed));
+}
+
+/**
+ * Rules a visit would break. `merchantClientId` is null for a new card.
+ * Returns [{ rule, message }] — empty when the stamp is allowed.
+ */
+function checkVisitRules({ merchant, merchantClientId, amount, now = new Date() }) {
+  const violations = [];
+
+  const minAmount = merchant.visit_min_amount || 0;
+  if (minAmount > 0 && (amount || 0) < minAmount) {
+    violations.push({
+      rule: 'min_amount',
+      message: `${VISIT_RULE_PREFIX} : achat minimum de ${formatEuros(minAmount)} € pour un tampon`,
+    });
+  }
+
+  if (merchant.visit_limit && merchantClientId) {
+    const count = countVisitsSince.get(merchantClientId, visitWindowStart(merchant, now)).c;
+    if (count >= merchant.visit_limit) {
+      const period = merchant.visit_limit_period === 'hour' ? 'par heure' : 'par jour';
+      violations.push({
+        rule: 'visit_limit',
+        message: `${VISIT_RULE_PREFIX} : maximum ${merchant.visit_limit} passage${merchant.visit_limit > 1 ? 's' : ''} ${period} pour ce client`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/** Stamps earned by one visit, before the tier multiplier. */
+function visitStamps(merchant, amount) {
+  const bonusAmount = merchant.visit_bonus_amount || 0;
+  if (bonusAmount > 0 && (amount || 0) >= bonusAmount) return 1 + (merchant.visit_bonus_stamps || 0);
+  return 1;
+}
+
+
+module.exports = {
+  VISIT_RULE_PREFIX,
+  checkVisitRules,
+  visitStamps,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const {
+  db,
+  endUserQueries,
+  merchantQueries,
+  merchantClientQueries,
+  transactionQueries,
+  rewardQueries,
+  rewardVoucherQueries,
+} = require('../database');
+const { withGroupBalance, addGroupPoints } = require('./groups');
+
+// ═══════════════════════════════════════════════════════
+// REWARD VOUCHERS
+// Instead of redeeming on the spot, a client turns points into a
+// single-use voucher for a reward (kept for later or given to
+// someone). Issuing deducts the points ('voucher' transaction);
+// the counter later scans the code and applies the reward
+// ('voucher_redeem' transaction, 0 points).
+// ═══════════════════════════════════════════════════════
+
+const VOUCHER_VALIDITY_DAYS = 90;
+
+// No 0/O, 1/I: the code may be typed by hand when the scan fails
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const toDate = (d) => d.toISOString().substring(0, 10);
+
+/** Also used for gift cards (services/giftcards.js). */
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+/** Codes are shown in groups of 4 and may be typed in lowercase. */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function voucherStatus(v, now = new Date()) {
+  if (v.status === 'redeemed') return 'redeemed';
+  return v.expires_at < toDate(now) ? 'expired' : 'issued';
+}
+
+function formatVoucher(v, now = new Date()) {
+  return {
+    id: v.id,
+    code: v.code,
+    description: v.description,
+    pointsCost: v.points_cost,
+    status: voucherStatus(v, now),
+    expiresAt: v.expires_at,
+    createdAt: v.created_at,
+    redeemedAt: v.redeemed_at,
+  };
+}
+
+/** Vouchers of a card: usable ones first, then the last used or expired. */
+function getClientVouchers(merchantClientId, now = new Date()) {
+  return rewardVoucherQueries.getByMerchantClient.all(merchantClientId || 0).map(v => formatVoucher(v, now));
+}
+
+/**
+ * Turn points into a voucher for the main reward or a catalogue reward.
+ * Returns { voucher, transaction, merchantClient }.
+ */
+function issueRewardVoucher({ merchantId, endUserId, rewardId = null, now = new Date() }) {
+  const merchant = merchantQueries.findById.get(merchantId);
+  if (!merchant || merchant.status !== 'active') throw new Error('Commerce non trouvé');
+
+  let reward = null;
+  if (rewardId) {
+    reward = rewardQueries.findByIdAndMerchant.get(rewardId, merchantId);
+    if (!reward) throw new Error('Récompense non trouvée');
+  } else if (rewardQueries.getByMerchant.all(merchantId).length > 0) {
+    throw new Error('Récompense à choisir dans le catalogue');
+  }
+
+  const run = db.transaction(() => {
+    const endUser = endUserQueries.findById.get(endUserId);
+    if (!endUser) throw new Error('Utilisateur non trouvé');
+    if (endUser.is_blocked) throw new Error('Compte bloqué');
+
+    const mc = merchantClientQueries.find.get(merchantId, endUserId);
+    if (!mc) throw new Error('Carte non trouvée');
+    if (mc.is_blocked) throw new Error('Carte bloquée dans ce commerce');
+
+    const cost = reward ? reward.points_cost : merchant.points_for_reward;
+    const balance = withGroupBalance(merchant, mc).points_balance;
+    if (balance < cost) {
+      throw new Error(`Solde insuffisant (${balance}/${cost} ${merchant.loyalty_mode === 'visits' ? 'passages' : 'points'})`);
+    }
+
+    const description = reward ? reward.name : (mc.custom_reward || merchant.reward_description);
+    let code = generateCode();
+    while (rewardVoucherQueries.findByCode.get(code, merchantId)) code = generateCode();
+
+    const txResult = transactionQueries.create.run(
+      merchantId, mc.id, null, null, -cost, 'voucher', null, 'client', `Bon ${code} : ${description}`
+    );
+    if (reward) transactionQueries.setReward.run(reward.id, txResult.lastInsertRowid);
+
+    if (merchant.group_id) {
+      addGroupPoints(merchant.group_id, mc.end_user_id, -cost, txResult.lastInsertRowid);
+    } else {
+      merchantClientQueries.setPoints.run(mc.points_balance - cost, mc.id);
+    }
+
+    const expiresAt = toDate(new Date(now.getTime() + VOUCHER_VALIDITY_DAYS * 24 * 60 * 60 * 1000));
+    const result = rewardVoucherQueries.create.run(
+      merchantId, mc.id, code, reward ? reward.id : null, description, cost, expiresAt, txResult.lastInsertRowid
+    );
+
+    return {
+      voucher: formatVoucher(rewardVoucherQueries.findById.get(result.lastInsertRowid), now),
+      transaction: { id: txResult.lastInsertRowid, points_delta: -cost },
+      merchantClient: withGroupBalance(merchant, merchantClientQueries.findById.get(mc.id)),
+    };
+  });
+
+  return run();
+}
+
+/**
+ * Voucher scanned at the counter, with its holder's card.
+ * Throws when it can't be used (unknown, used, expired).
+ */
+function findUsableVoucher(merchantId, code, now = new Date()) {
+  const voucher = rewardVoucherQueries.findByCode.get(normalizeCode(code), merchantId);
+  if (!voucher) throw new Error('Bon non trouvé');
+
+  const status = voucherStatus(voucher, now);
+  if (status === 'redeemed') throw new Error('Bon déjà utilisé');
+  if (status === 'expired') {
+    const [y, m, d] = voucher.expires_at.split('-');
+    throw new Error(`Bon expiré le ${d}/${m}/${y}`);
+  }
+  return voucher;
+}
+
+/**
+ * Apply a voucher at the counter: 0-point 'voucher_redeem' transaction
+ * on the card it was issued from. Returns { voucher, transaction, merchantClient }.
+ */
+function redeemRewardVoucher({ merchantId, code, staffId, now = new Date() }) {
+  const run = db.transaction(() => {
+    const voucher = findUsableVoucher(merchantId, code, now);
+
+    const mc = merchantClientQueries.findByIdAndMerchant.get(voucher.merchant_client_id, merchantId);
+    if (mc.is_blocked) throw new Error('Ce client est bloqué dans votre commerce');
+
+    const txResult = transactionQueries.create.run(
+      merchantId, mc.id, staffId, null, 0, 'voucher_redeem',
+      `voucher-${voucher.id}`, 'manual', `🎟️ Bon ${voucher.code} utilisé : ${voucher.description}`
+    );
+    if (rewardVoucherQueries.redeem.run(txResult.lastInsertRowid, staffId, voucher.id).changes === 0) {
+      throw new Error('Bon déjà utilisé');
+    }
+
+    return {
+      voucher: formatVoucher(rewardVoucherQueries.findById.get(voucher.id), now),
+      transaction: { id: txResult.lastInsertRowid, points_delta: 0 },
+      merchantClient: mc,
+    };
+  });
+
+  return run();
+}
+
+
+module.exports = {
+  VOUCHER_VALIDITY_DAYS,
+  generateCode,
+  normalizeCode,
+  getClientVouchers,
+  issueRewardVoucher,
+  findUsableVoucher,
+  redeemRewardVoucher,
+};
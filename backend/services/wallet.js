@@ -0,0 +1,447 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http2 = require('http2');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { db, walletQueries, endUserQueries, merchantClientQueries } = require('../database');
+const { withGroupBalance } = require('./groups');
+const { createZip } = require('./zip');
+const { signDetached } = require('./pkcs7');
+
+// ═══════════════════════════════════════════════════════
+// WALLET PASSES
+// One pass per card (merchant_clients row): a signed Apple .pkpass
+// and a Google Wallet loyalty object. Both carry the pass's own barcode
+// token (accepted at the card's shop even without the static QR
+// fallback; the PIN stays required to redeem), the balance and the
+// reward progress, and are refreshed whenever the balance changes
+// (refreshWalletPasses).
+//
+// Apple — WALLET_PASS_TYPE_ID, WALLET_TEAM_ID, WALLET_CERT_PATH,
+// WALLET_KEY_PATH (PEM), optional WALLET_KEY_PASSPHRASE and
+// WALLET_WWDR_PATH (Apple intermediate). A self-signed certificate
+// works for local testing (the pass builds, the iPhone refuses it).
+// WALLET_APNS_HOST overrides api.push.apple.com (sandbox).
+// Google — GOOGLE_WALLET_ISSUER_ID and GOOGLE_WALLET_KEY_PATH
+// (service account JSON key).
+// ═══════════════════════════════════════════════════════
+
+const THEME_COLORS = {
+  teal: '#0891B2', navy: '#0e7490', violet: '#7c3aed',
+  forest: '#059669', brick: '#e11d48', amber: '#d97706', slate: '#475569',
+};
+const ICON_PATH = path.join(__dirname, '../../frontend/img/icon-192.png');
+const GOOGLE_SAVE_URL = 'https://pay.google.com/gp/v/save/';
+const GOOGLE_API_URL = 'https://walletobjects.googleapis.com/walletobjects/v1';
+const GOOGLE_SCOPE = 'https://www.googleapis.com/auth/wallet_object.issuer';
+
+const baseUrl = () => process.env.BASE_URL || 'https://www.fiddo.be';
+
+// ─── Configuration (read on use, so keys can be swapped without a restart) ───
+
+function appleEnabled() {
+  const env = process.env;
+  return !!(env.WALLET_PASS_TYPE_ID && env.WALLET_TEAM_ID && env.WALLET_CERT_PATH && env.WALLET_KEY_PATH);
+}
+
+function googleEnabled() {
+  return !!(process.env.GOOGLE_WALLET_ISSUER_ID && process.env.GOOGLE_WALLET_KEY_PATH);
+}
+
+function appleConfig() {
+  if (!appleEnabled()) return null;
+  const env = process.env;
+  return {
+    passTypeId: env.WALLET_PASS_TYPE_ID,
+    teamId: env.WALLET_TEAM_ID,
+    certificate: fs.readFileSync(env.WALLET_CERT_PATH),
+    key: fs.readFileSync(env.WALLET_KEY_PATH),
+    passphrase: env.WALLET_KEY_PASSPHRASE || null,
+    chain: env.WALLET_WWDR_PATH ? fs.readFileSync(env.WALLET_WWDR_PATH) : '',
+  };
+}
+
+function googleConfig() {
+  if (!googleEnabled()) return null;
+  const env = process.env;
+  const serviceAccount = JSON.parse(fs.readFileSync(env.GOOGLE_WALLET_KEY_PATH, 'utf8'));
+  return { issuerId: env.GOOGLE_WALLET_ISSUER_ID, email: serviceAccount.client_email, key: serviceAccount.private_key };
+}
+
+// ─── Pass rows and content ───
+
+/** The card's pass row, created on first request. */
+function getOrCreatePass(merchantClientId) {
+  const existing = walletQueries.findByMerchantClient.get(merchantClientId);
+  if (existing) return existing;
+  walletQueries.create.run(
+    crypto.randomBytes(16).toString('hex'), merchantClientId, crypto.randomBytes(24).toString('hex'),
+    crypto.randomBytes(16).toString('hex'), Date.now()
+  );
+  return walletQueries.findByMerchantClient.get(merchantClientId);
+}
+
+/** What both wallets display for a pass. */
+function passContent(pass) {
+  const row = db.prepare(`
+    SELECT mc.*, m.business_name, m.address, m.points_for_reward, m.reward_description,
+           m.loyalty_mode, m.group_id, eu.name AS client_name, eu.email AS client_email,
+           mp.theme, r.name AS first_reward_name, r.points_cost AS first_reward_cost
+    FROM merchant_clients mc
+    JOIN merchants m ON mc.merchant_id = m.id
+    JOIN end_users eu ON mc.end_user_id = eu.id
+    LEFT JOIN merchant_preferences mp ON mp.merchant_id = m.id
+    LEFT JOIN rewards r ON r.id = (
+      SELECT id FROM rewards WHERE merchant_id = m.id AND is_active = 1 ORDER BY points_cost, id LIMIT 1
+    )
+    WHERE mc.id = ?
+  `).get(pass.merchant_client_id);
+  const mc = withGroupBalance({ group_id: row.group_id }, row);
+
+  return {
+    merchantId: row.merchant_id,
+    merchantName: row.business_name,
+    address: row.address,
+    color: THEME_COLORS[row.theme] || THEME_COLORS.teal,
+    clientName: row.client_name || row.client_email || '',
+    barcode: `${baseUrl()}/c/${pass.barcode_token}`,
+    balance: mc.points_balance,
+    unit: row.loyalty_mode === 'visits' && !row.group_id ? 'passages' : 'points',
+    // Cheapest catalogue reward, else the legacy one (like getClientRewards)
+    threshold: row.first_reward_cost || row.points_for_reward,
+    reward: row.first_reward_name || row.custom_reward || row.reward_description,
+  };
+}
+
+function progressText(content) {
+  const missing = content.threshold - content.balance;
+  return missing > 0
+    ? `${content.balance} / ${content.threshold} — encore ${missing} ${content.unit}`
+    : `${content.balance} / ${content.threshold} — récompense disponible`;
+}
+
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgb(${n >> 16}, ${(n >> 8) & 0xFF}, ${n & 0xFF})`;
+}
+
+// ─── Apple Wallet ───
+
+/** Signed .pkpass archive of a pass. Returns a Buffer. */
+function renderApplePass(pass) {
+  const config = appleConfig();
+  if (!config) throw new Error('Apple Wallet non configuré');
+  const content = passContent(pass);
+
+  const passJson = {
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeId,
+    teamIdentifier: config.teamId,
+    serialNumber: pass.serial_number,
+    authenticationToken: pass.auth_token,
+    webServiceURL: `${baseUrl()}/api/wallet/`,
+    organizationName: content.merchantName,
+    description: `Carte de fidélité ${content.merchantName}`,
+    logoText: content.merchantName,
+    backgroundColor: rgb(content.color),
+    foregroundColor: 'rgb(255, 255, 255)',
+    labelColor: 'rgb(255, 255, 255)',
+    barcodes: [{ format: 'PKBarcodeFormatQR', message: content.barcode, messageEncoding: 'iso-8859-1', altText: content.clientName }],
+    storeCard: {
+      primaryFields: [
+        { key: 'balance', label: 'Solde', value: `${content.balance} ${content.unit}`, changeMessage: 'Nouveau solde : %@' },
+      ],
+      secondaryFields: [
+        { key: 'reward', label: 'Récompense', value: content.reward },
+        { key: 'progress', label: 'Progression', value: `${content.balance} / ${content.threshold}` },
+      ],
+      backFields: [
+        { key: 'progressDetail', label: 'Progression', value: progressText(content) },
+        { key: 'client', label: 'Client', value: content.clientName },
+        ...(content.address ? [{ key: 'address', label: 'Adresse', value: content.address }] : []),
+        { key: 'fiddo', label: 'FIDDO', value: 'Le solde se met à jour après chaque passage en caisse. Présentez ce QR code pour être identifié.' },
+      ],
+    },
+  };
+
+  const icon = fs.readFileSync(ICON_PATH);
+  const files = [
+    { name: 'pass.json', data: Buffer.from(JSON.stringify(passJson), 'utf8') },
+    { name: 'icon.png', data: icon },
+    { name: 'icon@2x.png', data: icon },
+    { name: 'logo.png', data: icon },
+  ];
+  const manifest = {};
+  for (const file of files) manifest[file.name] = crypto.createHash('sha1').update(file.data).digest('hex');
+  const manifestData = Buffer.from(JSON.stringify(manifest), 'utf8');
+
+  return createZip([
+    ...files,
+    { name: 'manifest.json', data: manifestData },
+    { name: 'signature', data: signDetached(manifestData, config) },
+  ]);
+}
+
+/** Download file name of a pass. */
+function passFilename(pass) {
+  return `fiddo-${pass.serial_number.slice(0, 8)}.pkpass`;
+}
+
+/** Wake up the Apple devices holding the pass: they fetch the new version. */
+function pushApplePass(pass) {
+  const tokens = walletQueries.getPushTokens.all(pass.serial_number).map(r => r.push_token);
+  if (tokens.length === 0 || !appleEnabled()) return;
+
+  const config = appleConfig();
+  const session = http2.connect(`https://${process.env.WALLET_APNS_HOST || 'api.push.apple.com'}`, {
+    cert: config.certificate, key: config.key, passphrase: config.passphrase || undefined,
+  });
+  session.on('error', (error) => console.error('Wallet push error:', error.message));
+  session.setTimeout(10000, () => session.destroy());
+
+  let pending = tokens.length;
+  for (const token of tokens) {
+    const req = session.request({
+      ':method': 'POST',
+      ':path': `/3/device/${token}`,
+      'apns-topic': config.passTypeId,
+      'content-type': 'application/json',
+    });
+    req.on('response', (headers) => {
+      // Device removed the pass
+      if (headers[':status'] === 410) walletQueries.deleteByPushToken.run(token);
+    });
+    req.on('error', () => {});
+    req.on('close', () => { if (--pending === 0) session.close(); });
+    req.end('{}');
+  }
+}
+
+// ─── Google Wallet ───
+
+function googleIds(config, pass, content) {
+  return {
+    classId: `${config.issuerId}.fiddo-merchant-${content.merchantId}`,
+    objectId: `${config.issuerId}.fiddo-${pass.serial_number}`,
+  };
+}
+
+/** Google Wallet loyalty class (one per merchant) and object (one per card). */
+function googleLoyaltyObjects(pass) {
+  const config = googleConfig();
+  if (!config) throw new Error('Google Wallet non configuré');
+  const content = passContent(pass);
+  const { classId, objectId } = googleIds(config, pass, content);
+
+  return {
+    loyaltyClass: {
+      id: classId,
+      issuerName: 'FIDDO',
+      programName: content.merchantName,
+      programLogo: { sourceUri: { uri: `${baseUrl()}/img/icon-192.png` } },
+      hexBackgroundColor: content.color,
+      reviewStatus: 'UNDER_REVIEW',
+    },
+    loyaltyObject: {
+      id: objectId,
+      classId,
+      state: 'ACTIVE',
+      accountId: String(pass.merchant_client_id),
+      accountName: content.clientName,
+      barcode: { type: 'QR_CODE', value: content.barcode, alternateText: content.clientName },
+      loyaltyPoints: { label: content.unit, balance: { int: content.balance } },
+      textModulesData: [{ id: 'reward', header: content.reward, body: progressText(content) }],
+    },
+  };
+}
+
+/** "Add to Google Wallet" link: a JWT carrying the class and object. */
+function googleSaveUrl(pass) {
+  const config = googleConfig();
+  const { loyaltyClass, loyaltyObject } = googleLoyaltyObjects(pass);
+  walletQueries.setGoogleSaved.run(pass.serial_number);
+  const token = jwt.sign({
+    iss: config.email,
+    aud: 'google',
+    typ: 'savetowallet',
+    payload: { loyaltyClasses: [loyaltyClass], loyaltyObjects: [loyaltyObject] },
+  }, config.key, { algorithm: 'RS256' });
+  return GOOGLE_SAVE_URL + token;
+}
+
+let googleAccessToken = null; // { token, expiresAt }
+
+async function getGoogleAccessToken(config) {
+  if (googleAccessToken && googleAccessToken.expiresAt > Date.now() + 60 * 1000) return googleAccessToken.token;
+  const assertion = jwt.sign({ scope: GOOGLE_SCOPE }, config.key, {
+    algorithm: 'RS256', issuer: config.email, audience: 'https://oauth2.googleapis.com/token', expiresIn: 3600,
+  });
+  const response = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error_description || data.error || `HTTP ${response.status}`);
+  googleAccessToken = { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+  return googleAccessToken.token;
+}
+
+/** Patch the Google object with the new balance (404 = link never opened). */
+async function pushGooglePass(pass) {
+  if (!pass.google_saved || !googleEnabled()) return;
+  try {
+    const config = googleConfig();
+    const { loyaltyObject } = googleLoyaltyObjects(pass);
+    const response = await fetch(`${GOOGLE_API_URL}/loyaltyObject/${encodeURIComponent(loyaltyObject.id)}`, {
+      method: 'PATCH',
+      headers: { 'Authorization': `Bearer ${await getGoogleAccessToken(config)}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        barcode: loyaltyObject.barcode,
+        loyaltyPoints: loyaltyObject.loyaltyPoints,
+        textModulesData: loyaltyObject.textModulesData,
+      }),
+    });
+    if (!response.ok && response.status !== 404) console.error('Google Wallet update error: HTTP', response.status);
+  } catch (error) {
+    console.error('Google Wallet update error:', error.message);
+  }
+}
+
+// ─── Updates ───
+
+/**
+ * The balance of a card changed (credit, redemption, void, adjustment,
+ * expiry, gift, ledger repair): re-issue every pass showing it. Call it
+ * after the transaction commits. Never throws — the change is already saved.
+ */
+function refreshWalletPasses(merchantClientId) {
+  try {
+    for (const pass of walletQueries.findShowingCard.all(merchantClientId)) {
+      walletQueries.touch.run(Date.now(), pass.serial_number);
+      pushApplePass(pass);
+      pushGooglePass(pass);
+    }
+  } catch (error) {
+    console.error('Wallet refresh error:', error.message);
+  }
+}
+
+/**
+ * The client's qr_token changed (lost phone): the pass barcodes are
+ * renewed too, and every pass is re-issued.
+ */
+function refreshClientWalletPasses(endUserId) {
+  for (const pass of walletQueries.findByEndUser.all(endUserId)) {
+    walletQueries.setBarcode.run(crypto.randomBytes(16).toString('hex'), pass.serial_number);
+  }
+  for (const card of db.prepare('SELECT id FROM merchant_clients WHERE end_user_id = ?').all(endUserId)) {
+    refreshWalletPasses(card.id);
+  }
+}
+
+/**
+ * Pass behind a scanned barcode token, if it can be used at this shop:
+ * the card's own shop or another member of its group.
+ * Returns { pass, endUserId } or null.
+ */
+function findScannedPass(barcodeToken, merchant) {
+  const pass = walletQueries.findByBarcode.get(String(barcodeToken));
+  if (!pass) return null;
+  if (pass.merchant_id !== merchant.id) {
+    const owner = db.prepare('SELECT group_id FROM merchants WHERE id = ?').get(pass.merchant_id);
+    if (!merchant.group_id || !owner || owner.group_id !== merchant.group_id) return null;
+  }
+  return { pass, endUserId: pass.end_user_id };
+}
+
+/** Client-facing offer for a card: what to link to (null when no wallet is configured). */
+function walletOffer(merchantId) {
+  const apple = appleEnabled();
+  const google = googleEnabled();
+  if (!apple && !google) return null;
+  return {
+    apple: apple ? `/api/me/cards/${merchantId}/wallet/apple` : null,
+    google: google ? `/api/me/cards/${merchantId}/wallet/google` : null,
+  };
+}
+
+// ─── Email links ───
+// The welcome email goes out before the card exists (first credit):
+// its links carry (merchant, expiry, email), signed with JWT_SECRET, and
+// resolve the card on click. Without a real JWT_SECRET no link is made.
+
+const EMAIL_LINK_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_LINK_SECRET = 'fiddo-secret-change-me';
+
+function linkSecret() {
+  const secret = process.env.JWT_SECRET;
+  return secret && secret !== DEFAULT_LINK_SECRET ? secret : null;
+}
+
+function linkSignature(secret, payload) {
+  return crypto.createHmac('sha256', secret).update('wallet:' + payload).digest('hex').substring(0, 32);
+}
+
+/** Constant-time string comparison. */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/** { apple, google } links for an email (null when no wallet or no JWT_SECRET is configured). */
+function walletEmailLinks(merchantId, email, now = Date.now()) {
+  const apple = appleEnabled();
+  const google = googleEnabled();
+  if (!email || (!apple && !google)) return null;
+  const secret = linkSecret();
+  if (!secret) {
+    console.error('❌ JWT_SECRET not configured: wallet email links disabled');
+    return null;
+  }
+  const payload = `${merchantId}:${now + EMAIL_LINK_TTL_MS}:${String(email).toLowerCase()}`;
+  const token = Buffer.from(`${payload}:${linkSignature(secret, payload)}`).toString('base64url');
+  const url = `${baseUrl()}/api/wallet/add/${token}`;
+  return { apple: apple ? `${url}?platform=apple` : null, google: google ? `${url}?platform=google` : null };
+}
+
+/**
+ * Card behind an email link.
+ * Throws 'Lien invalide', 'Lien expiré' or 'Carte non trouvée' (no credit yet).
+ */
+function resolveEmailLink(token, now = Date.now()) {
+  const secret = linkSecret();
+  const decoded = Buffer.from(String(token), 'base64url').toString('utf8');
+  const cut = decoded.lastIndexOf(':');
+  const payload = decoded.slice(0, cut);
+  if (!secret || cut < 0 || !safeEqual(decoded.slice(cut + 1), linkSignature(secret, payload))) {
+    throw new Error('Lien invalide');
+  }
+
+  const [merchantId, expiresAt] = payload.split(':').map(Number);
+  if (!(expiresAt > now)) throw new Error('Lien expiré');
+
+  const email = payload.split(':').slice(2).join(':');
+  const endUser = endUserQueries.findByEmailLower.get(email);
+  const mc = endUser && merchantClientQueries.find.get(merchantId, endUser.id);
+  if (!mc) throw new Error('Carte non trouvée');
+  return mc;
+}
+
+module.exports = {
+  appleEnabled,
+  googleEnabled,
+  getOrCreatePass,
+  renderApplePass,
+  passFilename,
+  googleLoyaltyObjects,
+  googleSaveUrl,
+  refreshWalletPasses,
+  refreshClientWalletPasses,
+  findScannedPass,
+  walletOffer,
+  walletEmailLinks,
+  resolveEmailLink,
+  safeEqual,
+};
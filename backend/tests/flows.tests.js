@@ -10,13 +10,13 @@ const http = require('http');
 // Setup must be first import (sets DB_PATH)
 const {
   app, db, createMerchant, createStaff, createEndUser,
-  createMerchantClient, getStaffToken, getClientToken, cleanup,
+  createMerchantClient, getStaffToken, getAdminToken, getClientToken, cleanup,
 } = require('./setup');
 
 let server;
 let baseUrl;
 
-function req(method, path, { body, token, staffToken } = {}) {
+function req(method, path, { body, token, staffToken, adminToken } = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     const opts = {
@@ -27,6 +27,7 @@ function req(method, path, { body, token, staffToken } = {}) {
       headers: { 'Content-Type': 'application/json' },
     };
     if (staffToken) opts.headers['Cookie'] = 'staff_token=' + staffToken;
+    if (adminToken) opts.headers['Cookie'] = 'admin_token=' + adminToken;
     if (token) opts.headers['Authorization'] = 'Bearer ' + token;
 
     const req = http.request(opts, (res) => {
@@ -654,3 +655,2479 @@ describe('I. Routes HTML', () => {
     assert.ok(res.headers['content-type'].includes('html'));
   });
 });
+
+// ═══════════════════════════════════════════════════════
+// J. EXPIRATION DES POINTS
+// ═══════════════════════════════════════════════════════
+
+describe('J. Expiration des points', () => {
+  const { expirePoints } = require('../scheduler');
+  let merchant, staff, staffToken;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    staff = createStaff(merchant.id);
+    staffToken = getStaffToken(staff);
+  });
+
+  it('J1. Paramètres → délai invalide refusé', async () => {
+    const res = await PUT('/api/auth/settings', {
+      staffToken,
+      body: { pointsPerEuro: 1, pointsForReward: 50, pointsExpiryMode: 'inactivity', pointsExpiryMonths: 0 },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('J2. Inactivité → solde expiré après N mois sans visite', async () => {
+    const res = await PUT('/api/auth/settings', {
+      staffToken,
+      body: { pointsPerEuro: 1, pointsForReward: 50, pointsExpiryMode: 'inactivity', pointsExpiryMonths: 12 },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.merchant.points_expiry_mode, 'inactivity');
+
+    const euOld = createEndUser({ email: 'old@test.be', phone: '+32470222221' });
+    const mcOld = createMerchantClient(merchant.id, euOld.id, 40);
+    db.prepare("UPDATE merchant_clients SET last_visit = datetime('now', '-13 months') WHERE id = ?").run(mcOld.id);
+    const euRecent = createEndUser({ email: 'recent@test.be', phone: '+32470222222' });
+    const mcRecent = createMerchantClient(merchant.id, euRecent.id, 30);
+
+    expirePoints();
+    expirePoints(); // idempotent
+
+    assert.equal(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(mcOld.id).points_balance, 0);
+    assert.equal(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(mcRecent.id).points_balance, 30);
+    const txs = db.prepare("SELECT * FROM transactions WHERE merchant_client_id = ? AND transaction_type = 'expiry'").all(mcOld.id);
+    assert.equal(txs.length, 1);
+    assert.equal(txs[0].points_delta, -40);
+
+    // Visible in client history
+    const hist = await GET(`/api/me/cards/${merchant.id}/transactions`, { token: getClientToken(euOld.id) });
+    assert.equal(hist.status, 200);
+    assert.equal(hist.data.transactions[0].type, 'expiry');
+    assert.equal(hist.data.transactions[0].pointsDelta, -40);
+
+    // Visible in dashboard activity feed
+    const feed = await GET('/api/dashboard/activity?type=expiry', { staffToken });
+    assert.equal(feed.status, 200);
+    assert.equal(feed.data.total, 1);
+  });
+
+  it('J3. Date fixe → seul le solde détenu à la date expire', async () => {
+    const today = new Date().toISOString().substring(5, 10);
+    const res = await PUT('/api/auth/settings', {
+      staffToken,
+      body: { pointsPerEuro: 1, pointsForReward: 50, pointsExpiryMode: 'fixed_date', pointsExpiryDate: today === '02-29' ? '02-28' : today },
+    });
+    assert.equal(res.status, 200);
+
+    const eu = createEndUser({ email: 'fixed@test.be', phone: '+32470222223' });
+    const mc = createMerchantClient(merchant.id, eu.id, 70);
+    db.prepare(`
+      INSERT INTO transactions (merchant_id, merchant_client_id, amount, points_delta, transaction_type, created_at)
+      VALUES (?, ?, 50, 50, 'credit', datetime('now', '-10 days')), (?, ?, 20, 20, 'credit', datetime('now'))
+    `).run(merchant.id, mc.id, merchant.id, mc.id);
+
+    expirePoints();
+    expirePoints(); // once per cutoff
+
+    assert.equal(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(mc.id).points_balance, 20);
+    const txs = db.prepare("SELECT * FROM transactions WHERE merchant_client_id = ? AND transaction_type = 'expiry'").all(mc.id);
+    assert.equal(txs.length, 1);
+    assert.equal(txs[0].points_delta, -50);
+
+    // Held 100 at the date, spent 80 on a reward and earned 30 since:
+    // only the 20 old points left expire
+    const euSpent = createEndUser({ email: 'spent@test.be', phone: '+32470222226' });
+    const mcSpent = createMerchantClient(merchant.id, euSpent.id, 50);
+    db.prepare(`
+      INSERT INTO transactions (merchant_id, merchant_client_id, amount, points_delta, transaction_type, created_at)
+      VALUES (?, ?, 100, 100, 'credit', datetime('now', '-10 days')), (?, ?, 0, -80, 'reward', datetime('now')),
+             (?, ?, 30, 30, 'credit', datetime('now'))
+    `).run(merchant.id, mcSpent.id, merchant.id, mcSpent.id, merchant.id, mcSpent.id);
+
+    expirePoints();
+
+    assert.equal(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(mcSpent.id).points_balance, 30);
+  });
+
+  it('J4. Inactivité → carte sans last_visit (base ancienne) expirée depuis sa création', () => {
+    // Older databases have a nullable last_visit: rebuild the table without the
+    // constraint (same steps as the transactions migration), then restore it
+    const rebuild = (createSql) => {
+      const columns = db.prepare('PRAGMA table_info(merchant_clients)').all().map(c => c.name).join(', ');
+      const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type='index' AND tbl_name='merchant_clients' AND sql IS NOT NULL").all();
+      db.pragma('foreign_keys = OFF');
+      try {
+        db.transaction(() => {
+          db.exec(createSql.replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?"?merchant_clients"?/, 'CREATE TABLE merchant_clients_new'));
+          db.exec(`INSERT INTO merchant_clients_new (${columns}) SELECT ${columns} FROM merchant_clients`);
+          db.exec('DROP TABLE merchant_clients');
+          db.exec('ALTER TABLE merchant_clients_new RENAME TO merchant_clients');
+          for (const ix of indexes) db.exec(ix.sql);
+        })();
+      } finally {
+        db.pragma('foreign_keys = ON');
+      }
+    };
+    const currentSql = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'merchant_clients'").get().sql;
+    const legacySql = currentSql.replace(/last_visit\s+TEXT NOT NULL DEFAULT \(datetime\('now'\)\)/, 'last_visit TEXT');
+    assert.match(legacySql, /last_visit TEXT,/);
+
+    rebuild(legacySql);
+    try {
+      const euOld = createEndUser({ email: 'legacy@test.be', phone: '+32470222224' });
+      const old = db.prepare("INSERT INTO merchant_clients (merchant_id, end_user_id, points_balance, last_visit, created_at) VALUES (?, ?, 40, NULL, datetime('now', '-2 years'))")
+        .run(merchant.id, euOld.id).lastInsertRowid;
+      const euFresh = createEndUser({ email: 'legacy2@test.be', phone: '+32470222225' });
+      const fresh = db.prepare('INSERT INTO merchant_clients (merchant_id, end_user_id, points_balance, last_visit) VALUES (?, ?, 30, NULL)')
+        .run(merchant.id, euFresh.id).lastInsertRowid;
+      db.prepare("UPDATE merchants SET points_expiry_mode = 'inactivity', points_expiry_months = 12 WHERE id = ?").run(merchant.id);
+
+      expirePoints();
+
+      const balance = (id) => db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(id).points_balance;
+      assert.equal(balance(old), 0);
+      assert.equal(balance(fresh), 30);
+    } finally {
+      db.exec('UPDATE merchant_clients SET last_visit = created_at WHERE last_visit IS NULL');
+      rebuild(currentSql);
+    }
+  });
+});
+
+// ═══════════════════════════════════════════════════════
+// K. CATALOGUE DE RÉCOMPENSES
+// ═══════════════════════════════════════════════════════
+
+describe('K. Catalogue de récompenses', () => {
+  let merchant, staffToken, cashierToken, eu, mc, coffee, lunch;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    staffToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+    eu = createEndUser({ pin: '1234' });
+    mc = createMerchantClient(merchant.id, eu.id, 60);
+  });
+
+  it('K1. Propriétaire → ajoute des récompenses', async () => {
+    const r1 = await POST('/api/rewards', { staffToken, body: { name: 'Café', pointsCost: 50 } });
+    const r2 = await POST('/api/rewards', { staffToken, body: { name: 'Lunch', pointsCost: 120 } });
+    assert.equal(r1.status, 201);
+    assert.equal(r2.status, 201);
+    coffee = r1.data.reward;
+    lunch = r2.data.reward;
+  });
+
+  it('K2. Caissier → ne peut pas modifier le catalogue', async () => {
+    const res = await POST('/api/rewards', { staffToken: cashierToken, body: { name: 'Vin', pointsCost: 300 } });
+    assert.equal(res.status, 403);
+  });
+
+  it('K3. Fiche client → récompenses abordables', async () => {
+    const res = await GET(`/api/clients/${mc.id}`, { staffToken });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.rewards.map(r => [r.name, r.canAfford]), [['Café', true], ['Lunch', false]]);
+
+    const cards = await GET('/api/me/cards', { token: getClientToken(eu.id) });
+    assert.equal(cards.status, 200);
+    assert.deepEqual(cards.data.cards[0].rewards.map(r => r.canAfford), [true, false]);
+  });
+
+  it('K4. Redeem → coût de la récompense choisie', async () => {
+    const tooExpensive = await POST('/api/clients/reward', {
+      staffToken, body: { merchantClientId: mc.id, rewardId: lunch.id, pin: '1234' },
+    });
+    assert.equal(tooExpensive.status, 400);
+
+    const res = await POST('/api/clients/reward', {
+      staffToken, body: { merchantClientId: mc.id, rewardId: coffee.id, pin: '1234' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.client.points_balance, 10);
+    assert.equal(res.data.rewardLabel, 'Café');
+    const tx = db.prepare("SELECT * FROM transactions WHERE merchant_client_id = ? AND transaction_type = 'reward'").get(mc.id);
+    assert.equal(tx.reward_id, coffee.id);
+    assert.equal(tx.points_delta, -50);
+  });
+
+  it('K5. Récompense d\'un autre commerce → 404', async () => {
+    const other = createMerchant({ vat_number: 'BE0999999999', email: 'other@test.be' });
+    db.prepare("INSERT INTO rewards (merchant_id, name, points_cost) VALUES (?, 'Autre', 1)").run(other.id);
+    const foreignId = db.prepare('SELECT id FROM rewards WHERE merchant_id = ?').get(other.id).id;
+    const res = await POST('/api/clients/reward', {
+      staffToken, body: { merchantClientId: mc.id, rewardId: foreignId, pin: '1234' },
+    });
+    assert.equal(res.status, 404);
+  });
+
+  it('K6. Suppression admin du commerce → catalogue supprimé', async () => {
+    const other = db.prepare('SELECT merchant_id FROM rewards WHERE merchant_id != ?').get(merchant.id).merchant_id;
+    const res = await POST('/api/admin/merchants/bulk-delete', {
+      adminToken: getAdminToken(), body: { merchantIds: [other] },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.deleted, 1);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM rewards WHERE merchant_id = ?').get(other).n, 0);
+  });
+
+  it('K7. Catalogue actif → récompense obligatoire, progression vers la moins chère', async () => {
+    db.prepare('UPDATE merchant_clients SET points_balance = 200 WHERE id = ?').run(mc.id);
+    const res = await POST('/api/clients/reward', {
+      staffToken, body: { merchantClientId: mc.id, pin: '1234' },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.data.error, /catalogue/);
+
+    db.prepare('UPDATE merchant_clients SET points_balance = 20 WHERE id = ?').run(mc.id);
+    const card = await GET(`/api/me/cards/${merchant.id}`, { token: getClientToken(eu.id) });
+    assert.equal(card.status, 200);
+    assert.equal(card.data.card.pointsForReward, 50);
+    assert.equal(card.data.card.pointsUntilReward, 30);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// L. PALIERS DE FIDÉLITÉ
+// ═══════════════════════════════════════════════════════
+
+describe('L. Paliers de fidélité', () => {
+  const { recalculateTiers } = require('../scheduler');
+  let merchant, staffToken, cashierToken, eu, silver;
+  const getMc = () => db.prepare('SELECT * FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(merchant.id, eu.id);
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+    eu = createEndUser({ email: 'tier@test.be' });
+  });
+
+  it('L1. Propriétaire → crée un palier, caissier refusé', async () => {
+    const res = await POST('/api/tiers', { staffToken, body: { name: 'Silver', threshold: 100, multiplier: 1.5 } });
+    assert.equal(res.status, 201);
+    silver = res.data.tier;
+
+    const denied = await POST('/api/tiers', { staffToken: cashierToken, body: { name: 'Gold', threshold: 500, multiplier: 2 } });
+    assert.equal(denied.status, 403);
+
+    const invalid = await POST('/api/tiers', { staffToken, body: { name: 'Gold', threshold: 500, multiplier: 0.5 } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('L2. Crédit franchissant le seuil → montée de palier journalisée', async () => {
+    const res = await POST('/api/clients/credit', {
+      staffToken, body: { email: 'tier@test.be', amount: 120, idempotencyKey: 'test-l2' },
+    });
+    assert.equal(res.status, 200);
+    // Multiplier applies from the next purchase on
+    assert.equal(res.data.transaction.points_delta, 120);
+    assert.equal(res.data.client.tier.name, 'Silver');
+
+    const log = db.prepare("SELECT * FROM audit_logs WHERE action = 'tier_changed'").get();
+    assert.ok(log);
+    assert.equal(JSON.parse(log.details).direction, 'up');
+  });
+
+  it('L3. Crédit suivant → multiplicateur appliqué', async () => {
+    const res = await POST('/api/clients/credit', {
+      staffToken, body: { email: 'tier@test.be', amount: 10, idempotencyKey: 'test-l3' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.transaction.points_delta, 15);
+  });
+
+  it('L4. Palier visible côté client et fiche staff', async () => {
+    const mc = getMc();
+    const detail = await GET(`/api/clients/${mc.id}`, { staffToken });
+    assert.equal(detail.data.client.tier.id, silver.id);
+
+    const cards = await GET('/api/me/cards', { token: getClientToken(eu.id) });
+    assert.equal(cards.data.cards[0].tier.name, 'Silver');
+  });
+
+  it('L5. Activité de plus de 12 mois → redescente au recalcul', () => {
+    const mc = getMc();
+    db.prepare("UPDATE transactions SET created_at = datetime('now', '-13 months') WHERE merchant_client_id = ?").run(mc.id);
+
+    recalculateTiers();
+
+    assert.equal(getMc().tier_id, null);
+    const down = db.prepare("SELECT details FROM audit_logs WHERE action = 'tier_changed' ORDER BY id DESC").get();
+    assert.equal(JSON.parse(down.details).direction, 'down');
+  });
+
+  it('L6. Suppression admin du commerce → paliers supprimés', async () => {
+    const tier = db.prepare('SELECT id FROM tiers WHERE merchant_id = ?').get(merchant.id);
+    db.prepare('UPDATE merchant_clients SET tier_id = ? WHERE id = ?').run(tier.id, getMc().id);
+    const res = await POST('/api/admin/merchants/bulk-delete', {
+      adminToken: getAdminToken(), body: { merchantIds: [merchant.id] },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.deleted, 1);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM tiers WHERE merchant_id = ?').get(merchant.id).n, 0);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// M. CAMPAGNES BONUS
+// ═══════════════════════════════════════════════════════
+
+describe('M. Campagnes bonus', () => {
+  const { localNow, findActiveCampaign } = require('../services/campaigns');
+  let merchant, staffToken, cashierToken, double;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+    createEndUser({ email: 'promo@test.be' });
+  });
+
+  it('M1. Propriétaire → programme une campagne, caissier refusé', async () => {
+    const res = await POST('/api/campaigns', { staffToken, body: {
+      name: 'Double points', startsAt: '2000-01-01T00:00', endsAt: '2099-12-31T23:59', bonusType: 'multiplier', bonusValue: 2,
+    } });
+    assert.equal(res.status, 201);
+    double = res.data.campaign;
+
+    const denied = await POST('/api/campaigns', { staffToken: cashierToken, body: {
+      name: 'X', startsAt: '2000-01-01T00:00', endsAt: '2099-12-31T23:59', bonusType: 'flat', bonusValue: 5,
+    } });
+    assert.equal(denied.status, 403);
+
+    const invalid = await POST('/api/campaigns', { staffToken, body: {
+      name: 'X', startsAt: '2030-01-01T00:00', endsAt: '2029-01-01T00:00', bonusType: 'flat', bonusValue: 5,
+    } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('M2. Crédit pendant la campagne → bonus appliqué et enregistré', async () => {
+    const res = await POST('/api/clients/credit', {
+      staffToken, body: { email: 'promo@test.be', amount: 20, idempotencyKey: 'test-m2' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.transaction.points_delta, 40);
+    assert.equal(res.data.transaction.campaign_id, double.id);
+
+    const tx = db.prepare("SELECT * FROM transactions WHERE idempotency_key = 'test-m2'").get();
+    assert.equal(tx.campaign_id, double.id);
+    assert.equal(tx.campaign_bonus, 20);
+  });
+
+  it('M3. Fenêtre jour/heure dans le fuseau du commerce', () => {
+    // 23:30 UTC on Tuesday 6 Jan 2026 = 00:30 Wednesday in Brussels
+    const now = new Date('2026-01-06T23:30:00Z');
+    assert.deepEqual(localNow('Europe/Brussels', now), { datetime: '2026-01-07 00:30', time: '00:30', weekday: 3 });
+
+    db.prepare(`INSERT INTO campaigns (merchant_id, name, starts_at, ends_at, weekdays, hour_start, hour_end, bonus_type, bonus_value)
+      VALUES (?, 'Mercredi nuit', '2026-01-01 00:00', '2026-02-01 00:00', '3', '00:00', '01:00', 'flat', 50)`).run(merchant.id);
+
+    const hit = findActiveCampaign(merchant.id, 10, now);
+    assert.equal(hit.campaign.name, 'Mercredi nuit');
+    assert.equal(hit.bonus, 50);
+
+    // One hour later the happy hour is over → the ×2 campaign wins again
+    const later = findActiveCampaign(merchant.id, 10, new Date('2026-01-07T00:30:00Z'));
+    assert.equal(later.campaign.id, double.id);
+  });
+
+  it('M4. Dashboard → points générés par campagne', async () => {
+    const res = await GET('/api/dashboard/campaigns', { staffToken });
+    assert.equal(res.status, 200);
+    const row = res.data.campaigns.find(c => c.id === double.id);
+    assert.equal(row.bonus_points, 20);
+    assert.equal(row.transactions, 1);
+    assert.equal(res.data.totalBonus, 20);
+  });
+
+  it('M5. Suppression admin du commerce → campagnes supprimées', async () => {
+    const res = await POST('/api/admin/merchants/bulk-delete', {
+      adminToken: getAdminToken(), body: { merchantIds: [merchant.id] },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.deleted, 1);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM campaigns WHERE merchant_id = ?').get(merchant.id).n, 0);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// N. ANNULATION DE CRÉDIT
+// ═══════════════════════════════════════════════════════
+
+describe('N. Annulation de crédit', () => {
+  let merchant, staffToken, cashier, cashierToken, otherCashierToken, creditTx;
+
+  before(async () => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    cashier = createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' });
+    cashierToken = getStaffToken(cashier);
+    otherCashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier2@test.be', role: 'cashier' }));
+
+    const res = await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: 'void@test.be', amount: 30, idempotencyKey: 'test-n' },
+    });
+    creditTx = res.data.transaction;
+  });
+
+  it('N1. Autre caissier → refusé', async () => {
+    const res = await POST('/api/clients/void', { staffToken: otherCashierToken, body: { transactionId: creditTx.id } });
+    assert.equal(res.status, 403);
+  });
+
+  it('N2. Caissier → annule son crédit, effets annulés', async () => {
+    const res = await POST('/api/clients/void', { staffToken: cashierToken, body: { transactionId: creditTx.id, reason: 'Erreur de montant' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.client.points_balance, 0);
+    assert.equal(res.data.client.total_spent, 0);
+    assert.equal(res.data.client.visit_count, 0);
+
+    const reversal = db.prepare("SELECT * FROM transactions WHERE transaction_type = 'reversal'").get();
+    assert.equal(reversal.reverses_id, creditTx.id);
+    assert.equal(reversal.points_delta, -30);
+    assert.ok(db.prepare('SELECT voided_at FROM transactions WHERE id = ?').get(creditTx.id).voided_at);
+  });
+
+  it('N3. Double annulation → 409', async () => {
+    const res = await POST('/api/clients/void', { staffToken, body: { transactionId: creditTx.id } });
+    assert.equal(res.status, 409);
+  });
+
+  it('N4. Caissier hors délai → refusé, propriétaire → accepté', async () => {
+    const credit = await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: 'void@test.be', amount: 10, idempotencyKey: 'test-n4' },
+    });
+    db.prepare("UPDATE transactions SET created_at = datetime('now', '-1 hour') WHERE id = ?").run(credit.data.transaction.id);
+
+    const late = await POST('/api/clients/void', { staffToken: cashierToken, body: { transactionId: credit.data.transaction.id } });
+    assert.equal(late.status, 403);
+
+    const owner = await POST('/api/clients/void', { staffToken, body: { transactionId: credit.data.transaction.id } });
+    assert.equal(owner.status, 200);
+  });
+
+  it('N5. Crédit annulé marqué dans le fil d\'activité et exclu des stats', async () => {
+    const feed = await GET('/api/dashboard/activity', { staffToken });
+    const voided = feed.data.transactions.find(t => t.id === creditTx.id);
+    assert.ok(voided.voided_at);
+
+    const stats = await GET('/api/dashboard/stats', { staffToken });
+    assert.equal(stats.data.visits, 0);
+    assert.equal(stats.data.pointsOut, 0);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// O. CARTES DE TAMPONS MULTIPLES
+// ═══════════════════════════════════════════════════════
+
+describe('O. Cartes de tampons multiples', () => {
+  let merchant, staffToken, cashierToken, eu, coffee, lunch;
+
+  const getMc = () => db.prepare('SELECT * FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(merchant.id, eu.id);
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+    eu = createEndUser({ email: 'stamps@test.be', pin: '1234' });
+  });
+
+  it('O1. Propriétaire → crée deux cartes, caissier refusé', async () => {
+    const c = await POST('/api/programs', { staffToken, body: { name: 'Café', stampsForReward: 2, rewardDescription: 'Café offert' } });
+    const l = await POST('/api/programs', { staffToken, body: { name: 'Lunch', stampsForReward: 5, rewardDescription: 'Lunch offert' } });
+    assert.equal(c.status, 201);
+    assert.equal(l.status, 201);
+    coffee = c.data.program;
+    lunch = l.data.program;
+
+    const denied = await POST('/api/programs', { staffToken: cashierToken, body: { name: 'Vin', stampsForReward: 3, rewardDescription: 'Verre' } });
+    assert.equal(denied.status, 403);
+
+    const list = await GET('/api/programs', { staffToken: cashierToken });
+    assert.equal(list.data.count, 2);
+  });
+
+  it('O2. Crédit → tamponne les cartes choisies, carte principale créditée', async () => {
+    const res = await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: eu.email, amount: 12, programIds: [coffee.id], idempotencyKey: 'test-o2' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.client.points_balance, 12);
+    assert.deepEqual(res.data.stamps.map(p => [p.id, p.balance]), [[coffee.id, 1]]);
+
+    await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: eu.email, amount: 8, programIds: [coffee.id, lunch.id], idempotencyKey: 'test-o2b' },
+    });
+    const mc = getMc();
+    assert.equal(mc.points_balance, 20);
+    const stamps = db.prepare("SELECT program_id, points_delta FROM transactions WHERE transaction_type = 'stamp' ORDER BY id").all();
+    assert.deepEqual(stamps.map(s => s.program_id), [coffee.id, coffee.id, lunch.id]);
+  });
+
+  it('O3. Carte inconnue → 404 sans crédit', async () => {
+    const res = await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: eu.email, amount: 5, programIds: [9999], idempotencyKey: 'test-o3' },
+    });
+    assert.equal(res.status, 404);
+    assert.equal(getMc().points_balance, 20);
+  });
+
+  it('O4. Soldes visibles au lookup, sur la fiche et côté client', async () => {
+    const lookup = await GET(`/api/clients/lookup?email=${encodeURIComponent(eu.email)}`, { staffToken: cashierToken });
+    assert.deepEqual(lookup.data.programs.map(p => [p.name, p.balance, p.canRedeem]), [['Café', 2, true], ['Lunch', 1, false]]);
+
+    const detail = await GET(`/api/clients/${getMc().id}`, { staffToken });
+    assert.equal(detail.data.programs.length, 2);
+
+    const cards = await GET('/api/me/cards', { token: getClientToken(eu.id) });
+    assert.deepEqual(cards.data.cards[0].programs.map(p => p.balance), [2, 1]);
+  });
+
+  it('O5. Récompense d\'une carte → tampons déduits, points intacts', async () => {
+    const mc = getMc();
+    const early = await POST('/api/clients/reward', { staffToken, body: { merchantClientId: mc.id, programId: lunch.id, pin: '1234' } });
+    assert.equal(early.status, 400);
+
+    const res = await POST('/api/clients/reward', { staffToken, body: { merchantClientId: mc.id, programId: coffee.id, pin: '1234' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.client.points_balance, 20);
+    const balance = db.prepare('SELECT balance FROM program_balances WHERE merchant_client_id = ? AND program_id = ?').get(mc.id, coffee.id);
+    assert.equal(balance.balance, 0);
+  });
+
+  it('O6. Annulation d\'un tampon → solde de la carte rétabli', async () => {
+    const stamp = db.prepare("SELECT id FROM transactions WHERE transaction_type = 'stamp' AND program_id = ?").get(lunch.id);
+    const res = await POST('/api/clients/void', { staffToken, body: { transactionId: stamp.id } });
+    assert.equal(res.status, 200);
+    const balance = db.prepare('SELECT balance FROM program_balances WHERE merchant_client_id = ? AND program_id = ?').get(getMc().id, lunch.id);
+    assert.equal(balance.balance, 0);
+    assert.equal(getMc().points_balance, 20);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// P. PARRAINAGE
+// ═══════════════════════════════════════════════════════
+
+describe('P. Parrainage', () => {
+  let merchant, staffToken, referrer, referrerMc;
+
+  const getMc = (euId) => db.prepare('SELECT * FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(merchant.id, euId);
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    referrer = createEndUser({ email: 'parrain@test.be', phone: '+32470333331', name: 'Parrain' });
+    referrerMc = createMerchantClient(merchant.id, referrer.id, 10);
+  });
+
+  it('P1. Paramètres → parrainage activé, lien dans la carte du parrain', async () => {
+    const bad = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, referralEnabled: true, referralMonthlyCap: 0 },
+    });
+    assert.equal(bad.status, 400);
+
+    const res = await PUT('/api/auth/settings', {
+      staffToken,
+      body: {
+        pointsPerEuro: 1, pointsForReward: 50, referralEnabled: true,
+        referralReferrerBonus: 20, referralRefereeBonus: 10, referralMinAmount: 15, referralMonthlyCap: 2,
+      },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.merchant.referral_enabled, 1);
+
+    const card = await GET(`/api/me/cards/${merchant.id}`, { token: getClientToken(referrer.id) });
+    assert.ok(card.data.card.referral.url.endsWith(`/q/${merchant.qr_token}?ref=${encodeURIComponent(referrer.qr_token)}`));
+  });
+
+  it('P2. Filleul via QR → bonus seulement au premier achat qualifiant', async () => {
+    const reg = await POST('/api/qr/register', {
+      body: { qrToken: merchant.qr_token, email: 'filleul@test.be', referralCode: referrer.qr_token },
+    });
+    assert.equal(reg.status, 200);
+    const referee = db.prepare("SELECT * FROM end_users WHERE email_lower = 'filleul@test.be'").get();
+    assert.equal(db.prepare('SELECT status FROM referrals WHERE referee_id = ?').get(referee.id).status, 'pending');
+
+    // Below the minimum amount: no bonus yet
+    const small = await POST('/api/clients/credit', { staffToken, body: { email: 'filleul@test.be', amount: 5, idempotencyKey: 'test-p2a' } });
+    assert.equal(small.data.referral, null);
+    assert.equal(getMc(referrer.id).points_balance, 10);
+
+    const res = await POST('/api/clients/credit', { staffToken, body: { email: 'filleul@test.be', amount: 20, idempotencyKey: 'test-p2b' } });
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.data.referral.referrerBonus, res.data.referral.refereeBonus], [20, 10]);
+    assert.equal(res.data.client.points_balance, 5 + 20 + 10);
+    assert.equal(getMc(referrer.id).points_balance, 30);
+
+    // Paid once only
+    const again = await POST('/api/clients/credit', { staffToken, body: { email: 'filleul@test.be', amount: 20, idempotencyKey: 'test-p2c' } });
+    assert.equal(again.data.referral, null);
+    assert.equal(db.prepare("SELECT COUNT(*) AS c FROM transactions WHERE transaction_type = 'referral'").get().c, 2);
+  });
+
+  it('P3. Auto-parrainage et client existant → refusés', async () => {
+    const self = await POST('/api/clients/credit', {
+      staffToken, body: { email: referrer.email, amount: 20, referralCode: referrer.qr_token, idempotencyKey: 'test-p3a' },
+    });
+    assert.equal(self.status, 200);
+    assert.equal(self.data.referralError, 'Impossible de se parrainer soi-même');
+
+    const regular = createEndUser({ email: 'habitue@test.be', phone: '+32470333332' });
+    createMerchantClient(merchant.id, regular.id, 0);
+    const existing = await POST('/api/clients/credit', {
+      staffToken, body: { email: regular.email, amount: 20, referralCode: referrer.qr_token, idempotencyKey: 'test-p3b' },
+    });
+    assert.equal(existing.data.referralError, 'Déjà client de ce commerce');
+  });
+
+  it('P4. Limite mensuelle par parrain', async () => {
+    const second = await POST('/api/clients/credit', {
+      staffToken, body: { email: 'ami2@test.be', amount: 20, referralCode: referrer.qr_token, idempotencyKey: 'test-p4a' },
+    });
+    assert.equal(second.data.referral.refereeBonus, 10);
+
+    const third = await POST('/api/clients/credit', {
+      staffToken, body: { email: 'ami3@test.be', amount: 20, referralCode: referrer.qr_token, idempotencyKey: 'test-p4b' },
+    });
+    assert.equal(third.status, 200);
+    assert.equal(third.data.referralError, 'Limite mensuelle de parrainages atteinte');
+    assert.equal(third.data.client.points_balance, 20);
+  });
+
+  it('P5. Dashboard → rapport des parrainages', async () => {
+    const res = await GET('/api/dashboard/referrals', { staffToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.summary.completed, 2);
+    assert.equal(res.data.summary.pointsAwarded, 60);
+    assert.equal(res.data.topReferrers[0].name, 'Parrain');
+    assert.equal(res.data.topReferrers[0].completed, 2);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// Q. CADEAU D'ANNIVERSAIRE
+// ═══════════════════════════════════════════════════════
+
+describe('Q. Cadeau d\'anniversaire', () => {
+  const { issueBirthdayVouchers } = require('../scheduler');
+  const { birthdayWindow } = require('../services/birthdays');
+  let merchant, staffToken, bday, later, bdayMc;
+
+  // Same day and month as `date`, born in 1990
+  const dob = (date) => '1990' + date.toISOString().substring(4, 10);
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    bday = createEndUser({ email: 'anniv@test.be', phone: '+32470444441', name: 'Anniv' });
+    later = createEndUser({ email: 'plus-tard@test.be', phone: '+32470444442' });
+    bdayMc = createMerchantClient(merchant.id, bday.id, 10);
+    createMerchantClient(merchant.id, later.id, 10);
+    db.prepare('UPDATE end_users SET date_of_birth = ? WHERE id = ?').run(dob(new Date()), bday.id);
+    db.prepare('UPDATE end_users SET date_of_birth = ? WHERE id = ?').run(dob(new Date(Date.now() + 60 * 86400000)), later.id);
+  });
+
+  it('Q1. Fenêtre : à cheval sur le nouvel an, 29 février', () => {
+    assert.deepEqual(birthdayWindow('1990-01-02', 7, new Date('2026-12-28T10:00:00Z')),
+      { year: 2027, validFrom: '2026-12-26', validUntil: '2027-01-09' });
+    assert.deepEqual(birthdayWindow('2000-02-29', 3, new Date('2027-03-01T10:00:00Z')),
+      { year: 2027, validFrom: '2027-02-25', validUntil: '2027-03-03' });
+    assert.equal(birthdayWindow('1990-06-15', 7, new Date('2026-06-30T10:00:00Z')), null);
+  });
+
+  it('Q2. Scheduler → un bon par anniversaire, seulement si activé', async () => {
+    issueBirthdayVouchers();
+    assert.equal(db.prepare('SELECT COUNT(*) AS c FROM birthday_vouchers').get().c, 0);
+
+    const bad = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, birthdayGiftEnabled: true, birthdayGiftDescription: 'Un café offert', birthdayGiftWindowDays: 0 },
+    });
+    assert.equal(bad.status, 400);
+    const res = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, birthdayGiftEnabled: true, birthdayGiftDescription: 'Un café offert', birthdayGiftWindowDays: 5 },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.merchant.birthday_gift_window_days, 5);
+
+    issueBirthdayVouchers();
+    issueBirthdayVouchers(); // idempotent
+    const vouchers = db.prepare('SELECT * FROM birthday_vouchers').all();
+    assert.equal(vouchers.length, 1);
+    assert.equal(vouchers[0].merchant_client_id, bdayMc.id);
+    assert.equal(vouchers[0].description, 'Un café offert');
+
+    const lookup = await GET('/api/clients/lookup?email=anniv@test.be', { staffToken });
+    assert.equal(lookup.data.birthdayVoucher.description, 'Un café offert');
+    const other = await GET('/api/clients/lookup?email=plus-tard@test.be', { staffToken });
+    assert.equal(other.data.birthdayVoucher, null);
+  });
+
+  it('Q3. Remise en caisse → transaction birthday, une seule fois', async () => {
+    const credit = await POST('/api/clients/credit', { staffToken, body: { email: 'anniv@test.be', amount: 10, idempotencyKey: 'test-q3' } });
+    assert.equal(credit.data.birthdayVoucher.description, 'Un café offert');
+
+    const res = await POST('/api/clients/birthday-voucher', { staffToken, body: { merchantClientId: bdayMc.id } });
+    assert.equal(res.status, 200);
+    const tx = db.prepare('SELECT * FROM transactions WHERE id = ?').get(res.data.transaction.id);
+    assert.equal(tx.transaction_type, 'birthday');
+    assert.equal(tx.points_delta, 0);
+    const voucher = db.prepare('SELECT * FROM birthday_vouchers WHERE id = ?').get(res.data.voucher.id);
+    assert.equal(voucher.status, 'redeemed');
+    assert.equal(voucher.transaction_id, tx.id);
+
+    const again = await POST('/api/clients/birthday-voucher', { staffToken, body: { merchantClientId: bdayMc.id } });
+    assert.equal(again.status, 409);
+    const lookup = await GET('/api/clients/lookup?email=anniv@test.be', { staffToken });
+    assert.equal(lookup.data.birthdayVoucher, null);
+  });
+
+  it('Q4. Suppression du client → bons supprimés', async () => {
+    const res = await req('DELETE', `/api/clients/${bdayMc.id}`, { staffToken });
+    assert.equal(res.status, 200);
+    assert.equal(db.prepare('SELECT COUNT(*) AS c FROM birthday_vouchers').get().c, 0);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// R. CONTRÔLE DES SOLDES
+// ═══════════════════════════════════════════════════════
+
+describe('R. Contrôle des soldes', () => {
+  const { findDrift, repairDrift } = require('../services/ledger');
+  const { reconcileLedger } = require('../scheduler');
+  let merchant, staffToken, okMc, driftMc;
+
+  before(async () => {
+    cleanup();
+    merchant = createMerchant({ points_per_euro: 1 });
+    staffToken = getStaffToken(createStaff(merchant.id));
+    await POST('/api/clients/credit', { staffToken, body: { email: 'juste@test.be', amount: 20, idempotencyKey: 'test-r-ok' } });
+    await POST('/api/clients/credit', { staffToken, body: { email: 'ecart@test.be', amount: 30, idempotencyKey: 'test-r-drift' } });
+    okMc = db.prepare("SELECT mc.* FROM merchant_clients mc JOIN end_users eu ON eu.id = mc.end_user_id WHERE eu.email = 'juste@test.be'").get();
+    driftMc = db.prepare("SELECT mc.* FROM merchant_clients mc JOIN end_users eu ON eu.id = mc.end_user_id WHERE eu.email = 'ecart@test.be'").get();
+  });
+
+  it('R1. Soldes cohérents → aucun écart', () => {
+    assert.deepEqual(findDrift(), []);
+    reconcileLedger(); // nothing to report, must not throw
+  });
+
+  it('R2. Solde modifié hors transaction → écart listé par commerce', () => {
+    db.prepare('UPDATE merchant_clients SET points_balance = points_balance + 7 WHERE id = ?').run(driftMc.id);
+    const drift = findDrift();
+    assert.equal(drift.length, 1);
+    assert.equal(drift[0].merchantId, merchant.id);
+    assert.equal(drift[0].totalDrift, 7);
+    assert.deepEqual(drift[0].clients.map(c => [c.merchantClientId, c.balance, c.ledger]), [[driftMc.id, 37, 30]]);
+    assert.deepEqual(findDrift(merchant.id + 1), []);
+  });
+
+  it('R3. Correction → transaction tracée, solde client inchangé', () => {
+    const corrections = repairDrift({ merchantId: merchant.id, note: 'test' });
+    assert.equal(corrections.length, 1);
+    const tx = db.prepare('SELECT * FROM transactions WHERE id = ?').get(corrections[0].transactionId);
+    assert.equal(tx.transaction_type, 'adjustment');
+    assert.equal(tx.source, 'admin');
+    assert.equal(tx.points_delta, 7);
+    assert.ok(tx.notes.includes('Correction'));
+    assert.equal(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(driftMc.id).points_balance, 37);
+    assert.deepEqual(findDrift(), []);
+
+    // Cards without drift are left alone
+    assert.deepEqual(repairDrift({ merchantClientIds: [okMc.id] }), []);
+  });
+
+  it('R4. Changement de mode → soldes convertis sans écart', async () => {
+    const res = await PUT('/api/auth/settings', {
+      staffToken, body: { loyaltyMode: 'visits', pointsForReward: 10, confirmModeSwitch: true },
+    });
+    assert.equal(res.status, 200);
+    assert.notEqual(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(driftMc.id).points_balance, 37);
+    assert.deepEqual(findDrift(), []);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// S. GROUPES DE COMMERCES (COALITION)
+// ═══════════════════════════════════════════════════════
+
+describe('S. Groupes de commerces', () => {
+  const { groupQueries } = require('../database');
+  const { joinGroup, leaveGroup, getSettlement, getGroupBalance } = require('../services/groups');
+  const { findDrift } = require('../services/ledger');
+  let shopA, shopB, tokenA, tokenB, client, groupId;
+
+  before(async () => {
+    cleanup();
+    shopA = createMerchant({ business_name: 'Boulangerie A', email: 'a@test.be', vat_number: 'BE0111111111' });
+    shopB = createMerchant({ business_name: 'Librairie B', email: 'b@test.be', vat_number: 'BE0222222222' });
+    tokenA = getStaffToken(createStaff(shopA.id, { email: 'staff-a@test.be' }));
+    tokenB = getStaffToken(createStaff(shopB.id, { email: 'staff-b@test.be' }));
+    client = createEndUser({ email: 'coalition@test.be', pin: '1234' });
+    await POST('/api/clients/credit', { staffToken: tokenA, body: { email: 'coalition@test.be', amount: 40, idempotencyKey: 'test-s-before' } });
+    groupId = groupQueries.create.run('Rue du Marché').lastInsertRowid;
+  });
+
+  it('S1. Adhésion → points des cartes transférés au solde commun', () => {
+    assert.deepEqual(joinGroup({ groupId, merchantId: shopA.id }), { transferredCards: 1, transferredPoints: 40 });
+    joinGroup({ groupId, merchantId: shopB.id });
+    assert.throws(() => joinGroup({ groupId, merchantId: shopB.id }), /déjà partie/);
+
+    const card = db.prepare('SELECT points_balance FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(shopA.id, client.id);
+    assert.equal(card.points_balance, 0);
+    assert.equal(getGroupBalance(groupId, client.id), 40);
+    assert.deepEqual(findDrift(), []);
+  });
+
+  it('S2. Crédit chez un membre → solde commun, visible chez les autres', async () => {
+    const credit = await POST('/api/clients/credit', { staffToken: tokenB, body: { email: 'coalition@test.be', amount: 20, idempotencyKey: 'test-s2' } });
+    assert.equal(credit.status, 200);
+    assert.equal(credit.data.client.points_balance, 60);
+
+    const tx = db.prepare('SELECT * FROM transactions WHERE id = ?').get(credit.data.transaction.id);
+    assert.equal(tx.group_id, groupId);
+    const cardB = db.prepare('SELECT * FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(shopB.id, client.id);
+    assert.equal(cardB.points_balance, 0);
+    assert.equal(cardB.visit_count, 1);
+
+    const lookup = await GET('/api/clients/lookup?email=coalition@test.be', { staffToken: tokenA });
+    assert.equal(lookup.data.client.points_balance, 60);
+    assert.equal(lookup.data.client.can_redeem, true);
+  });
+
+  it('S3. Récompense chez un autre membre → rapport de compensation', async () => {
+    const cardA = db.prepare('SELECT id FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(shopA.id, client.id);
+    const redeem = await POST('/api/clients/reward', { staffToken: tokenA, body: { merchantClientId: cardA.id, pin: '1234', idempotencyKey: 'test-s3' } });
+    assert.equal(redeem.status, 200);
+    assert.equal(getGroupBalance(groupId, client.id), 10);
+
+    const report = getSettlement(groupId);
+    const byShop = Object.fromEntries(report.members.map(m => [m.businessName, [m.issued, m.redeemed, m.net]]));
+    assert.deepEqual(byShop, { 'Boulangerie A': [0, 50, -50], 'Librairie B': [20, 0, 20] });
+    assert.equal(report.totals.outstanding, 10);
+
+    const res = await GET('/api/dashboard/group-settlement', { staffToken: tokenB });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.group.name, 'Rue du Marché');
+    assert.equal(res.data.merchantId, shopB.id);
+    assert.equal(res.data.members.length, 2);
+  });
+
+  it('S4. Départ du groupe → points conservés dans le groupe', async () => {
+    const toVisits = await PUT('/api/auth/settings', { staffToken: tokenB, body: { loyaltyMode: 'visits', pointsForReward: 10, confirmModeSwitch: true } });
+    assert.equal(toVisits.status, 400);
+
+    leaveGroup(shopB.id);
+    const credit = await POST('/api/clients/credit', { staffToken: tokenB, body: { email: 'coalition@test.be', amount: 5, idempotencyKey: 'test-s4' } });
+    assert.equal(credit.data.client.points_balance, 5);
+    assert.equal(getGroupBalance(groupId, client.id), 10);
+    assert.deepEqual(groupQueries.getMembers.all(groupId).map(m => m.id), [shopA.id]);
+    assert.deepEqual(findDrift(), []);
+  });
+
+  it('S5. Solde commun modifié hors transaction → écart listé par groupe, corrigé', async () => {
+    const { findGroupDrift, repairGroupDrift } = require('../services/ledger');
+    assert.deepEqual(findGroupDrift(), []);
+
+    db.prepare('UPDATE group_balances SET points_balance = points_balance + 3 WHERE group_id = ? AND end_user_id = ?').run(groupId, client.id);
+    const drift = findGroupDrift();
+    assert.equal(drift.length, 1);
+    assert.equal(drift[0].groupId, groupId);
+    assert.deepEqual(drift[0].clients.map(c => [c.endUserId, c.balance, c.ledger, c.drift]), [[client.id, 13, 10, 3]]);
+
+    const list = await GET('/api/admin/ledger', { adminToken: getAdminToken() });
+    assert.equal(list.status, 200);
+    assert.equal(list.data.groupBalanceCount, 1);
+
+    const repair = await POST('/api/admin/ledger/repair', { adminToken: getAdminToken(), body: { groupId, note: 'test' } });
+    assert.equal(repair.status, 200);
+    assert.equal(repair.data.corrections.length, 1);
+    const tx = db.prepare('SELECT * FROM transactions WHERE id = ?').get(repair.data.corrections[0].transactionId);
+    assert.equal(tx.transaction_type, 'adjustment');
+    assert.equal(tx.group_id, groupId);
+    assert.equal(tx.points_delta, 3);
+    assert.equal(getGroupBalance(groupId, client.id), 13);
+    assert.deepEqual(findGroupDrift(), []);
+    assert.deepEqual(findDrift(), []);
+    assert.deepEqual(repairGroupDrift({ groupId }), []);
+  });
+
+  it('S6. Expiration → solde commun expiré après inactivité dans tout le groupe', () => {
+    const { expirePoints } = require('../scheduler');
+    const { findGroupDrift } = require('../services/ledger');
+    joinGroup({ groupId, merchantId: shopB.id });
+    assert.equal(getGroupBalance(groupId, client.id), 18);
+
+    db.prepare("UPDATE merchants SET points_expiry_mode = 'inactivity', points_expiry_months = 12 WHERE id = ?").run(shopA.id);
+    db.prepare("UPDATE merchant_clients SET last_visit = datetime('now', '-2 years') WHERE merchant_id = ? AND end_user_id = ?").run(shopA.id, client.id);
+
+    // Still a recent visit at another member: nothing expires
+    expirePoints();
+    assert.equal(getGroupBalance(groupId, client.id), 18);
+
+    db.prepare("UPDATE merchant_clients SET last_visit = datetime('now', '-2 years') WHERE merchant_id = ? AND end_user_id = ?").run(shopB.id, client.id);
+    expirePoints();
+    expirePoints(); // idempotent
+    assert.equal(getGroupBalance(groupId, client.id), 0);
+
+    const txs = db.prepare("SELECT * FROM transactions WHERE transaction_type = 'expiry' AND group_id = ?").all(groupId);
+    assert.equal(txs.length, 1);
+    assert.equal(txs[0].points_delta, -18);
+    assert.equal(txs[0].merchant_id, shopA.id);
+    assert.deepEqual(findGroupDrift(), []);
+    assert.deepEqual(findDrift(), []);
+  });
+
+  it('S7. Échéance annuelle → solde commun détenu à la date expiré, gains postérieurs conservés', async () => {
+    const { expirePoints } = require('../scheduler');
+    await POST('/api/clients/credit', { staffToken: tokenB, body: { email: 'coalition@test.be', amount: 10, idempotencyKey: 'test-s7-old' } });
+    db.prepare("UPDATE transactions SET created_at = datetime('now', '-3 days') WHERE group_id = ?").run(groupId);
+    await POST('/api/clients/credit', { staffToken: tokenB, body: { email: 'coalition@test.be', amount: 4, idempotencyKey: 'test-s7-new' } });
+    assert.equal(getGroupBalance(groupId, client.id), 14);
+
+    // Cutoff yesterday: between the two credits
+    const now = new Date();
+    const yesterday = new Date(now - 24 * 60 * 60 * 1000);
+    const mmdd = `${String(yesterday.getUTCMonth() + 1).padStart(2, '0')}-${String(yesterday.getUTCDate()).padStart(2, '0')}`;
+    db.prepare("UPDATE merchants SET points_expiry_mode = 'fixed_date', points_expiry_date = ? WHERE id = ?").run(mmdd, shopA.id);
+    expirePoints(now);
+    expirePoints(now);
+    assert.equal(getGroupBalance(groupId, client.id), 4);
+  });
+
+  it('S8. Caisse (file QR, scan du QR client) → solde commun affiché', async () => {
+    const register = await POST('/api/qr/register', { body: { qrToken: shopA.qr_token, email: 'coalition@test.be' } });
+    assert.equal(register.status, 200);
+    assert.equal(register.data.pointsBalance, 4);
+    const pending = await GET(`/api/qr/pending?t=${Date.now()}`, { staffToken: tokenA });
+    assert.equal(pending.data.clients.find(p => p.email === 'coalition@test.be').pointsBalance, 4);
+
+    db.prepare('UPDATE merchants SET qr_static_fallback = 1 WHERE id = ?').run(shopA.id);
+    const qrToken = db.prepare('SELECT qr_token FROM end_users WHERE id = ?').get(client.id).qr_token;
+    const lookup = await GET(`/api/qr/client-lookup/${qrToken}`, { staffToken: tokenA });
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.data.pointsBalance, 4);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// T. CONTRÔLE ANTI-FRAUDE
+// ═══════════════════════════════════════════════════════
+
+describe('T. Contrôle anti-fraude', () => {
+  const { parseOpeningRanges, isOutsideHours } = require('../services/fraud');
+  let merchant, ownerToken, cashierToken, reviewId;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+    createEndUser({ email: 'suspect@test.be' });
+  });
+
+  it('T1. Heures d\'ouverture en texte libre', () => {
+    assert.deepEqual(parseOpeningRanges('9h30-12h, 14h–18h'), [{ start: 570, end: 720 }, { start: 840, end: 1080 }]);
+    assert.deepEqual(parseOpeningRanges('Fermé'), []);
+    assert.equal(parseOpeningRanges('sur rendez-vous'), null);
+
+    const hours = { lun: '9h-18h', mar: '18h-2h', dim: 'Fermé' };
+    assert.equal(isOutsideHours(hours, { weekday: 1, time: '12:00' }), false);
+    assert.equal(isOutsideHours(hours, { weekday: 1, time: '18:20' }), false);
+    assert.equal(isOutsideHours(hours, { weekday: 1, time: '22:00' }), true);
+    assert.equal(isOutsideHours(hours, { weekday: 2, time: '01:00' }), false);
+    assert.equal(isOutsideHours(hours, { weekday: 7, time: '12:00' }), true);
+    assert.equal(isOutsideHours({}, { weekday: 1, time: '03:00' }), null);
+  });
+
+  it('T2. Crédits répétés au même client → mis en vérification', async () => {
+    for (let i = 1; i <= 4; i++) {
+      const res = await POST('/api/clients/credit', { staffToken: cashierToken, body: { email: 'suspect@test.be', amount: 10, idempotencyKey: `test-t2-${i}` } });
+      assert.equal(res.status, 200);
+      assert.equal(res.data.flags, undefined);
+    }
+
+    const reviews = db.prepare('SELECT * FROM credit_reviews WHERE merchant_id = ?').all(merchant.id);
+    assert.equal(reviews.length, 1);
+    assert.equal(reviews[0].status, 'pending');
+    assert.equal(JSON.parse(reviews[0].rules)[0].rule, 'same_client_daily');
+
+    const audit = db.prepare("SELECT * FROM audit_logs WHERE action = 'credit_flagged'").all();
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].target_id, reviews[0].transaction_id);
+    reviewId = reviews[0].id;
+  });
+
+  it('T3. File de vérification réservée au propriétaire', async () => {
+    const denied = await GET('/api/reviews', { staffToken: cashierToken });
+    assert.equal(denied.status, 403);
+
+    const res = await GET('/api/reviews', { staffToken: ownerToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.pendingCount, 1);
+    assert.equal(res.data.reviews[0].id, reviewId);
+  });
+
+  it('T4. Refus → crédit annulé, décision unique', async () => {
+    const res = await POST(`/api/reviews/${reviewId}/void`, { staffToken: ownerToken, body: { reason: 'Client inconnu' } });
+    assert.equal(res.status, 200);
+
+    const review = db.prepare('SELECT * FROM credit_reviews WHERE id = ?').get(reviewId);
+    assert.equal(review.status, 'voided');
+    const reversal = db.prepare("SELECT * FROM transactions WHERE transaction_type = 'reversal' AND reverses_id = ?").get(review.transaction_id);
+    assert.ok(reversal);
+    assert.equal(reversal.points_delta, -10);
+
+    const again = await POST(`/api/reviews/${reviewId}/approve`, { staffToken: ownerToken });
+    assert.equal(again.status, 409);
+  });
+
+  it('T5. Limite quotidienne configurable', async () => {
+    const bad = await PUT('/api/auth/settings', { staffToken: ownerToken, body: { pointsPerEuro: 1, pointsForReward: 50, fraudDailyCreditLimit: 0 } });
+    assert.equal(bad.status, 400);
+
+    const ok = await PUT('/api/auth/settings', { staffToken: ownerToken, body: { pointsPerEuro: 1, pointsForReward: 50, fraudDailyCreditLimit: 10 } });
+    assert.equal(ok.status, 200);
+    assert.equal(db.prepare('SELECT fraud_daily_credit_limit FROM merchants WHERE id = ?').get(merchant.id).fraud_daily_credit_limit, 10);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// U. GARDE-FOUS DU MODE PASSAGES
+// ═══════════════════════════════════════════════════════
+
+describe('U. Garde-fous du mode passages', () => {
+  let merchant, ownerToken, cashierToken;
+  const credit = (token, body) => POST('/api/clients/credit', {
+    staffToken: token, body: { email: 'habitue@test.be', idempotencyKey: 'test-u-' + Math.random(), ...body },
+  });
+
+  before(async () => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+    const res = await PUT('/api/auth/settings', {
+      staffToken: ownerToken,
+      body: {
+        loyaltyMode: 'visits', pointsForReward: 10, confirmModeSwitch: true,
+        visitMinAmount: 3, visitLimit: 1, visitLimitPeriod: 'day', visitBonusAmount: 50, visitBonusStamps: 1,
+      },
+    });
+    assert.equal(res.status, 200);
+  });
+
+  it('U1. Achat sous le minimum → refusé avec un message clair', async () => {
+    const res = await credit(cashierToken, { amount: 2 });
+    assert.equal(res.status, 409);
+    assert.equal(res.data.visitRule, true);
+    assert.equal(res.data.canOverride, false);
+    assert.match(res.data.error, /achat minimum de 3,00 €/);
+    assert.equal(db.prepare('SELECT COUNT(*) AS c FROM transactions').get().c, 0);
+  });
+
+  it('U2. Gros panier → tampon supplémentaire', async () => {
+    const res = await credit(cashierToken, { amount: 60 });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.transaction.points_delta, 2);
+    assert.equal(res.data.client.points_balance, 2);
+  });
+
+  it('U3. Deuxième tampon le même jour → refusé', async () => {
+    const res = await credit(cashierToken, { amount: 10 });
+    assert.equal(res.status, 409);
+    assert.match(res.data.error, /maximum 1 passage par jour/);
+
+    const forced = await credit(cashierToken, { amount: 10, overrideVisitRules: true });
+    assert.equal(forced.status, 403);
+  });
+
+  it('U4. Passage forcé par le propriétaire → audité', async () => {
+    const res = await credit(ownerToken, { amount: 10, overrideVisitRules: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.client.points_balance, 3);
+
+    const audit = db.prepare("SELECT * FROM audit_logs WHERE action = 'visit_rules_overridden'").get();
+    assert.equal(audit.target_id, res.data.transaction.id);
+    assert.deepEqual(JSON.parse(audit.details).rules, ['visit_limit']);
+  });
+
+  it('U5. Paramètres invalides refusés', async () => {
+    const res = await PUT('/api/auth/settings', {
+      staffToken: ownerToken, body: { loyaltyMode: 'visits', pointsForReward: 10, visitMinAmount: 0, visitLimit: 99 },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('U6. Limite en passages : un gros panier compte pour un seul', async () => {
+    const res = await PUT('/api/auth/settings', {
+      staffToken: ownerToken, body: { loyaltyMode: 'visits', pointsForReward: 10, visitMinAmount: 3, visitLimit: 3, visitLimitPeriod: 'day' },
+    });
+    assert.equal(res.status, 200);
+
+    // Two visits today, three stamps (2 + 1): a third visit is allowed
+    const third = await credit(cashierToken, { amount: 10 });
+    assert.equal(third.status, 200);
+    const refused = await credit(cashierToken, { amount: 10 });
+    assert.equal(refused.status, 409);
+    assert.match(refused.data.error, /maximum 3 passages par jour/);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// V. BONS DE RÉCOMPENSE
+// ═══════════════════════════════════════════════════════
+
+describe('V. Bons de récompense', () => {
+  const { findDrift } = require('../services/ledger');
+  let merchant, staffToken, clientToken, mc, voucher;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    staffToken = getStaffToken(createStaff(merchant.id));
+    const client = createEndUser({ email: 'patient@test.be' });
+    mc = createMerchantClient(merchant.id, client.id, 70);
+    db.prepare("INSERT INTO transactions (merchant_id, merchant_client_id, points_delta, transaction_type) VALUES (?, ?, 70, 'credit')").run(merchant.id, mc.id);
+    clientToken = getClientToken(client.id);
+  });
+
+  it('V1. Émission depuis l\'app → points déduits, bon visible', async () => {
+    const res = await POST(`/api/me/cards/${merchant.id}/vouchers`, { token: clientToken, body: {} });
+    assert.equal(res.status, 201);
+    assert.equal(res.data.pointsBalance, 20);
+    assert.match(res.data.voucher.code, /^[A-Z2-9]{8}$/);
+    assert.ok(res.data.voucher.qrUrl.endsWith('/v/' + res.data.voucher.code));
+    voucher = res.data.voucher;
+
+    const tx = db.prepare("SELECT * FROM transactions WHERE transaction_type = 'voucher'").get();
+    assert.equal(tx.points_delta, -50);
+
+    const again = await POST(`/api/me/cards/${merchant.id}/vouchers`, { token: clientToken, body: {} });
+    assert.equal(again.status, 400);
+
+    const card = await GET(`/api/me/cards/${merchant.id}`, { token: clientToken });
+    assert.equal(card.data.card.vouchers.length, 1);
+    assert.equal(card.data.card.vouchers[0].status, 'issued');
+    assert.deepEqual(findDrift(), []);
+  });
+
+  it('V2. Scan en caisse → bon utilisé une seule fois', async () => {
+    const preview = await GET(`/api/clients/vouchers/${voucher.code.toLowerCase()}`, { staffToken });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.data.client.id, mc.id);
+
+    const res = await POST(`/api/clients/vouchers/${voucher.code}/redeem`, { staffToken });
+    assert.equal(res.status, 200);
+    const tx = db.prepare('SELECT * FROM transactions WHERE id = ?').get(res.data.transaction.id);
+    assert.equal(tx.transaction_type, 'voucher_redeem');
+    assert.equal(tx.points_delta, 0);
+
+    const again = await POST(`/api/clients/vouchers/${voucher.code}/redeem`, { staffToken });
+    assert.equal(again.status, 409);
+  });
+
+  it('V3. Bon expiré ou d\'un autre commerce → refusé', async () => {
+    db.prepare("UPDATE merchant_clients SET points_balance = 50 WHERE id = ?").run(mc.id);
+    const res = await POST(`/api/me/cards/${merchant.id}/vouchers`, { token: clientToken, body: {} });
+    db.prepare("UPDATE reward_vouchers SET expires_at = '2020-01-01' WHERE id = ?").run(res.data.voucher.id);
+
+    const expired = await POST(`/api/clients/vouchers/${res.data.voucher.code}/redeem`, { staffToken });
+    assert.equal(expired.status, 409);
+    assert.match(expired.data.error, /expiré/);
+
+    const other = createMerchant({ email: 'autre@test.be', vat_number: 'BE0999999999' });
+    const otherToken = getStaffToken(createStaff(other.id, { email: 'autre-staff@test.be' }));
+    const foreign = await GET(`/api/clients/vouchers/${voucher.code}`, { staffToken: otherToken });
+    assert.equal(foreign.status, 404);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// W. CADEAUX DE POINTS
+// ═══════════════════════════════════════════════════════
+
+describe('W. Cadeaux de points', () => {
+  const { findDrift } = require('../services/ledger');
+  let merchant, ownerToken, senderToken, friendToken, strangerToken, mc;
+
+  const gift = (body) => POST(`/api/me/cards/${merchant.id}/gift`, { token: senderToken, body });
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    db.prepare('UPDATE merchants SET allow_gifts = 1 WHERE id = ?').run(merchant.id);
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    const sender = createEndUser({ email: 'genereux@test.be', phone: '+32470200001' });
+    mc = createMerchantClient(merchant.id, sender.id, 100);
+    db.prepare("INSERT INTO transactions (merchant_id, merchant_client_id, points_delta, transaction_type) VALUES (?, ?, 100, 'credit')").run(merchant.id, mc.id);
+    senderToken = getClientToken(sender.id);
+    friendToken = getClientToken(createEndUser({ email: 'ami@test.be', phone: '+32470200002' }).id);
+    strangerToken = getClientToken(createEndUser({ email: 'inconnu@test.be', phone: '+32470200003' }).id);
+  });
+
+  it('W1. Cadeau partiel adressé → seul le destinataire peut le récupérer', async () => {
+    const res = await gift({ points: 30, recipient: ' Ami@Test.be ', message: 'Bon anniversaire !' });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.points, 30);
+    assert.equal(res.data.pointsBalance, 70);
+    assert.equal(res.data.recipient, 'ami@test.be');
+
+    const info = await GET(`/api/me/gift/${res.data.token}`);
+    assert.equal(info.data.message, 'Bon anniversaire !');
+    assert.equal(info.data.reservedFor, 'a***@test.be');
+
+    const stolen = await POST(`/api/me/gift/${res.data.token}/claim`, { token: strangerToken });
+    assert.equal(stolen.status, 403);
+
+    const claimed = await POST(`/api/me/gift/${res.data.token}/claim`, { token: friendToken });
+    assert.equal(claimed.status, 200);
+    assert.equal(claimed.data.points, 30);
+    assert.deepEqual(findDrift(), []);
+  });
+
+  it('W2. Annulation par l\'expéditeur → remboursement immédiat', async () => {
+    const res = await gift({ points: 20 });
+    const card = await GET(`/api/me/cards/${merchant.id}`, { token: senderToken });
+    assert.equal(card.data.card.pendingGifts.length, 1);
+    assert.equal(card.data.card.pendingGifts[0].token, res.data.token);
+
+    const foreign = await POST(`/api/me/gift/${res.data.token}/cancel`, { token: strangerToken });
+    assert.equal(foreign.status, 404);
+
+    const cancelled = await POST(`/api/me/gift/${res.data.token}/cancel`, { token: senderToken });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.data.pointsBalance, 70);
+    const refund = db.prepare("SELECT * FROM transactions WHERE transaction_type = 'gift_refund'").get();
+    assert.equal(refund.points_delta, 20);
+
+    const claim = await POST(`/api/me/gift/${res.data.token}/claim`, { token: friendToken });
+    assert.equal(claim.status, 400);
+    const again = await POST(`/api/me/gift/${res.data.token}/cancel`, { token: senderToken });
+    assert.equal(again.status, 400);
+    assert.deepEqual(findDrift(), []);
+  });
+
+  it('W3. Limites du commerce : montant et cadeaux par mois', async () => {
+    const settings = await PUT('/api/auth/settings', {
+      staffToken: ownerToken,
+      body: { pointsPerEuro: 1, pointsForReward: 50, giftMinPoints: 10, giftMaxPoints: 40, giftMonthlyCap: 3 },
+    });
+    assert.equal(settings.status, 200);
+
+    assert.match((await gift({ points: 5 })).data.error, /Minimum 10/);
+    assert.match((await gift({ points: 50 })).data.error, /Maximum 40/);
+    assert.equal((await gift({ recipient: 'pas-un-email@' })).status, 400);
+
+    // W1 counts, the cancelled W2 gift does not
+    assert.equal((await gift({ points: 10 })).status, 200);
+    assert.equal((await gift({ points: 10 })).status, 200);
+    const capped = await gift({ points: 10 });
+    assert.equal(capped.status, 400);
+    assert.match(capped.data.error, /3 cadeaux par mois/);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// X. CARTES CADEAUX
+// ═══════════════════════════════════════════════════════
+
+describe('X. Cartes cadeaux', () => {
+  const { expireGiftCards } = require('../services/giftcards');
+  let merchant, ownerToken, cashierToken, code;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'caisse@test.be', role: 'cashier' }));
+  });
+
+  it('X1. Vente puis paiements partiels jusqu\'au solde', async () => {
+    const sold = await POST('/api/gift-cards', {
+      staffToken: cashierToken,
+      body: { amount: 50, buyer: 'Parrain@Test.be', recipient: 'filleul@test.be', recipientName: 'Léa' },
+    });
+    assert.equal(sold.status, 201);
+    assert.equal(sold.data.giftCard.balance, 50);
+    assert.equal(sold.data.giftCard.buyer, 'parrain@test.be');
+    code = sold.data.giftCard.code;
+
+    const spent = await POST(`/api/gift-cards/${code.toLowerCase()}/spend`, { staffToken: cashierToken, body: { amount: 12.5 } });
+    assert.equal(spent.status, 200);
+    assert.equal(spent.data.giftCard.balance, 37.5);
+
+    const tooMuch = await POST(`/api/gift-cards/${code}/spend`, { staffToken: cashierToken, body: { amount: 40 } });
+    assert.equal(tooMuch.status, 409);
+    assert.match(tooMuch.data.error, /37,50/);
+
+    await POST(`/api/gift-cards/${code}/spend`, { staffToken: cashierToken, body: { amount: 37.5 } });
+    const card = await GET(`/api/gift-cards/${code}`, { staffToken: cashierToken });
+    assert.equal(card.data.giftCard.status, 'spent');
+    assert.deepEqual(card.data.giftCard.entries.map(e => e.type), ['sale', 'spend', 'spend']);
+    assert.equal((await POST(`/api/gift-cards/${code}/spend`, { staffToken: cashierToken, body: { amount: 1 } })).status, 409);
+    assert.equal((await POST('/api/gift-cards', { staffToken: cashierToken, body: { amount: 2 } })).status, 400);
+  });
+
+  it('X2. Remboursement réservé au gérant et plafonné aux dépenses', async () => {
+    const forbidden = await POST(`/api/gift-cards/${code}/refund`, { staffToken: cashierToken, body: { amount: 10 } });
+    assert.equal(forbidden.status, 403);
+
+    const refunded = await POST(`/api/gift-cards/${code}/refund`, { staffToken: ownerToken, body: { amount: 10, reason: 'Retour article' } });
+    assert.equal(refunded.status, 200);
+    assert.equal(refunded.data.giftCard.balance, 10);
+    assert.equal(refunded.data.giftCard.status, 'active');
+
+    const over = await POST(`/api/gift-cards/${code}/refund`, { staffToken: ownerToken, body: { amount: 45 } });
+    assert.equal(over.status, 409);
+  });
+
+  it('X3. Expiration, encours du commerce et portail client', async () => {
+    const other = await POST('/api/gift-cards', { staffToken: ownerToken, body: { amount: 30 } });
+    db.prepare("UPDATE gift_cards SET expires_at = '2020-01-31' WHERE code = ?").run(other.data.giftCard.code);
+    assert.equal(expireGiftCards(), 1);
+
+    const expired = await GET(`/api/gift-cards/${other.data.giftCard.code}`, { staffToken: ownerToken });
+    assert.equal(expired.data.giftCard.status, 'expired');
+    assert.equal(expired.data.giftCard.entries.at(-1).amount, -30);
+    assert.equal((await POST(`/api/gift-cards/${other.data.giftCard.code}/spend`, { staffToken: ownerToken, body: { amount: 1 } })).status, 409);
+
+    const report = await GET('/api/gift-cards/report', { staffToken: ownerToken });
+    assert.equal(report.status, 200);
+    assert.equal(report.data.outstanding, 10);
+    assert.equal(report.data.activeCount, 1);
+    assert.equal(report.data.soldTotal, 80);
+    assert.deepEqual(report.data.totals, { sale: 80, spend: -50, refund: 10, expiry: -30 });
+    assert.equal((await GET('/api/gift-cards/report', { staffToken: cashierToken })).status, 403);
+
+    const recipient = createEndUser({ email: 'filleul@test.be', phone: '+32470300001' });
+    const mine = await GET('/api/me/gift-cards', { token: getClientToken(recipient.id) });
+    assert.equal(mine.status, 200);
+    assert.equal(mine.data.giftCards.length, 1);
+    assert.equal(mine.data.giftCards[0].code, code);
+    assert.match(mine.data.giftCards[0].qrUrl, new RegExp(`/g/${code}$`));
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// Y. CODES PROMO
+// ═══════════════════════════════════════════════════════
+
+describe('Y. Codes promo', () => {
+  let ownerToken, cashierToken;
+
+  const credit = (email, promoCode, token = cashierToken) =>
+    POST('/api/clients/credit', { staffToken: token, body: { email, amount: 10, promoCode } });
+
+  before(() => {
+    cleanup();
+    const merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'caisse@test.be', role: 'cashier' }));
+  });
+
+  it('Y1. Code de bienvenue : première visite uniquement, le crédit passe quand même', async () => {
+    const forbidden = await POST('/api/promo-codes', { staffToken: cashierToken, body: { code: 'X', bonusType: 'flat', bonusValue: 10 } });
+    assert.equal(forbidden.status, 403);
+
+    const created = await POST('/api/promo-codes', {
+      staffToken: ownerToken,
+      body: { code: 'bienvenue 10', bonusType: 'flat', bonusValue: 10, firstVisitOnly: true },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.data.promoCode.code, 'BIENVENUE10');
+    const dup = await POST('/api/promo-codes', { staffToken: ownerToken, body: { code: 'BIENVENUE10', bonusType: 'flat', bonusValue: 5 } });
+    assert.equal(dup.status, 409);
+
+    const first = await credit('nouveau@test.be', 'Bienvenue10');
+    assert.equal(first.status, 200);
+    assert.equal(first.data.transaction.points_delta, 20);
+    assert.equal(first.data.transaction.promo_bonus, 10);
+
+    const again = await credit('nouveau@test.be', 'BIENVENUE10');
+    assert.equal(again.status, 200);
+    assert.equal(again.data.transaction.points_delta, 10);
+    assert.equal(again.data.promoError, 'Code réservé à la première visite');
+
+    const unknown = await credit('nouveau@test.be', 'NIMPORTEQUOI');
+    assert.equal(unknown.data.promoError, 'Code promo inconnu');
+  });
+
+  it('Y2. Code réutilisable avec plafond global et fenêtre de validité', async () => {
+    await POST('/api/promo-codes', {
+      staffToken: ownerToken,
+      body: { code: 'ETE', bonusType: 'multiplier', bonusValue: 2, oncePerClient: false, maxUses: 2 },
+    });
+    assert.equal((await credit('fan@test.be', 'ete')).data.transaction.points_delta, 20);
+    assert.equal((await credit('fan@test.be', 'ETE')).data.transaction.points_delta, 20);
+    const capped = await credit('autre@test.be', 'ETE');
+    assert.equal(capped.data.promoError, 'Code promo épuisé');
+    assert.equal(capped.data.transaction.points_delta, 10);
+
+    await POST('/api/promo-codes', {
+      staffToken: ownerToken,
+      body: { code: 'NOEL', bonusType: 'flat', bonusValue: 5, startsAt: '2020-12-01 00:00', endsAt: '2020-12-31 23:59' },
+    });
+    assert.equal((await credit('fan@test.be', 'NOEL')).data.promoError, 'Code promo expiré');
+  });
+
+  it('Y3. Tableau de bord : utilisations par code, crédits annulés exclus', async () => {
+    await POST('/api/promo-codes', { staffToken: ownerToken, body: { code: 'FLASH', bonusType: 'flat', bonusValue: 3 } });
+    const used = await credit('flash@test.be', 'FLASH', ownerToken);
+    await POST('/api/clients/void', { staffToken: ownerToken, body: { transactionId: used.data.transaction.id } });
+
+    const res = await GET('/api/dashboard/promo-codes', { staffToken: ownerToken });
+    assert.equal(res.status, 200);
+    const byCode = Object.fromEntries(res.data.promoCodes.map(p => [p.code, p]));
+    assert.equal(byCode.BIENVENUE10.redemptions, 1);
+    assert.equal(byCode.ETE.redemptions, 2);
+    assert.equal(byCode.ETE.bonus_points, 20);
+    assert.equal(byCode.FLASH.redemptions, 0);
+    assert.equal(res.data.totalRedemptions, 3);
+
+    // Voided use freed the once-per-client slot
+    assert.equal((await credit('flash@test.be', 'FLASH')).data.transaction.promo_bonus, 3);
+
+    // ...and the global cap
+    await POST('/api/promo-codes', { staffToken: ownerToken, body: { code: 'UNIQUE', bonusType: 'flat', bonusValue: 4, maxUses: 1 } });
+    const single = await credit('solo@test.be', 'UNIQUE', ownerToken);
+    await POST('/api/clients/void', { staffToken: ownerToken, body: { transactionId: single.data.transaction.id } });
+    const reused = await credit('autre-solo@test.be', 'UNIQUE');
+    assert.equal(reused.data.promoError, null);
+    assert.equal(reused.data.transaction.promo_bonus, 4);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// Z. REÇUS
+// ═══════════════════════════════════════════════════════
+
+describe('Z. Reçus', () => {
+  let merchant, ownerToken, cashierToken, clientToken, mcId, firstTxId;
+
+  before(async () => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'caisse@test.be', role: 'cashier' }));
+
+    const first = await POST('/api/clients/credit', { staffToken: ownerToken, body: { email: 'recu@test.be', amount: 10 } });
+    await POST('/api/clients/credit', { staffToken: ownerToken, body: { email: 'recu@test.be', amount: 20 } });
+    mcId = first.data.client.id;
+    firstTxId = first.data.transaction.id;
+    const eu = db.prepare('SELECT end_user_id FROM merchant_clients WHERE id = ?').get(mcId);
+    clientToken = getClientToken(eu.end_user_id);
+  });
+
+  it('Z1. PDF du client : TVA, points et solde juste après la transaction', async () => {
+    const res = await GET(`/api/me/cards/${merchant.id}/transactions/${firstTxId}/receipt`, { token: clientToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/pdf');
+    assert.match(res.headers['content-disposition'], /attachment; filename="recu-fiddo-FID-\d+-\d{6}\.pdf"/);
+    assert.ok(res.data.startsWith('%PDF-'));
+    assert.ok(res.data.includes('TVA BE0123456789'));
+    assert.ok(res.data.includes('(+10 points)'));
+    // Balance is now 30, but was 10 right after this credit
+    assert.ok(res.data.includes('(10 points)'));
+    assert.ok(res.data.includes('10 / 50'));
+  });
+
+  it('Z2. Transaction d\'une autre carte introuvable, envoi par email', async () => {
+    const stranger = createEndUser({ email: 'autre@test.be', phone: '+32470400001' });
+    createMerchantClient(merchant.id, stranger.id, 5);
+    const res = await GET(`/api/me/cards/${merchant.id}/transactions/${firstTxId}/receipt`, { token: getClientToken(stranger.id) });
+    assert.equal(res.status, 404);
+
+    const mail = await POST(`/api/me/cards/${merchant.id}/transactions/${firstTxId}/receipt/email`, { token: clientToken });
+    assert.equal(mail.status, 200);
+    assert.match(mail.data.message, /recu@test\.be/);
+  });
+
+  it('Z3. Reçu côté commerce réservé au gérant, tracé dans l\'audit', async () => {
+    const path = `/api/clients/${mcId}/transactions/${firstTxId}/receipt`;
+    assert.equal((await GET(path, { staffToken: cashierToken })).status, 403);
+
+    const res = await GET(path, { staffToken: ownerToken });
+    assert.equal(res.status, 200);
+    assert.ok(res.data.startsWith('%PDF-'));
+    const audit = db.prepare("SELECT * FROM audit_logs WHERE action = 'receipt_downloaded' AND merchant_id = ?").get(merchant.id);
+    assert.ok(audit);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// AA. ÉTAT QR PERSISTANT
+// ═══════════════════════════════════════════════════════
+
+describe('AA. État QR persistant', () => {
+  let merchant, staffToken;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    staffToken = getStaffToken(createStaff(merchant.id));
+    createEndUser({ email: 'pin@test.be', phone: '+32470500001', pin: '1234' });
+  });
+
+  it('AA1. File d\'attente en base, partagée entre processus, consommée une seule fois', async () => {
+    const reg = await POST('/api/qr/register', { body: { qrToken: merchant.qr_token, email: 'file@test.be', promoCode: 'ete' } });
+    const row = db.prepare('SELECT * FROM qr_idents WHERE ident_id = ?').get(reg.data.identId);
+    assert.equal(row.merchant_id, merchant.id);
+    assert.equal(JSON.parse(row.client_json).promoCode, 'ETE');
+    assert.ok(db.prepare('SELECT 1 FROM qr_ident_cooldowns WHERE ident_id = ?').get(reg.data.identId));
+
+    // Written by another process
+    db.prepare('INSERT INTO qr_idents (ident_id, merchant_id, client_json, created_at) VALUES (?, ?, ?, ?)')
+      .run('autreprocess', merchant.id, JSON.stringify({ name: 'Autre', email: 'autre@test.be', isNew: true }), Date.now());
+    const pending = await GET('/api/qr/pending', { staffToken });
+    assert.deepEqual(pending.data.clients.map(c => c.email).sort(), ['autre@test.be', 'file@test.be']);
+
+    const consume = await POST(`/api/qr/consume/${reg.data.identId}`, { staffToken });
+    assert.equal(consume.status, 200);
+    assert.equal(consume.data.promoCode, 'ETE');
+    assert.ok(db.prepare("SELECT 1 FROM qr_tokens WHERE token = ? AND kind = 'verify'").get(consume.data.qrVerifyToken));
+    assert.equal((await POST(`/api/qr/consume/${reg.data.identId}`, { staffToken })).status, 404);
+
+    // Still "done" for the client after the cashier took it
+    const status = await GET(`/api/qr/status/${reg.data.identId}?qrToken=${merchant.qr_token}`);
+    assert.equal(status.data.active, true);
+  });
+
+  it('AA2. Verrouillage PIN conservé en base', async () => {
+    const attempt = (pin) => POST('/api/qr/client-auth', { body: { qrToken: merchant.qr_token, email: 'pin@test.be', pin } });
+    for (let i = 0; i < 4; i++) assert.equal((await attempt('0000')).status, 401);
+    assert.equal((await attempt('0000')).status, 429);
+
+    const lock = db.prepare("SELECT pin_locked_until FROM end_users WHERE email_lower = 'pin@test.be'").get();
+    assert.ok(Date.parse(lock.pin_locked_until) > Date.now());
+    assert.equal((await attempt('1234')).status, 429);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// BB. ÉVÉNEMENTS EN DIRECT (SSE)
+// ═══════════════════════════════════════════════════════
+
+describe('BB. Événements en direct (SSE)', () => {
+  let merchant, ownerToken, cashierToken, otherToken;
+  const streams = [];
+
+  // Opens /api/events and collects the events as they arrive
+  const openStream = (staffToken, query = '') => new Promise((resolve, reject) => {
+    const headers = staffToken ? { Cookie: 'staff_token=' + staffToken } : {};
+    const req = http.get(new URL('/api/events' + query, baseUrl), { headers }, (res) => {
+      const stream = { status: res.statusCode, events: [], close: () => req.destroy() };
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = /^event: (.+)$/m.exec(block);
+          const data = /^data: (.+)$/m.exec(block);
+          if (type) stream.events.push({ type: type[1], data: JSON.parse(data[1]) });
+        }
+      });
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+
+  const waitFor = async (check) => {
+    for (let i = 0; i < 50 && !check(); i++) await new Promise(r => setTimeout(r, 20));
+    return check();
+  };
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'caisse@test.be', role: 'cashier' }));
+    const other = createMerchant({ business_name: 'Autre', vat_number: 'BE0999999999', email: 'autre@test.be' });
+    otherToken = getStaffToken(createStaff(other.id, { email: 'autre-owner@test.be' }));
+  });
+
+  after(() => streams.forEach(s => s.close()));
+
+  it('BB1. Flux réservé au personnel connecté', async () => {
+    const anonymous = await openStream(null);
+    assert.equal(anonymous.status, 401);
+
+    const stream = await openStream(cashierToken);
+    assert.equal(stream.status, 200);
+    assert.ok(await waitFor(() => stream.events.some(e => e.type === 'ready')));
+  });
+
+  it('BB2. File QR poussée en direct : ajout puis prise en charge, sans fuite vers un autre commerce', async () => {
+    const mine = await openStream(ownerToken);
+    const other = await openStream(otherToken);
+    await waitFor(() => mine.events.length > 0 && other.events.length > 0);
+
+    const reg = await POST('/api/qr/register', { body: { qrToken: merchant.qr_token, email: 'direct@test.be' } });
+    assert.ok(await waitFor(() => mine.events.some(e => e.type === 'pending' && e.data.action === 'added')));
+    assert.equal(mine.events.find(e => e.type === 'pending').data.identId, reg.data.identId);
+
+    await POST(`/api/qr/consume/${reg.data.identId}`, { staffToken: cashierToken });
+    assert.ok(await waitFor(() => mine.events.some(e => e.type === 'pending' && e.data.action === 'consumed')));
+    assert.deepEqual(other.events.map(e => e.type), ['ready']);
+  });
+
+  it('BB3. Crédit d\'un collègue poussé aux autres écrans', async () => {
+    const stream = await openStream(ownerToken);
+    await POST('/api/clients/credit', { staffToken: cashierToken, body: { email: 'direct@test.be', amount: 12 } });
+    assert.ok(await waitFor(() => stream.events.some(e => e.type === 'credit')));
+    const credit = stream.events.find(e => e.type === 'credit').data;
+    assert.equal(credit.pointsDelta, 12);
+    assert.equal(credit.amount, 12);
+    assert.ok(credit.staffName);
+  });
+
+  it('BB4. Flux d\'une caisse : ses scans et ceux du QR du commerce seulement', async () => {
+    const r1 = (await POST('/api/registers', { staffToken: ownerToken, body: { name: 'Caisse 1' } })).data.register;
+    const r2 = (await POST('/api/registers', { staffToken: ownerToken, body: { name: 'Terrasse' } })).data.register;
+    assert.equal((await openStream(cashierToken, '?registerId=999999')).status, 404);
+
+    const till = await openStream(cashierToken, `?registerId=${r1.id}`);
+    assert.ok(await waitFor(() => till.events.some(e => e.type === 'ready')));
+
+    const elsewhere = await POST('/api/qr/register', { body: { qrToken: r2.qrToken, email: 'terrasse@test.be' } });
+    await POST(`/api/qr/dismiss/${elsewhere.data.identId}`, { staffToken: cashierToken });
+    const here = await POST('/api/qr/register', { body: { qrToken: r1.qrToken, email: 'caisse1@test.be' } });
+    const counter = await POST('/api/qr/register', { body: { qrToken: merchant.qr_token, email: 'comptoir@test.be' } });
+    await POST(`/api/qr/dismiss/${here.data.identId}`, { staffToken: cashierToken });
+
+    assert.ok(await waitFor(() => till.events.some(e => e.type === 'pending' && e.data.action === 'dismissed')));
+    const pending = till.events.filter(e => e.type === 'pending').map(e => [e.data.action, e.data.identId]);
+    assert.deepEqual(pending, [['added', here.data.identId], ['added', counter.data.identId], ['dismissed', here.data.identId]]);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// CC. QR CLIENT TOURNANT
+// ═══════════════════════════════════════════════════════
+
+describe('CC. QR client tournant', () => {
+  const { currentQrCode } = require('../services/client-qr');
+  let merchant, ownerToken, client, clientToken;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id, { role: 'owner' }));
+    client = createEndUser({ email: 'qr-tournant@test.be', phone: '+32470600001' });
+    clientToken = getClientToken(client.id);
+  });
+
+  it('CC1. Le code affiché par l\'app change toutes les 30 s et identifie le client', async () => {
+    const qr = await GET('/api/me/qr', { token: clientToken });
+    assert.equal(qr.status, 200);
+    assert.equal(qr.data.period, 30);
+    assert.ok(qr.data.expiresIn >= 1 && qr.data.expiresIn <= 30);
+    assert.ok(qr.data.qrToken.startsWith(client.qr_token + '.'));
+    assert.ok(qr.data.qrUrl.endsWith('/c/' + qr.data.qrToken));
+
+    const lookup = await GET(`/api/qr/client-lookup/${qr.data.qrToken}`, { staffToken: ownerToken });
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.data.endUserId, client.id);
+    assert.equal(lookup.data.staticCode, false);
+    assert.ok(lookup.data.qrVerifyToken);
+
+    // Previous step still accepted (scanned as it rotates), older ones are not
+    const previous = currentQrCode(client.qr_token, Date.now() - 30 * 1000).code;
+    assert.equal((await GET(`/api/qr/client-lookup/${previous}`, { staffToken: ownerToken })).status, 200);
+    const screenshot = currentQrCode(client.qr_token, Date.now() - 90 * 1000).code;
+    const old = await GET(`/api/qr/client-lookup/${screenshot}`, { staffToken: ownerToken });
+    assert.equal(old.status, 400);
+    assert.match(old.data.error, /expiré/);
+    assert.equal((await GET(`/api/qr/client-lookup/${client.qr_token}.forgedsig0`, { staffToken: ownerToken })).status, 400);
+  });
+
+  it('CC2. QR statique refusé par défaut, accepté sans dispense de PIN si le commerçant l\'active', async () => {
+    const refused = await GET(`/api/qr/client-lookup/${client.qr_token}`, { staffToken: ownerToken });
+    assert.equal(refused.status, 400);
+    assert.match(refused.data.error, /statique/);
+
+    const settings = await PUT('/api/auth/settings', {
+      staffToken: ownerToken,
+      body: { pointsPerEuro: 1, pointsForReward: 50, rewardDescription: 'Café offert', qrStaticFallback: true },
+    });
+    assert.equal(settings.status, 200);
+    assert.equal(settings.data.merchant.qr_static_fallback, 1);
+
+    const accepted = await GET(`/api/qr/client-lookup/${client.qr_token}`, { staffToken: ownerToken });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.data.endUserId, client.id);
+    assert.equal(accepted.data.staticCode, true);
+    assert.equal(accepted.data.qrVerifyToken, null);
+  });
+
+  it('CC3. Nouveau QR code après perte du téléphone : l\'ancien ne fonctionne plus', async () => {
+    const oldCode = (await GET('/api/me/qr', { token: clientToken })).data.qrToken;
+
+    const res = await POST('/api/me/qr/regenerate', { token: clientToken });
+    assert.equal(res.status, 200);
+    assert.notEqual(res.data.qrToken, client.qr_token);
+
+    assert.equal((await GET(`/api/qr/client-lookup/${oldCode}`, { staffToken: ownerToken })).status, 404);
+    assert.equal((await GET(`/api/qr/client-lookup/${client.qr_token}`, { staffToken: ownerToken })).status, 404);
+
+    const newCode = (await GET('/api/me/qr', { token: clientToken })).data.qrToken;
+    assert.ok(newCode.startsWith(res.data.qrToken + '.'));
+    assert.equal((await GET(`/api/qr/client-lookup/${newCode}`, { staffToken: ownerToken })).data.endUserId, client.id);
+  });
+
+  it('CC4. La dispense de PIN ne vaut que pour le client scanné, dans ce commerce', async () => {
+    const own = createMerchantClient(merchant.id, client.id, 200);
+    const victim = createEndUser({ email: 'victime@test.be', phone: '+32470600002', name: 'Victime', pin: '1234' });
+    const victimCard = createMerchantClient(merchant.id, victim.id, 200);
+
+    const code = (await GET('/api/me/qr', { token: clientToken })).data.qrToken;
+    const { qrVerifyToken } = (await GET(`/api/qr/client-lookup/${code}`, { staffToken: ownerToken })).data;
+    const redeem = (merchantClientId, staffToken = ownerToken) =>
+      POST('/api/clients/reward', { staffToken, body: { merchantClientId, qrVerifyToken } });
+
+    const stolen = await redeem(victimCard.id);
+    assert.equal(stolen.status, 403);
+    assert.match(stolen.data.error, /PIN/);
+
+    const other = createMerchant({ business_name: 'Ailleurs', vat_number: 'BE0888888888', email: 'ailleurs@test.be' });
+    const otherToken = getStaffToken(createStaff(other.id, { email: 'ailleurs-owner@test.be' }));
+    const elsewhere = createMerchantClient(other.id, client.id, 200);
+    assert.equal((await redeem(elsewhere.id, otherToken)).status, 403);
+
+    assert.equal((await redeem(own.id)).status, 200);
+    assert.equal((await redeem(own.id)).status, 403); // one-time
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// DD. PASSES WALLET
+// ═══════════════════════════════════════════════════════
+
+describe('DD. Passes Wallet', () => {
+  const crypto = require('crypto');
+  const fs = require('fs');
+  const path = require('path');
+  const zlib = require('zlib');
+  const { execFileSync } = require('child_process');
+  const jwt = require('jsonwebtoken');
+  const { tmpDir } = require('./setup');
+  const { walletEmailLinks } = require('../services/wallet');
+  const WALLET_ENV = ['WALLET_PASS_TYPE_ID', 'WALLET_TEAM_ID', 'WALLET_CERT_PATH', 'WALLET_KEY_PATH', 'WALLET_APNS_HOST', 'GOOGLE_WALLET_ISSUER_ID', 'GOOGLE_WALLET_KEY_PATH'];
+  let merchant, ownerToken, client, clientToken, googleKeys;
+
+  // Raw request (binary body, any Authorization header)
+  const raw = (method, urlPath, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request(new URL(urlPath, baseUrl), {
+      method, headers: body ? { ...headers, 'Content-Type': 'application/json' } : headers,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+
+  // Entries of a ZIP archive (local headers)
+  const unzip = (buf) => {
+    const files = {};
+    for (let pos = 0; buf.readUInt32LE(pos) === 0x04034B50;) {
+      const size = buf.readUInt32LE(pos + 18);
+      const nameLength = buf.readUInt16LE(pos + 26);
+      const name = buf.subarray(pos + 30, pos + 30 + nameLength).toString();
+      const start = pos + 30 + nameLength + buf.readUInt16LE(pos + 28);
+      files[name] = zlib.inflateRawSync(buf.subarray(start, start + size));
+      pos = start + size;
+    }
+    return files;
+  };
+
+  before(async () => {
+    cleanup();
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '2',
+      '-keyout', path.join(tmpDir, 'pass.key'), '-out', path.join(tmpDir, 'pass.pem'),
+      '-subj', '/CN=Pass Type ID: pass.be.fiddo.test',
+    ], { stdio: 'ignore' });
+    googleKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(path.join(tmpDir, 'google.json'), JSON.stringify({
+      client_email: 'wallet@fiddo-test.iam.gserviceaccount.com',
+      private_key: googleKeys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    }));
+    Object.assign(process.env, {
+      WALLET_PASS_TYPE_ID: 'pass.be.fiddo.test',
+      WALLET_TEAM_ID: 'TEAM123456',
+      WALLET_CERT_PATH: path.join(tmpDir, 'pass.pem'),
+      WALLET_KEY_PATH: path.join(tmpDir, 'pass.key'),
+      WALLET_APNS_HOST: '127.0.0.1:1', // push attempts fail fast
+      GOOGLE_WALLET_ISSUER_ID: '3388000000000000001',
+      GOOGLE_WALLET_KEY_PATH: path.join(tmpDir, 'google.json'),
+    });
+
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    await POST('/api/clients/credit', { staffToken: ownerToken, body: { email: 'wallet@test.be', amount: 10 } });
+    client = db.prepare("SELECT * FROM end_users WHERE email_lower = 'wallet@test.be'").get();
+    clientToken = getClientToken(client.id);
+  });
+
+  after(() => {
+    for (const key of WALLET_ENV) delete process.env[key];
+  });
+
+  it('DD1. Pass Apple signé : QR code du client, solde et progression', async () => {
+    const card = await GET(`/api/me/cards/${merchant.id}`, { token: clientToken });
+    assert.deepEqual(card.data.card.wallet, {
+      apple: `/api/me/cards/${merchant.id}/wallet/apple`,
+      google: `/api/me/cards/${merchant.id}/wallet/google`,
+    });
+
+    const res = await raw('GET', card.data.card.wallet.apple, { headers: { Authorization: 'Bearer ' + clientToken } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/vnd.apple.pkpass');
+
+    const files = unzip(res.body);
+    const pass = JSON.parse(files['pass.json']);
+    assert.equal(pass.passTypeIdentifier, 'pass.be.fiddo.test');
+    const { barcode_token: barcodeToken } = db.prepare('SELECT barcode_token FROM wallet_passes').get();
+    assert.match(barcodeToken, /^[0-9a-f]{32}$/);
+    assert.ok(pass.barcodes[0].message.endsWith('/c/' + barcodeToken));
+    assert.equal(pass.storeCard.primaryFields[0].value, '10 points');
+    assert.equal(pass.storeCard.secondaryFields[1].value, '10 / 50');
+    assert.ok(pass.webServiceURL.endsWith('/api/wallet/'));
+
+    const manifest = JSON.parse(files['manifest.json']);
+    for (const name of ['pass.json', 'icon.png']) {
+      assert.equal(manifest[name], crypto.createHash('sha1').update(files[name]).digest('hex'));
+    }
+    fs.writeFileSync(path.join(tmpDir, 'manifest.json'), files['manifest.json']);
+    fs.writeFileSync(path.join(tmpDir, 'signature'), files['signature']);
+    execFileSync('openssl', [
+      'cms', '-verify', '-binary', '-inform', 'DER', '-noverify', '-out', path.join(tmpDir, 'verified'),
+      '-in', path.join(tmpDir, 'signature'), '-content', path.join(tmpDir, 'manifest.json'),
+    ], { stdio: 'ignore' }); // throws if the signature does not match
+  });
+
+  it('DD2. Service web : enregistrement de l\'iPhone, pass ré-émis après un crédit', async () => {
+    const pass = db.prepare('SELECT * FROM wallet_passes').get();
+    const registration = `/api/wallet/v1/devices/iphone-1/registrations/pass.be.fiddo.test/${pass.serial_number}`;
+    const auth = { Authorization: 'ApplePass ' + pass.auth_token };
+
+    assert.equal((await raw('POST', registration, { body: { pushToken: 'abc' } })).status, 401);
+    assert.equal((await raw('POST', registration, { headers: auth, body: { pushToken: 'abc' } })).status, 201);
+    assert.equal((await raw('POST', registration, { headers: auth, body: { pushToken: 'abc' } })).status, 200);
+
+    const list = await raw('GET', '/api/wallet/v1/devices/iphone-1/registrations/pass.be.fiddo.test');
+    const { serialNumbers, lastUpdated } = JSON.parse(list.body);
+    assert.deepEqual(serialNumbers, [pass.serial_number]);
+    const unchanged = await raw('GET', `/api/wallet/v1/devices/iphone-1/registrations/pass.be.fiddo.test?passesUpdatedSince=${lastUpdated}`);
+    assert.equal(unchanged.status, 204);
+
+    await POST('/api/clients/credit', { staffToken: ownerToken, body: { email: 'wallet@test.be', amount: 45 } });
+    const updated = await raw('GET', `/api/wallet/v1/devices/iphone-1/registrations/pass.be.fiddo.test?passesUpdatedSince=${lastUpdated}`);
+    assert.deepEqual(JSON.parse(updated.body).serialNumbers, [pass.serial_number]);
+
+    const latest = await raw('GET', `/api/wallet/v1/passes/pass.be.fiddo.test/${pass.serial_number}`, { headers: auth });
+    assert.equal(latest.status, 200);
+    const passJson = JSON.parse(unzip(latest.body)['pass.json']);
+    assert.equal(passJson.storeCard.primaryFields[0].value, '55 points');
+    assert.match(passJson.storeCard.backFields[0].value, /récompense disponible/);
+    const notModified = await raw('GET', `/api/wallet/v1/passes/pass.be.fiddo.test/${pass.serial_number}`, {
+      headers: { ...auth, 'If-Modified-Since': latest.headers['last-modified'] },
+    });
+    assert.equal(notModified.status, 304);
+
+    assert.equal((await raw('DELETE', registration, { headers: auth })).status, 200);
+    assert.equal((await raw('GET', '/api/wallet/v1/devices/iphone-1/registrations/pass.be.fiddo.test')).status, 204);
+  });
+
+  it('DD3. Google Wallet et lien de l\'email de bienvenue', async () => {
+    const res = await GET(`/api/me/cards/${merchant.id}/wallet/google`, { token: clientToken });
+    assert.equal(res.status, 200);
+    assert.ok(res.data.saveUrl.startsWith('https://pay.google.com/gp/v/save/'));
+    const claims = jwt.verify(res.data.saveUrl.split('/').pop(), googleKeys.publicKey, { algorithms: ['RS256'] });
+    assert.equal(claims.typ, 'savetowallet');
+    const [object] = claims.payload.loyaltyObjects;
+    assert.equal(object.classId, claims.payload.loyaltyClasses[0].id);
+    assert.equal(object.loyaltyPoints.balance.int, 55);
+    assert.ok(object.barcode.value.endsWith('/c/' + db.prepare('SELECT barcode_token FROM wallet_passes').get().barcode_token));
+    assert.equal(db.prepare('SELECT google_saved FROM wallet_passes').get().google_saved, 1);
+
+    const links = walletEmailLinks(merchant.id, 'Wallet@test.be');
+    const google = await raw('GET', new URL(links.google).pathname + '?platform=google');
+    assert.equal(google.status, 302);
+    assert.ok(google.headers.location.startsWith('https://pay.google.com/gp/v/save/'));
+    const apple = await raw('GET', new URL(links.apple).pathname + '?platform=apple');
+    assert.equal(apple.headers['content-type'], 'application/vnd.apple.pkpass');
+
+    const noCard = new URL(walletEmailLinks(merchant.id, 'pas-encore@test.be').apple).pathname;
+    assert.equal((await raw('GET', noCard)).status, 404);
+    assert.equal((await raw('GET', new URL(links.apple).pathname.replace('/add/', '/add/A'))).status, 400);
+
+    const old = walletEmailLinks(merchant.id, 'wallet@test.be', Date.now() - 31 * 24 * 60 * 60 * 1000);
+    assert.equal((await raw('GET', new URL(old.apple).pathname)).status, 410);
+
+    // No real secret: no link made, none accepted
+    const secret = process.env.JWT_SECRET;
+    try {
+      delete process.env.JWT_SECRET;
+      assert.equal(walletEmailLinks(merchant.id, 'wallet@test.be'), null);
+      assert.equal((await raw('GET', new URL(links.apple).pathname)).status, 400);
+      process.env.JWT_SECRET = 'fiddo-secret-change-me';
+      assert.equal(walletEmailLinks(merchant.id, 'wallet@test.be'), null);
+    } finally {
+      process.env.JWT_SECRET = secret;
+    }
+  });
+
+  it('DD4. Code-barres du pass accepté en caisse sans QR statique, PIN toujours requis', async () => {
+    const { barcode_token: barcodeToken } = db.prepare('SELECT barcode_token FROM wallet_passes').get();
+    assert.equal(db.prepare('SELECT qr_static_fallback FROM merchants WHERE id = ?').get(merchant.id).qr_static_fallback, 0);
+    assert.equal((await GET(`/api/qr/client-lookup/${client.qr_token}`, { staffToken: ownerToken })).status, 400);
+
+    const lookup = await GET(`/api/qr/client-lookup/${barcodeToken}`, { staffToken: ownerToken });
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.data.endUserId, client.id);
+    assert.equal(lookup.data.staticCode, true);
+    assert.equal(lookup.data.qrVerifyToken, null);
+
+    // Another shop's pass is not a code for this one
+    const other = createMerchant({ business_name: 'Autre', vat_number: 'BE0999999999', email: 'autre@test.be' });
+    const otherToken = getStaffToken(createStaff(other.id, { email: 'autre-owner@test.be' }));
+    assert.notEqual((await GET(`/api/qr/client-lookup/${barcodeToken}`, { staffToken: otherToken })).status, 200);
+
+    // New client QR (lost phone): the pass barcode is renewed too
+    await POST('/api/me/qr/regenerate', { token: clientToken });
+    const renewed = db.prepare('SELECT barcode_token FROM wallet_passes').get().barcode_token;
+    assert.notEqual(renewed, barcodeToken);
+    assert.equal((await GET(`/api/qr/client-lookup/${barcodeToken}`, { staffToken: ownerToken })).status, 400);
+    assert.equal((await GET(`/api/qr/client-lookup/${renewed}`, { staffToken: ownerToken })).status, 200);
+  });
+
+  it('DD5. Pass ré-émis à chaque changement de solde : ajustement, annulation, cadeau, expiration', async () => {
+    const { expirePoints } = require('../scheduler');
+    const mc = db.prepare('SELECT * FROM merchant_clients WHERE merchant_id = ? AND end_user_id = ?').get(merchant.id, client.id);
+    const tag = () => db.prepare('SELECT updated_tag FROM wallet_passes WHERE merchant_client_id = ?').get(mc.id).updated_tag;
+    let last = tag();
+    const reissued = () => { const t = tag(); assert.ok(t > last); last = t; };
+
+    await POST('/api/clients/adjust', { staffToken: ownerToken, body: { merchantClientId: mc.id, pointsDelta: -5, reason: 'Erreur de caisse' } });
+    reissued();
+
+    const credit = await POST('/api/clients/credit', { staffToken: ownerToken, body: { email: 'wallet@test.be', amount: 10 } });
+    reissued();
+    const voided = await POST('/api/clients/void', { staffToken: ownerToken, body: { transactionId: credit.data.transaction.id } });
+    assert.equal(voided.status, 200);
+    reissued();
+
+    db.prepare('UPDATE merchants SET allow_gifts = 1 WHERE id = ?').run(merchant.id);
+    const gift = await POST(`/api/me/cards/${merchant.id}/gift`, { token: clientToken, body: { points: 10 } });
+    assert.equal(gift.status, 200);
+    reissued();
+    assert.equal((await POST(`/api/me/gift/${gift.data.token}/cancel`, { token: clientToken })).status, 200);
+    reissued();
+
+    db.prepare("UPDATE merchants SET points_expiry_mode = 'inactivity', points_expiry_months = 12 WHERE id = ?").run(merchant.id);
+    db.prepare("UPDATE merchant_clients SET last_visit = datetime('now', '-13 months') WHERE id = ?").run(mc.id);
+    expirePoints();
+    reissued();
+    assert.equal(db.prepare('SELECT points_balance FROM merchant_clients WHERE id = ?').get(mc.id).points_balance, 0);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// EE. CAISSES (FILES QR SÉPARÉES)
+// ═══════════════════════════════════════════════════════
+
+describe('EE. Caisses', () => {
+  let merchant, ownerToken, cashierToken, caisse1, caisse2;
+
+  before(async () => {
+    cleanup();
+    merchant = createMerchant();
+    ownerToken = getStaffToken(createStaff(merchant.id));
+    cashierToken = getStaffToken(createStaff(merchant.id, { email: 'cashier@test.be', role: 'cashier' }));
+  });
+
+  it('EE1. Le propriétaire crée ses caisses, chacune avec son QR', async () => {
+    const denied = await POST('/api/registers', { staffToken: cashierToken, body: { name: 'Caisse 1' } });
+    assert.equal(denied.status, 403);
+
+    const r1 = await POST('/api/registers', { staffToken: ownerToken, body: { name: 'Caisse 1' } });
+    assert.equal(r1.status, 201);
+    const r2 = await POST('/api/registers', { staffToken: ownerToken, body: { name: 'Terrasse' } });
+    caisse1 = r1.data.register;
+    caisse2 = r2.data.register;
+    assert.ok(caisse1.qrUrl.endsWith('/q/' + caisse1.qrToken));
+    assert.notEqual(caisse1.qrToken, merchant.qr_token);
+
+    const dup = await POST('/api/registers', { staffToken: ownerToken, body: { name: 'caisse 1' } });
+    assert.equal(dup.status, 409);
+    const empty = await POST('/api/registers', { staffToken: ownerToken, body: { name: '  ' } });
+    assert.equal(empty.status, 400);
+
+    const list = await GET('/api/registers', { staffToken: cashierToken });
+    assert.deepEqual(list.data.registers.map(r => r.name), ['Caisse 1', 'Terrasse']);
+
+    const info = await GET('/api/qr/info/' + caisse2.qrToken);
+    assert.equal(info.status, 200);
+    assert.equal(info.data.registerName, 'Terrasse');
+  });
+
+  it('EE2. Un client scanné à une caisse n\'apparaît que dans sa file', async () => {
+    await POST('/api/qr/register', { body: { qrToken: caisse1.qrToken, email: 'caisse1@test.be' } });
+    await POST('/api/qr/register', { body: { qrToken: caisse2.qrToken, email: 'terrasse@test.be' } });
+    await POST('/api/qr/register', { body: { qrToken: merchant.qr_token, email: 'comptoir@test.be' } });
+
+    const queue1 = await GET(`/api/qr/pending?registerId=${caisse1.id}`, { staffToken: cashierToken });
+    assert.deepEqual(queue1.data.clients.map(c => c.email).sort(), ['caisse1@test.be', 'comptoir@test.be']);
+    const queue2 = await GET(`/api/qr/pending?registerId=${caisse2.id}`, { staffToken: cashierToken });
+    assert.deepEqual(queue2.data.clients.map(c => c.email).sort(), ['comptoir@test.be', 'terrasse@test.be']);
+
+    const all = await GET('/api/qr/pending', { staffToken: cashierToken });
+    assert.equal(all.data.clients.length, 3);
+    assert.equal(all.data.clients.find(c => c.email === 'terrasse@test.be').registerName, 'Terrasse');
+
+    const unknown = await GET('/api/qr/pending?registerId=999999', { staffToken: cashierToken });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('EE3. Crédits et récompenses enregistrent la caisse, stats par caisse', async () => {
+    const queue = await GET(`/api/qr/pending?registerId=${caisse1.id}`, { staffToken: cashierToken });
+    const ident = queue.data.clients.find(c => c.email === 'caisse1@test.be');
+    const consumed = await POST('/api/qr/consume/' + ident.identId, { staffToken: cashierToken });
+
+    const credit = await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: 'caisse1@test.be', amount: 60, registerId: caisse1.id },
+    });
+    assert.equal(credit.status, 200);
+    assert.equal(credit.data.transaction.register_id, caisse1.id);
+    await POST('/api/clients/credit', { staffToken: cashierToken, body: { email: 'sans-caisse@test.be', amount: 5 } });
+
+    const reward = await POST('/api/clients/reward', {
+      staffToken: cashierToken,
+      body: { merchantClientId: credit.data.client.id, qrVerifyToken: consumed.data.qrVerifyToken, registerId: caisse1.id },
+    });
+    assert.equal(reward.status, 200);
+    const rows = db.prepare('SELECT transaction_type, register_id FROM transactions WHERE register_id IS NOT NULL ORDER BY id').all();
+    assert.deepEqual(rows, [
+      { transaction_type: 'credit', register_id: caisse1.id },
+      { transaction_type: 'reward', register_id: caisse1.id },
+    ]);
+
+    // Another shop's register is refused
+    const other = createMerchant({ business_name: 'Autre', email: 'autre@test.be', vat_number: 'BE0999999999' });
+    const foreign = db.prepare("INSERT INTO registers (merchant_id, name, qr_token) VALUES (?, 'X', 'autre-caisse')").run(other.id);
+    const refused = await POST('/api/clients/credit', {
+      staffToken: cashierToken, body: { email: 'caisse1@test.be', amount: 10, registerId: foreign.lastInsertRowid },
+    });
+    assert.equal(refused.status, 404);
+
+    const stats = await GET('/api/dashboard/registers', { staffToken: ownerToken });
+    assert.equal(stats.status, 200);
+    const [s1, s2] = stats.data.registers;
+    assert.deepEqual({ credits: s1.credits, amount: s1.amount, points: s1.points, rewards: s1.rewards }, { credits: 1, amount: 60, points: 60, rewards: 1 });
+    assert.equal(s2.credits, 0);
+    assert.equal(stats.data.unassigned.credits, 1);
+  });
+
+  it('EE4. Supprimer une caisse : QR désactivé, file rendue au comptoir, historique gardé', async () => {
+    const res = await req('DELETE', `/api/registers/${caisse2.id}`, { staffToken: ownerToken });
+    assert.equal(res.status, 200);
+
+    assert.equal((await GET('/api/qr/info/' + caisse2.qrToken)).status, 404);
+    const queue1 = await GET(`/api/qr/pending?registerId=${caisse1.id}`, { staffToken: cashierToken });
+    assert.ok(queue1.data.clients.some(c => c.email === 'terrasse@test.be'));
+
+    const list = await GET('/api/registers', { staffToken: ownerToken });
+    assert.deepEqual(list.data.registers.map(r => r.name), ['Caisse 1']);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// FF. CODE PIN — VERROUILLAGE PAR COMPTE & PIN OUBLIÉ
+// ═══════════════════════════════════════════════════════
+
+describe('FF. Code PIN — verrouillage & réinitialisation', () => {
+  const bcrypt = require('bcryptjs');
+  let merchant, staffToken, client, mc, clientToken;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    staffToken = getStaffToken(createStaff(merchant.id));
+    client = createEndUser({ email: 'oubli@test.be', name: 'Client Oubli', pin: '1234' });
+    mc = createMerchantClient(merchant.id, client.id, 200);
+    clientToken = getClientToken(client.id);
+  });
+
+  const pinState = () => db.prepare('SELECT pin_failed_attempts, pin_locked_until, pin_reset_hash FROM end_users WHERE id = ?').get(client.id);
+
+  it('FF1. Échecs en caisse et connexion QR partagent le même verrouillage', async () => {
+    const redeem = (pin) => POST('/api/clients/reward', { staffToken, body: { merchantClientId: mc.id, pin } });
+    for (let i = 0; i < 3; i++) assert.equal((await redeem('0000')).status, 403);
+    assert.equal(pinState().pin_failed_attempts, 3);
+
+    const auth = (pin) => POST('/api/qr/client-auth', { body: { qrToken: merchant.qr_token, email: 'oubli@test.be', pin } });
+    assert.equal((await auth('0000')).status, 401);
+    const locked = await auth('0000');
+    assert.equal(locked.status, 429);
+    assert.ok(Date.parse(pinState().pin_locked_until) > Date.now());
+
+    // Even the right PIN waits for the lock, at the till too
+    const blocked = await redeem('1234');
+    assert.equal(blocked.status, 429);
+    assert.match(blocked.data.error, /Réessayez dans 15 minute/);
+  });
+
+  it('FF2. Modifier son PIN depuis le portail exige le PIN actuel', async () => {
+    db.prepare('UPDATE end_users SET pin_locked_until = NULL WHERE id = ?').run(client.id);
+
+    const missing = await POST('/api/me/pin', { token: clientToken, body: { newPin: '5555' } });
+    assert.equal(missing.status, 400);
+    const wrong = await POST('/api/me/pin', { token: clientToken, body: { currentPin: '0000', newPin: '5555' } });
+    assert.equal(wrong.status, 403);
+    assert.equal(pinState().pin_failed_attempts, 1);
+
+    const ok = await POST('/api/me/pin', { token: clientToken, body: { currentPin: '1234', newPin: '5555' } });
+    assert.equal(ok.status, 200);
+    assert.equal(pinState().pin_failed_attempts, 0);
+  });
+
+  it('FF3. PIN oublié : code par email, 5 essais, usage unique', async () => {
+    const sent = await POST('/api/me/pin/reset', { token: clientToken });
+    assert.equal(sent.status, 200);
+    assert.ok(pinState().pin_reset_hash);
+    assert.equal((await POST('/api/me/pin/reset', { token: clientToken })).status, 429);
+
+    // Emails are off in tests: swap in a known code
+    const setCode = () => db.prepare('UPDATE end_users SET pin_reset_hash = ?, pin_reset_attempts = 0 WHERE id = ?')
+      .run(bcrypt.hashSync('246810', 10), client.id);
+    setCode();
+    const confirm = (code) => POST('/api/me/pin/reset/confirm', { token: clientToken, body: { code, newPin: '8642' } });
+    for (let i = 0; i < 5; i++) assert.equal((await confirm('111111')).status, 400);
+    assert.equal(pinState().pin_reset_hash, null);
+    assert.equal((await confirm('246810')).status, 400);
+
+    // A locked account gets its new PIN and can redeem right away
+    db.prepare("UPDATE end_users SET pin_reset_expires = ?, pin_locked_until = ? WHERE id = ?")
+      .run(new Date(Date.now() + 600000).toISOString(), new Date(Date.now() + 600000).toISOString(), client.id);
+    setCode();
+    const ok = await confirm('246810');
+    assert.equal(ok.status, 200);
+    assert.deepEqual(pinState(), { pin_failed_attempts: 0, pin_locked_until: null, pin_reset_hash: null });
+    assert.equal((await confirm('246810')).status, 400);
+
+    const redeem = await POST('/api/clients/reward', { staffToken, body: { merchantClientId: mc.id, pin: '8642' } });
+    assert.equal(redeem.status, 200);
+  });
+
+  it('FF4. Le marchand peut couper l\'email de changement de PIN', async () => {
+    const res = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, pinChangeEmail: false },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.merchant.pin_change_email, 0);
+
+    db.prepare('UPDATE end_users SET pin_failed_attempts = 3 WHERE id = ?').run(client.id);
+    const set = await POST(`/api/clients/${mc.id}/pin`, { staffToken, body: { pin: '1357' } });
+    assert.equal(set.status, 200);
+    assert.equal(pinState().pin_failed_attempts, 0);
+  });
+
+  it('FF5. Connexion QR : compte inconnu traité comme un compte existant, plafond par IP', async () => {
+    db.prepare("DELETE FROM qr_attempts WHERE attempt_key LIKE 'pin:%'").run(); // FF1's failures
+    createEndUser({ email: 'connu@test.be', phone: '+32470222222', name: 'Client Connu', pin: '1234' });
+    const auth = (email, pin = '0000') => POST('/api/qr/client-auth', { body: { qrToken: merchant.qr_token, email, pin } });
+
+    for (let i = 0; i < 5; i++) {
+      const known = await auth('connu@test.be');
+      const unknown = await auth('inconnu@test.be');
+      assert.equal(unknown.status, known.status);
+      assert.deepEqual(unknown.data, known.data);
+    }
+    const locked = await auth('inconnu@test.be');
+    assert.equal(locked.status, 429);
+    assert.match(locked.data.error, /Réessayez dans 15 minute/);
+
+    // 20 failures from one IP, on any accounts: even a right PIN waits
+    for (let i = 0; i < 9; i++) assert.equal((await auth(`essai${i}@test.be`)).status, 401);
+    createEndUser({ email: 'libre@test.be', phone: '+32470333333', name: 'Client Libre', pin: '1234' });
+    const capped = await auth('libre@test.be', '1234');
+    assert.equal(capped.status, 429);
+    assert.match(capped.data.error, /plus tard/);
+
+    db.prepare("DELETE FROM qr_attempts WHERE attempt_key LIKE 'pin:%'").run();
+    assert.equal((await auth('libre@test.be', '1234')).status, 200);
+  });
+
+  it('FF6. Essais de PIN en parallèle : comptés avant la vérification', async () => {
+    const target = createEndUser({ email: 'rafale@test.be', phone: '+32470444444', name: 'Client Rafale', pin: '1234' });
+    const auth = (pin) => POST('/api/qr/client-auth', { body: { qrToken: merchant.qr_token, email: 'rafale@test.be', pin } });
+
+    // 9 wrong guesses and the right one, all at once: the right one comes too late
+    const guesses = ['0001', '0002', '0003', '0004', '0005', '0006', '0007', '0008', '0009', '1234'];
+    const results = await Promise.all(guesses.map(auth));
+    assert.equal(results.filter(r => r.status === 200).length, 0);
+    assert.equal(results.filter(r => r.status === 401).length, 4);
+    assert.equal(results[9].status, 429);
+    assert.ok(Date.parse(db.prepare('SELECT pin_locked_until FROM end_users WHERE id = ?').get(target.id).pin_locked_until) > Date.now());
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// GG. VÉRIFICATION DU TÉLÉPHONE PAR SMS
+// ═══════════════════════════════════════════════════════
+
+describe('GG. Vérification du téléphone par SMS', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const { tmpDir } = require('./setup');
+  const outbox = path.join(tmpDir, 'sms.log');
+  let merchant, staffToken, client;
+
+  before(() => {
+    cleanup();
+    process.env.SMS_PROVIDER = 'file';
+    process.env.SMS_FILE_PATH = outbox;
+    merchant = createMerchant();
+    staffToken = getStaffToken(createStaff(merchant.id));
+    client = createEndUser({ email: 'tel@test.be', phone: '+32470555555', name: 'Client Tel', pin: '1234' });
+    createMerchantClient(merchant.id, client.id, 200);
+  });
+
+  after(() => {
+    delete process.env.SMS_PROVIDER;
+    delete process.env.SMS_FILE_PATH;
+  });
+
+  const lastSms = () => JSON.parse(fs.readFileSync(outbox, 'utf8').trim().split('\n').pop());
+  const lastCode = () => lastSms().text.match(/\d{6}/)[0];
+  const resetCooldown = () => db.prepare('UPDATE phone_otps SET sent_at = sent_at - 120000').run();
+
+  it('GG1. Formulaire QR : code SMS puis identification avec numéro vérifié', async () => {
+    const info = await GET(`/api/qr/info/${merchant.qr_token}`);
+    assert.equal(info.data.smsVerification, true);
+
+    assert.equal((await POST('/api/qr/phone-code', { body: { qrToken: merchant.qr_token, phone: 'abc' } })).status, 400);
+    const sent = await POST('/api/qr/phone-code', { body: { qrToken: merchant.qr_token, phone: '0470 55 55 55' } });
+    assert.equal(sent.status, 200);
+    assert.equal(lastSms().to, '+32470555555');
+    const again = await POST('/api/qr/phone-code', { body: { qrToken: merchant.qr_token, phone: '0470555555' } });
+    assert.equal(again.status, 429);
+
+    const register = (phoneCode) => POST('/api/qr/register', { body: { qrToken: merchant.qr_token, phone: '0470555555', phoneCode } });
+    assert.equal((await register('000000')).status, 400);
+    const ok = await register(lastCode());
+    assert.equal(ok.status, 200);
+    assert.equal(db.prepare('SELECT phone_validated FROM end_users WHERE id = ?').get(client.id).phone_validated, 1);
+
+    const consume = await POST(`/api/qr/consume/${ok.data.identId}`, { staffToken });
+    assert.equal(consume.data.phoneVerified, true);
+    assert.ok(consume.data.qrVerifyToken);
+  });
+
+  it('GG2. Nouveau client par téléphone : le compte créé au crédit hérite de la vérification', async () => {
+    await POST('/api/qr/phone-code', { body: { qrToken: merchant.qr_token, phone: '+32470666666' } });
+    const reg = await POST('/api/qr/register', { body: { qrToken: merchant.qr_token, phone: '+32470666666', phoneCode: lastCode() } });
+    assert.equal(reg.status, 200);
+    assert.equal(reg.data.isNew, true);
+
+    const credit = await POST('/api/clients/credit', { staffToken, body: { phone: '+32470666666', amount: 10 } });
+    assert.equal(credit.status, 200);
+    const eu = db.prepare("SELECT phone_validated FROM end_users WHERE phone_e164 = '+32470666666'").get();
+    assert.equal(eu.phone_validated, 1);
+  });
+
+  it('GG3. Option marchand : récompense par téléphone refusée tant que le numéro n\'est pas vérifié', async () => {
+    const settings = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, requirePhoneVerified: true },
+    });
+    assert.equal(settings.data.merchant.require_phone_verified, 1);
+
+    const other = createEndUser({ email: null, phone: '+32470777777', name: 'Autre', pin: '4321' });
+    const mc = createMerchantClient(merchant.id, other.id, 200);
+
+    // Typed on the QR form without a code: no PIN bypass
+    const reg = await POST('/api/qr/register', { body: { qrToken: merchant.qr_token, phone: '+32470777777' } });
+    const consume = await POST(`/api/qr/consume/${reg.data.identId}`, { staffToken });
+    assert.equal(consume.data.qrVerifyToken, null);
+
+    // Phone-only account: refused whatever the till says about the identification
+    const redeem = () => POST('/api/clients/reward', { staffToken, body: { merchantClientId: mc.id, pin: '4321' } });
+    const refused = await redeem();
+    assert.equal(refused.status, 403);
+    assert.match(refused.data.error, /non vérifié/);
+
+    // With an email too, only a phone identification at the till is refused
+    const both = createEndUser({ email: 'deux@test.be', phone: '+32470999999', name: 'Deux', pin: '4321' });
+    const bothMc = createMerchantClient(merchant.id, both.id, 200);
+    const byPhone = await POST('/api/clients/reward', { staffToken, body: { merchantClientId: bothMc.id, pin: '4321', identifiedBy: 'phone' } });
+    assert.equal(byPhone.status, 403);
+    assert.equal((await POST('/api/clients/reward', { staffToken, body: { merchantClientId: bothMc.id, pin: '4321' } })).status, 200);
+
+    // The client confirms the number from the app
+    const token = getClientToken(other.id);
+    resetCooldown();
+    assert.equal((await POST('/api/me/phone/code', { token })).status, 200);
+    assert.equal((await POST('/api/me/phone/verify', { token, body: { code: '000000' } })).status, 400);
+    assert.equal((await POST('/api/me/phone/verify', { token, body: { code: lastCode() } })).status, 200);
+    const cards = await GET('/api/me/cards', { token });
+    assert.equal(cards.data.client.phoneValidated, true);
+
+    assert.equal((await redeem()).status, 200);
+  });
+
+  it('GG4. Codes SMS essayés en parallèle : 5 essais au plus, le bon code arrive trop tard', async () => {
+    const token = getClientToken(client.id);
+    db.prepare('UPDATE end_users SET phone_validated = 0 WHERE id = ?').run(client.id);
+    resetCooldown();
+    assert.equal((await POST('/api/me/phone/code', { token })).status, 200);
+    const code = lastCode();
+    const wrong = Array.from({ length: 9 }, (_, i) => String((Number(code) + i + 1) % 1000000).padStart(6, '0'));
+
+    const results = await Promise.all([...wrong, code].map(c => POST('/api/me/phone/verify', { token, body: { code: c } })));
+    assert.ok(results.every(r => r.status === 400));
+    assert.equal(db.prepare('SELECT phone_validated FROM end_users WHERE id = ?').get(client.id).phone_validated, 0);
+    assert.equal(db.prepare('SELECT code_hash FROM phone_otps WHERE phone_e164 = ?').get(client.phone_e164).code_hash, null);
+  });
+
+  it('GG5. Nouveau numéro à revérifier, SMS désactivé → indisponible', async () => {
+    const token = getClientToken(client.id);
+    assert.equal((await PUT('/api/me/profile', { token, body: { phone: '+32470888888' } })).status, 200);
+    assert.equal(db.prepare('SELECT phone_validated FROM end_users WHERE id = ?').get(client.id).phone_validated, 0);
+
+    delete process.env.SMS_PROVIDER;
+    const res = await POST('/api/me/phone/code', { token });
+    assert.equal(res.status, 503);
+    assert.equal((await GET(`/api/qr/info/${merchant.qr_token}`)).data.smsVerification, false);
+  });
+});
+
+
+// ═══════════════════════════════════════════════════════
+// HH. TÉLÉPHONES INTERNATIONAUX ET PAYS PAR DÉFAUT
+// ═══════════════════════════════════════════════════════
+
+describe('HH. Téléphones internationaux et pays par défaut', () => {
+  const { normalizePhone, phoneSearchDigits } = require('../services/normalizer');
+  let merchant, staffToken;
+
+  before(() => {
+    cleanup();
+    merchant = createMerchant();
+    staffToken = getStaffToken(createStaff(merchant.id));
+  });
+
+  it('HH1. Règles par pays : indicatif, préfixe national et longueur', () => {
+    assert.equal(normalizePhone('0497 12 34 56'), '+32497123456');
+    assert.equal(normalizePhone('02 123 45 67'), '+3221234567');
+    assert.equal(normalizePhone('0032 497 12 34 56'), '+32497123456');
+    assert.equal(normalizePhone('+32 0497 12 34 56'), '+32497123456');
+    assert.equal(normalizePhone('06 12 34 56 78'), null); // not Belgian
+    assert.equal(normalizePhone('06 12 34 56 78', 'FR'), '+33612345678');
+    assert.equal(normalizePhone('06 12345678', 'NL'), '+31612345678');
+    assert.equal(normalizePhone('621 123 456', 'LU'), '+352621123456');
+    assert.equal(normalizePhone('0151 23456789', 'DE'), '+4915123456789');
+    assert.equal(normalizePhone('+33 6 12 34 56 78'), '+33612345678');
+    assert.equal(normalizePhone('+33 6 12 34 56'), null);
+    assert.equal(normalizePhone('+352 621 123 456 789'), null);
+    assert.equal(normalizePhone('+1 415 555 0100'), '+14155550100'); // other countries: length only
+    assert.equal(normalizePhone('0497 12'), null);
+
+    assert.equal(phoneSearchDigits('0497 12'), '49712');
+    assert.equal(phoneSearchDigits('+33 6 12'), '33612');
+    assert.equal(phoneSearchDigits('0033 6'), '336');
+    assert.equal(phoneSearchDigits('621', 'LU'), '621');
+  });
+
+  it('HH2. Pays du commerce : crédit, recherche rapide et quasi-doublons', async () => {
+    const invalid = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, phoneCountry: 'XX' },
+    });
+    assert.equal(invalid.status, 400);
+    const settings = await PUT('/api/auth/settings', {
+      staffToken, body: { pointsPerEuro: 1, pointsForReward: 50, phoneCountry: 'FR' },
+    });
+    assert.equal(settings.status, 200);
+    assert.equal(settings.data.merchant.phone_country, 'FR');
+
+    const credit = await POST('/api/clients/credit', { staffToken, body: { phone: '06 12 34 56 78', amount: 10 } });
+    assert.equal(credit.status, 200);
+    assert.ok(db.prepare("SELECT id FROM end_users WHERE phone_e164 = '+33612345678'").get());
+
+    const lookup = await GET('/api/clients/lookup?phone=' + encodeURIComponent('06.12.34.56.78'), { staffToken });
+    assert.equal(lookup.data.found, true);
+
+    const search = await GET('/api/clients/quick-search?mode=phone&q=' + encodeURIComponent('06 12 34'), { staffToken });
+    assert.equal(search.data.results.length, 1);
+    const intl = await GET('/api/clients/quick-search?mode=phone&q=' + encodeURIComponent('0033 612'), { staffToken });
+    assert.equal(intl.data.results.length, 1);
+
+    // Same subscriber digits under another country code
+    const dup = await GET('/api/clients/near-duplicates?phone=' + encodeURIComponent('+31 6 12345678'), { staffToken });
+    assert.equal(dup.data.matches.length, 1);
+    assert.equal(dup.data.matches[0].matchType, 'phone');
+  });
+
+  it('HH3. Numéro refusé selon le pays : formulaire QR, crédit, portail', async () => {
+    const be = createMerchant({ email: 'be@test.be', vat_number: 'BE0987654321' });
+    const beToken = getStaffToken(createStaff(be.id, { email: 'staff-be@test.be' }));
+
+    const local = await POST('/api/qr/register', { body: { qrToken: be.qr_token, phone: '06 12 34 56 78' } });
+    assert.equal(local.status, 400);
+    assert.equal(local.data.error, 'Numéro de téléphone invalide');
+    const withPrefix = await POST('/api/qr/register', { body: { qrToken: be.qr_token, phone: '+33 6 12 34 56 78' } });
+    assert.equal(withPrefix.status, 200);
+
+    const credit = await POST('/api/clients/credit', { staffToken: beToken, body: { phone: '0612345678', amount: 10 } });
+    assert.equal(credit.status, 400);
+    assert.equal(credit.data.error, 'Numéro de téléphone invalide');
+
+    // Portal: local numbers follow the client's first shop (FR here)
+    const eu = createEndUser({ email: 'frontalier@test.be', phone: '+32470999999' });
+    db.prepare('UPDATE end_users SET first_merchant_id = ? WHERE id = ?').run(merchant.id, eu.id);
+    const token = getClientToken(eu.id);
+    assert.equal((await PUT('/api/me/profile', { token, body: { phone: '0612' } })).status, 400);
+    assert.equal((await PUT('/api/me/profile', { token, body: { phone: '07 12 34 56 78' } })).status, 200);
+    assert.equal(db.prepare('SELECT phone_e164 FROM end_users WHERE id = ?').get(eu.id).phone_e164, '+33712345678');
+  });
+});
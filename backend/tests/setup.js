@@ -18,6 +18,7 @@ process.env.JWT_SECRET = 'test-secret-key-12345';
 process.env.ADMIN_JWT_SECRET = 'test-admin-secret-12345';
 process.env.CLIENT_JWT_SECRET = 'test-client-secret-12345';
 process.env.SMTP_USER = ''; // Disable emails in tests
+process.env.API_RATE_LIMIT_MAX = '100000'; // the whole suite shares one IP
 
 // Now require app modules
 const app = require('../server');
@@ -90,6 +91,10 @@ function getStaffToken(staff) {
   );
 }
 
+function getAdminToken() {
+  return jwt.sign({ id: 1, email: 'admin@test.be' }, process.env.ADMIN_JWT_SECRET, { expiresIn: '24h' });
+}
+
 function getClientToken(endUserId) {
   const eu = endUserQueries.findById.get(endUserId);
   return generateClientToken(endUserId, eu?.email_lower, eu?.phone_e164);
@@ -147,6 +152,7 @@ module.exports = {
   createEndUser,
   createMerchantClient,
   getStaffToken,
+  getAdminToken,
   getClientToken,
   cleanup,
   dbPath,
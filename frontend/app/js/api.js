@@ -80,6 +80,13 @@ const API = (() => {
     return { ok: res.ok, status: res.status, data };
   }
 
+  // Binary download (PDF): resolves to a Blob, or null on error
+  async function download(endpoint) {
+    const token = getToken();
+    const res = await fetch(`${BASE}${endpoint}`, { headers: token ? { 'Authorization': 'Bearer ' + token } : {} });
+    return res.ok ? res.blob() : null;
+  }
+
   return {
     call,
 
@@ -100,20 +107,32 @@ const API = (() => {
     getCards: () => call('/api/me/cards'),
     getCard: (id) => call(`/api/me/cards/${id}`),
     getHistory: (id, limit = 50, offset = 0) => call(`/api/me/cards/${id}/transactions?limit=${limit}&offset=${offset}`),
+    downloadReceipt: (id, txId) => download(`/api/me/cards/${id}/transactions/${txId}/receipt`),
+    emailReceipt: (id, txId) => call(`/api/me/cards/${id}/transactions/${txId}/receipt/email`, { method: 'POST' }),
+    downloadApplePass: (id) => download(`/api/me/cards/${id}/wallet/apple`),
+    getGoogleWalletLink: (id) => call(`/api/me/cards/${id}/wallet/google`),
 
     // Profile
     updateProfile: (body) => call('/api/me/profile', { method: 'PUT', body }),
     updateEmail: (newEmail) => call('/api/me/email', { method: 'PUT', body: { newEmail } }),
     getQR: () => call('/api/me/qr'),
+    regenerateQR: () => call('/api/me/qr/regenerate', { method: 'POST' }),
 
     // Notifications
     getNotifPrefs: () => call('/api/me/notifications/preferences'),
     setNotifPrefs: (body) => call('/api/me/notifications/preferences', { method: 'PUT', body }),
 
     // Gift
-    createGift: (merchantId) => call(`/api/me/cards/${merchantId}/gift`, { method: 'POST' }),
+    createGift: (merchantId, body) => call(`/api/me/cards/${merchantId}/gift`, { method: 'POST', body }),
     getGift: (token) => call(`/api/me/gift/${token}`, { noAuth: true }),
     claimGift: (token) => call(`/api/me/gift/${token}/claim`, { method: 'POST' }),
+    cancelGift: (token) => call(`/api/me/gift/${token}/cancel`, { method: 'POST' }),
+
+    // Reward vouchers
+    createVoucher: (merchantId, rewardId) => call(`/api/me/cards/${merchantId}/vouchers`, { method: 'POST', body: { rewardId } }),
+
+    // Prepaid gift cards
+    getGiftCards: () => call('/api/me/gift-cards'),
   };
 })();
 
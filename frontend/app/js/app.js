@@ -326,6 +326,7 @@ const App = (() => {
  buildFilterPills();
  loadProfile();
  loadNotifPrefs();
+ loadGiftCards();
  startPointsPolling();
 
  const pendingMerchant = sessionStorage.getItem('fiddo_pending_merchant');
@@ -435,12 +436,14 @@ const App = (() => {
  <div class="lc-head">
  <div class="lc-icon"><span class="material-symbols-rounded">${biz.icon}</span></div>
  <span class="lc-name">${esc(c.merchantName)}</span>
+ ${c.tier ? `<span class="lc-tier">${esc(c.tier.name)}</span>` : ''}
  <span class="material-symbols-rounded lc-arrow">chevron_right</span>
  </div>
  <div class="lc-pts">
  <span class="lc-pts-big">${c.pointsBalance}</span>
  <span class="lc-pts-tot">/ ${c.pointsForReward} ${c.loyaltyMode === "visits" ? "visites" : "pts"}</span>
  </div>
+ ${c.group ? `<div class="lc-group">Solde partagé · ${esc(c.group.name)}</div>` : ''}
  <div class="lc-prog"><div class="lc-prog-fill" style="width:${pct}%"></div></div>
  <div class="lc-foot">
  ${c.canRedeem
@@ -529,7 +532,7 @@ const App = (() => {
  saveCardStates(newCards);
 
  // Only re-render if display-relevant data changed AND not in cooldown
- const fingerprint = c => `${c.merchantId}:${c.pointsBalance}:${c.canRedeem}:${c.visitCount}:${c.isFavorite}:${c.businessType}:${c.theme}:${c.birthdayGift || ''}:${c.allowGifts}:${c.description || ''}`;
+ const fingerprint = c => `${c.merchantId}:${c.pointsBalance}:${c.tier ? c.tier.name : ''}:${c.canRedeem}:${c.visitCount}:${c.isFavorite}:${c.businessType}:${c.theme}:${c.birthdayGift || ''}:${c.group ? c.group.name : ''}:${c.allowGifts}:${c.description || ''}`;
  const newFp = newCards.map(fingerprint).sort().join('|');
  const oldFp = cards.map(fingerprint).sort().join('|');
  cards = newCards;
@@ -685,9 +688,25 @@ const App = (() => {
  if (merchant.description) { descEl.textContent = merchant.description; descEl.style.display = ''; }
  else { descEl.style.display = 'none'; }
 
- // Birthday gift
+ // Extra stamp cards
+ document.getElementById('cd-programs').innerHTML = (card.programs || []).map(p =>
+ `<div class="cd-program${p.canRedeem ? ' ready' : ''}"><div class="cd-program-top"><span>${esc(p.name)}</span><strong>${p.balance} / ${p.stampsForReward}</strong></div><div class="cd-program-desc">${esc(p.rewardDescription)}</div></div>`
+ ).join('');
+
+ // Rewards kept for later, and the button to keep one
+ renderVouchers();
+ renderPendingGifts();
+ document.getElementById('btn-voucher').classList.toggle('hidden', !(card.rewards || []).some(r => r.canAfford));
+
+ // Birthday gift: voucher issued for this birthday, or the merchant's offer
  const bdayEl = document.getElementById('cd-bday-gift');
- if (merchant.birthdayGift) {
+ if (card.birthdayVoucher) {
+ const until = card.birthdayVoucher.validUntil.split('-');
+ bdayEl.classList.remove('hidden');
+ bdayEl.classList.add('active');
+ document.getElementById('cd-bday-desc').textContent = card.birthdayVoucher.description;
+ document.getElementById('cd-bday-label').textContent = '🎁 Votre cadeau vous attend — jusqu\'au ' + until[2] + '/' + until[1];
+ } else if (merchant.birthdayGift) {
  bdayEl.classList.remove('hidden');
  document.getElementById('cd-bday-desc').textContent = merchant.birthdayGift;
  var bdayActive = isBirthdayWeek(client?.dateOfBirth);
@@ -697,6 +716,17 @@ const App = (() => {
  bdayEl.classList.add('hidden');
  }
 
+ // Referral link (merchant runs a referral program)
+ const refBtn = document.getElementById('btn-referral');
+ refBtn.classList.toggle('hidden', !card.referral);
+ if (card.referral) {
+ document.getElementById('referral-label').textContent = 'Parrainer un ami · +' + card.referral.referrerBonus + ' pts pour vous, +' + card.referral.refereeBonus + ' pts pour lui';
+ }
+
+ // Wallet passes (offered when the server has Apple / Google keys)
+ document.getElementById('btn-wallet-apple').classList.toggle('hidden', !card.wallet?.apple);
+ document.getElementById('btn-wallet-google').classList.toggle('hidden', !card.wallet?.google);
+
  const giftBtn = document.getElementById('btn-gift');
  if (merchant.allowGifts && card.pointsBalance > 0) giftBtn.classList.remove('hidden');
  else giftBtn.classList.add('hidden');
@@ -775,19 +805,186 @@ const App = (() => {
  merge: { icon: 'merge', color: 'var(--tx3)', bg: 'var(--brd-l)', label: 'Fusion' },
  gift_out: { icon: 'card_giftcard', color: 'var(--rew)', bg: 'var(--warn-l)', label: 'Cadeau envoyé' },
  gift_in: { icon: 'card_giftcard', color: 'var(--ok)', bg: 'var(--ok-l)', label: 'Cadeau reçu' },
- gift_refund:{ icon: 'undo', color: 'var(--rew)', bg: 'var(--warn-l)', label: 'Transfert expiré — remboursé' },
+ gift_refund:{ icon: 'undo', color: 'var(--rew)', bg: 'var(--warn-l)', label: 'Cadeau remboursé' },
+ expiry: { icon: 'hourglass_bottom', color: 'var(--tx3)', bg: 'var(--brd-l)', label: 'Points expirés' },
+ reversal: { icon: 'undo', color: 'var(--err)', bg: 'var(--brd-l)', label: 'Crédit annulé' },
+ stamp: { icon: 'approval', color: 'var(--pri)', bg: 'var(--pri-l)', label: 'Tampon' },
+ referral: { icon: 'group_add', color: 'var(--ok)', bg: 'var(--ok-l)', label: 'Bonus parrainage' },
+ birthday: { icon: 'cake', color: 'var(--rew)', bg: 'var(--warn-l)', label: 'Cadeau d\'anniversaire' },
+ voucher: { icon: 'confirmation_number', color: 'var(--rew)', bg: 'var(--warn-l)', label: 'Bon de récompense' },
+ voucher_redeem: { icon: 'confirmation_number', color: 'var(--ok)', bg: 'var(--ok-l)', label: 'Bon utilisé' },
  };
 
+ historyTxs = txs;
  list.innerHTML = txs.map(tx => {
  const t = TYPE_MAP[tx.type] || TYPE_MAP.credit;
  const sign = tx.pointsDelta > 0 ? '+' : '';
  const cls = tx.pointsDelta > 0 ? 'pos' : 'neg';
  const detail = [tx.amount ? tx.amount + '€' : '', tx.staffName].filter(Boolean).join(' · ') || tx.notes || '';
  const date = new Date(tx.createdAt).toLocaleDateString('fr-BE', { day: 'numeric', month: 'short' });
- return `<div class="tx-row"><div class="tx-icon" style="background:${t.bg}"><span class="material-symbols-rounded" style="color:${t.color}">${t.icon}</span></div><div class="tx-body"><div class="tx-top"><span class="tx-type">${t.label}</span><span class="tx-pts ${cls}">${sign}${tx.pointsDelta} pts</span></div><div class="tx-bot"><span class="tx-detail">${esc(detail)}</span><span class="tx-date">${date}</span></div></div></div>`;
+ return `<div class="tx-row${tx.voided ? ' voided' : ''}" onclick="App.showReceipt(${tx.id})"><div class="tx-icon" style="background:${t.bg}"><span class="material-symbols-rounded" style="color:${t.color}">${t.icon}</span></div><div class="tx-body"><div class="tx-top"><span class="tx-type">${t.label}</span><span class="tx-pts ${cls}">${sign}${tx.pointsDelta} ${tx.programId ? 'tampon' : 'pts'}</span></div><div class="tx-bot"><span class="tx-detail">${esc(detail)}</span><span class="tx-date">${date}</span></div></div></div>`;
+ }).join('');
+ }
+
+ // ─── Receipts (PDF per transaction) ───────
+
+ let historyTxs = [];
+ let receiptTx = null;
+
+ function showReceipt(txId) {
+ receiptTx = historyTxs.find(tx => tx.id === txId);
+ if (!receiptTx) return;
+ const date = new Date(receiptTx.createdAt).toLocaleString('fr-BE', { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+ document.getElementById('receipt-sub').textContent = currentMerchant.name + ' · ' + date;
+ document.getElementById('btn-receipt-email').classList.toggle('hidden', !client?.email);
+ openModal('modal-receipt');
+ }
+
+ async function downloadReceipt() {
+ if (!receiptTx) return;
+ const blob = await API.downloadReceipt(currentMerchant.id, receiptTx.id);
+ if (!blob) { toast('Reçu indisponible'); return; }
+ const url = URL.createObjectURL(blob);
+ const a = document.createElement('a');
+ a.href = url;
+ a.download = 'recu-fiddo-' + receiptTx.id + '.pdf';
+ document.body.appendChild(a);
+ a.click();
+ a.remove();
+ setTimeout(() => URL.revokeObjectURL(url), 1000);
+ }
+
+ async function addToWallet(platform) {
+ if (!currentMerchant) return;
+ if (platform === 'google') {
+ const res = await API.getGoogleWalletLink(currentMerchant.id);
+ if (res.ok) window.location.href = res.data.saveUrl;
+ else toast(res.data?.error || 'Google Wallet indisponible');
+ return;
+ }
+ // Safari opens the pass in Wallet from the .pkpass download
+ const blob = await API.downloadApplePass(currentMerchant.id);
+ if (!blob) { toast('Apple Wallet indisponible'); return; }
+ const url = URL.createObjectURL(blob);
+ const a = document.createElement('a');
+ a.href = url;
+ a.download = 'fiddo.pkpass';
+ document.body.appendChild(a);
+ a.click();
+ a.remove();
+ setTimeout(() => URL.revokeObjectURL(url), 1000);
+ }
+
+ async function emailReceipt() {
+ if (!receiptTx) return;
+ const res = await API.emailReceipt(currentMerchant.id, receiptTx.id);
+ if (res.ok) { closeModal(); toast(res.data.message || 'Reçu envoyé'); }
+ else toast(res.data?.error || 'Erreur');
+ }
+
+ // ═══════════════════════════════════════════
+ // REWARD VOUCHERS — reward kept for later, shown as a QR at the counter
+ // ═══════════════════════════════════════════
+
+ function formatVoucherCode(code) { return code.slice(0, 4) + '-' + code.slice(4); }
+
+ function formatDay(date) { const p = date.split('-'); return p[2] + '/' + p[1] + '/' + p[0]; }
+
+ function renderVouchers() {
+ const vouchers = (currentCard && currentCard.vouchers) || [];
+ document.getElementById('cd-vouchers').innerHTML = vouchers.map(v => {
+ const meta = v.status === 'redeemed' ? 'Utilisé'
+ : v.status === 'expired' ? 'Expiré le ' + formatDay(v.expiresAt)
+ : formatVoucherCode(v.code) + ' · jusqu\'au ' + formatDay(v.expiresAt);
+ const usable = v.status === 'issued';
+ return `<button class="cd-voucher${usable ? '' : ' used'}"${usable ? ` onclick="App.showVoucher(${v.id})"` : ''}><span class="material-symbols-rounded" style="color:var(--rew)">confirmation_number</span><div class="cd-voucher-text"><div class="cd-voucher-desc">${esc(v.description)}</div><div class="cd-voucher-meta">${meta}</div></div>${usable ? '<span class="material-symbols-rounded">qr_code_2</span>' : ''}</button>`;
+ }).join('');
+ }
+
+ function startVoucher() {
+ if (!currentCard || !currentMerchant) return;
+ const unit = currentMerchant.loyaltyMode === 'visits' ? ' visites' : ' pts';
+ document.getElementById('voucher-rewards').innerHTML = (currentCard.rewards || []).filter(r => r.canAfford).map(r =>
+ `<button class="btn-primary" style="margin-bottom:8px" onclick="App.confirmVoucher(${r.id || 0})"><span class="material-symbols-rounded">confirmation_number</span><span>${esc(r.name)} · ${r.pointsCost}${unit}</span></button>`
+ ).join('');
+ openModal('modal-voucher');
+ }
+
+ async function confirmVoucher(rewardId) {
+ if (!currentCard || !currentMerchant) return;
+ const res = await API.createVoucher(currentMerchant.id, rewardId || undefined);
+ if (!res.ok) { toast(res.data?.error || 'Erreur'); return; }
+ closeModal();
+
+ const balance = res.data.pointsBalance;
+ currentCard.pointsBalance = balance;
+ currentCard.rewards = (currentCard.rewards || []).map(r => ({ ...r, canAfford: balance >= r.pointsCost }));
+ currentCard.vouchers = [res.data.voucher].concat(currentCard.vouchers || []);
+ document.getElementById('cd-pts').textContent = balance;
+ document.getElementById('cd-prog').style.width = Math.min((balance / currentCard.pointsForReward) * 100, 100) + '%';
+ document.getElementById('btn-voucher').classList.toggle('hidden', !currentCard.rewards.some(r => r.canAfford));
+ renderVouchers();
+ refreshCards();
+
+ showVoucher(res.data.voucher.id);
+ }
+
+ async function showVoucher(id) {
+ const v = ((currentCard && currentCard.vouchers) || []).find(x => x.id === id);
+ if (!v) return;
+ document.getElementById('voucher-qr-desc').textContent = v.description;
+ document.getElementById('voucher-qr-until').textContent = 'À présenter en caisse avant le ' + formatDay(v.expiresAt);
+ document.getElementById('voucher-qr-code').textContent = formatVoucherCode(v.code);
+ openModal('modal-voucher-qr');
+ await drawVoucherQR(v.qrUrl);
+ }
+
+ async function drawVoucherQR(url) {
+ const img = document.getElementById('voucher-qr-img');
+ img.src = '';
+ if (typeof QRCode !== 'undefined' && QRCode.toDataURL) {
+ try {
+ img.src = await QRCode.toDataURL(url, { width: 220, margin: 2, color: { dark: '#0f172a', light: '#ffffff' } });
+ return;
+ } catch (e) { console.error('QRCode lib error:', e); }
+ }
+ img.src = `https://api.qrserver.com/v1/create-qr-code/?size=220x220&data=${encodeURIComponent(url)}`;
+ }
+
+ // ─── Prepaid gift cards ───────────────────
+ // Bought or received at a merchant; not tied to a loyalty card
+
+ let giftCards = [];
+
+ async function loadGiftCards() {
+ const res = await API.getGiftCards();
+ if (!res.ok) return;
+ giftCards = res.data.giftCards || [];
+ renderGiftCards();
+ }
+
+ function renderGiftCards() {
+ document.getElementById('gift-cards-list').innerHTML = giftCards.map(g => {
+ const usable = g.status === 'active';
+ const meta = g.status === 'spent' ? 'Épuisée'
+ : g.status === 'expired' ? 'Expirée le ' + formatDay(g.expiresAt)
+ : 'Solde ' + formatEuros(g.balance) + ' · jusqu\'au ' + formatDay(g.expiresAt);
+ return `<button class="cd-voucher${usable ? '' : ' used'}"${usable ? ` onclick="App.showGiftCard(${g.id})"` : ''}><span class="material-symbols-rounded" style="color:var(--rew)">card_giftcard</span><div class="cd-voucher-text"><div class="cd-voucher-desc">Carte cadeau ${esc(g.merchantName)}</div><div class="cd-voucher-meta">${meta}</div></div>${usable ? '<span class="material-symbols-rounded">qr_code_2</span>' : ''}</button>`;
  }).join('');
  }
 
+ function formatEuros(value) { return value.toFixed(2).replace('.', ',') + ' €'; }
+
+ async function showGiftCard(id) {
+ const g = giftCards.find(x => x.id === id);
+ if (!g) return;
+ document.getElementById('voucher-qr-desc').textContent = `Carte cadeau · ${formatEuros(g.balance)}`;
+ document.getElementById('voucher-qr-until').textContent = `${g.merchantName} · valable jusqu'au ${formatDay(g.expiresAt)}`;
+ document.getElementById('voucher-qr-code').textContent = formatVoucherCode(g.code);
+ openModal('modal-voucher-qr');
+ await drawVoucherQR(g.qrUrl);
+ }
+
  // ═══════════════════════════════════════════
  // GIFT SYSTEM
  // ═══════════════════════════════════════════
@@ -795,8 +992,19 @@ const App = (() => {
  function startGift() {
  if (!currentCard || !currentMerchant) return;
  if (currentCard.pointsBalance <= 0) { toast('Aucun point à offrir'); return; }
- document.getElementById('gift-confirm-pts').textContent = currentCard.pointsBalance;
+ const limits = currentMerchant.giftLimits || { min: 1, max: null };
+ const max = limits.max ? Math.min(limits.max, currentCard.pointsBalance) : currentCard.pointsBalance;
+ const input = document.getElementById('gift-points');
+ input.min = limits.min;
+ input.max = max;
+ input.value = max;
+ document.getElementById('gift-confirm-balance').textContent = currentCard.pointsBalance;
  document.getElementById('gift-confirm-name').textContent = currentMerchant.name;
+ document.getElementById('gift-limits').textContent = limits.max
+ ? 'Entre ' + limits.min + ' et ' + limits.max + ' points par cadeau'
+ : (limits.min > 1 ? 'Minimum ' + limits.min + ' points par cadeau' : '');
+ document.getElementById('gift-recipient').value = '';
+ document.getElementById('gift-message').value = '';
  openModal('modal-gift');
  }
 
@@ -806,7 +1014,11 @@ const App = (() => {
  btn.classList.add('loading');
  btn.innerHTML = '<span>Génération…</span>';
 
- const res = await API.createGift(currentMerchant.id);
+ const res = await API.createGift(currentMerchant.id, {
+ points: parseInt(document.getElementById('gift-points').value) || 0,
+ recipient: document.getElementById('gift-recipient').value.trim() || undefined,
+ message: document.getElementById('gift-message').value.trim() || undefined,
+ });
  btn.classList.remove('loading');
  btn.innerHTML = '<span class="material-symbols-rounded">card_giftcard</span><span>Générer le lien cadeau</span>';
 
@@ -815,14 +1027,62 @@ const App = (() => {
  lastGiftLink = res.data.giftUrl;
  closeModal();
 
- currentCard.pointsBalance = 0;
- document.getElementById('cd-pts').textContent = '0';
- document.getElementById('cd-prog').style.width = '0%';
- document.getElementById('cd-badge').innerHTML = '<span class="cd-until">Encore ' + currentCard.pointsForReward + (currentMerchant && currentMerchant.loyaltyMode === 'visits' ? ' visites' : ' points') + '</span>';
- document.getElementById('btn-gift').classList.add('hidden');
+ setCardBalance(res.data.pointsBalance);
+ currentCard.pendingGifts = [{
+ token: res.data.token, points: res.data.points, recipient: res.data.recipient, expiresAt: res.data.expiresAt, giftUrl: res.data.giftUrl,
+ }].concat(currentCard.pendingGifts || []);
+ renderPendingGifts();
+
+ document.getElementById('gift-link').value = lastGiftLink;
+ document.getElementById('gift-share-sub').textContent = res.data.recipient
+ ? 'Envoyez-le à ' + res.data.recipient + ' : lui seul pourra récupérer les points'
+ : 'Partagez-le avec la personne de votre choix';
+ openModal('modal-gift-share');
+ refreshCards();
+ }
+
+ // Balance changed by a gift sent or cancelled
+ function setCardBalance(balance) {
+ currentCard.pointsBalance = balance;
+ currentCard.rewards = (currentCard.rewards || []).map(r => ({ ...r, canAfford: balance >= r.pointsCost }));
+ document.getElementById('cd-pts').textContent = balance;
+ document.getElementById('cd-prog').style.width = Math.min((balance / currentCard.pointsForReward) * 100, 100) + '%';
+ const left = currentCard.pointsForReward - balance;
+ if (left > 0) document.getElementById('cd-badge').innerHTML = '<span class="cd-until">Encore ' + left + (currentMerchant.loyaltyMode === 'visits' ? ' visites' : ' points') + '</span>';
+ document.getElementById('btn-voucher').classList.toggle('hidden', !currentCard.rewards.some(r => r.canAfford));
+ document.getElementById('btn-gift').classList.toggle('hidden', !(currentMerchant.allowGifts && balance > 0));
+ }
+
+ // Gifts sent from this card and not claimed yet: re-share or cancel
+ function renderPendingGifts() {
+ const gifts = (currentCard && currentCard.pendingGifts) || [];
+ document.getElementById('cd-gifts').innerHTML = gifts.map(g => {
+ const meta = (g.recipient ? 'Pour ' + esc(g.recipient) + ' · ' : 'En attente · ') + 'jusqu\'au ' + formatDay(g.expiresAt.substring(0, 10));
+ return `<div class="cd-voucher"><span class="material-symbols-rounded" style="color:var(--rew)">card_giftcard</span><div class="cd-voucher-text" onclick="App.reshareGift('${g.token}')"><div class="cd-voucher-desc">${g.points} pts offerts</div><div class="cd-voucher-meta">${meta}</div></div><button class="cd-gift-cancel" onclick="App.cancelGift('${g.token}')" aria-label="Annuler le cadeau"><span class="material-symbols-rounded">undo</span></button></div>`;
+ }).join('');
+ }
 
+ function reshareGift(token) {
+ const gift = ((currentCard && currentCard.pendingGifts) || []).find(g => g.token === token);
+ if (!gift) return;
+ lastGiftLink = gift.giftUrl;
  document.getElementById('gift-link').value = lastGiftLink;
+ document.getElementById('gift-share-sub').textContent = gift.recipient
+ ? 'Envoyez-le à ' + gift.recipient + ' : lui seul pourra récupérer les points'
+ : 'Partagez-le avec la personne de votre choix';
  openModal('modal-gift-share');
+ }
+
+ async function cancelGift(token) {
+ const gift = ((currentCard && currentCard.pendingGifts) || []).find(g => g.token === token);
+ if (!gift || !confirm('Annuler ce cadeau ? Vos ' + gift.points + ' points vous seront rendus.')) return;
+ const res = await API.cancelGift(token);
+ if (!res.ok) { toast(res.data?.error || 'Erreur'); return; }
+
+ currentCard.pendingGifts = currentCard.pendingGifts.filter(g => g.token !== token);
+ renderPendingGifts();
+ setCardBalance(res.data.pointsBalance);
+ toast(res.data.points + ' points remboursés');
  refreshCards();
  }
 
@@ -842,6 +1102,14 @@ const App = (() => {
  else copyGiftLink();
  }
 
+ function shareReferral() {
+ const ref = currentCard && currentCard.referral;
+ if (!ref) return;
+ const text = `Rejoins-moi chez ${currentMerchant?.name || 'ce commerce'} avec FIDDO : on gagne tous les deux des points bonus après ton premier achat !`;
+ if (navigator.share) navigator.share({ title: 'Parrainage FIDDO', text, url: ref.url }).catch(() => {});
+ else navigator.clipboard.writeText(ref.url).then(() => toast('Lien copié !')).catch(() => toast(ref.url));
+ }
+
  async function handleGiftClaim(token) {
  show('screen-gift-claim');
  const loading = document.getElementById('gift-loading');
@@ -869,7 +1137,11 @@ const App = (() => {
  const gift = res.data;
  preview.classList.remove('hidden');
  document.getElementById('gift-title').textContent = 'Un cadeau pour vous !';
- document.getElementById('gift-sub').textContent = 'Quelqu\'un vous offre des points fidélité';
+ document.getElementById('gift-sub').textContent = (gift.senderName || 'Quelqu\'un') + ' vous offre des points fidélité'
+ + (gift.reservedFor ? ' (réservé à ' + gift.reservedFor + ')' : '');
+ const msgEl = document.getElementById('gift-message-text');
+ msgEl.textContent = gift.message ? '« ' + gift.message + ' »' : '';
+ msgEl.classList.toggle('hidden', !gift.message);
  document.getElementById('gift-amount').textContent = gift.points + ' pts';
  document.getElementById('gift-merchant').textContent = 'chez ' + gift.merchantName;
 
@@ -911,6 +1183,13 @@ const App = (() => {
  const phoneRow = document.getElementById('prof-phone-row');
  if (client.phone) { phoneRow.classList.remove('hidden'); document.getElementById('prof-phone').textContent = client.phone; }
  else phoneRow.classList.add('hidden');
+ // Unverified number: tap to confirm it by SMS
+ const phoneAction = document.getElementById('prof-phone-action');
+ const canVerifyPhone = !!client.phone && !client.phoneValidated && !!client.smsVerification;
+ phoneAction.textContent = client.phoneValidated ? 'verified' : canVerifyPhone ? 'sms' : '';
+ phoneAction.style.color = client.phoneValidated ? '#059669' : 'var(--tx3)';
+ phoneRow.style.cursor = canVerifyPhone ? 'pointer' : '';
+ phoneRow.onclick = canVerifyPhone ? openPhoneModal : null;
 
  const dobRow = document.getElementById('prof-dob-row');
  const dobText = document.getElementById('prof-dob');
@@ -1059,21 +1338,75 @@ const App = (() => {
 
  // ─── PIN ──────────────────────────────────
 
+ // Changing an existing PIN asks for the current one; "Code PIN oublié ?"
+ // emails a one-time code that replaces it (_pinResetMode).
+ let _pinResetMode = false;
+
  function openPinModal() {
- document.getElementById('pin-new').value = '';
+ _pinResetMode = false;
+ ['pin-current', 'pin-code', 'pin-new'].forEach(id => { document.getElementById(id).value = ''; });
+ document.getElementById('pin-modal-sub').textContent = '4 chiffres, à communiquer au commerçant pour utiliser une récompense';
+ document.getElementById('pin-current-field').style.display = client.hasPin ? '' : 'none';
+ document.getElementById('pin-code-field').style.display = 'none';
+ document.getElementById('btn-forgot-pin').style.display = client.hasPin ? '' : 'none';
+ document.getElementById('btn-forgot-pin').textContent = 'Code PIN oublié ?';
  openModal('modal-pin');
- setTimeout(() => document.getElementById('pin-new').focus(), 400);
+ setTimeout(() => document.getElementById(client.hasPin ? 'pin-current' : 'pin-new').focus(), 400);
+ }
+
+ async function forgotPin() {
+ const btn = document.getElementById('btn-forgot-pin');
+ btn.disabled = true;
+ const res = await API.call('/api/me/pin/reset', { method: 'POST' });
+ btn.disabled = false;
+ if (!res.ok) { toast(res.data?.error || 'Erreur'); return; }
+ _pinResetMode = true;
+ document.getElementById('pin-modal-sub').textContent = res.data.message + '. Saisissez-le avec votre nouveau PIN.';
+ document.getElementById('pin-current-field').style.display = 'none';
+ document.getElementById('pin-code-field').style.display = '';
+ btn.textContent = 'Renvoyer le code';
+ document.getElementById('pin-code').focus();
  }
 
  async function savePin() {
  const newPin = document.getElementById('pin-new').value.trim();
  if (!/^\d{4}$/.test(newPin)) { toast('Le PIN doit être 4 chiffres'); return; }
- const res = await API.call('/api/me/pin', { method: 'POST', body: { newPin } });
+ const res = _pinResetMode
+ ? await API.call('/api/me/pin/reset/confirm', { method: 'POST', body: { code: document.getElementById('pin-code').value.trim(), newPin } })
+ : await API.call('/api/me/pin', { method: 'POST', body: { currentPin: document.getElementById('pin-current').value.trim() || undefined, newPin } });
  if (res.ok) { client.hasPin = true; loadProfile(); closeModal(); toast('Code PIN enregistré'); }
  else toast(res.data?.error || 'Erreur');
  }
 
+ // ─── Phone verification ───────────────────
+
+ async function sendPhoneCode() {
+ const res = await API.call('/api/me/phone/code', { method: 'POST' });
+ if (!res.ok) { toast(res.data?.error || 'Erreur'); return false; }
+ document.getElementById('phone-modal-sub').textContent = res.data.message + '. Saisissez-le ci-dessous.';
+ return true;
+ }
+
+ async function openPhoneModal() {
+ if (!(await sendPhoneCode())) return;
+ document.getElementById('phone-code').value = '';
+ openModal('modal-phone');
+ setTimeout(() => document.getElementById('phone-code').focus(), 400);
+ }
+
+ async function verifyPhone() {
+ const code = document.getElementById('phone-code').value.trim();
+ if (!/^\d{6}$/.test(code)) { toast('Le code contient 6 chiffres'); return; }
+ const res = await API.call('/api/me/phone/verify', { method: 'POST', body: { code } });
+ if (res.ok) { client.phoneValidated = true; loadProfile(); closeModal(); toast('Numéro vérifié'); }
+ else toast(res.data?.error || 'Erreur');
+ }
+
  // ─── My QR ────────────────────────────────
+ // The code rotates every 30 s (a screenshot stops working): redraw it
+ // while the modal is open.
+
+ let qrTimer = null;
 
  async function showMyQR() {
  openModal('modal-qr');
@@ -1081,6 +1414,14 @@ const App = (() => {
  const qrImg = document.getElementById('qr-img');
  qrImg.src = '';
  qrImg.alt = 'Chargement…';
+ document.getElementById('qr-countdown').textContent = '';
+ await renderMyQR();
+ }
+
+ async function renderMyQR() {
+ clearTimeout(qrTimer);
+ qrTimer = null;
+ const qrImg = document.getElementById('qr-img');
 
  const res = await API.getQR();
  if (!res.ok) {
@@ -1089,6 +1430,12 @@ const App = (() => {
  qrImg.alt = 'Mon QR code';
  return;
  }
+ if (!document.getElementById('modal-qr').classList.contains('open')) return;
+
+ qrTimer = setTimeout(() => {
+ if (document.getElementById('modal-qr').classList.contains('open')) renderMyQR();
+ }, res.data.expiresIn * 1000);
+ document.getElementById('qr-countdown').textContent = `Code renouvelé toutes les ${res.data.period} secondes`;
 
  const qrUrl = res.data.qrUrl;
 
@@ -1105,6 +1452,15 @@ const App = (() => {
  qrImg.alt = 'Mon QR code';
  }
 
+ async function regenerateQR() {
+ if (!confirm('Générer un nouveau QR code ?\n\nÀ faire si votre téléphone a été perdu : votre ancien QR code et vos liens de parrainage déjà partagés ne fonctionneront plus.')) return;
+ const res = await API.regenerateQR();
+ if (!res.ok) { toast(res.data?.error || 'Erreur'); return; }
+ if (client) client.qrToken = res.data.qrToken;
+ toast('Nouveau QR code généré');
+ renderMyQR();
+ }
+
  // ─── Scanner ──────────────────────────────
 
  async function startScanner() {
@@ -1401,15 +1757,17 @@ const App = (() => {
  return {
  handleLogin, resendLogin, resetLogin,
  show, goBack, switchTab, showApp,
- openCard, showHistory, openMaps,
- showMyQR, editName, saveName, editEmail, saveEmail,
+ openCard, showHistory, showReceipt, downloadReceipt, emailReceipt, addToWallet, openMaps,
+ showMyQR, regenerateQR, editName, saveName, editEmail, saveEmail,
  editDob, saveDob,
- openPinModal, savePin,
+ openPinModal, forgotPin, savePin,
+ sendPhoneCode, verifyPhone,
  startScanner, closeModal,
  logout, saveNotifs, toast,
  filterType, clearSearch, toggleFav, hideCard,
     showHiddenCards, unhideCard,
- startGift, confirmGift, copyGiftLink, shareGift,
+ startGift, confirmGift, copyGiftLink, shareGift, shareReferral, reshareGift, cancelGift,
+ startVoucher, confirmVoucher, showVoucher, showGiftCard,
  confirmDeleteAccount, deleteAccount,
  };
 })();
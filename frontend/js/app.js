@@ -82,7 +82,11 @@ const API = {
  }
 
  const data = await response.json();
- if (!response.ok) throw new Error(data.error || 'Une erreur est survenue');
+ if (!response.ok) {
+ const err = new Error(data.error || 'Une erreur est survenue');
+ err.data = data; // extra fields some endpoints return with the error
+ throw err;
+ }
  return data;
  },
 
@@ -98,6 +102,10 @@ const API = {
  credit: (d) => API.call('/clients/credit', { method: 'POST', body: JSON.stringify(d) }),
  reward: (d) => API.call('/clients/reward', { method: 'POST', body: JSON.stringify(d) }),
  adjust: (d) => API.call('/clients/adjust', { method: 'POST', body: JSON.stringify(d) }),
+ void: (transactionId, reason) => API.call('/clients/void', { method: 'POST', body: JSON.stringify({ transactionId, reason }) }),
+ birthdayVoucher: (merchantClientId) => API.call('/clients/birthday-voucher', { method: 'POST', body: JSON.stringify({ merchantClientId }) }),
+ voucher: (code) => API.call(`/clients/vouchers/${encodeURIComponent(code)}`),
+ redeemVoucher: (code) => API.call(`/clients/vouchers/${encodeURIComponent(code)}/redeem`, { method: 'POST' }),
  lookup: (params) => {
  const qs = new URLSearchParams(params).toString();
  return API.call(`/clients/lookup?${qs}`);
@@ -128,6 +136,58 @@ const API = {
  },
  },
 
+ rewards: {
+ list: () => API.call('/rewards'),
+ create: (d) => API.call('/rewards', { method: 'POST', body: JSON.stringify(d) }),
+ update: (id, d) => API.call(`/rewards/${id}`, { method: 'PUT', body: JSON.stringify(d) }),
+ delete: (id) => API.call(`/rewards/${id}`, { method: 'DELETE' }),
+ },
+
+ campaigns: {
+ list: () => API.call('/campaigns'),
+ create: (d) => API.call('/campaigns', { method: 'POST', body: JSON.stringify(d) }),
+ update: (id, d) => API.call(`/campaigns/${id}`, { method: 'PUT', body: JSON.stringify(d) }),
+ delete: (id) => API.call(`/campaigns/${id}`, { method: 'DELETE' }),
+ },
+
+ promoCodes: {
+ list: () => API.call('/promo-codes'),
+ create: (d) => API.call('/promo-codes', { method: 'POST', body: JSON.stringify(d) }),
+ update: (id, d) => API.call(`/promo-codes/${id}`, { method: 'PUT', body: JSON.stringify(d) }),
+ delete: (id) => API.call(`/promo-codes/${id}`, { method: 'DELETE' }),
+ },
+
+ registers: {
+ list: () => API.call('/registers'),
+ create: (d) => API.call('/registers', { method: 'POST', body: JSON.stringify(d) }),
+ update: (id, d) => API.call(`/registers/${id}`, { method: 'PUT', body: JSON.stringify(d) }),
+ delete: (id) => API.call(`/registers/${id}`, { method: 'DELETE' }),
+ },
+
+ programs: {
+ list: () => API.call('/programs'),
+ create: (d) => API.call('/programs', { method: 'POST', body: JSON.stringify(d) }),
+ update: (id, d) => API.call(`/programs/${id}`, { method: 'PUT', body: JSON.stringify(d) }),
+ delete: (id) => API.call(`/programs/${id}`, { method: 'DELETE' }),
+ },
+
+ tiers: {
+ list: () => API.call('/tiers'),
+ setBasis: (basis) => API.call('/tiers/basis', { method: 'PUT', body: JSON.stringify({ basis }) }),
+ create: (d) => API.call('/tiers', { method: 'POST', body: JSON.stringify(d) }),
+ update: (id, d) => API.call(`/tiers/${id}`, { method: 'PUT', body: JSON.stringify(d) }),
+ delete: (id) => API.call(`/tiers/${id}`, { method: 'DELETE' }),
+ },
+
+ giftCards: {
+ list: () => API.call('/gift-cards'),
+ report: () => API.call('/gift-cards/report'),
+ sell: (d) => API.call('/gift-cards', { method: 'POST', body: JSON.stringify(d) }),
+ get: (code) => API.call(`/gift-cards/${encodeURIComponent(code)}`),
+ spend: (code, d) => API.call(`/gift-cards/${encodeURIComponent(code)}/spend`, { method: 'POST', body: JSON.stringify(d) }),
+ refund: (code, d) => API.call(`/gift-cards/${encodeURIComponent(code)}/refund`, { method: 'POST', body: JSON.stringify(d) }),
+ },
+
  staff: {
  list: () => API.call('/staff'),
  create: (d) => API.call('/staff', { method: 'POST', body: JSON.stringify(d) }),
@@ -303,6 +363,7 @@ function setupNavbar() {
  // Build links based on role
  const links = [];
  links.push({ href: '/credit', label: 'Créditer', icon: 'credit' });
+ links.push({ href: '/gift-cards', label: 'Cartes cadeaux', icon: 'giftcards' });
 
  if (['owner', 'manager'].includes(staff.role)) {
  links.push({ href: '/dashboard', label: 'Dashboard', icon: 'dashboard' });
@@ -354,6 +415,11 @@ function setupNavbar() {
 
  // V3.5: Fetch unread badge
  loadUnreadBadge();
+
+ // Live events: refresh the badge when the admin posts
+ Live.connect();
+ Live.on('message', loadUnreadBadge);
+ Live.on('announcement', loadUnreadBadge);
 }
 
 // ─── SVG Icons for bottom nav ────────────────────────
@@ -364,6 +430,7 @@ const NAV_ICONS = {
  clients: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>',
  preferences: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83-2.83l.06-.06A1.65 1.65 0 0 0 4.68 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 2.83-2.83l.06.06A1.65 1.65 0 0 0 9 4.68a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>',
  messages: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>',
+ giftcards: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 12 20 22 4 22 4 12"/><rect x="2" y="7" width="20" height="5"/><line x1="12" y1="22" x2="12" y2="7"/><path d="M12 7H7.5a2.5 2.5 0 0 1 0-5C11 2 12 7 12 7z"/><path d="M12 7h4.5a2.5 2.5 0 0 0 0-5C13 2 12 7 12 7z"/></svg>',
  staff: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><line x1="19" y1="8" x2="19" y2="14"/><line x1="22" y1="11" x2="16" y2="11"/></svg>',
  more: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="5" r="1"/><circle cx="12" cy="12" r="1"/><circle cx="12" cy="19" r="1"/></svg>',
  logout: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/><polyline points="16 17 21 12 16 7"/><line x1="21" y1="12" x2="9" y2="12"/></svg>',
@@ -394,12 +461,14 @@ function buildBottomNav(staff, path) {
  // Owner: overflow préfs + equipe + logout
  mainItems.push({ href: '#more', label: 'Plus', icon: 'more', isMore: true });
 
+ sheetItems.push({ href: '/gift-cards', label: 'Cartes cadeaux', icon: 'giftcards' });
  sheetItems.push({ href: '/preferences', label: 'Préférences', icon: 'preferences' });
  sheetItems.push({ href: '/staff', label: 'Équipe', icon: 'staff' });
  sheetItems.push({ href: '#logout', label: 'Déconnexion', icon: 'logout', isLogout: true, danger: true });
  } else {
  // Manager/Cashier: logout in sheet via "Plus"
  mainItems.push({ href: '#more', label: 'Plus', icon: 'more', isMore: true });
+ sheetItems.push({ href: '/gift-cards', label: 'Cartes cadeaux', icon: 'giftcards' });
  sheetItems.push({ href: '#logout', label: 'Déconnexion', icon: 'logout', isLogout: true, danger: true });
  }
 
@@ -454,6 +523,11 @@ function closeBnavSheet() {
 async function loadUnreadBadge() {
  try {
  const data = await API.messages.getUnreadCount();
+ // Live refresh: update existing badges in place
+ document.querySelectorAll('#navrow-messages .nav-badge, #bnav-messages .bnav-badge').forEach(b => {
+ if (data.unread > 0) b.textContent = data.unread;
+ else b.remove();
+ });
  if (data.unread > 0) {
      // Navrow badge
      const navrowLink = document.getElementById('navrow-messages');
@@ -481,6 +555,61 @@ async function loadUnreadBadge() {
 }
 
 
+// ─── Live Events (SSE) ───────────────────────────────
+// One EventSource per page on /api/events. Pages register handlers with
+// Live.on(type, fn); 'status' fires when the stream opens or drops so
+// pollers can slow down, or go back to polling without SSE.
+// Live.setRegister(id) narrows 'pending' events to one till's queue.
+
+const Live = {
+ source: null,
+ open: false,
+ handlers: {},
+ registerId: null,
+
+ connect() {
+ if (this.source || !window.EventSource) return;
+ const query = this.registerId ? '?registerId=' + this.registerId : '';
+ this.source = new EventSource(API_BASE_URL + '/events' + query, { withCredentials: true });
+ this.source.addEventListener('ready', () => { this.open = true; this.emit('status', true); });
+ ['pending', 'message', 'announcement', 'credit'].forEach(type => {
+ this.source.addEventListener(type, (e) => {
+ let data = {};
+ try { data = JSON.parse(e.data); } catch (_) { /* keep empty */ }
+ this.emit(type, data);
+ });
+ });
+ this.source.onerror = () => {
+ if (this.open) { this.open = false; this.emit('status', false); }
+ // The browser reconnects by itself, unless the server refused the stream
+ if (this.source.readyState === EventSource.CLOSED) this.source = null;
+ };
+ },
+
+ // Reopen the stream for another till (null = every queue)
+ setRegister(id) {
+ if ((id || null) === this.registerId && this.source) return;
+ this.registerId = id || null;
+ if (this.source) {
+ this.source.close();
+ this.source = null;
+ if (this.open) { this.open = false; this.emit('status', false); }
+ }
+ this.connect();
+ },
+
+ on(type, fn) { (this.handlers[type] = this.handlers[type] || []).push(fn); },
+
+ emit(type, data) {
+ (this.handlers[type] || []).forEach(fn => {
+ try { fn(data); } catch (e) { console.error('Live handler error:', e); }
+ });
+ },
+
+ isOpen() { return this.open; },
+};
+
+
 // ─── Init ────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', setupNavbar);